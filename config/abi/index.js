@@ -2,9 +2,13 @@
 const FLASH_ARBITRAGE_ABI = [
     "function executeFlashLoan(address pairAddress, uint256 borrowAmount, tuple(address[],address[],address[],uint256[],bool) data, bool fromPancake) external",
     "function checkArbitrageProfitability(tuple(address[],address[],address[],uint256[],bool) data, uint256 loanAmount, bool fromPancake) external view returns (uint256 expectedProfit, uint256 expectedPlatformFee, uint256 expectedUserProfit)",
+    "function executeRoutedFlashLoan(address pairAddress, uint256 borrowAmount, tuple(address[],address[],address[],uint256[],address[],uint8[],uint24[]) data, address loanRouter) external",
+    "function checkRoutedArbitrageProfitability(tuple(address[],address[],address[],uint256[],address[],uint8[],uint24[]) data, uint256 loanAmount, address loanRouter) external view returns (uint256 expectedProfit, uint256 expectedPlatformFee, uint256 expectedUserProfit)",
     "function authorizedPancakeswapPairs(address) external view returns (bool)",
     "function authorizedBiswapPairs(address) external view returns (bool)",
     "function updateAuthorizedPair(address pair, bool isAuthorized, bool isPancakeswap) external",
+    "function authorizedPairs(address router, address pair) external view returns (bool)",
+    "function setAuthorizedPair(address router, address pair, bool isAuthorized) external",
     "function paused() external view returns (bool)",
     "function pancakeSwapFeeNumerator() external view returns (uint256)",
     "function pancakeSwapFeeDenominator() external view returns (uint256)",
@@ -23,30 +27,103 @@ const ERC20_ABI = [
     "function name() external view returns (string)",
     "function balanceOf(address account) external view returns (uint256)",
     "function allowance(address owner, address spender) external view returns (uint256)",
-    "function approve(address spender, uint256 amount) external returns (bool)"
+    "function approve(address spender, uint256 amount) external returns (bool)",
+    "function transfer(address to, uint256 amount) external returns (bool)"
 ];
 
 // ABI untuk router DEX
 const ROUTER_ABI = [
     "function getAmountsOut(uint amountIn, address[] memory path) external view returns (uint[] memory amounts)",
     "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
     "function factory() external view returns (address)"
 ];
 
+// ABI untuk factory DEX (Uniswap V2 fork)
+const FACTORY_ABI = [
+    "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+    "function allPairsLength() external view returns (uint256)"
+];
+
 // ABI khusus untuk WBNB (Wrapped BNB)
 const WBNB_ABI = [
+    "function deposit() external payable",
     "function withdraw(uint wad) external"
 ];
 
 // ABI untuk pair LP token
 const PAIR_ABI = [
-    "function getReserves() external view returns (uint112, uint112, uint32)"
+    "function getReserves() external view returns (uint112, uint112, uint32)",
+    "function token0() external view returns (address)",
+    "function token1() external view returns (address)",
+    "function swapFee() external view returns (uint32)",
+    "event Sync(uint112 reserve0, uint112 reserve1)"
+];
+
+// ABI untuk pool concentrated liquidity (PancakeSwap V3)
+const V3_POOL_ABI = [
+    "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint32 feeProtocol, bool unlocked)",
+    "function liquidity() external view returns (uint128)",
+    "function fee() external view returns (uint24)",
+    "function tickSpacing() external view returns (int24)",
+    "function token0() external view returns (address)",
+    "function token1() external view returns (address)",
+    "function tickBitmap(int16 wordPosition) external view returns (uint256)",
+    "function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)",
+    "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)"
+];
+
+// ABI untuk factory V3 (satu pool per fee tier)
+const V3_FACTORY_ABI = [
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+];
+
+// ABI untuk QuoterV2 (simulasi swap on-chain lewat revert, dipanggil dengan eth_call)
+const V3_QUOTER_ABI = [
+    "function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+// ABI untuk pool StableSwap dua token (PancakeStableSwapTwoPool)
+const STABLE_POOL_ABI = [
+    "function coins(uint256 i) external view returns (address)",
+    "function balances(uint256 i) external view returns (uint256)",
+    "function RATES(uint256 i) external view returns (uint256)",
+    "function A() external view returns (uint256)",
+    "function fee() external view returns (uint256)",
+    "function get_dy(uint256 i, uint256 j, uint256 dx) external view returns (uint256)",
+    "event TokenExchange(address indexed buyer, uint256 sold_id, uint256 tokens_sold, uint256 bought_id, uint256 tokens_bought)",
+    "event AddLiquidity(address indexed provider, uint256[2] token_amounts, uint256[2] fees, uint256 invariant, uint256 token_supply)",
+    "event RemoveLiquidity(address indexed provider, uint256[2] token_amounts, uint256[2] fees, uint256 token_supply)",
+    "event RemoveLiquidityOne(address indexed provider, uint256 index, uint256 token_amount, uint256 coin_amount)",
+    "event RemoveLiquidityImbalance(address indexed provider, uint256[2] token_amounts, uint256[2] fees, uint256 invariant, uint256 token_supply)",
+    "event RampA(uint256 old_A, uint256 new_A, uint256 initial_time, uint256 future_time)"
+];
+
+// ABI untuk factory StableSwap
+const STABLE_FACTORY_ABI = [
+    "function getPairInfo(address tokenA, address tokenB) external view returns (tuple(address swapContract, address token0, address token1, address LPContract) info)"
+];
+
+// ABI untuk Multicall3 (agregasi banyak read call dalam satu eth_call)
+const MULTICALL_ABI = [
+    "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)",
+    "function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)",
+    "function getBlockNumber() external view returns (uint256 blockNumber)"
 ];
 
 module.exports = {
     FLASH_ARBITRAGE_ABI,
     ERC20_ABI,
     ROUTER_ABI,
+    FACTORY_ABI,
     WBNB_ABI,
-    PAIR_ABI
+    PAIR_ABI,
+    V3_POOL_ABI,
+    V3_FACTORY_ABI,
+    V3_QUOTER_ABI,
+    STABLE_POOL_ABI,
+    STABLE_FACTORY_ABI,
+    MULTICALL_ABI
 };
\ No newline at end of file
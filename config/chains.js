@@ -0,0 +1,179 @@
+/**
+ * Profil chain yang bisa dijalankan bot.
+ *
+ * Setiap profil:
+ * - name / chainId: nama jaringan dan chainId yang harus dilaporkan RPC
+ * - nativeSymbol: symbol koin native (untuk log)
+ * - wrappedNative: symbol token wrapper koin native di tokens (WBNB, WMATIC, WETH)
+ * - usdReference: { symbol, decimals } token USD yang dipakai PriceService untuk menghargai token lain
+ * - referenceDex: DEX V2 (ID di config/dexes.js) untuk harga dan simulasi vetting token
+ * - rpcEnv: nama env var RPC utama; backup dibaca dari <rpcEnv>1 dan <rpcEnv>2
+ * - rpcUrls: RPC default jika env var tidak diisi (elemen pertama utama, sisanya backup)
+ * - defaultDexes: DEX aktif jika ENABLED_DEXES tidak diisi
+ * - gasPriceGwei / maxGasPriceGwei: default GAS_PRICE_GWEI dan MAX_GAS_PRICE_GWEI
+ * - vettingAmountNative: default TOKEN_VETTING_AMOUNT_BNB (jumlah koin native untuk simulasi vetting)
+ * - stablecoins / discoveryTokens: default STABLECOIN_TOKENS dan DISCOVERY_TOKENS
+ * - tokens: alamat token per symbol (TOKEN_ADDRESSES)
+ * - forkOf: profil lain yang token, DEX dan pair-nya dipakai (untuk chain lokal hasil fork)
+ *
+ * DEX per chain ada di config/dexes.js dan triangle statis di config/pairs.js, keduanya
+ * dikelompokkan dengan ID profil (atau profil forkOf). Profil dipilih dengan CHAIN, misalnya CHAIN=POLYGON.
+ */
+const CHAIN_PROFILES = {
+    BSC: {
+        name: 'BNB Smart Chain',
+        chainId: 56,
+        nativeSymbol: 'BNB',
+        wrappedNative: 'WBNB',
+        usdReference: { symbol: 'BUSD', decimals: 18 },
+        referenceDex: 'PANCAKESWAP',
+        rpcEnv: 'BSC_RPC_URL',
+        rpcUrls: [
+            'https://bsc-dataseed.binance.org/',
+            'https://bsc-dataseed.ninicoin.io/'
+        ],
+        defaultDexes: ['PANCAKESWAP', 'BISWAP'],
+        gasPriceGwei: '5',
+        maxGasPriceGwei: '10',
+        vettingAmountNative: '0.1',
+        stablecoins: ['BUSD', 'USDT', 'USDC', 'DAI'],
+        discoveryTokens: ['WBNB', 'BUSD', 'USDT', 'USDC', 'BTCB', 'ETH', 'CAKE', 'BSW', 'DOT', 'XRP', 'LINK', 'ADA', 'DOGE', 'UNI', 'DAI'],
+        tokens: {
+            WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+            BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
+            USDT: '0x55d398326f99059fF775485246999027B3197955',
+            USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
+            BTCB: '0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c',
+            ETH: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8',
+            CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
+            BSW: '0x965F527D9159dCe6288a2219DB51fc6Eef120dD1',
+            DOT: '0x7083609fCE4d1d8Dc0C979AAb8c869Ea2C873402',
+            UNI: '0xBf5140A22578168FD562DCcF235E5D43A02ce9B1',
+            ADA: '0x3EE2200Efb3400fAbB9AacF31297cBdD1d435D47',
+            TUSD: '0x14016E85a25aeb13065688cAFB43044C2ef86784',
+            UST: '0x23396cF899Ca06c4472205fC903bDB4de249D6fC',
+            LTC: '0x4338665CBB7B2485A8855A139b75D5e34AB0DB94',
+            VAI: '0x4BD17003473389A42DAF6a0a729f6Fdb328BbBd7',
+            XRP: '0x1D2F0da169ceB9fC7B3144628dB156f3F6c60dBE',
+            DOGE: '0xbA2aE424d960c26247Dd6c32edC70B295c744C43',
+            LINK: '0xF8A0BF9cF54Bb92F17374d9e9A321E6a111a51bD',
+            DAI: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
+            BAKE: '0xE02dF9e3e622DeBdD69fb838bB799E3F168902c5',
+            FIL: '0x0D8Ce2A99Bb6e3B7Db580eD848240e4a0F9aE153',
+            XVS: '0xcF6BB5389c92Bdda8a3747Ddb454cB7a64626C63',
+            TWT: '0x4B0F1812e5Df2A09796481Ff14017e6005508003',
+            BUNNY: '0xC9849E6fdB743d08fAeE3E34dd2D1bc69EA11a51',
+            IRON: '0x7b65B489fE53fCE1F6548Db886C08aD73111DDd8',
+            WEX: '0xa9c41A46a6B3531d28d5c32F6633dd2fF05dFB90',
+            BFG: '0xBb46693eBbEa1aC2070E59B4D043b47e2e095f86',
+            RABBIT: '0x95a1199EBA84ac5f19546519e287d43D2F0E1b41',
+            DPET: '0xfb62AE373acA027177D1c18Ee0862817f9080d08',
+            TENFI: '0xd15C444F1199Ae72795eba15E8C1db44E47abF62'
+        }
+    },
+    POLYGON: {
+        name: 'Polygon PoS',
+        chainId: 137,
+        nativeSymbol: 'POL',
+        wrappedNative: 'WMATIC',
+        // USDC.e (bridged) masih menjadi pasangan terdalam di pool V2 Polygon
+        usdReference: { symbol: 'USDCE', decimals: 6 },
+        referenceDex: 'QUICKSWAP',
+        rpcEnv: 'POLYGON_RPC_URL',
+        rpcUrls: [
+            'https://polygon-rpc.com/',
+            'https://polygon-bor-rpc.publicnode.com/'
+        ],
+        defaultDexes: ['QUICKSWAP', 'SUSHISWAP'],
+        gasPriceGwei: '50',
+        maxGasPriceGwei: '300',
+        vettingAmountNative: '100',
+        stablecoins: ['USDCE', 'USDC', 'USDT', 'DAI'],
+        discoveryTokens: ['WMATIC', 'USDCE', 'USDC', 'USDT', 'DAI', 'WETH', 'WBTC', 'LINK', 'AAVE', 'QUICK'],
+        tokens: {
+            WMATIC: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+            USDCE: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',
+            USDC: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+            USDT: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
+            DAI: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063',
+            WETH: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
+            WBTC: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6',
+            LINK: '0x53E0bca35eC356BD5ddDFebbD1Fc0fD03FaBad39',
+            AAVE: '0xD6DF932A45C0f255f85145f286eA0b292B21C90B',
+            QUICK: '0xB5C064F955D8e7F38fE0460C556a72987494eE17'
+        }
+    },
+    ARBITRUM: {
+        name: 'Arbitrum One',
+        chainId: 42161,
+        nativeSymbol: 'ETH',
+        wrappedNative: 'WETH',
+        usdReference: { symbol: 'USDC', decimals: 6 },
+        referenceDex: 'SUSHISWAP',
+        rpcEnv: 'ARBITRUM_RPC_URL',
+        rpcUrls: [
+            'https://arb1.arbitrum.io/rpc',
+            'https://arbitrum-one-rpc.publicnode.com/'
+        ],
+        defaultDexes: ['SUSHISWAP', 'UNISWAP_V3'],
+        gasPriceGwei: '0.1',
+        maxGasPriceGwei: '2',
+        vettingAmountNative: '0.05',
+        stablecoins: ['USDC', 'USDCE', 'USDT', 'DAI'],
+        discoveryTokens: ['WETH', 'USDC', 'USDCE', 'USDT', 'DAI', 'WBTC', 'ARB', 'LINK', 'GMX'],
+        tokens: {
+            WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+            USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+            USDCE: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8',
+            USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+            DAI: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+            WBTC: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
+            ARB: '0x912CE59144191C1204E64559FE8253a0e49E6548',
+            LINK: '0xf97f4df75117a78c1A5a0DBb814Af92458539FB4',
+            GMX: '0xfc5A1A6EB076a2C7aD06eD22C90d7E710E35ad0a'
+        }
+    },
+    // Chain lokal (anvil/hardhat) hasil fork chain lain, misalnya anvil --fork-url <RPC BSC>
+    LOCAL: {
+        name: 'Local dev chain',
+        chainId: parseInt(process.env.LOCAL_CHAIN_ID || '31337'),
+        forkOf: (process.env.LOCAL_FORK_CHAIN || 'BSC').toUpperCase(),
+        rpcEnv: 'LOCAL_RPC_URL',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        gasPriceGwei: '1',
+        maxGasPriceGwei: '100'
+    }
+};
+
+/**
+ * Menyusun profil lengkap sebuah chain; profil dengan forkOf mewarisi field profil asalnya
+ * @param {string} id - ID profil, misalnya BSC
+ * @returns {object} Profil dengan id dan baseId (ID profil pemilik token, DEX dan pair)
+ */
+function resolveChainProfile(id) {
+    const key = id.trim().toUpperCase();
+    const profile = CHAIN_PROFILES[key];
+    if (!profile) {
+        throw new Error(`Unknown chain profile ${id} (available: ${Object.keys(CHAIN_PROFILES).join(', ')})`);
+    }
+
+    if (!profile.forkOf) {
+        return { ...profile, id: key, baseId: key };
+    }
+
+    if (profile.forkOf === key) {
+        throw new Error(`Chain profile ${key} cannot fork itself`);
+    }
+
+    const base = resolveChainProfile(profile.forkOf);
+    return { ...base, ...profile, id: key, baseId: base.baseId };
+}
+
+// Profil chain yang aktif untuk proses ini
+const ACTIVE_CHAIN = resolveChainProfile(process.env.CHAIN || 'BSC');
+
+module.exports = {
+    CHAIN_PROFILES,
+    ACTIVE_CHAIN,
+    resolveChainProfile
+};
@@ -1,29 +1,81 @@
 // File: utils/konstanta.js
 
 const path = require('path');
+const { ACTIVE_CHAIN } = require('./chains');
+const { DEX_CONFIGS } = require('./dexes');
 
-// RPC configuration dari environment variables
-const BSC_RPC_URL = process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org/';
+// Profil chain yang aktif (CHAIN, default BSC), lihat config/chains.js
+const CHAIN = ACTIVE_CHAIN.id;
+const CHAIN_ID = ACTIVE_CHAIN.chainId;
+const CHAIN_NAME = ACTIVE_CHAIN.name;
+const NATIVE_SYMBOL = ACTIVE_CHAIN.nativeSymbol;
+
+// RPC configuration dari environment variables (nama env var mengikuti profil, misalnya BSC_RPC_URL)
+const RPC_URL = process.env[ACTIVE_CHAIN.rpcEnv] || ACTIVE_CHAIN.rpcUrls[0];
 
 // Daftar backup RPC dari env
 const BACKUP_RPC_URLS = [];
 
 // Tambahkan URL dari environment variables jika ada
-if (process.env.BSC_RPC_URL1) BACKUP_RPC_URLS.push(process.env.BSC_RPC_URL1);
-if (process.env.BSC_RPC_URL2) BACKUP_RPC_URLS.push(process.env.BSC_RPC_URL2);
-// Jika tidak ada backup yang dikonfigurasi, gunakan default
+if (process.env[`${ACTIVE_CHAIN.rpcEnv}1`]) BACKUP_RPC_URLS.push(process.env[`${ACTIVE_CHAIN.rpcEnv}1`]);
+if (process.env[`${ACTIVE_CHAIN.rpcEnv}2`]) BACKUP_RPC_URLS.push(process.env[`${ACTIVE_CHAIN.rpcEnv}2`]);
+// Jika tidak ada backup yang dikonfigurasi, gunakan default profil
 if (BACKUP_RPC_URLS.length === 0) {
-    BACKUP_RPC_URLS.push(
-        'https://bsc-dataseed.ninicoin.io/'
-    );
+    BACKUP_RPC_URLS.push(...ACTIVE_CHAIN.rpcUrls.slice(1));
 }
 
 // Transaction and execution settings
-const GAS_PRICE_GWEI = process.env.GAS_PRICE_GWEI || '5';
-const GAS_LIMIT = process.env.GAS_LIMIT || '3000000';
+const GAS_PRICE_GWEI = process.env.GAS_PRICE_GWEI || ACTIVE_CHAIN.gasPriceGwei;
+const GAS_LIMIT = process.env.GAS_LIMIT || '3000000'; // Batas atas gas limit dan default jika belum ada estimasi
+// Gas limit per rute dari estimateGas (fallback rata-rata gasUsed riwayat), ditambah margin keamanan
+const GAS_LIMIT_MARGIN_PERCENT = parseFloat(process.env.GAS_LIMIT_MARGIN_PERCENT || '20');
+const GAS_HISTORY_SAMPLES = parseInt(process.env.GAS_HISTORY_SAMPLES || '20'); // Eksekusi sukses terakhir untuk rata-rata gasUsed
+// Estimasi gas sebelum calldata ada (sizing pinjaman, batas slippage): overhead flash loan + gas per hop sesuai jenis pool
+const GAS_BASELINE_OVERHEAD = parseInt(process.env.GAS_BASELINE_OVERHEAD || '120000');
+const GAS_BASELINE_V2_HOP = parseInt(process.env.GAS_BASELINE_V2_HOP || '90000');
+const GAS_BASELINE_V3_HOP = parseInt(process.env.GAS_BASELINE_V3_HOP || '150000');
+const GAS_BASELINE_STABLE_HOP = parseInt(process.env.GAS_BASELINE_STABLE_HOP || '160000');
 const MIN_PROFIT_PERCENTAGE = parseFloat(process.env.MIN_PROFIT_PERCENTAGE || '1');
-const MAX_GAS_PRICE_GWEI = parseInt(process.env.MAX_GAS_PRICE_GWEI || '10');
+const MAX_GAS_PRICE_GWEI = parseFloat(process.env.MAX_GAS_PRICE_GWEI || ACTIVE_CHAIN.maxGasPriceGwei);
+// Kebijakan bid gas: premium di atas gas price jaringan, minimal persentil gas price blok terbaru,
+// ditambah premium per eksekusi yang gagal di chain baru-baru ini. Biaya gas tidak pernah melebihi
+// GAS_BID_MAX_PROFIT_PERCENT dari profit kotor, dan gas price tidak melebihi MAX_GAS_PRICE_GWEI.
+const GAS_BID_PREMIUM_PERCENT = parseFloat(process.env.GAS_BID_PREMIUM_PERCENT || '5');
+const GAS_BID_COMPETITION_PERCENTILE = parseFloat(process.env.GAS_BID_COMPETITION_PERCENTILE || '75'); // 0 = nonaktif
+const GAS_BID_FAILURE_PREMIUM_PERCENT = parseFloat(process.env.GAS_BID_FAILURE_PREMIUM_PERCENT || '10');
+const GAS_BID_MAX_PROFIT_PERCENT = parseFloat(process.env.GAS_BID_MAX_PROFIT_PERCENT || '50');
 const EXECUTION_ENABLED = process.env.EXECUTION_ENABLED !== 'false';
+// Jumlah peluang tanpa pool bersama yang dieksekusi per siklus scan, dan cara eksekusinya:
+// 'sequential' (satu per satu, peluang berikutnya di-quote ulang setelah yang sebelumnya masuk blok)
+// atau 'parallel' (semua dikirim sekaligus dengan nonce berurutan)
+const MAX_EXECUTIONS_PER_SCAN = parseInt(process.env.MAX_EXECUTIONS_PER_SCAN || '3');
+const EXECUTION_STRATEGY = (process.env.EXECUTION_STRATEGY || 'sequential').toLowerCase();
+// Eksekusi ditolak jika blok terbaru sudah lebih dari sekian blok setelah blok quote peluang
+const MAX_QUOTE_AGE_BLOCKS = parseInt(process.env.MAX_QUOTE_AGE_BLOCKS || '2');
+
+// Signer wallet bot: 'privatekey' (PRIVATE_KEY), 'keystore' (keystore JSON terenkripsi) atau 'external' (JSON-RPC)
+const SIGNER_TYPE = (process.env.SIGNER_TYPE || 'privatekey').toLowerCase();
+const KEYSTORE_PATH = process.env.KEYSTORE_PATH || '';
+const KEYSTORE_PASSWORD_FILE = process.env.KEYSTORE_PASSWORD_FILE || ''; // Kosong: passphrase diminta di terminal
+const EXTERNAL_SIGNER_URL = process.env.EXTERNAL_SIGNER_URL || '';
+const EXTERNAL_SIGNER_ADDRESS = process.env.EXTERNAL_SIGNER_ADDRESS || ''; // Kosong: akun pertama dari eth_accounts
+const EXTERNAL_SIGNER_AUTH_TOKEN = process.env.EXTERNAL_SIGNER_AUTH_TOKEN || ''; // Dikirim sebagai header Authorization
+
+// Pengiriman transaksi: 'public' (RPC publik, terlihat di mempool) atau 'relay' (relay privat / bundle)
+const TX_SUBMISSION_MODE = (process.env.TX_SUBMISSION_MODE || 'public').toLowerCase();
+const RELAY_URL = process.env.RELAY_URL || '';
+const RELAY_AUTH_TOKEN = process.env.RELAY_AUTH_TOKEN || ''; // Dikirim sebagai header Authorization
+const RELAY_BUNDLE_BLOCKS = parseInt(process.env.RELAY_BUNDLE_BLOCKS || '3'); // Bundle berlaku sampai sekian blok setelah blok saat ini
+const RELAY_STATUS_POLL_MS = parseInt(process.env.RELAY_STATUS_POLL_MS || '1000');
+
+// Nonce manager: transaksi yang belum masuk blok setelah TX_STUCK_BLOCKS blok dipercepat (gas price naik
+// TX_GAS_BUMP_PERCENT, maksimal TX_SPEEDUP_ATTEMPTS kali; tidak untuk eksekusi arbitrage), lalu dibatalkan dengan
+// transfer 0 ke wallet sendiri
+const TX_STUCK_BLOCKS = parseInt(process.env.TX_STUCK_BLOCKS || '3');
+const TX_SPEEDUP_ATTEMPTS = parseInt(process.env.TX_SPEEDUP_ATTEMPTS || '1');
+const TX_CANCEL_ATTEMPTS = parseInt(process.env.TX_CANCEL_ATTEMPTS || '2');
+const TX_GAS_BUMP_PERCENT = parseFloat(process.env.TX_GAS_BUMP_PERCENT || '15'); // Node umumnya menolak replacement di bawah 10%
+const TX_STATUS_POLL_MS = parseInt(process.env.TX_STATUS_POLL_MS || '1000');
 
 // Pengaturan RPC tambahan
 const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '30000');
@@ -32,88 +84,205 @@ const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS || '5000');
 const RPC_HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '120000');
 const RPC_DEBUG_ENABLED = process.env.RPC_DEBUG_ENABLED === 'true';
 
-// Paths for data storage
+// Pengaturan batching read call melalui Multicall3
+const MULTICALL_ENABLED = process.env.MULTICALL_ENABLED !== 'false';
+const MULTICALL_ADDRESS = process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL_BATCH_SIZE = parseInt(process.env.MULTICALL_BATCH_SIZE || '100');
+
+// Paths for data storage. Riwayat eksekusi, statistik dan cache discovery/vetting dipisah per profil chain.
 const BASE_DIR = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(BASE_DIR, 'data');
 const LOG_DIR = path.join(DATA_DIR, 'logs');
-const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const CHAIN_DATA_KEY = CHAIN.toLowerCase();
+const HISTORY_DIR = path.join(DATA_DIR, 'history', CHAIN_DATA_KEY);
+const LEGACY_HISTORY_DIR = path.join(DATA_DIR, 'history'); // Lokasi riwayat sebelum dipisah per chain (selalu BSC)
 const HISTORY_FILE = path.join(HISTORY_DIR, 'arbitrage_history.json');
 const STATS_FILE = path.join(HISTORY_DIR, 'performance_stats.json');
+const JOURNAL_FILE = path.join(HISTORY_DIR, 'pending_transactions.json'); // Transaksi eksekusi yang hasilnya belum tercatat
+const DISCOVERY_DIR = path.join(DATA_DIR, 'discovery', CHAIN_DATA_KEY);
+const DISCOVERY_CACHE_FILE = path.join(DISCOVERY_DIR, 'triangles.json');
+const VETTING_DIR = path.join(DATA_DIR, 'vetting', CHAIN_DATA_KEY);
+const VETTING_CACHE_FILE = path.join(VETTING_DIR, 'tokens.json');
+const NONCE_DIR = path.join(DATA_DIR, 'nonce', CHAIN_DATA_KEY); // Satu file state per alamat wallet
 
-// Router addresses (tidak diubah)
-const ROUTER_ADDRESSES = {
-    PANCAKESWAP: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
-    BISWAP: '0x3a6d8cA21D1CF76F653A67577FA0D27453350dD8'
-};
+// Pengaturan discovery triangle otomatis dari factory DEX
+const DISCOVERY_ENABLED = process.env.DISCOVERY_ENABLED !== 'false';
+const DISCOVERY_TOKENS = (process.env.DISCOVERY_TOKENS || ACTIVE_CHAIN.discoveryTokens.join(','))
+    .split(',')
+    .map(symbol => symbol.trim())
+    .filter(symbol => symbol.length > 0);
+const DISCOVERY_CACHE_TTL_HOURS = parseFloat(process.env.DISCOVERY_CACHE_TTL_HOURS || '24');
+const DISCOVERY_PRIORITY = parseInt(process.env.DISCOVERY_PRIORITY || '2');
+
+// Pengaturan pencarian siklus berbasis graph
+const GRAPH_SEARCH_ENABLED = process.env.GRAPH_SEARCH_ENABLED !== 'false';
+const GRAPH_MAX_CYCLE_LENGTH = parseInt(process.env.GRAPH_MAX_CYCLE_LENGTH || '4');
+const GRAPH_MAX_CYCLES = parseInt(process.env.GRAPH_MAX_CYCLES || '10');
+
+// Filter likuiditas per hop: reserve minimum (USD, sisi terkecil pool) dan price impact maksimum
+// pada ukuran pinjaman yang dipilih. Loop yang melanggar dibuang sebelum perhitungan profit.
+const MIN_HOP_RESERVE_USD = parseFloat(process.env.MIN_HOP_RESERVE_USD || '10000');
+const MAX_HOP_PRICE_IMPACT_PERCENT = parseFloat(process.env.MAX_HOP_PRICE_IMPACT_PERCENT || '2');
+// Toleransi slippage per hop (persen): dasar + kedalaman pool + price impact + volatilitas rate pool selama
+// blok menuju inklusi, dibatasi MAX_SLIPPAGE_PERCENT dan diperkecil agar loop tetap untung pada fill terburuk
+const SLIPPAGE_BASE_PERCENT = parseFloat(process.env.SLIPPAGE_BASE_PERCENT || '0.1');
+const SLIPPAGE_DEPTH_REFERENCE_USD = parseFloat(process.env.SLIPPAGE_DEPTH_REFERENCE_USD || '10000'); // Kedalaman hop sebesar ini menambah 1%
+const SLIPPAGE_IMPACT_MULTIPLIER = parseFloat(process.env.SLIPPAGE_IMPACT_MULTIPLIER || '0.5');
+const SLIPPAGE_VOLATILITY_MULTIPLIER = parseFloat(process.env.SLIPPAGE_VOLATILITY_MULTIPLIER || '2');
+const SLIPPAGE_VOLATILITY_SAMPLES = parseInt(process.env.SLIPPAGE_VOLATILITY_SAMPLES || '20');
+const SLIPPAGE_INCLUSION_BLOCKS = parseInt(process.env.SLIPPAGE_INCLUSION_BLOCKS || '2');
+const MAX_SLIPPAGE_PERCENT = parseFloat(process.env.MAX_SLIPPAGE_PERCENT || '3');
 
-// Token addresses (tidak diubah)
-const TOKEN_ADDRESSES = {
-    WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-    BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-    USDT: '0x55d398326f99059fF775485246999027B3197955',
-    USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-    BTCB: '0x7130d2A12B9BCbFAe4f2634d864A1Ee1Ce3Ead9c',
-    ETH: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8',
-    CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
-    BSW: '0x965F527D9159dCe6288a2219DB51fc6Eef120dD1',
-    DOT: '0x7083609fCE4d1d8Dc0C979AAb8c869Ea2C873402',
-    UNI: '0xBf5140A22578168FD562DCcF235E5D43A02ce9B1',
-    ADA: '0x3EE2200Efb3400fAbB9AacF31297cBdD1d435D47',
-    TUSD: '0x14016E85a25aeb13065688cAFB43044C2ef86784',
-    UST: '0x23396cF899Ca06c4472205fC903bDB4de249D6fC',
-    LTC: '0x4338665CBB7B2485A8855A139b75D5e34AB0DB94',
-    VAI: '0x4BD17003473389A42DAF6a0a729f6Fdb328BbBd7',
-    XRP: '0x1D2F0da169ceB9fC7B3144628dB156f3F6c60dBE',
-    DOGE: '0xbA2aE424d960c26247Dd6c32edC70B295c744C43',
-    LINK: '0xF8A0BF9cF54Bb92F17374d9e9A321E6a111a51bD',
-    DAI: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
-    BAKE: '0xE02dF9e3e622DeBdD69fb838bB799E3F168902c5',
-    FIL: '0x0D8Ce2A99Bb6e3B7Db580eD848240e4a0F9aE153',
-    XVS: '0xcF6BB5389c92Bdda8a3747Ddb454cB7a64626C63',
-    TWT: '0x4B0F1812e5Df2A09796481Ff14017e6005508003',
-    BUNNY: '0xC9849E6fdB743d08fAeE3E34dd2D1bc69EA11a51',
-    IRON: '0x7b65B489fE53fCE1F6548Db886C08aD73111DDd8',
-    WEX: '0xa9c41A46a6B3531d28d5c32F6633dd2fF05dFB90',
-    BFG: '0xBb46693eBbEa1aC2070E59B4D043b47e2e095f86',
-    RABBIT: '0x95a1199EBA84ac5f19546519e287d43D2F0E1b41',
-    DPET: '0xfb62AE373acA027177D1c18Ee0862817f9080d08',
-    TENFI: '0xd15C444F1199Ae72795eba15E8C1db44E47abF62'
+// Eksekusi dengan router per hop (executeRoutedFlashLoan), memerlukan kontrak yang mendukungnya.
+// Jika false, hanya kombinasi venue X -> Y -> X yang dapat dieksekusi.
+const ROUTED_EXECUTION_ENABLED = process.env.ROUTED_EXECUTION_ENABLED === 'true';
+
+// Mode pemindaian: 'block' (dipicu blok baru dan event Sync) atau 'cron' (jadwal tetap)
+const SCAN_MODE = process.env.SCAN_MODE || 'block';
+const BLOCK_POLLING_INTERVAL_MS = parseInt(process.env.BLOCK_POLLING_INTERVAL_MS || '1000');
+const BLOCK_STALL_TIMEOUT_MS = parseInt(process.env.BLOCK_STALL_TIMEOUT_MS || '60000'); // Cron aktif jika tidak ada blok baru selama ini
+const SYNC_MAX_BLOCK_RANGE = parseInt(process.env.SYNC_MAX_BLOCK_RANGE || '50'); // Lebih dari ini, semua triangle dipindai ulang
+const GRAPH_SEARCH_BLOCK_INTERVAL = parseInt(process.env.GRAPH_SEARCH_BLOCK_INTERVAL || '20');
+
+// Pool V3: jumlah word tickBitmap di setiap sisi word tick aktif yang dimuat untuk simulasi lokal.
+// Swap yang keluar dari rentang ini di-quote lewat kontrak QuoterV2.
+const V3_TICK_WORDS = parseInt(process.env.V3_TICK_WORDS || '1');
+
+// Router addresses dari konfigurasi DEX (config/dexes.js)
+const ROUTER_ADDRESSES = Object.fromEntries(
+    Object.entries(DEX_CONFIGS).map(([id, dex]) => [id, dex.router])
+);
+
+// Token addresses dari profil chain
+const TOKEN_ADDRESSES = ACTIVE_CHAIN.tokens;
+
+// Token wrapper koin native (WBNB, WMATIC, WETH) dan token USD acuan harga
+const WRAPPED_NATIVE = {
+    symbol: ACTIVE_CHAIN.wrappedNative,
+    address: TOKEN_ADDRESSES[ACTIVE_CHAIN.wrappedNative]
+};
+const USD_REFERENCE = {
+    symbol: ACTIVE_CHAIN.usdReference.symbol,
+    address: TOKEN_ADDRESSES[ACTIVE_CHAIN.usdReference.symbol],
+    decimals: ACTIVE_CHAIN.usdReference.decimals
 };
 
-// Pancakeswap pair addresses (tidak diubah)
-const PANCAKESWAP_PAIRS = {
-    'WBNB-USDT': '0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE',
-    'USDT-BUSD': '0x7EFaEf62fDdCCa950418312c6C91Aef321375A00',
-    'BUSD-WBNB': '0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16',
-    'WBNB-BTCB': '0x61EB789d75A95CAa3fF50ed7E47b96c132fEc082',
-    'BTCB-USDT': '0x8f16A4234D629634539A9E39455BB911fEe05061',
-    'WBNB-ETH': '0x74E4716E431f45807DCF19f284c7aA99F18a4fbc',
-    'ETH-USDT': '0x531FEbfeb9a61D948c384ACFBe6dCc51057AEa7e',
-    'WBNB-CAKE': '0x0eD7e52944161450477ee417DE9Cd3a859b14fD0',
-    'CAKE-USDT': '0xA39Af17CE4a8eb807E076805Da1e2B8EA7D0755b',
-    'WBNB-BSW': '0x8CA3fF14A52b080C54A6d1a405eecA02959d39fE',
-    'BSW-USDT': '0xC5E1C3B7CC9eE570f8588359B27aA599dB9E4721'
+// DEX V2 untuk harga token (PriceService) dan default venue vetting
+const REFERENCE_DEX = ACTIVE_CHAIN.referenceDex;
+
+// Tag token berdasarkan symbol di TOKEN_ADDRESSES.
+// STABLECOIN: dihargai $1 oleh PriceService dan boleh di-swap lewat pool stable-swap
+const TOKEN_TAGS = {
+    STABLECOIN: (process.env.STABLECOIN_TOKENS || ACTIVE_CHAIN.stablecoins.join(','))
+        .split(',')
+        .map(symbol => symbol.trim())
+        .filter(symbol => symbol.length > 0)
 };
 
+// Vetting token sebelum masuk triangle: simulasi beli, jual dan transfer lewat eth_call.
+// Token dengan pajak transfer di atas batas atau yang tidak bisa dijual/ditransfer dikarantina.
+const TOKEN_VETTING_ENABLED = process.env.TOKEN_VETTING_ENABLED !== 'false';
+const TOKEN_VETTING_VENUE = process.env.TOKEN_VETTING_VENUE || REFERENCE_DEX; // DEX V2 untuk simulasi beli/jual
+const TOKEN_VETTING_AMOUNT_BNB = process.env.TOKEN_VETTING_AMOUNT_BNB || ACTIVE_CHAIN.vettingAmountNative; // Dalam koin native chain
+const TOKEN_VETTING_MAX_TAX_PERCENT = parseFloat(process.env.TOKEN_VETTING_MAX_TAX_PERCENT || '0.5');
+const TOKEN_VETTING_TTL_HOURS = parseFloat(process.env.TOKEN_VETTING_TTL_HOURS || '24');
+// Alamat pemilik koin native yang dipakai sebagai "from" eth_call simulasi (default kontrak wrapper native)
+const TOKEN_VETTING_BNB_SOURCE = process.env.TOKEN_VETTING_BNB_SOURCE || WRAPPED_NATIVE.address;
+
 module.exports = {
-    BSC_RPC_URL,
+    CHAIN,
+    CHAIN_ID,
+    CHAIN_NAME,
+    NATIVE_SYMBOL,
+    RPC_URL,
     BACKUP_RPC_URLS,
     GAS_PRICE_GWEI,
     GAS_LIMIT,
+    GAS_LIMIT_MARGIN_PERCENT,
+    GAS_HISTORY_SAMPLES,
+    GAS_BASELINE_OVERHEAD,
+    GAS_BASELINE_V2_HOP,
+    GAS_BASELINE_V3_HOP,
+    GAS_BASELINE_STABLE_HOP,
     MIN_PROFIT_PERCENTAGE,
     MAX_GAS_PRICE_GWEI,
+    GAS_BID_PREMIUM_PERCENT,
+    GAS_BID_COMPETITION_PERCENTILE,
+    GAS_BID_FAILURE_PREMIUM_PERCENT,
+    GAS_BID_MAX_PROFIT_PERCENT,
     EXECUTION_ENABLED,
+    MAX_EXECUTIONS_PER_SCAN,
+    EXECUTION_STRATEGY,
+    MAX_QUOTE_AGE_BLOCKS,
+    SIGNER_TYPE,
+    KEYSTORE_PATH,
+    KEYSTORE_PASSWORD_FILE,
+    EXTERNAL_SIGNER_URL,
+    EXTERNAL_SIGNER_ADDRESS,
+    EXTERNAL_SIGNER_AUTH_TOKEN,
+    TX_SUBMISSION_MODE,
+    RELAY_URL,
+    RELAY_AUTH_TOKEN,
+    RELAY_BUNDLE_BLOCKS,
+    RELAY_STATUS_POLL_MS,
+    TX_STUCK_BLOCKS,
+    TX_SPEEDUP_ATTEMPTS,
+    TX_CANCEL_ATTEMPTS,
+    TX_GAS_BUMP_PERCENT,
+    TX_STATUS_POLL_MS,
     RPC_TIMEOUT_MS,
     RPC_RETRY_COUNT,
     RPC_COOLDOWN_MS,
     RPC_HEALTH_CHECK_INTERVAL_MS,
     RPC_DEBUG_ENABLED,
+    MULTICALL_ENABLED,
+    MULTICALL_ADDRESS,
+    MULTICALL_BATCH_SIZE,
     DATA_DIR,
     LOG_DIR,
     HISTORY_DIR,
+    LEGACY_HISTORY_DIR,
     HISTORY_FILE,
     STATS_FILE,
+    JOURNAL_FILE,
+    DISCOVERY_DIR,
+    DISCOVERY_CACHE_FILE,
+    VETTING_DIR,
+    VETTING_CACHE_FILE,
+    NONCE_DIR,
+    DISCOVERY_ENABLED,
+    DISCOVERY_TOKENS,
+    DISCOVERY_CACHE_TTL_HOURS,
+    DISCOVERY_PRIORITY,
+    GRAPH_SEARCH_ENABLED,
+    GRAPH_MAX_CYCLE_LENGTH,
+    GRAPH_MAX_CYCLES,
+    MIN_HOP_RESERVE_USD,
+    MAX_HOP_PRICE_IMPACT_PERCENT,
+    SLIPPAGE_BASE_PERCENT,
+    SLIPPAGE_DEPTH_REFERENCE_USD,
+    SLIPPAGE_IMPACT_MULTIPLIER,
+    SLIPPAGE_VOLATILITY_MULTIPLIER,
+    SLIPPAGE_VOLATILITY_SAMPLES,
+    SLIPPAGE_INCLUSION_BLOCKS,
+    MAX_SLIPPAGE_PERCENT,
+    ROUTED_EXECUTION_ENABLED,
+    SCAN_MODE,
+    BLOCK_POLLING_INTERVAL_MS,
+    BLOCK_STALL_TIMEOUT_MS,
+    SYNC_MAX_BLOCK_RANGE,
+    GRAPH_SEARCH_BLOCK_INTERVAL,
+    V3_TICK_WORDS,
     ROUTER_ADDRESSES,
     TOKEN_ADDRESSES,
-    PANCAKESWAP_PAIRS
+    WRAPPED_NATIVE,
+    USD_REFERENCE,
+    REFERENCE_DEX,
+    TOKEN_TAGS,
+    TOKEN_VETTING_ENABLED,
+    TOKEN_VETTING_VENUE,
+    TOKEN_VETTING_AMOUNT_BNB,
+    TOKEN_VETTING_MAX_TAX_PERCENT,
+    TOKEN_VETTING_TTL_HOURS,
+    TOKEN_VETTING_BNB_SOURCE
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+const { ACTIVE_CHAIN } = require('./chains');
+
+/**
+ * Konfigurasi DEX yang bisa digunakan bot, dikelompokkan per profil chain (config/chains.js).
+ *
+ * Setiap entri:
+ * - type: 'v2' (constant product, default), 'v3' (concentrated liquidity) atau 'stable' (StableSwap)
+ * - router / factory: alamat kontrak (factory opsional, dibaca dari router jika kosong)
+ * - pairsKey: nama field alamat pair di konfigurasi triangle (config/pairs.js)
+ * - swapFee: amountOut = amountIn * numerator / denominator sebelum rumus constant product
+ * - pairSwapFee: getter fee per pair V2 (opsional), { method, denominator }: fee dibaca sekali dari
+ *   setiap pair sebagai fee / denominator, swapFee hanya default jika getter gagal
+ * - authorization: cara kontrak mengotorisasi pair flash loan
+ *     'pancakeswap' -> authorizedPancakeswapPairs / updateAuthorizedPair(pair, true, true)
+ *     'biswap'      -> authorizedBiswapPairs / updateAuthorizedPair(pair, true, false)
+ *     'router'      -> authorizedPairs(router, pair) / setAuthorizedPair(router, pair, true)
+ * - flashFee: biaya flash swap default (opsional, default diturunkan dari swapFee)
+ * - flashFeeGetters: getter di kontrak untuk membaca biaya flash swap (opsional)
+ * - Khusus V3: quoter (QuoterV2 untuk fallback quote) dan feeTiers (fee tier dalam per sejuta).
+ *   pairsKey V3 berisi satu pool per pasangan token (fee tier dibaca dari pool), swapFee hanya default.
+ * - Khusus stable: tokenTag (hop hanya untuk pasangan token dengan tag ini, lihat TOKEN_TAGS),
+ *   aPrecision (presisi A pool, 1 untuk pool tanpa A_PRECISION), flashLoan: false karena pool
+ *   stable-swap tidak menyediakan flash swap. Fee dan A dibaca dari pool.
+ *
+ * DEX yang aktif dipilih dengan ENABLED_DEXES, misalnya ENABLED_DEXES=PANCAKESWAP,BISWAP,APESWAP.
+ * Default-nya defaultDexes profil chain.
+ */
+const CHAIN_DEX_CONFIGS = {
+    BSC: {
+        PANCAKESWAP: {
+            name: 'PancakeSwap',
+            router: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
+            factory: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+            pairsKey: 'pancakeswapPairs',
+            swapFee: { numerator: 9975, denominator: 10000 },
+            authorization: 'pancakeswap',
+            flashFee: { numerator: 25, denominator: 9975 },
+            flashFeeGetters: { numerator: 'pancakeSwapFeeNumerator', denominator: 'pancakeSwapFeeDenominator' }
+        },
+        BISWAP: {
+            name: 'BiSwap',
+            router: '0x3a6d8cA21D1CF76F653A67577FA0D27453350dD8',
+            factory: '0x858E3312ed3A876947EA49d572A7C42DE08af7EE',
+            pairsKey: 'biswapPairs',
+            swapFee: { numerator: parseInt(process.env.BISWAP_SWAP_FEE_NUMERATOR || '9990'), denominator: 10000 },
+            pairSwapFee: { method: 'swapFee', denominator: 1000 },
+            authorization: 'biswap',
+            flashFee: { numerator: 20, denominator: 9980 },
+            flashFeeGetters: { numerator: 'biswapFeeNumerator', denominator: 'biswapFeeDenominator' }
+        },
+        PANCAKESWAP_V3: {
+            name: 'PancakeSwap V3',
+            type: 'v3',
+            router: '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4',
+            factory: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+            quoter: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997',
+            feeTiers: [100, 500, 2500, 10000],
+            pairsKey: 'pancakeswapV3Pools',
+            swapFee: { numerator: 9975, denominator: 10000 },
+            authorization: 'router'
+        },
+        PANCAKESWAP_STABLE: {
+            name: 'PancakeSwap StableSwap',
+            type: 'stable',
+            router: '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4',
+            factory: '0x25a55f9f2279A54951133D503490342b50E5cd15',
+            pairsKey: 'pancakeswapStablePools',
+            swapFee: { numerator: 9999, denominator: 10000 },
+            authorization: 'router',
+            tokenTag: 'STABLECOIN',
+            aPrecision: 1,
+            flashLoan: false
+        },
+        APESWAP: {
+            name: 'ApeSwap',
+            router: '0xcF0feBd3f17CEf5b47b0cD257aCf6025c5BFf3b7',
+            factory: '0x0841BD0B734E4F5853f0dD8d7Ea041c241fb0Da6',
+            pairsKey: 'apeswapPairs',
+            swapFee: { numerator: 9980, denominator: 10000 },
+            authorization: 'router'
+        },
+        BABYSWAP: {
+            name: 'BabySwap',
+            router: '0x325E343f1dE602396E256B67eFd1F61C3A6B38Bd',
+            factory: '0x86407bEa2078ea5f5EB5A52B2caA963bC1F889Da',
+            pairsKey: 'babyswapPairs',
+            swapFee: { numerator: 9970, denominator: 10000 },
+            authorization: 'router'
+        },
+        MDEX: {
+            name: 'MDEX',
+            router: '0x7DAe51BD3E3376B8c7c4900E9107f12Be3AF1bA8',
+            factory: '0x3CD1C46068dAEa5Ebb0d3f55F6915B10648062B8',
+            pairsKey: 'mdexPairs',
+            swapFee: { numerator: 9970, denominator: 10000 },
+            authorization: 'router'
+        }
+    },
+    POLYGON: {
+        QUICKSWAP: {
+            name: 'QuickSwap',
+            router: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
+            factory: '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32',
+            pairsKey: 'quickswapPairs',
+            swapFee: { numerator: 997, denominator: 1000 },
+            authorization: 'router'
+        },
+        SUSHISWAP: {
+            name: 'SushiSwap',
+            router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+            factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            pairsKey: 'sushiswapPairs',
+            swapFee: { numerator: 997, denominator: 1000 },
+            authorization: 'router'
+        },
+        UNISWAP_V3: {
+            name: 'Uniswap V3',
+            type: 'v3',
+            router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            feeTiers: [100, 500, 3000, 10000],
+            pairsKey: 'uniswapV3Pools',
+            swapFee: { numerator: 997, denominator: 1000 },
+            authorization: 'router'
+        }
+    },
+    ARBITRUM: {
+        SUSHISWAP: {
+            name: 'SushiSwap',
+            router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+            factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            pairsKey: 'sushiswapPairs',
+            swapFee: { numerator: 997, denominator: 1000 },
+            authorization: 'router'
+        },
+        UNISWAP_V3: {
+            name: 'Uniswap V3',
+            type: 'v3',
+            router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            feeTiers: [100, 500, 3000, 10000],
+            pairsKey: 'uniswapV3Pools',
+            swapFee: { numerator: 997, denominator: 1000 },
+            authorization: 'router'
+        }
+    }
+};
+
+// DEX milik chain yang aktif (chain lokal memakai DEX chain asal fork-nya)
+const DEX_CONFIGS = CHAIN_DEX_CONFIGS[ACTIVE_CHAIN.baseId] || {};
+
+// DEX yang aktif (urutan menentukan urutan evaluasi)
+const ENABLED_DEXES = (process.env.ENABLED_DEXES || ACTIVE_CHAIN.defaultDexes.join(','))
+    .split(',')
+    .map(id => id.trim().toUpperCase())
+    .filter(id => id);
+
+module.exports = {
+    CHAIN_DEX_CONFIGS,
+    DEX_CONFIGS,
+    ENABLED_DEXES
+};
@@ -1,4 +1,22 @@
-const { TOKEN_ADDRESSES, PANCAKESWAP_PAIRS } = require('./constants');
+const { ACTIVE_CHAIN, CHAIN_PROFILES } = require('./chains');
+
+// Triangle statis di file ini memakai alamat token BSC (profil BSC dan chain lokal hasil fork BSC)
+const BSC_TOKENS = CHAIN_PROFILES.BSC.tokens;
+
+// Pancakeswap pair addresses (tidak diubah)
+const PANCAKESWAP_PAIRS = {
+    'WBNB-USDT': '0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE',
+    'USDT-BUSD': '0x7EFaEf62fDdCCa950418312c6C91Aef321375A00',
+    'BUSD-WBNB': '0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16',
+    'WBNB-BTCB': '0x61EB789d75A95CAa3fF50ed7E47b96c132fEc082',
+    'BTCB-USDT': '0x8f16A4234D629634539A9E39455BB911fEe05061',
+    'WBNB-ETH': '0x74E4716E431f45807DCF19f284c7aA99F18a4fbc',
+    'ETH-USDT': '0x531FEbfeb9a61D948c384ACFBe6dCc51057AEa7e',
+    'WBNB-CAKE': '0x0eD7e52944161450477ee417DE9Cd3a859b14fD0',
+    'CAKE-USDT': '0xA39Af17CE4a8eb807E076805Da1e2B8EA7D0755b',
+    'WBNB-BSW': '0x8CA3fF14A52b080C54A6d1a405eecA02959d39fE',
+    'BSW-USDT': '0xC5E1C3B7CC9eE570f8588359B27aA599dB9E4721'
+};
 
 // BiSwap Pair Information
 const BISWAP_PAIRS = [
@@ -98,15 +116,15 @@ const findBiswapPairAddress = (symbolA, symbolB) => {
     return pair ? pair.address : null;
 };
 
-// Token pair configurations for arbitrage
-const TOKEN_PAIRS = [
+// Token pair configurations for arbitrage (BSC)
+const BSC_TOKEN_PAIRS = [
     // Pair 1: WBNB-USDT-BUSD (Stablecoin + BNB)
     {
         name: 'WBNB-USDT-BUSD',
         tokens: {
-            WBNB: TOKEN_ADDRESSES.WBNB,
-            USDT: TOKEN_ADDRESSES.USDT,
-            BUSD: TOKEN_ADDRESSES.BUSD
+            WBNB: BSC_TOKENS.WBNB,
+            USDT: BSC_TOKENS.USDT,
+            BUSD: BSC_TOKENS.BUSD
         },
         pancakeswapPairs: {
             'WBNB-USDT': PANCAKESWAP_PAIRS['WBNB-USDT'],
@@ -118,17 +136,20 @@ const TOKEN_PAIRS = [
             'USDT-BUSD': findBiswapPairAddress('USDT', 'BUSD'), // PID 0
             'BUSD-WBNB': findBiswapPairAddress('BUSD', 'WBNB')  // PID 2
         },
-        priority: 1,
-        testAmounts: [1000, 5000, 10000]  // USDT/BUSD amounts
+        // Leg stablecoin lewat PancakeSwap StableSwap (aktif jika PANCAKESWAP_STABLE ada di ENABLED_DEXES)
+        pancakeswapStablePools: {
+            'USDT-BUSD': '0x169F653A54ACD441aB34B73dA9946e2C451787EF'
+        },
+        priority: 1
     },
     
     // Pair 2: WBNB-BTCB-USDT (BTC pair)
     {
         name: 'WBNB-BTCB-USDT',
         tokens: {
-            WBNB: TOKEN_ADDRESSES.WBNB,
-            BTCB: TOKEN_ADDRESSES.BTCB,
-            USDT: TOKEN_ADDRESSES.USDT
+            WBNB: BSC_TOKENS.WBNB,
+            BTCB: BSC_TOKENS.BTCB,
+            USDT: BSC_TOKENS.USDT
         },
         pancakeswapPairs: {
             'WBNB-BTCB': PANCAKESWAP_PAIRS['WBNB-BTCB'],
@@ -140,17 +161,16 @@ const TOKEN_PAIRS = [
             'BTCB-USDT': findBiswapPairAddress('USDT', 'BTCB'), // PID 5 
             'USDT-WBNB': findBiswapPairAddress('USDT', 'WBNB')  // PID 1
         },
-        priority: 2,
-        testAmounts: [0.01, 0.05, 0.1]  // BTCB amounts
+        priority: 2
     },
     
     // Pair 3: WBNB-ETH-USDT (ETH pair)
     {
         name: 'WBNB-ETH-USDT',
         tokens: {
-            WBNB: TOKEN_ADDRESSES.WBNB,
-            ETH: TOKEN_ADDRESSES.ETH,
-            USDT: TOKEN_ADDRESSES.USDT
+            WBNB: BSC_TOKENS.WBNB,
+            ETH: BSC_TOKENS.ETH,
+            USDT: BSC_TOKENS.USDT
         },
         pancakeswapPairs: {
             'WBNB-ETH': PANCAKESWAP_PAIRS['WBNB-ETH'],
@@ -162,17 +182,16 @@ const TOKEN_PAIRS = [
             'ETH-USDT': findBiswapPairAddress('ETH', 'USDT'), // PID 4
             'USDT-WBNB': findBiswapPairAddress('USDT', 'WBNB')  // PID 1
         },
-        priority: 2,
-        testAmounts: [0.1, 0.25, 0.5]  // ETH amounts
+        priority: 2
     },
     
     // Pair 4: WBNB-CAKE-USDT (CAKE pair)
     {
         name: 'WBNB-CAKE-USDT',
         tokens: {
-            WBNB: TOKEN_ADDRESSES.WBNB,
-            CAKE: TOKEN_ADDRESSES.CAKE,
-            USDT: TOKEN_ADDRESSES.USDT
+            WBNB: BSC_TOKENS.WBNB,
+            CAKE: BSC_TOKENS.CAKE,
+            USDT: BSC_TOKENS.USDT
         },
         pancakeswapPairs: {
             'WBNB-CAKE': PANCAKESWAP_PAIRS['WBNB-CAKE'],
@@ -181,21 +200,18 @@ const TOKEN_PAIRS = [
         },
         biswapPairs: {
             'WBNB-CAKE': findBiswapPairAddress('Cake', 'WBNB'), // PID 10
-            // For CAKE-USDT we'll use PancakeSwap if BiSwap doesn't have the pair
-            'CAKE-USDT': PANCAKESWAP_PAIRS['CAKE-USDT'],
             'USDT-WBNB': findBiswapPairAddress('USDT', 'WBNB')  // PID 1
         },
-        priority: 3,
-        testAmounts: [5, 10, 25]  // CAKE amounts
+        priority: 3
     },
     
     // Pair 5: WBNB-BSW-USDT (BiSwap token)
     {
         name: 'WBNB-BSW-USDT',
         tokens: {
-            WBNB: TOKEN_ADDRESSES.WBNB,
-            BSW: TOKEN_ADDRESSES.BSW,
-            USDT: TOKEN_ADDRESSES.USDT
+            WBNB: BSC_TOKENS.WBNB,
+            BSW: BSC_TOKENS.BSW,
+            USDT: BSC_TOKENS.USDT
         },
         pancakeswapPairs: {
             'WBNB-BSW': PANCAKESWAP_PAIRS['WBNB-BSW'],
@@ -207,13 +223,24 @@ const TOKEN_PAIRS = [
             'BSW-USDT': findBiswapPairAddress('USDT', 'BSW'), // PID 8
             'USDT-WBNB': findBiswapPairAddress('USDT', 'WBNB')  // PID 1
         },
-        priority: 1,  // Prioritas tinggi untuk token native BiSwap
-        testAmounts: [100, 500, 1000]  // BSW amounts
+        priority: 1  // Prioritas tinggi untuk token native BiSwap
     }
 ];
 
+// Triangle statis per profil chain. Chain tanpa triangle statis memakai hasil discovery dari factory DEX.
+const CHAIN_TOKEN_PAIRS = {
+    BSC: BSC_TOKEN_PAIRS,
+    POLYGON: [],
+    ARBITRUM: []
+};
+
+// Triangle statis chain yang aktif (chain lokal memakai triangle chain asal fork-nya)
+const TOKEN_PAIRS = CHAIN_TOKEN_PAIRS[ACTIVE_CHAIN.baseId] || [];
+
 module.exports = {
+    PANCAKESWAP_PAIRS,
     BISWAP_PAIRS,
+    CHAIN_TOKEN_PAIRS,
     TOKEN_PAIRS,
     findBiswapPairAddress
 };
\ No newline at end of file
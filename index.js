@@ -3,7 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const { FLASH_ARBITRAGE_ABI } = require('./config/abi');
-const { DATA_DIR, LOG_DIR, HISTORY_DIR } = require('./config/constants');
+const { DATA_DIR, LOG_DIR, HISTORY_DIR, CHAIN, CHAIN_NAME, CHAIN_ID, SIGNER_TYPE } = require('./config/constants');
 
 // Import services and utilities
 const Logger = require('./src/utils/logger');
@@ -12,11 +12,18 @@ const ProviderService = require('./src/services/provider');
 const TokenService = require('./src/services/tokenService');
 const PriceService = require('./src/services/priceService');
 const NetworkService = require('./src/services/networkService');
+const PairDiscoveryService = require('./src/services/pairDiscoveryService');
+const QuoteService = require('./src/services/quoteService');
+const MulticallService = require('./src/services/multicallService');
+const BlockEventService = require('./src/services/blockEventService');
+const TokenVettingService = require('./src/services/tokenVettingService');
 
 // Import arbitrage logic modules
 const ProfitCalculator = require('./src/arbitrage/profitCalculator');
 const ArbitrageChecker = require('./src/arbitrage/checker');
 const ArbitrageExecutor = require('./src/arbitrage/executor');
+const { createSubmitter, NonceManager } = require('./src/submission');
+const { createSigner } = require('./src/signer');
 
 // Import main bot class
 const ArbitrageBot = require('./src/bot');
@@ -41,29 +48,29 @@ async function startBot() {
             prefix: 'arbitrage_'
         });
         
-        logger.log('Initializing bot components...');
+        logger.log(`Initializing bot components for chain profile ${CHAIN} (${CHAIN_NAME}, chainId ${CHAIN_ID})...`);
         
         // Inisialisasi provider service
         const providerService = new ProviderService(logger);
         const provider = await providerService.initialize();
         
         // Validasi environment variables
-        const PRIVATE_KEY = process.env.PRIVATE_KEY;
         const FLASH_ARBITRAGE_ADDRESS = process.env.FLASH_ARBITRAGE_ADDRESS;
         
-        if (!PRIVATE_KEY) {
-            logger.error('PRIVATE_KEY tidak ditemukan di .env file');
-            process.exit(1);
-        }
-        
         if (!FLASH_ARBITRAGE_ADDRESS) {
             logger.error('FLASH_ARBITRAGE_ADDRESS tidak ditemukan di .env file');
             process.exit(1);
         }
         
-        // Inisialisasi wallet
-        const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-        logger.log(`Wallet address: ${wallet.address}`);
+        // Inisialisasi wallet: private key, keystore terenkripsi atau signer eksternal (SIGNER_TYPE)
+        let wallet;
+        try {
+            wallet = await createSigner(provider, logger);
+        } catch (error) {
+            logger.error(`Gagal memuat signer (${SIGNER_TYPE}): ${error.message}`);
+            process.exit(1);
+        }
+        logger.log(`Wallet address: ${wallet.address} (${SIGNER_TYPE} signer)`);
         
         // Inisialisasi flash arbitrage contract
         const flashArbitrageContract = new ethers.Contract(
@@ -74,14 +81,21 @@ async function startBot() {
         
         // Inisialisasi services
         const fileManager = new FileManager(logger);
-        const tokenService = new TokenService(provider, logger);
-        const priceService = new PriceService(provider, logger);
+        const multicallService = new MulticallService(provider, logger);
+        const tokenService = new TokenService(provider, multicallService, logger);
+        const priceService = new PriceService(provider, multicallService, logger);
         const networkService = new NetworkService(provider, logger);
+        const pairDiscoveryService = new PairDiscoveryService(provider, logger);
+        const quoteService = new QuoteService(provider, multicallService, logger);
+        const blockEventService = new BlockEventService(provider, logger);
+        const tokenVettingService = new TokenVettingService(provider, tokenService, multicallService, logger);
         
         // Inisialisasi arbitrage modules
-        const profitCalculator = new ProfitCalculator(flashArbitrageContract, priceService, networkService, logger);
-        const arbitrageChecker = new ArbitrageChecker(provider, tokenService, priceService, profitCalculator, logger);
-        const arbitrageExecutor = new ArbitrageExecutor(flashArbitrageContract, networkService, fileManager, wallet, logger);
+        const profitCalculator = new ProfitCalculator(flashArbitrageContract, priceService, networkService, multicallService, fileManager, logger);
+        const arbitrageChecker = new ArbitrageChecker(provider, tokenService, priceService, profitCalculator, quoteService, logger);
+        const submitter = createSubmitter(wallet, logger);
+        const nonceManager = new NonceManager(wallet, submitter, logger);
+        const arbitrageExecutor = new ArbitrageExecutor(flashArbitrageContract, networkService, fileManager, wallet, nonceManager, logger);
         
         // Buat instance bot
         bot = new ArbitrageBot({
@@ -93,7 +107,11 @@ async function startBot() {
             logger,
             profitCalculator,
             arbitrageChecker,
-            arbitrageExecutor
+            arbitrageExecutor,
+            pairDiscoveryService,
+            quoteService,
+            blockEventService,
+            tokenVettingService
         });
         
         // Mulai bot
@@ -0,0 +1,175 @@
+const { ROUTED_EXECUTION_ENABLED } = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+
+// Kode jenis hop di hopKinds format routed
+const HOP_KINDS = { v2: 0, v3: 1, stable: 2 };
+
+/**
+ * Utilitas untuk menyusun arbitrageData dan argumen panggilan kontrak.
+ *
+ * Dua format encoding didukung:
+ * - legacy: (path1, path2, path3, minAmountsOut, bool direction), hanya untuk pola venue X -> Y -> X
+ *   dengan executeFlashLoan / checkArbitrageProfitability
+ * - routed: (path1, path2, path3, minAmountsOut, address[] routers, uint8[] hopKinds, uint24[] fees),
+ *   router bebas per path dengan executeRoutedFlashLoan / checkRoutedArbitrageProfitability.
+ *   hopKinds: 0 untuk swap router V2, 1 untuk exactInputSingle V3 dengan fee tier di fees,
+ *   2 untuk exactInputStableSwap pool stable-swap.
+ */
+class ArbitrageEncoder {
+    /**
+     * Alamat router untuk sebuah venue
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {string} Alamat router
+     */
+    static getRouter(venue) {
+        return dexRegistry.get(venue).router;
+    }
+
+    /**
+     * Jenis pool untuk sebuah venue
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {string} 'v2', 'v3' atau 'stable'
+     */
+    static getPoolKind(venue) {
+        return dexRegistry.get(venue).type;
+    }
+
+    /**
+     * Apakah rangkaian venue mencampur jenis pool (misalnya V2 dan V3, atau V2 dan stable-swap)
+     * @param {string[]} venues - Venue untuk setiap path
+     * @returns {boolean} True jika ada lebih dari satu jenis pool
+     */
+    static isMixedPoolKinds(venues) {
+        return new Set(venues.map(venue => this.getPoolKind(venue))).size > 1;
+    }
+
+    /**
+     * Label jenis pool untuk log, misalnya V2/V3 atau V2/STABLE
+     * @param {string[]} poolKinds - Jenis pool setiap path
+     * @returns {string} Jenis pool unik sesuai urutan kemunculan
+     */
+    static describePoolKinds(poolKinds) {
+        return Array.from(new Set(poolKinds)).map(kind => kind.toUpperCase()).join('/');
+    }
+
+    /**
+     * Apakah urutan venue bisa dieksekusi dengan format legacy (X -> Y -> X, X dan Y adapter legacy)
+     * @param {string[]} venues - Venue untuk setiap path
+     * @returns {boolean} True jika cocok dengan format legacy
+     */
+    static isLegacyPattern(venues) {
+        if (venues.length !== 3 || venues[0] !== venues[2]) {
+            return false;
+        }
+
+        const outer = dexRegistry.get(venues[0]);
+        const inner = dexRegistry.get(venues[1]);
+        return outer.isLegacy && inner.isLegacy && outer.legacyFlag !== inner.legacyFlag;
+    }
+
+    /**
+     * Apakah urutan venue bisa dieksekusi oleh kontrak yang dikonfigurasi
+     * @param {string[]} venues - Venue untuk setiap path
+     * @returns {boolean} True jika bisa dieksekusi
+     */
+    static isExecutable(venues) {
+        return ROUTED_EXECUTION_ENABLED || this.isLegacyPattern(venues);
+    }
+
+    /**
+     * Menyusun arbitrageData untuk tiga path dan venue-nya
+     * @param {string[][]} paths - [path1, path2, path3]
+     * @param {string[]} venues - Venue untuk setiap path
+     * @param {ethers.BigNumber[]} minAmountsOut - Minimum output setiap path
+     * @param {number[]} pathFees - Fee tier pool setiap path V3 (0 untuk path V2)
+     * @returns {object} arbitrageData { path1, path2, path3, minAmountsOut, venues, routers, poolKinds, hopKinds, fees, direction, encoding }
+     */
+    static buildArbitrageData(paths, venues, minAmountsOut, pathFees = []) {
+        const legacy = this.isLegacyPattern(venues);
+        const poolKinds = venues.map(venue => this.getPoolKind(venue));
+
+        return {
+            path1: paths[0],
+            path2: paths[1],
+            path3: paths[2],
+            minAmountsOut,
+            venues,
+            routers: venues.map(venue => this.getRouter(venue)),
+            poolKinds,
+            hopKinds: poolKinds.map(kind => HOP_KINDS[kind]),
+            fees: poolKinds.map((kind, index) => (kind === 'v3' ? pathFees[index] || 0 : 0)),
+            // direction hanya bermakna untuk format legacy (true: PancakeSwap -> BiSwap -> PancakeSwap)
+            direction: legacy ? dexRegistry.get(venues[0]).legacyFlag : null,
+            encoding: legacy ? 'legacy' : 'routed'
+        };
+    }
+
+    /**
+     * Tuple arbitrageData sesuai format kontrak
+     * @param {object} arbitrageData - arbitrageData dari buildArbitrageData
+     * @returns {Array} Tuple untuk panggilan kontrak
+     */
+    static toContractTuple(arbitrageData) {
+        const tuple = [
+            arbitrageData.path1,
+            arbitrageData.path2,
+            arbitrageData.path3,
+            arbitrageData.minAmountsOut
+        ];
+
+        if (arbitrageData.encoding === 'routed') {
+            return [...tuple, arbitrageData.routers, arbitrageData.hopKinds, arbitrageData.fees];
+        }
+
+        return [...tuple, arbitrageData.direction];
+    }
+
+    /**
+     * Nama fungsi dan argumen untuk simulasi profit di kontrak
+     * @param {object} arbitrageData - arbitrageData dari buildArbitrageData
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string} loanVenue - Venue pair flash loan
+     * @returns {object} { method, args }
+     */
+    static getProfitabilityCall(arbitrageData, loanAmount, loanVenue) {
+        const tuple = this.toContractTuple(arbitrageData);
+
+        if (arbitrageData.encoding === 'routed') {
+            return {
+                method: 'checkRoutedArbitrageProfitability',
+                args: [tuple, loanAmount, this.getRouter(loanVenue)]
+            };
+        }
+
+        return {
+            method: 'checkArbitrageProfitability',
+            args: [tuple, loanAmount, dexRegistry.get(loanVenue).legacyFlag]
+        };
+    }
+
+    /**
+     * Nama fungsi dan argumen untuk eksekusi flash loan
+     * @param {object} arbitrageData - arbitrageData dari buildArbitrageData
+     * @param {string} flashLoanPair - Alamat pair flash loan
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string} loanVenue - Venue pair flash loan
+     * @returns {object} { method, args }
+     */
+    static getExecuteCall(arbitrageData, flashLoanPair, loanAmount, loanVenue) {
+        const tuple = this.toContractTuple(arbitrageData);
+
+        if (arbitrageData.encoding === 'routed') {
+            return {
+                method: 'executeRoutedFlashLoan',
+                args: [flashLoanPair, loanAmount, tuple, this.getRouter(loanVenue)]
+            };
+        }
+
+        return {
+            method: 'executeFlashLoan',
+            args: [flashLoanPair, loanAmount, tuple, dexRegistry.get(loanVenue).legacyFlag]
+        };
+    }
+}
+
+module.exports = ArbitrageEncoder;
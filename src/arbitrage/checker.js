@@ -1,440 +1,760 @@
 const { ethers } = require('ethers');
-const { ROUTER_ABI } = require('../../config/abi');
-const { ROUTER_ADDRESSES } = require('../../config/constants');
+const { GRAPH_MAX_CYCLES } = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+const CycleFinder = require('./cycleFinder');
+const LoanSizer = require('./loanSizer');
+const LiquidityFilter = require('./liquidityFilter');
+const SlippageModel = require('./slippageModel');
+const ArbitrageEncoder = require('./arbitrageEncoder');
 
 /**
  * ArbitrageChecker - Bertanggung jawab untuk mencari peluang arbitrage
  */
 class ArbitrageChecker {
-    constructor(provider, tokenService, priceService, profitCalculator, logger) {
+    constructor(provider, tokenService, priceService, profitCalculator, quoteService, logger) {
         this.provider = provider;
         this.tokenService = tokenService;
         this.priceService = priceService;
         this.profitCalculator = profitCalculator;
+        this.quoteService = quoteService;
         this.logger = logger;
         
-        // Setup router contracts
-        this.pancakeRouter = new ethers.Contract(
-            ROUTER_ADDRESSES.PANCAKESWAP,
-            ROUTER_ABI,
-            provider
-        );
+        this.cycleFinder = new CycleFinder(logger);
+        this.loanSizer = new LoanSizer(quoteService, logger);
+        this.liquidityFilter = new LiquidityFilter(quoteService, tokenService, priceService, logger);
+        this.slippageModel = new SlippageModel(logger);
+        this.gasPricingCache = null; // Gas price dan harga koin native untuk blok scan yang sedang berjalan
+    }
+    
+    /**
+     * Semua kombinasi venue untuk sejumlah hop (n^3 untuk triangle dengan n DEX aktif)
+     * @param {number} hopCount - Jumlah hop
+     * @returns {string[][]} Daftar kombinasi venue
+     */
+    getVenueAssignments(hopCount) {
+        const venues = dexRegistry.getIds();
+        let assignments = [[]];
         
-        this.biswapRouter = new ethers.Contract(
-            ROUTER_ADDRESSES.BISWAP,
-            ROUTER_ABI,
-            provider
-        );
+        for (let i = 0; i < hopCount; i++) {
+            assignments = assignments.flatMap(assignment => venues.map(venue => [...assignment, venue]));
+        }
+        
+        return assignments;
+    }
+    
+    /**
+     * Memilih kombinasi venue per hop yang memberikan profit terbesar.
+     * Setiap kombinasi di-sizing secara lokal; kombinasi yang tidak bisa dieksekusi kontrak
+     * tetap dievaluasi dan dicatat, tetapi tidak dipilih. Venue dengan tag token (stable-swap)
+     * hanya dipakai untuk hop antar token bertag, dan hop pertama harus bisa memberi flash loan.
+     * @param {object} pairConfig - Konfigurasi token pair
+     * @param {string[][]} paths - [path1, path2, path3]
+     * @param {object} tokenADetails - Detail token yang dipinjam
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object>} { best: { venues, hops, sizing } | null, assignments }
+     */
+    async selectVenueAssignment(pairConfig, paths, tokenADetails, blockNumber) {
+        const candidates = [];
+        
+        for (const venues of this.getVenueAssignments(paths.length)) {
+            const supported = dexRegistry.get(venues[0]).supportsFlashLoan &&
+                paths.every((path, index) => dexRegistry.get(venues[index]).supportsTokens(path[0], path[1]));
+            if (!supported) {
+                continue;
+            }
+            
+            const hops = paths.map((path, index) => ({
+                pairAddress: this.findPairAddress(pairConfig, venues[index], path[0], path[1]),
+                venue: venues[index],
+                tokenIn: path[0]
+            }));
+            
+            if (hops.every(hop => hop.pairAddress)) {
+                candidates.push({ venues, hops, executable: ArbitrageEncoder.isExecutable(venues) });
+            }
+        }
+        
+        const evaluated = await Promise.all(candidates.map(async candidate => ({
+            ...candidate,
+            sizing: await this.sizeLoan(candidate.hops, candidate.venues[0], tokenADetails, blockNumber)
+        })));
+        
+        const profitable = evaluated
+            .filter(candidate => candidate.sizing)
+            .sort((a, b) => (b.sizing.profit.gt(a.sizing.profit) ? 1 : b.sizing.profit.lt(a.sizing.profit) ? -1 : 0));
+        
+        const best = profitable.find(candidate => candidate.executable) || null;
+        
+        if (profitable.length > 0 && profitable[0] !== best) {
+            this.logger.log(`Best venue assignment ${profitable[0].venues.join('/')} requires routed execution (ROUTED_EXECUTION_ENABLED=false)${best ? `, using ${best.venues.join('/')}` : ''}`);
+        }
+        
+        return {
+            best,
+            assignments: evaluated.map(candidate => ({
+                venues: candidate.venues,
+                poolKinds: candidate.venues.map(venue => ArbitrageEncoder.getPoolKind(venue)),
+                executable: candidate.executable,
+                profit: candidate.sizing ? ethers.utils.formatUnits(candidate.sizing.profit, tokenADetails.decimals) : null
+            }))
+        };
+    }
+    
+    /**
+     * Mencari alamat pair untuk dua token di venue tertentu dari konfigurasi triangle
+     * @param {object} pairConfig - Konfigurasi token pair
+     * @param {string} venue - ID venue di DexRegistry
+     * @param {string} tokenX - Alamat token pertama
+     * @param {string} tokenY - Alamat token kedua
+     * @returns {string|undefined} Alamat pair jika ada
+     */
+    findPairAddress(pairConfig, venue, tokenX, tokenY) {
+        const venuePairs = pairConfig[dexRegistry.get(venue).pairsKey] || {};
+        const x = tokenX.toLowerCase();
+        const y = tokenY.toLowerCase();
+        
+        for (const key in venuePairs) {
+            const [token1, token2] = key.split('-').map(symbol => (pairConfig.tokens[symbol] || '').toLowerCase());
+            if ((token1 === x && token2 === y) || (token1 === y && token2 === x)) {
+                return venuePairs[key];
+            }
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Menentukan ukuran pinjaman optimal untuk rangkaian hop, net biaya flash loan dan gas
+     * @param {Array} hops - Hop { pairAddress, venue, tokenIn }
+     * @param {string} loanVenue - Venue pair flash loan
+     * @param {object} tokenADetails - Detail token yang dipinjam
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object|null>} Hasil sizing dari LoanSizer, null jika tidak menguntungkan
+     */
+    async sizeLoan(hops, loanVenue, tokenADetails, blockNumber) {
+        const [gasCostUSD, tokenPriceUSD, [loanPoolState]] = await Promise.all([
+            this.getRouteGasCostUSD(hops, blockNumber),
+            this.priceService.getTokenPriceUSD(tokenADetails.address, tokenADetails.decimals, blockNumber),
+            // State pool pinjaman menentukan fee flash loan untuk pool V3
+            this.quoteService.loadPools([{ venue: loanVenue, address: hops[0].pairAddress }], { blockNumber })
+        ]);
+        
+        return this.loanSizer.findOptimalLoan(hops, {
+            blockNumber,
+            flashFeeRate: this.profitCalculator.getFlashLoanFeeRate(loanVenue, loanPoolState),
+            getFlashLoanFee: amount => this.profitCalculator.getFlashLoanFee(amount, loanVenue, loanPoolState),
+            tokenDetails: tokenADetails,
+            gasCostUSD,
+            tokenPriceUSD
+        });
+    }
+    
+    /**
+     * minAmountsOut setiap segmen dengan toleransi slippage per hop. Fill terburuk harus tetap menutup
+     * pinjaman, fee flash loan dan biaya gas (dikonversi ke token pinjaman).
+     * @param {ethers.BigNumber[]} outputs - Output quote setiap segmen
+     * @param {number[]} hopCounts - Jumlah hop setiap segmen
+     * @param {Array} liquidityHops - Laporan LiquidityFilter per hop
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string} loanVenue - Venue pair flash loan
+     * @param {string} flashLoanPair - Alamat pair flash loan
+     * @param {object} tokenADetails - Detail token pinjaman
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object>} Hasil SlippageModel.getMinAmountsOut
+     */
+    async getSlippageLimits(outputs, hopCounts, liquidityHops, loanAmount, loanVenue, flashLoanPair, tokenADetails, blockNumber) {
+        const [gasCostUSD, tokenPriceUSD] = await Promise.all([
+            this.getRouteGasCostUSD(liquidityHops, blockNumber),
+            this.priceService.getTokenPriceUSD(tokenADetails.address, tokenADetails.decimals, blockNumber)
+        ]);
+        
+        const loanPoolState = this.quoteService.getPoolState(flashLoanPair, loanVenue);
+        let minFinalAmount = loanAmount.add(this.profitCalculator.getFlashLoanFee(loanAmount, loanVenue, loanPoolState));
+        if (tokenPriceUSD > 0) {
+            const gasCostTokens = (gasCostUSD / tokenPriceUSD).toFixed(tokenADetails.decimals);
+            minFinalAmount = minFinalAmount.add(ethers.utils.parseUnits(gasCostTokens, tokenADetails.decimals));
+        }
+        
+        const slippage = this.slippageModel.getMinAmountsOut({
+            outputs,
+            hopCounts,
+            reports: liquidityHops,
+            blockNumber,
+            minFinalAmount
+        });
+        
+        this.logger.log(`Slippage tolerance per hop: ${slippage.hops.map(hop => `${hop.label} ${hop.appliedPercent.toFixed(2)}%`).join(', ')}${slippage.limitedBy ? ` (limited by ${slippage.limitedBy})` : ''}`);
+        return slippage;
+    }
+    
+    /**
+     * Fee tier pool V3 untuk setiap path (0 untuk pool V2), dari state pool yang sudah dimuat
+     * @param {Array} hops - Hop pertama setiap path { pairAddress, venue }
+     * @returns {number[]} Fee tier setiap path
+     */
+    getPathFees(hops) {
+        return hops.map(hop => {
+            const state = this.quoteService.getPoolState(hop.pairAddress, hop.venue);
+            return state && state.kind === 'v3' ? state.feeTier : 0;
+        });
+    }
+    
+    /**
+     * Estimasi biaya gas sebuah rute dalam USD (harga BNB pada blok scan) dari gas baseline per hop.
+     * Gas price dibaca sekali per blok scan dan dipakai bersama semua loop.
+     * @param {Array} hops - Hop rute (masing-masing dengan field venue)
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<number>} Biaya gas dalam USD
+     */
+    async getRouteGasCostUSD(hops, blockNumber) {
+        if (!this.gasPricingCache || this.gasPricingCache.blockNumber !== blockNumber) {
+            this.gasPricingCache = {
+                blockNumber,
+                promise: this.profitCalculator.getGasPricing(blockNumber)
+            };
+        }
+        
+        const pricing = await this.gasPricingCache.promise;
+        return this.profitCalculator.estimateRouteGasCostUSD(hops.map(hop => hop.venue), pricing);
     }
     
     /**
      * Memeriksa semua token pair untuk peluang arbitrage
      * @param {Array} tokenPairs - Array konfigurasi token pair
+     * @param {object} options - { blockNumber: blok scan, default blok terbaru }
      * @returns {Promise<Array>} Array hasil peluang arbitrage
      */
-    async checkArbitrageOpportunities(tokenPairs) {
+    async checkArbitrageOpportunities(tokenPairs, options = {}) {
         this.logger.log(`Checking for arbitrage opportunities in ${tokenPairs.length} pairs...`);
         
-        const opportunities = [];
+        // Blok scan ditentukan sekali dan diteruskan ke semua loop, bukan dibaca ulang dari QuoteService
+        const blockNumber = options.blockNumber || await this.quoteService.refreshBlockNumber();
         
-        // Check each token pair
-        for (const pair of tokenPairs) {
+        // Baca reserve semua pool sekali untuk blok ini, setiap hop kemudian dihitung lokal
+        await this.quoteService.loadPools(this.cycleFinder.collectPools(tokenPairs), { blockNumber });
+        
+        // Semua pair diperiksa bersamaan agar read call-nya tergabung dalam batch multicall
+        const results = await Promise.all(tokenPairs.map(pair => {
             this.logger.log(`Checking ${pair.name} opportunities...`);
-
-            // Try both directions (PancakeSwap -> BiSwap -> PancakeSwap and BiSwap -> PancakeSwap -> BiSwap)
-            const pancakeToBiswap = await this.checkTriangularArbitrage(pair, true);
-            const biswapToPancake = await this.checkTriangularArbitrage(pair, false);
-            
-            // Tambahkan peluang yang ditemukan
-            opportunities.push(...pancakeToBiswap, ...biswapToPancake);
-        }
+            return this.checkTriangularArbitrage(pair, blockNumber);
+        }));
         
-        // Urutkan peluang berdasarkan profitabilitas (dari yang tertinggi)
-        opportunities.sort((a, b) => b.profitResult.profitPercentage - a.profitResult.profitPercentage);
+        const opportunities = results.flat();
+        
+        // Urutkan peluang berdasarkan profit bersih (dari yang tertinggi)
+        opportunities.sort((a, b) => b.profitResult.netProfitUSD - a.profitResult.netProfitUSD);
         
         return opportunities;
     }
     
     /**
-     * Memeriksa triangular arbitrage untuk sebuah konfigurasi pair
+     * Memeriksa triangular arbitrage untuk sebuah konfigurasi pair.
+     * Setiap rotasi dievaluasi dalam dua orientasi, A -> B -> C -> A (forward) dan A -> C -> B -> A (reverse),
+     * masing-masing dengan semua kombinasi venue per hop, lalu diurutkan berdasarkan profit bersih.
      * @param {object} pairConfig - Konfigurasi token pair
-     * @param {boolean} direction - Arah arbitrage (true: PancakeSwap->BiSwap->PancakeSwap, false: BiSwap->PancakeSwap->BiSwap)
-     * @returns {Promise<Array>} Peluang arbitrage yang ditemukan
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<Array>} Peluang arbitrage yang ditemukan, masing-masing dengan trace ranking
      */
-    async checkTriangularArbitrage(pairConfig, direction) {
-        const opportunities = [];
+    async checkTriangularArbitrage(pairConfig, blockNumber) {
         const tokens = pairConfig.tokens;
         const tokenKeys = Object.keys(tokens);
+        const loops = [];
 
-        // Coba berbagai kombinasi token
-        for (let i = 0; i < tokenKeys.length; i++) {
-            const startToken = tokenKeys[i];
+        tokenKeys.forEach((startToken, i) => {
             const midToken = tokenKeys[(i + 1) % tokenKeys.length];
             const endToken = tokenKeys[(i + 2) % tokenKeys.length];
+            loops.push({ orientation: 'forward', symbols: [startToken, midToken, endToken] });
+            loops.push({ orientation: 'reverse', symbols: [startToken, endToken, midToken] });
+        });
 
-            const opportunity = await this.checkArbitrageLoop(
-                pairConfig,
-                tokens[startToken],
-                tokens[midToken],
-                tokens[endToken],
-                direction
-            );
-            
-            if (opportunity) {
-                opportunities.push(opportunity);
-            }
-        }
+        const evaluated = await Promise.all(loops.map(async loop => {
+            const trace = {
+                orientation: loop.orientation,
+                route: [...loop.symbols, loop.symbols[0]].join(' -> ')
+            };
+            const [tokenA, tokenB, tokenC] = loop.symbols.map(symbol => tokens[symbol]);
+            const opportunity = await this.checkArbitrageLoop(pairConfig, tokenA, tokenB, tokenC, blockNumber, trace);
+            return { trace, opportunity };
+        }));
         
-        return opportunities;
+        return this.rankLoops(pairConfig, evaluated);
     }
     
     /**
-     * Memeriksa selisih harga antara PancakeSwap dan BiSwap
-     * @param {string} tokenA - Alamat token A
-     * @param {string} tokenB - Alamat token B
-     * @param {string} tokenC - Alamat token C
-     * @returns {Promise<number>} Selisih harga dalam persentase
+     * Mengurutkan loop yang menguntungkan berdasarkan profit bersih dan menambahkan trace ranking
+     * @param {object} pairConfig - Konfigurasi token pair
+     * @param {Array} evaluated - Hasil evaluasi { trace, opportunity } untuk setiap rotasi dan orientasi
+     * @returns {Array} Peluang yang diurutkan, masing-masing dengan field ranking
      */
-    async checkPriceGap(tokenA, tokenB, tokenC, tokenADetails) {
-        try {
-            // Tentukan jumlah untuk perbandingan
-            const testAmount = ethers.utils.parseUnits('1', tokenADetails.decimals); // 1 token
-            
-            // Periksa harga di PancakeSwap
-            const pancakePrice = await this.checkTriangularPrice(
-                this.pancakeRouter, 
-                testAmount, 
-                [tokenA, tokenB, tokenC, tokenA]
-            );
-            
-            // Periksa harga di BiSwap
-            const biswapPrice = await this.checkTriangularPrice(
-                this.biswapRouter, 
-                testAmount, 
-                [tokenA, tokenB, tokenC, tokenA]
-            );
+    rankLoops(pairConfig, evaluated) {
+        const netProfit = opportunity => opportunity.profitResult.netProfitUSD;
+        const alternatives = evaluated.map(({ trace, opportunity }) => ({
+            route: trace.route,
+            orientation: trace.orientation,
+            venues: trace.venues || null,
+            netProfitUSD: opportunity ? netProfit(opportunity) : null,
+            outcome: opportunity ? 'profitable' : trace.outcome || 'not profitable'
+        }));
+        
+        const ranked = evaluated
+            .filter(({ opportunity }) => opportunity)
+            .sort((a, b) => netProfit(b.opportunity) - netProfit(a.opportunity));
+        
+        return ranked.map(({ trace, opportunity }, index) => {
+            const reasons = [trace.selection];
             
-            // Hitung selisih persentase
-            if (pancakePrice && biswapPrice && !pancakePrice.isZero()) {
-                const priceDiff = pancakePrice.sub(biswapPrice).abs(); // Gunakan nilai absolut
-                const percentageDiff = priceDiff.mul(ethers.BigNumber.from(100)).div(pancakePrice);
-                return parseFloat(ethers.utils.formatUnits(percentageDiff, 0));
+            if (index === 0) {
+                const runnerUp = ranked[1];
+                reasons.push(runnerUp
+                    ? `net profit $${netProfit(opportunity).toFixed(2)} beats ${runnerUp.trace.route} (${runnerUp.trace.orientation}) at $${netProfit(runnerUp.opportunity).toFixed(2)}`
+                    : `only profitable loop of ${evaluated.length} rotations/orientations of ${pairConfig.name}`);
+            } else {
+                reasons.push(`ranked #${index + 1} behind ${ranked[0].trace.route} at $${netProfit(ranked[0].opportunity).toFixed(2)}`);
             }
             
-            return 0;
-        } catch (error) {
-            this.logger.error(`Error checking price gap: ${error.message}`, error);
-            return 0;
-        }
-    }
-
-    /**
-     * Simulasi harga setelah rangkaian swap triangular
-     * @param {ethers.Contract} router - Router contract
-     * @param {ethers.BigNumber} amountIn - Jumlah token masuk
-     * @param {string[]} path - Array token path
-     * @returns {Promise<ethers.BigNumber>} Hasil akhir setelah swap
-     */
-    async checkTriangularPrice(router, amountIn, path) {
-        try {
-            let amountOut = amountIn;
+            opportunity.ranking = {
+                rank: index + 1,
+                orientation: trace.orientation,
+                route: trace.route,
+                reasons,
+                alternatives
+            };
             
-            // Simulasikan 3 swap berturut-turut
-            for (let i = 0; i < path.length - 1; i++) {
-                const swapPath = [path[i], path[i+1]];
-                const amounts = await router.getAmountsOut(amountOut, swapPath);
-                if (!amounts || amounts.length < 2) return null;
-                amountOut = amounts[1];
-            }
-            
-            return amountOut;
-        } catch (error) {
-            this.logger.error(`Error checking triangular price: ${error.message}`, error);
-            return null;
-        }
+            return opportunity;
+        });
     }
     
     /**
-     * Memeriksa arbitrage loop untuk set token tertentu
+     * Memeriksa arbitrage loop untuk set token tertentu dengan venue terbaik per hop
      * @param {object} pairConfig - Konfigurasi token pair
      * @param {string} tokenA - Alamat token A
      * @param {string} tokenB - Alamat token B
      * @param {string} tokenC - Alamat token C
-     * @param {boolean} direction - Arah arbitrage
+     * @param {number} blockNumber - Blok scan; semua read loop ini (quote, harga USD, simulasi kontrak) memakai blok ini
+     * @param {object} trace - Diisi dengan venue terpilih (venues, selection) atau alasan loop ditolak (outcome)
      * @returns {Promise<object|null>} Peluang arbitrage jika menguntungkan, null jika tidak
      */
-    async checkArbitrageLoop(pairConfig, tokenA, tokenB, tokenC, direction) {
+    async checkArbitrageLoop(pairConfig, tokenA, tokenB, tokenC, blockNumber, trace = {}) {
         try {
             // Dapatkan detail token
-            const tokenADetails = await this.tokenService.getTokenDetails(tokenA);
-            const tokenBDetails = await this.tokenService.getTokenDetails(tokenB);
-            const tokenCDetails = await this.tokenService.getTokenDetails(tokenC);
-
-            this.logger.log(`Checking arbitrage: ${tokenADetails.symbol} -> ${tokenBDetails.symbol} -> ${tokenCDetails.symbol} -> ${tokenADetails.symbol} (${direction ? 'PancakeSwap->BiSwap->PancakeSwap' : 'BiSwap->PancakeSwap->BiSwap'})`);
+            const [tokenADetails, tokenBDetails, tokenCDetails] = await Promise.all([
+                this.tokenService.getTokenDetails(tokenA),
+                this.tokenService.getTokenDetails(tokenB),
+                this.tokenService.getTokenDetails(tokenC)
+            ]);
 
-            // Periksa selisih harga antara PancakeSwap dan BiSwap
-            const priceGap = await this.checkPriceGap(tokenA, tokenB, tokenC, tokenADetails);
-            let originalDirection = direction;
-            
-            // Jika selisih harga >= 5%, balik arah arbitrage
-            if (priceGap >= 5.0) {
-                this.logger.log(`Price gap ${priceGap.toFixed(2)}% >= 5%, reversing arbitrage direction from ${direction ? 'PancakeSwap->BiSwap->PancakeSwap' : 'BiSwap->PancakeSwap->BiSwap'} to ${!direction ? 'PancakeSwap->BiSwap->PancakeSwap' : 'BiSwap->PancakeSwap->BiSwap'}`);
-                direction = !direction;
+            // Decimals token yang metadata-nya gagal dibaca hanya tebakan, jangan masuk ke perhitungan profit
+            const unreadable = [tokenADetails, tokenBDetails, tokenCDetails].filter(details => details.metadataUnavailable);
+            if (unreadable.length > 0) {
+                this.logger.warn(`Skipping ${pairConfig.name}: token metadata unavailable for ${unreadable.map(details => details.address).join(', ')}`);
+                trace.outcome = 'token metadata unavailable';
+                return null;
             }
 
+            this.logger.log(`Checking arbitrage: ${tokenADetails.symbol} -> ${tokenBDetails.symbol} -> ${tokenCDetails.symbol} -> ${tokenADetails.symbol}`);
+
             // Buat path untuk swap
             const path1 = [tokenA, tokenB];
             const path2 = [tokenB, tokenC];
             const path3 = [tokenC, tokenA];
 
-            // Verifikasi path
-            if (!path1 || path1.length < 2 || !path2 || path2.length < 2 || !path3 || path3.length < 2) {
-                this.logger.log(`Invalid paths for ${tokenADetails.symbol} -> ${tokenBDetails.symbol} -> ${tokenCDetails.symbol}`);
+            // Evaluasi semua kombinasi venue per hop dan pilih yang profitnya terbesar
+            const selection = await this.selectVenueAssignment(pairConfig, [path1, path2, path3], tokenADetails, blockNumber);
+            if (!selection.best) {
+                trace.outcome = 'no profitable executable venue assignment';
                 return null;
             }
-
-            // Temukan alamat pair yang cocok
-            const pancakePairs = pairConfig.pancakeswapPairs;
-            const biswapPairs = pairConfig.biswapPairs;
-
-            // Tentukan alamat pair pertama berdasarkan arah
-            let flashLoanPair;
-            if (direction) {
-                // PancakeSwap -> BiSwap -> PancakeSwap
-                for (const key in pancakePairs) {
-                    const [token1, token2] = key.split('-');
-                    if ((pairConfig.tokens[token1] === tokenA && pairConfig.tokens[token2] === tokenB) ||
-                        (pairConfig.tokens[token1] === tokenB && pairConfig.tokens[token2] === tokenA)) {
-                        flashLoanPair = pancakePairs[key];
-                        break;
-                    }
-                }
-            } else {
-                // BiSwap -> PancakeSwap -> BiSwap
-                for (const key in biswapPairs) {
-                    const [token1, token2] = key.split('-');
-                    if ((pairConfig.tokens[token1] === tokenA && pairConfig.tokens[token2] === tokenB) ||
-                        (pairConfig.tokens[token1] === tokenB && pairConfig.tokens[token2] === tokenA)) {
-                        flashLoanPair = biswapPairs[key];
-                        break;
-                    }
-                }
+            
+            const { venues, hops, sizing } = selection.best;
+            const profitableAssignments = selection.assignments.filter(assignment => assignment.profit !== null).length;
+            trace.venues = venues;
+            trace.selection = `venues ${venues.join('/')} had the highest sized profit among executable assignments (${profitableAssignments} profitable of ${selection.assignments.length} evaluated)`;
+            const loanAmount = sizing.loanAmount;
+            const flashLoanPair = hops[0].pairAddress;
+            
+            const mixedPoolKinds = ArbitrageEncoder.isMixedPoolKinds(venues);
+            const poolKindsLabel = ArbitrageEncoder.describePoolKinds(venues.map(venue => ArbitrageEncoder.getPoolKind(venue)));
+            this.logger.log(`Selected venues: ${venues.join(' -> ')}${mixedPoolKinds ? ` (mixed ${poolKindsLabel} pools)` : ''}`);
+            
+            // Hitung output dari swap
+            const result = await this.calculateSwapOutputs(
+                pairConfig,
+                venues,
+                loanAmount, 
+                path1, path2, path3,
+                tokenADetails, tokenBDetails, tokenCDetails,
+                blockNumber
+            );
+            
+            if (!result || !result.success) {
+                trace.outcome = 'swap output calculation failed';
+                return null;
             }
-
-            if (!flashLoanPair) {
-                this.logger.log(`No suitable pair found for flash loan of ${tokenADetails.symbol}`);
+            
+            // Buang loop yang melewati pool dangkal atau price impact terlalu besar sebelum menghitung profit
+            const liquidity = await this.liquidityFilter.analyze(hops, loanAmount, blockNumber);
+            if (!liquidity.passed) {
+                this.logger.log(`Discarding ${tokenADetails.symbol} -> ${tokenBDetails.symbol} -> ${tokenCDetails.symbol} loop: ${liquidity.failures.join('; ')}`);
+                trace.outcome = `liquidity filter: ${liquidity.failures.join('; ')}`;
                 return null;
             }
-
-            // Dapatkan jumlah test berdasarkan jenis token
-            const testAmounts = pairConfig.testAmounts || 
-                (tokenADetails.symbol.includes('USD') ? 
-                    [1000, 10000, 50000, 100000] : // Default stablecoin
-                    [0.5, 1, 2, 5]); // Default non-stablecoin
             
-            // Konversi jumlah test ke decimals yang tepat
-            const loanAmounts = testAmounts.map(amount => 
-                ethers.utils.parseUnits(amount.toString(), tokenADetails.decimals)
+            // Minimum amount out dengan toleransi slippage per hop (kedalaman, price impact, volatilitas)
+            const slippage = await this.getSlippageLimits(
+                [result.amountOut1, result.amountOut2, result.amountOut3],
+                [1, 1, 1],
+                liquidity.hops,
+                loanAmount,
+                venues[0],
+                flashLoanPair,
+                tokenADetails,
+                blockNumber
             );
-
-            // Variabel untuk menyimpan hasil terbaik
-            let bestResult = null;
-            let bestLoanAmount = ethers.BigNumber.from(0);
-            let bestMinAmountsOut = [ethers.BigNumber.from(0), ethers.BigNumber.from(0), ethers.BigNumber.from(0)];
-            let bestProfitResult = null;
-
-            // Periksa setiap jumlah loan
-            for (const loanAmount of loanAmounts) {
-                // Coba hitung output dari swap
-                const result = await this.calculateSwapOutputs(
-                    direction, 
-                    loanAmount, 
-                    path1, path2, path3,
-                    tokenADetails, tokenBDetails, tokenCDetails
-                );
-                
-                // Lanjutkan jika perhitungan gagal
-                if (!result || !result.success) continue;
-                
-                // Tentukan minimum amount out dengan toleransi slippage 1%
-                const minAmountOut1 = result.amountOut1.mul(99).div(100);
-                const minAmountOut2 = result.amountOut2.mul(99).div(100);
-                const minAmountOut3 = result.amountOut3.mul(99).div(100);
-                
-                // Verifikasi minAmountsOut
-                if (minAmountOut1.isZero() || minAmountOut2.isZero() || minAmountOut3.isZero()) {
-                    this.logger.log(`Skipping due to zero min amounts for ${tokenADetails.symbol}`);
-                    continue;
-                }
-                
-                // Struktur data arbitrage
-                const arbitrageData = {
-                    path1,
-                    path2,
-                    path3,
-                    minAmountsOut: [minAmountOut1, minAmountOut2, minAmountOut3],
-                    direction
-                };
-                
-                // Hitung profitabilitas
-                const profitResult = await this.profitCalculator.calculateProfit(
-                    arbitrageData,
-                    loanAmount,
-                    direction,
-                    tokenADetails
-                );
-                
-                // Update hasil terbaik jika lebih menguntungkan
-                if (this.profitCalculator.isProfitable(profitResult) && 
-                    (!bestProfitResult || profitResult.profitPercentage > bestProfitResult.profitPercentage)) {
-                    bestResult = result;
-                    bestLoanAmount = loanAmount;
-                    bestMinAmountsOut = [minAmountOut1, minAmountOut2, minAmountOut3];
-                    bestProfitResult = profitResult;
-                }
+            
+            // Verifikasi minAmountsOut
+            if (slippage.minAmountsOut.some(amount => amount.isZero())) {
+                this.logger.log(`Skipping due to zero min amounts for ${tokenADetails.symbol}`);
+                trace.outcome = 'zero minimum output';
+                return null;
             }
             
+            // Struktur data arbitrage dengan router per hop
+            const arbitrageData = ArbitrageEncoder.buildArbitrageData(
+                [path1, path2, path3],
+                venues,
+                slippage.minAmountsOut,
+                this.getPathFees(hops)
+            );
+            
+            // Hitung profitabilitas
+            const profitResult = await this.profitCalculator.calculateProfit(
+                arbitrageData,
+                flashLoanPair,
+                loanAmount,
+                venues[0],
+                tokenADetails,
+                blockNumber
+            );
+            
             // Jika ditemukan peluang yang menguntungkan
-            if (bestProfitResult && this.profitCalculator.isProfitable(bestProfitResult)) {
-                this.logger.log(`🚀 Found profitable arbitrage opportunity! Profit: $${bestProfitResult.netProfitUSD.toFixed(2)} (${bestProfitResult.profitPercentage.toFixed(2)}%)`);
-                
-                // Tambahkan informasi apakah arah arbitrage dibalik
-                const directionReversed = originalDirection !== direction;
+            if (this.profitCalculator.isProfitable(profitResult)) {
+                this.logger.log(`🚀 Found profitable arbitrage opportunity! Profit: $${profitResult.netProfitUSD.toFixed(2)} (${profitResult.profitPercentage.toFixed(2)}%)`);
                 
                 return {
                     pairConfig,
                     flashLoanPair,
+                    loanVenue: venues[0],
                     tokenA,
                     tokenB,
                     tokenC,
                     tokenADetails,
                     tokenBDetails,
                     tokenCDetails,
-                    loanAmount: bestLoanAmount,
-                    arbitrageData: {
-                        path1,
-                        path2,
-                        path3,
-                        minAmountsOut: bestMinAmountsOut,
-                        direction
-                    },
-                    profitResult: bestProfitResult,
-                    direction,
-                    directionReversed,
-                    priceGap
+                    loanAmount,
+                    arbitrageData,
+                    profitResult,
+                    blockNumber,
+                    sizing: sizing.summary,
+                    hopVenues: venues,
+                    hopRouters: arbitrageData.routers,
+                    poolKinds: arbitrageData.poolKinds,
+                    mixedPoolKinds,
+                    liquidity: liquidity.hops,
+                    slippage: this.slippageModel.describe(slippage),
+                    venueAssignments: selection.assignments,
+                    direction: arbitrageData.direction
                 };
             }
             
+            trace.outcome = profitResult.error
+                ? `profit calculation failed: ${profitResult.error}`
+                : `below profit threshold (net $${profitResult.netProfitUSD.toFixed(2)})`;
             return null;
         } catch (error) {
             this.logger.error(`Error in checkArbitrageLoop: ${error.message}`, error);
+            trace.outcome = `error: ${error.message}`;
             return null;
         }
     }
     
     /**
-     * Menghitung output dari rangkaian swap
-     * @param {boolean} direction - Arah arbitrage
-     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
-     * @param {string[]} path1 - Path swap pertama
-     * @param {string[]} path2 - Path swap kedua
-     * @param {string[]} path3 - Path swap ketiga
-     * @param {object} tokenADetails - Detail token A
-     * @param {object} tokenBDetails - Detail token B
-     * @param {object} tokenCDetails - Detail token C
-     * @returns {Promise<object|null>} Hasil perhitungan, null jika gagal
+     * Mencari siklus arbitrage (3 dan 4 hop) di seluruh graph pool
+     * @param {Array} pools - Daftar pool { venue, address, tokens }
+     * @param {object} options - { blockNumber: blok scan, default blok terbaru }
+     * @returns {Promise<Array>} Peluang arbitrage dari siklus yang menguntungkan
      */
-    async calculateSwapOutputs(direction, loanAmount, path1, path2, path3, tokenADetails, tokenBDetails, tokenCDetails) {
-        let amountOut1, amountOut2, amountOut3;
-        let success = true;
+    async checkGraphCycles(pools, options = {}) {
+        this.logger.log(`Searching arbitrage cycles across ${pools.length} pools...`);
         
-        this.logger.log(`Testing loan amount: ${ethers.utils.formatUnits(loanAmount, tokenADetails.decimals)} ${tokenADetails.symbol}`);
+        const blockNumber = options.blockNumber || await this.quoteService.refreshBlockNumber();
+        const poolStates = await this.quoteService.loadPools(pools, { blockNumber });
+        const cycles = this.cycleFinder.findCycles(poolStates);
+        const results = await Promise.all(
+            cycles.slice(0, GRAPH_MAX_CYCLES).map(cycle => this.checkCycleOpportunity(cycle, blockNumber))
+        );
+        const opportunities = results.filter(opportunity => opportunity);
         
+        opportunities.sort((a, b) => b.profitResult.netProfitUSD - a.profitResult.netProfitUSD);
+        
+        // Trace ranking siklus: posisi berdasarkan profit bersih di antara siklus yang diperiksa
+        opportunities.forEach((opportunity, index) => {
+            opportunity.ranking = {
+                rank: index + 1,
+                orientation: 'cycle',
+                route: opportunity.pairConfig.name.replace(/-/g, ' -> '),
+                reasons: [
+                    `marginal cycle rate ${opportunity.cycle.rateProduct.toFixed(4)} from graph search`,
+                    `net profit $${opportunity.profitResult.netProfitUSD.toFixed(2)}, #${index + 1} of ${opportunities.length} profitable among ${Math.min(cycles.length, GRAPH_MAX_CYCLES)} cycles checked`
+                ],
+                alternatives: []
+            };
+        });
+        
+        return opportunities;
+    }
+    
+    /**
+     * Menghitung ulang sebuah peluang pada blok terbaru (misalnya setelah eksekusi sebelumnya masuk blok).
+     * Triangle dievaluasi ulang dengan rotasi dan orientasi yang sama, siklus graph dengan hop yang sama.
+     * @param {object} opportunity - Peluang dari scan sebelumnya
+     * @returns {Promise<object|null>} Peluang baru jika masih menguntungkan, null jika tidak
+     */
+    async requoteOpportunity(opportunity) {
         try {
-            // Hitung swap pertama
-            if (direction) {
-                // PancakeSwap -> BiSwap -> PancakeSwap
-                const amounts1 = await this.pancakeRouter.getAmountsOut(loanAmount, path1);
-                if (!amounts1 || amounts1.length < 2) {
-                    this.logger.log(`Invalid amounts1 result for path ${path1.join(' -> ')}`);
-                    return { success: false };
-                }
-                amountOut1 = amounts1[1];
-            } else {
-                // BiSwap -> PancakeSwap -> BiSwap
-                const amounts1 = await this.biswapRouter.getAmountsOut(loanAmount, path1);
-                if (!amounts1 || amounts1.length < 2) {
-                    this.logger.log(`Invalid amounts1 result for path ${path1.join(' -> ')}`);
-                    return { success: false };
-                }
-                amountOut1 = amounts1[1];
+            const blockNumber = await this.quoteService.refreshBlockNumber();
+            
+            if (opportunity.cycle) {
+                const pools = opportunity.cycle.hops.map(hop => ({ venue: hop.venue, address: hop.pairAddress }));
+                await this.quoteService.loadPools(pools, { blockNumber });
+                return await this.checkCycleOpportunity(opportunity.cycle, blockNumber);
             }
             
-            this.logger.log(`First swap output: ${ethers.utils.formatUnits(amountOut1, tokenBDetails.decimals)} ${tokenBDetails.symbol}`);
+            const { pairConfig, tokenA, tokenB, tokenC } = opportunity;
+            await this.quoteService.loadPools(this.cycleFinder.collectPools([pairConfig]), { blockNumber });
+            return await this.checkArbitrageLoop(pairConfig, tokenA, tokenB, tokenC, blockNumber);
         } catch (error) {
-            this.logger.log(`Error calculating first swap: ${error.message}`);
-            return { success: false };
+            this.logger.error(`Error re-quoting opportunity: ${error.message}`, error);
+            return null;
         }
-        
+    }
+    
+    /**
+     * Mengubah siklus dari graph menjadi objek peluang arbitrage
+     * @param {object} cycle - Siklus dari CycleFinder
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object|null>} Peluang arbitrage jika menguntungkan, null jika tidak
+     */
+    async checkCycleOpportunity(cycle, blockNumber) {
         try {
-            // Hitung swap kedua
-            if (direction) {
-                const amounts2 = await this.biswapRouter.getAmountsOut(amountOut1, path2);
-                if (!amounts2 || amounts2.length < 2) {
-                    this.logger.log(`Invalid amounts2 result for path ${path2.join(' -> ')}`);
-                    return { success: false };
-                }
-                amountOut2 = amounts2[1];
-            } else {
-                const amounts2 = await this.pancakeRouter.getAmountsOut(amountOut1, path2);
-                if (!amounts2 || amounts2.length < 2) {
-                    this.logger.log(`Invalid amounts2 result for path ${path2.join(' -> ')}`);
-                    return { success: false };
-                }
-                amountOut2 = amounts2[1];
+            const tokenDetails = await Promise.all(
+                cycle.tokens.map(token => this.tokenService.getTokenDetails(token))
+            );
+            
+            const unreadable = tokenDetails.filter(details => details.metadataUnavailable);
+            if (unreadable.length > 0) {
+                this.logger.warn(`Skipping cycle: token metadata unavailable for ${unreadable.map(details => details.address).join(', ')}`);
+                return null;
+            }
+            
+            const route = [...tokenDetails, tokenDetails[0]].map(details => details.symbol).join(' -> ');
+            const venues = cycle.hops.map(hop => hop.venue).join('/');
+            this.logger.log(`Checking cycle: ${route} (${venues}, marginal rate ${cycle.rateProduct.toFixed(4)})`);
+            
+            // Kontrak menerima tiga path; pola venue selain X -> Y -> X memerlukan routed execution
+            const execution = this.cycleFinder.toExecutionSegments(cycle);
+            if (!execution || !ArbitrageEncoder.isExecutable(execution.venues)) {
+                this.logger.log(`Cycle ${route} cannot be mapped to an executable three-path format, skipping`);
+                return null;
             }
             
-            this.logger.log(`Second swap output: ${ethers.utils.formatUnits(amountOut2, tokenCDetails.decimals)} ${tokenCDetails.symbol}`);
+            const { segments, venues: segmentVenues } = execution;
+            const loanVenue = cycle.hops[0].venue;
+            if (!dexRegistry.get(loanVenue).supportsFlashLoan) {
+                this.logger.log(`Cycle ${route} starts on ${loanVenue} which cannot provide a flash loan, skipping`);
+                return null;
+            }
+            const [path1, path2, path3] = segments.map(segment => segment.path);
+            const tokenADetails = tokenDetails[0];
+            const tokenBDetails = tokenDetails[cycle.tokens.indexOf(path2[0])];
+            const tokenCDetails = tokenDetails[cycle.tokens.indexOf(path3[0])];
+            const flashLoanPair = cycle.hops[0].pairAddress;
+            
+            const sizing = await this.sizeLoan(cycle.hops, loanVenue, tokenADetails, blockNumber);
+            if (!sizing) {
+                return null;
+            }
+            
+            const loanAmount = sizing.loanAmount;
+            const outputs = await this.quoteSegments(segments, loanAmount, blockNumber);
+            if (!outputs) {
+                return null;
+            }
+            
+            const liquidity = await this.liquidityFilter.analyze(cycle.hops, loanAmount, blockNumber);
+            if (!liquidity.passed) {
+                this.logger.log(`Discarding cycle ${route}: ${liquidity.failures.join('; ')}`);
+                return null;
+            }
+            
+            // Toleransi slippage per hop; segmen V2 gabungan memakai toleransi semua hop-nya
+            const slippage = await this.getSlippageLimits(
+                outputs,
+                segments.map(segment => segment.hops.length),
+                liquidity.hops,
+                loanAmount,
+                loanVenue,
+                flashLoanPair,
+                tokenADetails,
+                blockNumber
+            );
+            if (slippage.minAmountsOut.some(amount => amount.isZero())) {
+                return null;
+            }
+            
+            const arbitrageData = ArbitrageEncoder.buildArbitrageData(
+                [path1, path2, path3],
+                segmentVenues,
+                slippage.minAmountsOut,
+                this.getPathFees(segments.map(segment => segment.hops[0]))
+            );
+            
+            const profitResult = await this.profitCalculator.calculateProfit(
+                arbitrageData,
+                flashLoanPair,
+                loanAmount,
+                loanVenue,
+                tokenADetails,
+                blockNumber
+            );
+            
+            if (!this.profitCalculator.isProfitable(profitResult)) {
+                return null;
+            }
+            
+            const mixedLabel = ArbitrageEncoder.isMixedPoolKinds(segmentVenues)
+                ? ` (mixed ${ArbitrageEncoder.describePoolKinds(arbitrageData.poolKinds)} pools)`
+                : '';
+            this.logger.log(`🚀 Found profitable cycle ${route}${mixedLabel}! Profit: $${profitResult.netProfitUSD.toFixed(2)} (${profitResult.profitPercentage.toFixed(2)}%)`);
+            
+            return {
+                pairConfig: { name: route.replace(/ -> /g, '-'), cycle: true },
+                flashLoanPair,
+                loanVenue,
+                tokenA: cycle.tokens[0],
+                tokenB: path2[0],
+                tokenC: path3[0],
+                tokenADetails,
+                tokenBDetails,
+                tokenCDetails,
+                loanAmount,
+                arbitrageData,
+                profitResult,
+                blockNumber,
+                sizing: sizing.summary,
+                hopVenues: segmentVenues,
+                hopRouters: arbitrageData.routers,
+                poolKinds: arbitrageData.poolKinds,
+                mixedPoolKinds: ArbitrageEncoder.isMixedPoolKinds(segmentVenues),
+                liquidity: liquidity.hops,
+                slippage: this.slippageModel.describe(slippage),
+                direction: arbitrageData.direction,
+                cycle: {
+                    length: cycle.length,
+                    tokens: cycle.tokens,
+                    symbols: tokenDetails.map(details => details.symbol),
+                    hops: cycle.hops,
+                    rateProduct: cycle.rateProduct
+                }
+            };
         } catch (error) {
-            this.logger.log(`Error calculating second swap: ${error.message}`);
-            return { success: false };
+            this.logger.error(`Error in checkCycleOpportunity: ${error.message}`, error);
+            return null;
         }
+    }
+    
+    /**
+     * Menghitung output setiap segmen path secara lokal dari reserve pool
+     * @param {Array} segments - Segmen { venue, path, hops }
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk segmen pertama
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<ethers.BigNumber[]|null>} Output setiap segmen, null jika gagal
+     */
+    async quoteSegments(segments, amountIn, blockNumber) {
+        const outputs = [];
+        let amount = amountIn;
         
         try {
-            // Hitung swap ketiga
-            if (direction) {
-                const amounts3 = await this.pancakeRouter.getAmountsOut(amountOut2, path3);
-                if (!amounts3 || amounts3.length < 2) {
-                    this.logger.log(`Invalid amounts3 result for path ${path3.join(' -> ')}`);
-                    return { success: false };
+            for (const segment of segments) {
+                for (const hop of segment.hops) {
+                    amount = await this.quoteService.quote(hop.pairAddress, hop.venue, hop.tokenIn, amount, blockNumber);
                 }
-                amountOut3 = amounts3[1];
-            } else {
-                const amounts3 = await this.biswapRouter.getAmountsOut(amountOut2, path3);
-                if (!amounts3 || amounts3.length < 2) {
-                    this.logger.log(`Invalid amounts3 result for path ${path3.join(' -> ')}`);
-                    return { success: false };
+                if (amount.isZero()) {
+                    return null;
                 }
-                amountOut3 = amounts3[1];
+                outputs.push(amount);
             }
-            
-            this.logger.log(`Third swap output: ${ethers.utils.formatUnits(amountOut3, tokenADetails.decimals)} ${tokenADetails.symbol}`);
         } catch (error) {
-            this.logger.log(`Error calculating third swap: ${error.message}`);
-            return { success: false };
+            this.logger.log(`Error quoting cycle segments: ${error.message}`);
+            return null;
         }
         
-        // Pastikan semua nilai terdefinisi
-        if (!amountOut1 || !amountOut2 || !amountOut3) {
-            this.logger.log(`Skipping due to undefined output amounts for ${tokenADetails.symbol}`);
-            return { success: false };
+        return outputs;
+    }
+    
+    /**
+     * Menghitung output dari rangkaian swap secara lokal dari reserve pair
+     * @param {object} pairConfig - Konfigurasi token pair
+     * @param {string[]} venues - Venue untuk setiap hop
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string[]} path1 - Path swap pertama
+     * @param {string[]} path2 - Path swap kedua
+     * @param {string[]} path3 - Path swap ketiga
+     * @param {object} tokenADetails - Detail token A
+     * @param {object} tokenBDetails - Detail token B
+     * @param {object} tokenCDetails - Detail token C
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object|null>} Hasil perhitungan, null jika gagal
+     */
+    async calculateSwapOutputs(pairConfig, venues, loanAmount, path1, path2, path3, tokenADetails, tokenBDetails, tokenCDetails, blockNumber) {
+        const hops = [
+            { path: path1, venue: venues[0], outDetails: tokenBDetails, label: 'First' },
+            { path: path2, venue: venues[1], outDetails: tokenCDetails, label: 'Second' },
+            { path: path3, venue: venues[2], outDetails: tokenADetails, label: 'Third' }
+        ];
+        const outputs = [];
+        let amountIn = loanAmount;
+        
+        this.logger.log(`Testing loan amount: ${ethers.utils.formatUnits(loanAmount, tokenADetails.decimals)} ${tokenADetails.symbol}`);
+        
+        for (const hop of hops) {
+            try {
+                const pairAddress = this.findPairAddress(pairConfig, hop.venue, hop.path[0], hop.path[1]);
+                if (!pairAddress) {
+                    this.logger.log(`No ${hop.venue} pair configured for path ${hop.path.join(' -> ')}`);
+                    return { success: false };
+                }
+                
+                const amountOut = await this.quoteService.quote(pairAddress, hop.venue, hop.path[0], amountIn, blockNumber);
+                if (!amountOut || amountOut.isZero()) {
+                    this.logger.log(`Invalid quote for path ${hop.path.join(' -> ')}`);
+                    return { success: false };
+                }
+                
+                this.logger.log(`${hop.label} swap output: ${ethers.utils.formatUnits(amountOut, hop.outDetails.decimals)} ${hop.outDetails.symbol}`);
+                
+                outputs.push(amountOut);
+                amountIn = amountOut;
+            } catch (error) {
+                this.logger.log(`Error calculating ${hop.label.toLowerCase()} swap: ${error.message}`);
+                return { success: false };
+            }
         }
         
         return {
             success: true,
-            amountOut1,
-            amountOut2,
-            amountOut3,
+            amountOut1: outputs[0],
+            amountOut2: outputs[1],
+            amountOut3: outputs[2],
             loanAmount
         };
     }
@@ -0,0 +1,237 @@
+const { ethers } = require('ethers');
+const { GRAPH_MAX_CYCLE_LENGTH } = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+
+/**
+ * CycleFinder - Mencari siklus arbitrage menguntungkan di seluruh graph token.
+ * Setiap pool menjadi dua edge berarah dengan bobot -ln(rate efektif setelah fee),
+ * sehingga siklus menguntungkan adalah siklus dengan total bobot negatif.
+ */
+class CycleFinder {
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.maxLength = options.maxLength || GRAPH_MAX_CYCLE_LENGTH;
+        this.minLength = options.minLength || 3;
+    }
+
+    /**
+     * Mengumpulkan daftar pool unik dari konfigurasi triangle dan hasil discovery
+     * @param {Array} tokenPairs - Konfigurasi triangle (format TOKEN_PAIRS)
+     * @param {Array} discoveredPools - Pool hasil discovery (opsional)
+     * @returns {Array} Daftar pool { venue, address, symbols, tokens }
+     */
+    collectPools(tokenPairs, discoveredPools = []) {
+        const pools = new Map();
+
+        const addPool = (pool) => {
+            const key = pool.address.toLowerCase();
+            if (!pools.has(key)) {
+                pools.set(key, pool);
+            }
+        };
+
+        for (const pairConfig of tokenPairs) {
+            for (const dex of dexRegistry.getAll()) {
+                const venue = dex.id;
+                for (const [key, address] of Object.entries(pairConfig[dex.pairsKey] || {})) {
+                    if (!address) continue;
+
+                    const symbols = key.split('-');
+                    const tokens = symbols.map(symbol => pairConfig.tokens[symbol]);
+                    if (tokens.some(token => !token)) continue;
+
+                    addPool({ venue, address, symbols, tokens });
+                }
+            }
+        }
+
+        for (const pool of discoveredPools) {
+            if (pool.tokens) {
+                addPool(pool);
+            }
+        }
+
+        return Array.from(pools.values());
+    }
+
+    /**
+     * Membangun graph berarah dari state pool
+     * @param {Array} poolStates - Pool dengan reserve { venue, address, token0, token1, reserve0, reserve1 }
+     * @returns {object} { tokens: string[], edges: object[] }
+     */
+    buildGraph(poolStates) {
+        const tokens = new Set();
+        const edges = [];
+
+        for (const pool of poolStates) {
+            if (!pool || pool.reserve0.isZero() || pool.reserve1.isZero()) continue;
+
+            if (!dexRegistry.has(pool.venue)) continue;
+            // Pool V3 membawa fee tier sendiri, reserve-nya adalah reserve virtual rentang aktif
+            const fee = pool.fee || dexRegistry.get(pool.venue).getSwapFee();
+
+            const feeFactor = fee.numerator / fee.denominator;
+            const reserve0 = parseFloat(pool.reserve0.toString());
+            const reserve1 = parseFloat(pool.reserve1.toString());
+
+            const token0 = pool.token0.toLowerCase();
+            const token1 = pool.token1.toLowerCase();
+            tokens.add(token0);
+            tokens.add(token1);
+
+            // Rate marginal (tanpa price impact) dalam unit mentah; decimals saling meniadakan dalam satu siklus
+            const rate01 = (reserve1 / reserve0) * feeFactor;
+            const rate10 = (reserve0 / reserve1) * feeFactor;
+
+            edges.push({ from: token0, to: token1, rate: rate01, weight: -Math.log(rate01), pool });
+            edges.push({ from: token1, to: token0, rate: rate10, weight: -Math.log(rate10), pool });
+        }
+
+        return { tokens: Array.from(tokens), edges };
+    }
+
+    /**
+     * Mencari siklus menguntungkan dengan panjang minLength..maxLength.
+     * Menggunakan Bellman-Ford yang dibatasi jumlah edge dari setiap token awal:
+     * dist[k][v] adalah bobot terkecil walk k-edge dari token awal ke v.
+     * @param {Array} poolStates - Pool dengan reserve
+     * @returns {Array} Siklus diurutkan dari rate product tertinggi
+     */
+    findCycles(poolStates) {
+        const { tokens, edges } = this.buildGraph(poolStates);
+        const cycles = new Map();
+
+        for (const source of tokens) {
+            // dist[k] : Map token -> { weight, edge, prev }
+            const dist = [new Map([[source, { weight: 0, edge: null, prev: null }]])];
+
+            for (let k = 1; k <= this.maxLength; k++) {
+                const layer = new Map();
+
+                for (const edge of edges) {
+                    const from = dist[k - 1].get(edge.from);
+                    if (!from) continue;
+
+                    // Edge kembali ke source hanya boleh menjadi edge penutup
+                    if (edge.to === source && k < this.minLength) continue;
+
+                    const weight = from.weight + edge.weight;
+                    const current = layer.get(edge.to);
+                    if (!current || weight < current.weight) {
+                        layer.set(edge.to, { weight, edge, prev: from });
+                    }
+                }
+
+                dist.push(layer);
+
+                const closing = layer.get(source);
+                if (k >= this.minLength && closing && closing.weight < 0) {
+                    const cycle = this.reconstructCycle(closing, k);
+                    if (cycle) {
+                        const key = this.getCycleKey(cycle);
+                        if (!cycles.has(key)) {
+                            cycles.set(key, cycle);
+                        }
+                    }
+                }
+            }
+        }
+
+        const result = Array.from(cycles.values()).sort((a, b) => b.rateProduct - a.rateProduct);
+        this.logger.log(`Cycle search over ${tokens.length} tokens and ${edges.length} edges found ${result.length} profitable cycles`);
+
+        return result;
+    }
+
+    /**
+     * Rekonstruksi siklus dari rantai predecessor
+     * @param {object} node - Node penutup di layer terakhir
+     * @param {number} length - Jumlah hop
+     * @returns {object|null} Siklus, atau null jika bukan siklus sederhana
+     */
+    reconstructCycle(node, length) {
+        const hops = [];
+        let current = node;
+
+        while (current && current.edge) {
+            hops.unshift(current.edge);
+            current = current.prev;
+        }
+
+        if (hops.length !== length) return null;
+
+        // Tolak walk yang melewati token atau pool yang sama dua kali
+        const visited = new Set(hops.map(edge => edge.from));
+        const usedPools = new Set(hops.map(edge => edge.pool.address.toLowerCase()));
+        if (visited.size !== hops.length || usedPools.size !== hops.length) return null;
+
+        const weight = hops.reduce((sum, edge) => sum + edge.weight, 0);
+
+        return {
+            length,
+            tokens: hops.map(edge => ethers.utils.getAddress(edge.from)),
+            hops: hops.map(edge => ({
+                venue: edge.pool.venue,
+                pairAddress: edge.pool.address,
+                tokenIn: ethers.utils.getAddress(edge.from),
+                tokenOut: ethers.utils.getAddress(edge.to),
+                rate: edge.rate
+            })),
+            weight,
+            rateProduct: Math.exp(-weight)
+        };
+    }
+
+    /**
+     * Key unik siklus yang tidak bergantung pada token awal
+     * @param {object} cycle - Siklus
+     * @returns {string} Key siklus
+     */
+    getCycleKey(cycle) {
+        const pools = cycle.hops.map(hop => hop.pairAddress.toLowerCase());
+        const start = pools.indexOf([...pools].sort()[0]);
+        return [...pools.slice(start), ...pools.slice(0, start)].join('>');
+    }
+
+    /**
+     * Memetakan siklus ke tiga segmen path yang bisa dieksekusi kontrak.
+     * Hop berurutan di venue V2 yang sama digabung menjadi satu segmen sampai tersisa tiga segmen,
+     * sehingga pola X..X, Y..Y, X..X tetap memakai format legacy. Hop V3 dan stable-swap tidak
+     * digabung karena setiap segmen tersebut dieksekusi sebagai satu swap pool.
+     * @param {object} cycle - Siklus
+     * @returns {object|null} { segments, venues } atau null jika tidak bisa dibagi menjadi tiga segmen
+     */
+    toExecutionSegments(cycle) {
+        const segments = cycle.hops.map(hop => ({
+            venue: hop.venue,
+            path: [hop.tokenIn, hop.tokenOut],
+            hops: [hop]
+        }));
+
+        while (segments.length > 3) {
+            const index = segments.findIndex((segment, i) =>
+                i < segments.length - 1 &&
+                segment.venue === segments[i + 1].venue &&
+                dexRegistry.get(segment.venue).type === 'v2'
+            );
+            if (index === -1) {
+                return null;
+            }
+
+            const [next] = segments.splice(index + 1, 1);
+            segments[index].path.push(...next.path.slice(1));
+            segments[index].hops.push(...next.hops);
+        }
+
+        if (segments.length !== 3) {
+            return null;
+        }
+
+        return {
+            segments,
+            venues: segments.map(segment => segment.venue)
+        };
+    }
+}
+
+module.exports = CycleFinder;
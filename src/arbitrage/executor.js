@@ -1,21 +1,38 @@
 const { ethers } = require('ethers');
-const { GAS_LIMIT } = require('../../config/constants');
+const { MAX_QUOTE_AGE_BLOCKS, MIN_PROFIT_PERCENTAGE, WRAPPED_NATIVE, NATIVE_SYMBOL } = require('../../config/constants');
 const { ERC20_ABI, WBNB_ABI } = require('../../config/abi');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const RevertDecoder = require('./revertDecoder');
+const TransactionJournal = require('../utils/transactionJournal');
+const { dexRegistry } = require('../dex');
+
+// Status riwayat eksekusi untuk transaksi yang tidak masuk blok (outcome NonceManager)
+const UNEXECUTED_STATUS = {
+    expired: 'Expired',
+    cancelled: 'Cancelled',
+    replaced: 'Replaced',
+    stuck: 'Stuck',
+    unsent: 'NotSent'
+};
 
 /**
  * ArbitrageExecutor - Bertanggung jawab untuk mengeksekusi transaksi arbitrage
  */
 class ArbitrageExecutor {
-    constructor(flashArbitrageContract, networkService, fileManager, wallet, logger) {
+    constructor(flashArbitrageContract, networkService, fileManager, wallet, nonceManager, logger) {
         this.flashArbitrageContract = flashArbitrageContract;
         this.networkService = networkService;
         this.fileManager = fileManager;
         this.wallet = wallet;
+        this.nonceManager = nonceManager; // Semua transaksi wallet dikirim lewat NonceManager (lihat src/submission)
         this.logger = logger;
         
-        // Setup WBNB contract
-        this.wbnbContract = new ethers.Contract(
-            '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB address
+        // Transaksi eksekusi yang hasilnya belum tercatat, dicocokkan ulang saat startup
+        this.journal = new TransactionJournal(logger);
+        
+        // Setup kontrak wrapper koin native chain (WBNB, WMATIC, WETH)
+        this.wrappedNativeContract = new ethers.Contract(
+            WRAPPED_NATIVE.address,
             WBNB_ABI,
             wallet
         );
@@ -37,14 +54,13 @@ class ArbitrageExecutor {
     /**
      * Memeriksa apakah pair sudah diotorisasi
      * @param {string} pairAddress - Alamat pair
-     * @param {boolean} isPancakeswap - Apakah pair berasal dari PancakeSwap
+     * @param {string} venue - Venue pair (ID di DexRegistry)
      * @returns {Promise<boolean>} Status otorisasi
      */
-    async isPairAuthorized(pairAddress, isPancakeswap) {
+    async isPairAuthorized(pairAddress, venue) {
         try {
-            const isAuthorized = isPancakeswap
-                ? await this.flashArbitrageContract.authorizedPancakeswapPairs(pairAddress)
-                : await this.flashArbitrageContract.authorizedBiswapPairs(pairAddress);
+            // Metode otorisasi ditentukan oleh adapter DEX
+            const isAuthorized = await dexRegistry.get(venue).isPairAuthorized(this.flashArbitrageContract, pairAddress);
             
             return isAuthorized;
         } catch (error) {
@@ -56,10 +72,10 @@ class ArbitrageExecutor {
     /**
      * Mengotorisasi pair untuk digunakan dalam flash loan
      * @param {string} pairAddress - Alamat pair
-     * @param {boolean} isPancakeswap - Apakah pair berasal dari PancakeSwap
+     * @param {string} venue - Venue pair (ID di DexRegistry)
      * @returns {Promise<boolean>} Berhasil atau tidak
      */
-    async authorizePair(pairAddress, isPancakeswap) {
+    async authorizePair(pairAddress, venue) {
         try {
             // Periksa apakah wallet adalah owner kontrak
             const contractOwner = await this.flashArbitrageContract.owner();
@@ -70,15 +86,18 @@ class ArbitrageExecutor {
             }
             
             // Otorisasi pair
-            this.logger.log(`Authorizing pair ${pairAddress} (isPancakeswap: ${isPancakeswap})`);
+            const dex = dexRegistry.get(venue);
+            this.logger.log(`Authorizing pair ${pairAddress} (${dex.name}, method: ${dex.authorization})`);
             
-            const tx = await this.flashArbitrageContract.updateAuthorizedPair(
-                pairAddress,
-                true,
-                isPancakeswap
-            );
+            const txRequest = await dex.populateAuthorizePair(this.flashArbitrageContract, pairAddress);
+            const submission = await this.nonceManager.submit(txRequest, `authorize ${pairAddress}`);
+            const outcome = await submission.wait();
+            
+            if (outcome.status !== 'mined' || outcome.receipt.status !== 1) {
+                this.logger.warn(`Authorization of ${pairAddress} did not succeed (${outcome.status}${outcome.receipt ? ', reverted' : ''})`);
+                return false;
+            }
             
-            await tx.wait();
             this.logger.log(`✅ Successfully authorized ${pairAddress}`);
             
             return true;
@@ -88,6 +107,156 @@ class ArbitrageExecutor {
         }
     }
     
+    /**
+     * Memeriksa apakah quote peluang masih cukup baru untuk dieksekusi
+     * @param {number} quoteBlockNumber - Blok tempat semua read peluang dipatok
+     * @returns {Promise<boolean>} True jika chain belum bergerak lebih dari MAX_QUOTE_AGE_BLOCKS blok
+     */
+    async isQuoteFresh(quoteBlockNumber) {
+        if (!quoteBlockNumber) {
+            this.logger.warn('Opportunity has no quote block number. Refusing to execute.');
+            return false;
+        }
+        
+        const currentBlock = await this.wallet.provider.getBlockNumber();
+        const age = currentBlock - quoteBlockNumber;
+        
+        if (age > MAX_QUOTE_AGE_BLOCKS) {
+            this.logger.warn(`Quote from block ${quoteBlockNumber} is ${age} blocks old (max ${MAX_QUOTE_AGE_BLOCKS}), current block ${currentBlock}. Refusing to execute.`);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Simulasi transaksi eksekusi yang sama persis (callStatic dari wallet bot, gas limit rute dan gas price sama)
+     * terhadap blok pending, lalu membaca ulang profit dari fungsi simulasi kontrak pada blok yang sama.
+     * Profit token dikonversi ke USD dengan harga token saat scan (loanAmountUSD / loanAmount).
+     * @param {object} opportunity - Objek peluang arbitrage
+     * @param {string} method - Fungsi eksekusi kontrak
+     * @param {Array} args - Argumen fungsi eksekusi
+     * @param {ethers.BigNumber} gasPrice - Gas price transaksi
+     * @returns {Promise<object>} { blockTag, success, revertReason, failureCategory, error, expectedUserProfit, profitUSD, netProfitUSD, profitPercentage, isProfit }
+     */
+    async simulateExecution(opportunity, method, args, gasPrice) {
+        const { arbitrageData, loanAmount, loanVenue, tokenADetails, profitResult } = opportunity;
+        const simulation = {
+            blockTag: 'pending',
+            success: false,
+            revertReason: null,
+            failureCategory: null,
+            error: null,
+            expectedUserProfit: null,
+            profitUSD: null,
+            netProfitUSD: null,
+            profitPercentage: null,
+            isProfit: false
+        };
+        
+        try {
+            await this.flashArbitrageContract.callStatic[method](
+                ...args,
+                {
+                    gasLimit: profitResult.gasLimit,
+                    gasPrice: gasPrice,
+                    blockTag: 'pending'
+                }
+            );
+            simulation.success = true;
+        } catch (error) {
+            const failure = RevertDecoder.decode(error);
+            simulation.revertReason = failure.reason;
+            simulation.failureCategory = failure.category;
+            return simulation;
+        }
+        
+        try {
+            const profitability = ArbitrageEncoder.getProfitabilityCall(arbitrageData, loanAmount, loanVenue);
+            const [, , expectedUserProfit] = await this.flashArbitrageContract[profitability.method](
+                ...profitability.args,
+                { blockTag: 'pending' }
+            );
+            
+            const loanTokens = parseFloat(ethers.utils.formatUnits(loanAmount, tokenADetails.decimals));
+            const tokenPriceUSD = loanTokens > 0 ? profitResult.loanAmountUSD / loanTokens : 0;
+            
+            simulation.expectedUserProfit = ethers.utils.formatUnits(expectedUserProfit, tokenADetails.decimals);
+            simulation.profitUSD = parseFloat(simulation.expectedUserProfit) * tokenPriceUSD;
+            simulation.netProfitUSD = simulation.profitUSD - profitResult.gasCostUSD;
+            simulation.profitPercentage = profitResult.loanAmountUSD > 0
+                ? (simulation.netProfitUSD / profitResult.loanAmountUSD) * 100
+                : 0;
+            simulation.isProfit = simulation.profitPercentage >= MIN_PROFIT_PERCENTAGE;
+        } catch (error) {
+            this.logger.error(`Error reading simulated profit: ${error.message}`, error);
+            simulation.error = `profitability check failed: ${RevertDecoder.decodeReason(error)}`;
+        }
+        
+        return simulation;
+    }
+    
+    /**
+     * Alasan dan kategori kegagalan transaksi yang masuk blok tetapi revert. Transaksi yang memakai seluruh
+     * gas limit dianggap kehabisan gas; selain itu transaksi di-replay dengan eth_call pada blok receipt
+     * (state setelah blok, termasuk transaksi pesaing yang mendahuluinya) untuk membaca data revert.
+     * @param {object} entry - Entri jurnal (calldata dan gas limit transaksi)
+     * @param {object} receipt - Receipt transaksi
+     * @returns {Promise<object>} { reason, category }
+     */
+    async diagnoseFailure(entry, receipt) {
+        const gasLimit = entry.record.gasLimit;
+        if (gasLimit && receipt.gasUsed.gte(gasLimit)) {
+            return { reason: `out of gas (used ${receipt.gasUsed.toString()} of ${gasLimit})`, category: 'out-of-gas' };
+        }
+        
+        if (!entry.request) {
+            return { reason: 'reverted (calldata unavailable for replay)', category: 'unknown' };
+        }
+        
+        try {
+            await this.wallet.provider.call({
+                from: this.wallet.address,
+                to: entry.request.to,
+                data: entry.request.data,
+                gasLimit: gasLimit || undefined
+            }, receipt.blockNumber);
+            return { reason: 'reverted on-chain, replay did not revert', category: 'unknown' };
+        } catch (error) {
+            return RevertDecoder.decode(error);
+        }
+    }
+    
+    /**
+     * Record riwayat eksekusi untuk sebuah peluang
+     * @param {object} opportunity - Objek peluang arbitrage
+     * @param {object} fields - Field hasil eksekusi (txHash, status, simulation, gas, dll)
+     * @returns {object} Record riwayat eksekusi
+     */
+    createExecutionRecord(opportunity, fields) {
+        const { loanAmount, arbitrageData, tokenADetails, profitResult, liquidity, slippage, blockNumber } = opportunity;
+        
+        return {
+            timestamp: new Date().toISOString(),
+            txHash: null,
+            tokenSymbol: tokenADetails.symbol,
+            borrowAmount: ethers.utils.formatUnits(loanAmount, tokenADetails.decimals),
+            venues: arbitrageData.venues,
+            routers: arbitrageData.routers,
+            poolKinds: arbitrageData.poolKinds,
+            liquidity,
+            slippage: slippage || null,
+            quoteBlockNumber: blockNumber,
+            blockNumber: null,
+            gasLimit: profitResult.gasLimit ? profitResult.gasLimit.toString() : null,
+            gasEstimateSource: profitResult.gasEstimateSource || null,
+            gasBid: profitResult.gasBid || null,
+            profitUSD: profitResult.profitUSD,
+            profitPercentage: profitResult.profitPercentage,
+            ...fields
+        };
+    }
+    
     /**
      * Mengeksekusi arbitrage
      * @param {object} opportunity - Objek peluang arbitrage
@@ -99,12 +268,13 @@ class ArbitrageExecutor {
                 flashLoanPair,
                 loanAmount,
                 arbitrageData,
-                direction,
+                loanVenue,
                 tokenADetails,
-                profitResult
+                profitResult,
+                blockNumber
             } = opportunity;
             
-            this.logger.log(`Executing arbitrage: ${direction ? 'PancakeSwap' : 'BiSwap'} -> ${direction ? 'BiSwap' : 'PancakeSwap'} -> ${direction ? 'PancakeSwap' : 'BiSwap'}`);
+            this.logger.log(`Executing arbitrage: ${arbitrageData.venues.join(' -> ')} (${arbitrageData.encoding} encoding)`);
             
             // Validasi parameter sebelum memanggil
             if (!flashLoanPair || !ethers.utils.isAddress(flashLoanPair)) {
@@ -134,13 +304,13 @@ class ArbitrageExecutor {
             }
             
             // Periksa apakah pair sudah diotorisasi
-            const isAuthorized = await this.isPairAuthorized(flashLoanPair, direction);
+            const isAuthorized = await this.isPairAuthorized(flashLoanPair, loanVenue);
             
             if (!isAuthorized) {
                 this.logger.warn(`Pair ${flashLoanPair} is not authorized. Attempting to authorize...`);
                 
                 // Coba otorisasi pair
-                const authSuccess = await this.authorizePair(flashLoanPair, direction);
+                const authSuccess = await this.authorizePair(flashLoanPair, loanVenue);
                 
                 if (!authSuccess) {
                     this.logger.warn(`Could not authorize pair. Aborting execution.`);
@@ -156,80 +326,126 @@ class ArbitrageExecutor {
                 return false;
             }
             
-            // Dapatkan gas price
-            const gasPrice = await this.networkService.getGasPrice(1.1); // 10% buffer
+            // Quote tidak boleh tertinggal terlalu jauh dari chain (otorisasi pair di atas bisa memakan beberapa blok)
+            if (!(await this.isQuoteFresh(blockNumber))) {
+                return false;
+            }
             
-            // Konversi data arbitrage ke format array untuk panggilan kontrak
-            const arbitrageArrayData = [
-                arbitrageData.path1,
-                arbitrageData.path2,
-                arbitrageData.path3,
-                arbitrageData.minAmountsOut,
-                arbitrageData.direction
-            ];
+            // Gas price dari kebijakan bid yang sama dengan perhitungan profit
+            const gasPrice = profitResult.gasPrice;
             
-            // Eksekusi transaksi
-            this.logger.log(`Sending transaction with gas price: ${ethers.utils.formatUnits(gasPrice, 'gwei')} Gwei, gas limit: ${GAS_LIMIT}`);
+            // Fungsi dan argumen kontrak sesuai encoding arbitrageData (legacy atau router per hop)
+            const { method, args } = ArbitrageEncoder.getExecuteCall(arbitrageData, flashLoanPair, loanAmount, loanVenue);
             
-            const tx = await this.flashArbitrageContract.executeFlashLoan(
-                flashLoanPair,
-                loanAmount,
-                arbitrageArrayData,
-                direction,
+            // Simulasi transaksi yang sama terhadap blok pending; broadcast hanya jika tidak revert dan profit masih cukup
+            const simulation = await this.simulateExecution(opportunity, method, args, gasPrice);
+            
+            if (!simulation.success || !simulation.isProfit) {
+                const reason = !simulation.success
+                    ? `reverted: ${simulation.revertReason}`
+                    : simulation.error || `net profit ${simulation.profitPercentage.toFixed(2)}% below ${MIN_PROFIT_PERCENTAGE}%`;
+                this.logger.warn(`Pre-flight simulation of ${method} ${reason}. Not broadcasting.`);
+                
+                this.fileManager.addExecutionRecord(this.createExecutionRecord(opportunity, {
+                    simulation,
+                    failureReason: simulation.revertReason,
+                    failureCategory: simulation.failureCategory,
+                    status: simulation.success ? 'SimulationUnprofitable' : 'SimulationReverted'
+                }));
+                if (simulation.failureCategory) {
+                    this.fileManager.countFailure(simulation.failureCategory);
+                }
+                return false;
+            }
+            
+            this.logger.log(`Pre-flight simulation passed: net profit $${simulation.netProfitUSD.toFixed(2)} (${simulation.profitPercentage.toFixed(2)}%)`);
+            
+            // Eksekusi transaksi lewat backend pengiriman (RPC publik atau relay privat)
+            this.logger.log(`Sending ${method} via ${this.nonceManager.mode} submission with gas price: ${ethers.utils.formatUnits(gasPrice, 'gwei')} Gwei, gas limit: ${profitResult.gasLimit.toString()} (${profitResult.gasEstimateSource})`);
+            
+            const txRequest = await this.flashArbitrageContract.populateTransaction[method](
+                ...args,
                 {
-                    gasLimit: GAS_LIMIT,
+                    gasLimit: profitResult.gasLimit,
                     gasPrice: gasPrice
                 }
             );
             
-            this.logger.log(`Transaction sent: ${tx.hash}`);
-            
-            // Tunggu transaksi selesai
-            this.logger.log(`Waiting for transaction to be mined...`);
-            const receipt = await tx.wait();
-            
-            // Hitung biaya gas
-            const gasCost = receipt.gasUsed.mul(gasPrice);
-            const gasCostEth = ethers.utils.formatEther(gasCost);
-            const gasCostUSD = profitResult.gasCostUSD;
-            
-            // Rekam eksekusi
-            const executionRecord = {
-                timestamp: new Date().toISOString(),
-                txHash: receipt.transactionHash,
-                tokenSymbol: tokenADetails.symbol,
-                borrowAmount: ethers.utils.formatUnits(loanAmount, tokenADetails.decimals),
+            // Dicatat di jurnal sebelum dikirim; setiap hash yang dikirim untuk nonce ini ditambahkan ke entri
+            const journalEntry = this.journal.add({
+                label: `${method} ${tokenADetails.symbol}`,
+                mode: this.nonceManager.mode,
+                pairName: tokenADetails.symbol,
                 profitUSD: profitResult.profitUSD,
-                profitPercentage: profitResult.profitPercentage,
-                gasUsed: receipt.gasUsed.toString(),
+                gasCostUSD: profitResult.gasCostUSD,
                 gasPrice: gasPrice.toString(),
-                gasCostUSD: gasCostUSD,
-                status: receipt.status === 1 ? 'Success' : 'Failed'
-            };
-            
-            this.fileManager.addExecutionRecord(executionRecord);
-            
-            // Update statistik performa
-            this.fileManager.updatePerformanceStats(
-                tokenADetails.symbol,
-                profitResult.profitUSD,
-                gasCostUSD,
-                receipt.status === 1
-            );
+                request: { to: txRequest.to, data: txRequest.data },
+                record: this.createExecutionRecord(opportunity, { simulation })
+            });
+            
+            let submission;
+            try {
+                submission = await this.nonceManager.submit(
+                    txRequest,
+                    journalEntry.label,
+                    sent => this.journal.recordTransaction(journalEntry, sent),
+                    // Calldata arbitrage tidak dikirim ulang setelah quote-nya melewati MAX_QUOTE_AGE_BLOCKS
+                    { speedUp: false }
+                );
+            } catch (error) {
+                // Nonce dan hash sudah tercatat: transaksi mungkin sudah dikirim, hasilnya ditentukan dari chain lewat nonce
+                if (journalEntry.nonce !== null) {
+                    this.logger.error(`Error after signing ${method} with nonce ${journalEntry.nonce}: ${error.message}`, error);
+                    this.waitForJournaledTransaction(journalEntry);
+                    return false;
+                }
+                
+                // Tidak pernah ditandatangani (misalnya nonce lain macet atau signer menolak); dicatat tanpa transaksi
+                this.journal.remove(journalEntry);
+                const failure = RevertDecoder.decode(error);
+                this.logger.error(`Failed to submit ${method} (${failure.category}): ${failure.reason}`, error);
+                
+                this.fileManager.addExecutionRecord(this.createExecutionRecord(opportunity, {
+                    simulation,
+                    failureReason: failure.reason,
+                    failureCategory: failure.category,
+                    status: 'SubmissionFailed'
+                }));
+                this.fileManager.countFailure(failure.category);
+                return false;
+            }
+            this.journal.update(journalEntry, { bundleHash: submission.bundleHash });
+            
+            this.logger.log(`Transaction sent: ${submission.hash} (nonce ${submission.nonce})`);
+            
+            // Tunggu transaksi selesai: transaksi macet dipercepat/dibatalkan, bundle relay bisa kedaluwarsa
+            this.logger.log(`Waiting for transaction to be mined...`);
+            const outcome = await submission.wait();
+            const executionRecord = await this.recordOutcome(journalEntry, outcome);
+            
+            if (outcome.status !== 'mined') {
+                this.logger.warn(`Transaction ${submission.hash} (nonce ${submission.nonce}) was not executed: ${outcome.status}`);
+                return false;
+            }
+            
+            // Biaya gas (gas price sebenarnya bisa lebih tinggi jika transaksi dipercepat)
+            const receipt = outcome.receipt;
+            const gasCostEth = ethers.utils.formatEther(receipt.gasUsed.mul(executionRecord.gasPrice));
+            const gasCostUSD = executionRecord.gasCostUSD;
             
             if (receipt.status === 1) {
                 this.logger.log(`🎉 Arbitrage execution successful! Profit: $${profitResult.profitUSD.toFixed(2)}`);
                 
-                // Jika profit dalam WBNB, konversi ke BNB native
-                if (tokenADetails.symbol === 'WBNB') {
-                    await this.convertWBNBtoBNB();
+                // Jika profit dalam wrapper native (misalnya WBNB), konversi ke koin native
+                if (tokenADetails.address.toLowerCase() === WRAPPED_NATIVE.address.toLowerCase()) {
+                    await this.convertWrappedToNative();
                 }
             } else {
-                this.logger.log(`❌ Arbitrage execution failed!`);
+                this.logger.log(`❌ Arbitrage execution failed! (${executionRecord.failureCategory}: ${executionRecord.failureReason})`);
             }
             
             // Log gas yang digunakan
-            this.logger.log(`Gas used: ${receipt.gasUsed.toString()}, Gas cost: ${gasCostEth} BNB ($${gasCostUSD.toFixed(2)})`);
+            this.logger.log(`Gas used: ${receipt.gasUsed.toString()}, Gas cost: ${gasCostEth} ${NATIVE_SYMBOL} ($${gasCostUSD.toFixed(2)})`);
             
             return receipt.status === 1;
         } catch (error) {
@@ -239,46 +455,170 @@ class ArbitrageExecutor {
     }
     
     /**
-     * Konversi WBNB ke BNB native
+     * Mencatat hasil akhir transaksi jurnal ke riwayat eksekusi dan statistik performa, lalu menghapus entri jurnal.
+     * Statistik hanya diperbarui untuk transaksi yang masuk blok (sukses atau gagal); kegagalan diberi kategori.
+     * @param {object} entry - Entri jurnal
+     * @param {object} outcome - { status, receipt, hash } dari NonceManager, atau status 'unsent'
+     * @returns {Promise<object>} Record riwayat eksekusi
+     */
+    async recordOutcome(entry, outcome) {
+        const { receipt } = outcome;
+        const submission = {
+            mode: entry.mode,
+            hash: outcome.hash || (entry.transactions.length > 0 ? entry.transactions[0].hash : null),
+            bundleHash: entry.bundleHash || null,
+            nonce: entry.nonce,
+            status: outcome.status
+        };
+        
+        const record = {
+            ...entry.record,
+            timestamp: new Date().toISOString(),
+            journalId: entry.id,
+            submission
+        };
+        
+        if (outcome.status !== 'mined') {
+            Object.assign(record, {
+                txHash: outcome.hash,
+                blockNumber: receipt ? receipt.blockNumber : null,
+                gasUsed: receipt ? receipt.gasUsed.toString() : null,
+                status: UNEXECUTED_STATUS[outcome.status]
+            });
+            this.fileManager.addExecutionRecord(record);
+            this.journal.remove(entry);
+            return record;
+        }
+        
+        const success = receipt.status === 1;
+        const failure = success ? null : await this.diagnoseFailure(entry, receipt);
+        const effectiveGasPrice = receipt.effectiveGasPrice || ethers.BigNumber.from(entry.gasPrice);
+        Object.assign(record, {
+            txHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            gasPrice: effectiveGasPrice.toString(),
+            gasCostUSD: entry.gasCostUSD,
+            failureReason: failure ? failure.reason : null,
+            failureCategory: failure ? failure.category : null,
+            status: success ? 'Success' : 'Failed'
+        });
+        
+        this.fileManager.addExecutionRecord(record);
+        this.fileManager.updatePerformanceStats(entry.pairName, entry.profitUSD, entry.gasCostUSD, success, record.failureCategory);
+        this.journal.remove(entry);
+        return record;
+    }
+    
+    /**
+     * Mencocokkan entri jurnal dari proses sebelumnya dengan chain dan mencatat hasilnya ke riwayat dan statistik.
+     * Nonce yang masih tertunda dan dilacak NonceManager ditunggu di background (dipercepat/dibatalkan seperti
+     * biasa); karena itu dipanggil setelah NonceManager.initialize().
+     */
+    async reconcileJournal() {
+        const entries = [...this.journal.entries];
+        if (entries.length === 0) {
+            return;
+        }
+        
+        this.logger.log(`Reconciling ${entries.length} journaled transactions from a previous run`);
+        
+        for (const entry of entries) {
+            try {
+                // Hasil sudah tercatat tetapi proses berhenti sebelum entri dihapus
+                if (this.fileManager.executionHistory.some(record => record.journalId === entry.id)) {
+                    this.journal.remove(entry);
+                    continue;
+                }
+                
+                // Proses berhenti sebelum transaksi ditandatangani; nonce dan hash dicatat sebelum dikirim,
+                // jadi transaksi ini tidak pernah dikirim
+                if (entry.nonce === null) {
+                    this.logger.warn(`Journaled ${entry.label} from ${entry.createdAt} was never signed, recording as not sent`);
+                    await this.recordOutcome(entry, { status: 'unsent', receipt: null, hash: null });
+                    continue;
+                }
+                
+                const outcome = await this.nonceManager.checkEntry(entry);
+                if (outcome) {
+                    const record = await this.recordOutcome(entry, outcome);
+                    this.logger.log(`Recovered ${entry.label} (nonce ${entry.nonce}): ${record.status}${outcome.hash ? ` (${outcome.hash})` : ''}`);
+                    continue;
+                }
+                
+                if (this.nonceManager.nextNonce === null) {
+                    this.logger.warn(`Journaled ${entry.label} (nonce ${entry.nonce}) is still pending; it will be reconciled once execution is enabled`);
+                    continue;
+                }
+                
+                this.waitForJournaledTransaction(entry);
+            } catch (error) {
+                this.logger.error(`Error reconciling journaled ${entry.label}: ${error.message}`, error);
+            }
+        }
+    }
+    
+    /**
+     * Menunggu transaksi jurnal yang masih tertunda di background lalu mencatat hasilnya
+     * @param {object} entry - Entri jurnal
+     */
+    waitForJournaledTransaction(entry) {
+        this.logger.log(`Journaled ${entry.label} (nonce ${entry.nonce}) is still pending, waiting in background`);
+        
+        this.nonceManager.waitForNonce(entry.nonce, sent => this.journal.recordTransaction(entry, sent))
+            .then(async outcome => {
+                // Nonce tidak dilacak dan belum terpakai: bundle relay yang tidak pernah masuk blok
+                const record = await this.recordOutcome(entry, outcome || { status: 'expired', receipt: null, hash: null });
+                this.logger.log(`Recovered ${entry.label} (nonce ${entry.nonce}): ${record.status}`);
+            })
+            .catch(error => {
+                this.logger.error(`Error waiting for journaled ${entry.label}: ${error.message}`, error);
+            });
+    }
+    
+    /**
+     * Konversi wrapper native (misalnya WBNB) ke koin native chain
      * @returns {Promise<boolean>} Status keberhasilan konversi
      */
-    async convertWBNBtoBNB() {
+    async convertWrappedToNative() {
+        const wrapped = WRAPPED_NATIVE.symbol;
         try {
-            this.logger.log('Converting WBNB profits to native BNB...');
+            this.logger.log(`Converting ${wrapped} profits to native ${NATIVE_SYMBOL}...`);
             
-            // Dapatkan saldo WBNB
-            const wbnbContract = new ethers.Contract(
-                '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB address
+            // Dapatkan saldo wrapper native
+            const wrappedToken = new ethers.Contract(
+                WRAPPED_NATIVE.address,
                 ERC20_ABI,
                 this.wallet.provider
             );
             
-            const wbnbBalance = await wbnbContract.balanceOf(this.wallet.address);
+            const wrappedBalance = await wrappedToken.balanceOf(this.wallet.address);
             
-            if (!wbnbBalance || wbnbBalance.isZero()) {
-                this.logger.log('No WBNB balance to convert');
+            if (!wrappedBalance || wrappedBalance.isZero()) {
+                this.logger.log(`No ${wrapped} balance to convert`);
                 return false;
             }
             
-            this.logger.log(`Found ${ethers.utils.formatEther(wbnbBalance)} WBNB to convert to BNB`);
+            this.logger.log(`Found ${ethers.utils.formatEther(wrappedBalance)} ${wrapped} to convert to ${NATIVE_SYMBOL}`);
             
-            // Gunakan fungsi withdraw dari kontrak WBNB
-            const tx = await this.wbnbContract.withdraw(wbnbBalance);
+            // Gunakan fungsi withdraw dari kontrak wrapper
+            const txRequest = await this.wrappedNativeContract.populateTransaction.withdraw(wrappedBalance);
+            const submission = await this.nonceManager.submit(txRequest, `unwrap ${wrapped}`);
             
-            this.logger.log(`WBNB to BNB conversion transaction sent: ${tx.hash}`);
+            this.logger.log(`${wrapped} to ${NATIVE_SYMBOL} conversion transaction sent: ${submission.hash}`);
             
             // Tunggu transaksi selesai
-            const receipt = await tx.wait();
+            const outcome = await submission.wait();
             
-            if (receipt.status === 1) {
-                this.logger.log(`Successfully converted ${ethers.utils.formatEther(wbnbBalance)} WBNB to BNB`);
+            if (outcome.status === 'mined' && outcome.receipt.status === 1) {
+                this.logger.log(`Successfully converted ${ethers.utils.formatEther(wrappedBalance)} ${wrapped} to ${NATIVE_SYMBOL}`);
                 return true;
             } else {
-                this.logger.log('WBNB to BNB conversion failed');
+                this.logger.log(`${wrapped} to ${NATIVE_SYMBOL} conversion failed (${outcome.status})`);
                 return false;
             }
         } catch (error) {
-            this.logger.error(`Error converting WBNB to BNB: ${error.message}`, error);
+            this.logger.error(`Error converting ${wrapped} to ${NATIVE_SYMBOL}: ${error.message}`, error);
             return false;
         }
     }
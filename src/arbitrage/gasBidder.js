@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+const {
+    MAX_GAS_PRICE_GWEI,
+    GAS_BID_PREMIUM_PERCENT,
+    GAS_BID_COMPETITION_PERCENTILE,
+    GAS_BID_FAILURE_PREMIUM_PERCENT,
+    GAS_BID_MAX_PROFIT_PERCENT,
+    GAS_HISTORY_SAMPLES
+} = require('../../config/constants');
+
+/**
+ * GasBidder - Kebijakan gas price untuk transaksi eksekusi.
+ *
+ * Bid awal adalah gas price jaringan ditambah GAS_BID_PREMIUM_PERCENT, plus GAS_BID_FAILURE_PREMIUM_PERCENT
+ * untuk setiap eksekusi yang gagal di chain di antara GAS_HISTORY_SAMPLES eksekusi terakhir (kalah bersaing),
+ * dan minimal persentil GAS_BID_COMPETITION_PERCENTILE gas price blok terbaru. Bid dibatasi MAX_GAS_PRICE_GWEI
+ * dan sebesar-besarnya GAS_BID_MAX_PROFIT_PERCENT dari profit kotor. Jika batas itu di bawah gas price
+ * jaringan, peluang tidak layak dieksekusi.
+ */
+class GasBidder {
+    constructor(networkService, fileManager, logger) {
+        this.networkService = networkService;
+        this.fileManager = fileManager;
+        this.logger = logger;
+    }
+
+    /**
+     * Gas price untuk sebuah peluang
+     * @param {number} grossProfitUSD - Profit sebelum biaya gas (USD)
+     * @param {ethers.BigNumber} gasLimit - Gas limit transaksi
+     * @param {number} nativePriceUSD - Harga koin native (USD)
+     * @returns {Promise<object>} { gasPrice, marketGasPrice, competitionGasPrice, premiumPercent, limitedBy, viable }
+     */
+    async getBid(grossProfitUSD, gasLimit, nativePriceUSD) {
+        const bid = await this.getMarketBid();
+        const { marketGasPrice } = bid;
+        let { gasPrice, limitedBy } = bid;
+
+        const profitShareGasPrice = this.getProfitShareGasPrice(grossProfitUSD, gasLimit, nativePriceUSD);
+        if (gasPrice.gt(profitShareGasPrice)) {
+            gasPrice = profitShareGasPrice;
+            limitedBy = 'profit share';
+        }
+
+        // Bid di bawah gas price jaringan tidak akan cepat masuk blok; biaya dihitung dengan harga jaringan
+        const viable = gasPrice.gte(marketGasPrice);
+
+        return {
+            ...bid,
+            gasPrice: viable ? gasPrice : marketGasPrice,
+            limitedBy,
+            viable
+        };
+    }
+
+    /**
+     * Bid sebelum batas profit: gas price jaringan plus premium, minimal persentil kompetisi, dibatasi
+     * MAX_GAS_PRICE_GWEI. Batas profit hanya bisa menurunkan bid, sehingga biaya gas dari bid ini adalah
+     * biaya tertinggi yang akan dibayar (dipakai untuk sizing pinjaman sebelum profit diketahui).
+     * @returns {Promise<object>} { gasPrice, marketGasPrice, competitionGasPrice, premiumPercent, limitedBy }
+     */
+    async getMarketBid() {
+        const marketGasPrice = await this.networkService.getGasPrice(1);
+        const premiumPercent = GAS_BID_PREMIUM_PERCENT + this.countRecentFailures() * GAS_BID_FAILURE_PREMIUM_PERCENT;
+
+        let gasPrice = marketGasPrice.mul(Math.round((100 + premiumPercent) * 100)).div(10000);
+        let limitedBy = 'market';
+
+        const competitionGasPrice = GAS_BID_COMPETITION_PERCENTILE > 0
+            ? await this.networkService.getBlockGasPricePercentile(GAS_BID_COMPETITION_PERCENTILE)
+            : null;
+        if (competitionGasPrice && competitionGasPrice.gt(gasPrice)) {
+            gasPrice = competitionGasPrice;
+            limitedBy = 'competition';
+        }
+
+        const maxGasPrice = ethers.utils.parseUnits(MAX_GAS_PRICE_GWEI.toString(), 'gwei');
+        if (gasPrice.gt(maxGasPrice)) {
+            gasPrice = maxGasPrice;
+            limitedBy = 'max gas price';
+        }
+
+        return { gasPrice, marketGasPrice, competitionGasPrice, premiumPercent, limitedBy };
+    }
+
+    /**
+     * Gas price tertinggi yang biayanya masih di bawah GAS_BID_MAX_PROFIT_PERCENT dari profit kotor
+     * @param {number} grossProfitUSD - Profit sebelum biaya gas (USD)
+     * @param {ethers.BigNumber} gasLimit - Gas limit transaksi
+     * @param {number} nativePriceUSD - Harga koin native (USD)
+     * @returns {ethers.BigNumber} Gas price maksimum
+     */
+    getProfitShareGasPrice(grossProfitUSD, gasLimit, nativePriceUSD) {
+        if (!(grossProfitUSD > 0) || !(nativePriceUSD > 0) || gasLimit.isZero()) {
+            return ethers.BigNumber.from(0);
+        }
+
+        const budgetNative = (grossProfitUSD * GAS_BID_MAX_PROFIT_PERCENT / 100) / nativePriceUSD;
+        return ethers.utils.parseEther(budgetNative.toFixed(18)).div(gasLimit);
+    }
+
+    /**
+     * Jumlah eksekusi yang masuk blok tetapi gagal di antara GAS_HISTORY_SAMPLES eksekusi terakhir yang dikirim
+     * @returns {number} Jumlah kegagalan
+     */
+    countRecentFailures() {
+        const sent = this.fileManager.executionHistory
+            .filter(record => record.status === 'Success' || record.status === 'Failed')
+            .slice(-GAS_HISTORY_SAMPLES);
+
+        return sent.filter(record => record.status === 'Failed').length;
+    }
+
+    /**
+     * Ringkasan bid untuk log dan riwayat eksekusi (dalam Gwei)
+     * @param {object} bid - Hasil getBid
+     * @returns {object} { gasPriceGwei, marketGasPriceGwei, competitionGasPriceGwei, premiumPercent, limitedBy, viable }
+     */
+    describe(bid) {
+        const gwei = value => (value ? ethers.utils.formatUnits(value, 'gwei') : null);
+
+        return {
+            gasPriceGwei: gwei(bid.gasPrice),
+            marketGasPriceGwei: gwei(bid.marketGasPrice),
+            competitionGasPriceGwei: gwei(bid.competitionGasPrice),
+            premiumPercent: bid.premiumPercent,
+            limitedBy: bid.limitedBy,
+            viable: bid.viable
+        };
+    }
+}
+
+module.exports = GasBidder;
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const {
+    GAS_LIMIT,
+    GAS_LIMIT_MARGIN_PERCENT,
+    GAS_HISTORY_SAMPLES,
+    GAS_BASELINE_OVERHEAD,
+    GAS_BASELINE_V2_HOP,
+    GAS_BASELINE_V3_HOP,
+    GAS_BASELINE_STABLE_HOP
+} = require('../../config/constants');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+
+// Gas per hop untuk estimasi baseline, sesuai jenis pool
+const BASELINE_HOP_GAS = {
+    v2: GAS_BASELINE_V2_HOP,
+    v3: GAS_BASELINE_V3_HOP,
+    stable: GAS_BASELINE_STABLE_HOP
+};
+
+/**
+ * GasEstimator - Estimasi gas limit transaksi eksekusi per rute.
+ *
+ * Urutan sumber: estimateGas pada calldata eksekusi yang sebenarnya, lalu rata-rata gasUsed eksekusi
+ * sukses dengan rute yang sama (venue dan jenis pool per hop) dari riwayat, lalu rata-rata semua eksekusi
+ * sukses, dan terakhir GAS_LIMIT. Estimasi ditambah GAS_LIMIT_MARGIN_PERCENT dan dibatasi GAS_LIMIT,
+ * sehingga perhitungan profit dan transaksi yang dikirim memakai gas limit yang sama.
+ */
+class GasEstimator {
+    constructor(flashArbitrageContract, networkService, fileManager, logger) {
+        this.flashArbitrageContract = flashArbitrageContract;
+        this.networkService = networkService;
+        this.fileManager = fileManager;
+        this.logger = logger;
+    }
+
+    /**
+     * Gas limit untuk mengeksekusi sebuah peluang
+     * @param {object} arbitrageData - Data arbitrage dari ArbitrageEncoder.buildArbitrageData
+     * @param {string} flashLoanPair - Alamat pair flash loan
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string} loanVenue - Venue pair flash loan
+     * @returns {Promise<object>} { gasLimit, gasEstimate, source: 'estimateGas' | 'route history' | 'history' | 'default' }
+     */
+    async estimateGasLimit(arbitrageData, flashLoanPair, loanAmount, loanVenue) {
+        try {
+            const { method, args } = ArbitrageEncoder.getExecuteCall(arbitrageData, flashLoanPair, loanAmount, loanVenue);
+            const txRequest = await this.flashArbitrageContract.populateTransaction[method](...args);
+            const from = await this.flashArbitrageContract.signer.getAddress();
+
+            const gasEstimate = await this.networkService.estimateGas({ ...txRequest, from });
+            return this.withMargin(gasEstimate, 'estimateGas');
+        } catch (error) {
+            // Misalnya revert pada blok terbaru; lanjut ke rata-rata riwayat
+            this.logger.warn(`estimateGas failed for ${arbitrageData.venues.join(' -> ')}, falling back to execution history`);
+        }
+
+        const routeAverage = this.getHistoricalGasUsed(this.getRouteKey(arbitrageData));
+        if (routeAverage) {
+            return this.withMargin(routeAverage, 'route history');
+        }
+
+        return this.getDefaultGasLimit();
+    }
+
+    /**
+     * Estimasi gas sebelum calldata ada (sizing pinjaman dan batas slippage): rata-rata riwayat rute yang sama,
+     * selain itu GAS_BASELINE_OVERHEAD ditambah gas per hop sesuai jenis pool. GAS_LIMIT tidak dipakai di sini
+     * karena hanya batas atas transaksi dan akan menolak peluang yang sebenarnya menguntungkan.
+     * @param {string[]} venues - Venue setiap hop
+     * @returns {object} { gasLimit, gasEstimate, source: 'route history' | 'baseline' }
+     */
+    getBaselineGasLimit(venues) {
+        const poolKinds = venues.map(venue => ArbitrageEncoder.getPoolKind(venue));
+
+        const routeAverage = this.getHistoricalGasUsed(this.getRouteKey({ venues, poolKinds }));
+        if (routeAverage) {
+            return this.withMargin(routeAverage, 'route history');
+        }
+
+        const baseline = poolKinds.reduce((sum, kind) => sum + (BASELINE_HOP_GAS[kind] || GAS_BASELINE_V2_HOP), GAS_BASELINE_OVERHEAD);
+        return this.withMargin(ethers.BigNumber.from(baseline), 'baseline');
+    }
+
+    /**
+     * Gas limit transaksi saat estimateGas dan riwayat rute tidak tersedia: rata-rata semua eksekusi sukses, atau GAS_LIMIT
+     * @returns {object} { gasLimit, gasEstimate, source }
+     */
+    getDefaultGasLimit() {
+        const average = this.getHistoricalGasUsed(null);
+        if (average) {
+            return this.withMargin(average, 'history');
+        }
+
+        const gasLimit = ethers.BigNumber.from(GAS_LIMIT);
+        return { gasLimit, gasEstimate: gasLimit, source: 'default' };
+    }
+
+    /**
+     * Rata-rata gasUsed dari GAS_HISTORY_SAMPLES eksekusi sukses terakhir
+     * @param {string|null} routeKey - Kunci rute, null untuk semua rute
+     * @returns {ethers.BigNumber|null} Rata-rata gasUsed, null jika belum ada data
+     */
+    getHistoricalGasUsed(routeKey) {
+        const history = this.fileManager.executionHistory;
+        const samples = [];
+
+        for (let i = history.length - 1; i >= 0 && samples.length < GAS_HISTORY_SAMPLES; i--) {
+            const record = history[i];
+            if (record.status !== 'Success' || !record.gasUsed) {
+                continue;
+            }
+            if (routeKey && this.getRouteKey(record) !== routeKey) {
+                continue;
+            }
+            samples.push(ethers.BigNumber.from(record.gasUsed));
+        }
+
+        if (samples.length === 0) {
+            return null;
+        }
+
+        return samples.reduce((sum, gasUsed) => sum.add(gasUsed), ethers.BigNumber.from(0)).div(samples.length);
+    }
+
+    /**
+     * Kunci rute untuk mencocokkan riwayat: venue dan jenis pool setiap hop
+     * @param {object} route - arbitrageData atau record riwayat eksekusi (keduanya punya venues dan poolKinds)
+     * @returns {string} Kunci rute
+     */
+    getRouteKey(route) {
+        return `${(route.venues || []).join('>')}|${(route.poolKinds || []).join('>')}`;
+    }
+
+    /**
+     * Menambahkan margin keamanan dan membatasi dengan GAS_LIMIT
+     * @param {ethers.BigNumber} gasEstimate - Estimasi gas
+     * @param {string} source - Sumber estimasi
+     * @returns {object} { gasLimit, gasEstimate, source }
+     */
+    withMargin(gasEstimate, source) {
+        const ceiling = ethers.BigNumber.from(GAS_LIMIT);
+        const withMargin = gasEstimate.mul(Math.round((100 + GAS_LIMIT_MARGIN_PERCENT) * 100)).div(10000);
+
+        return {
+            gasLimit: withMargin.gt(ceiling) ? ceiling : withMargin,
+            gasEstimate,
+            source
+        };
+    }
+}
+
+module.exports = GasEstimator;
@@ -0,0 +1,196 @@
+const { ethers } = require('ethers');
+const { MIN_HOP_RESERVE_USD, MAX_HOP_PRICE_IMPACT_PERCENT } = require('../../config/constants');
+
+// Skala perhitungan price impact: 1e6 = 100%
+const IMPACT_SCALE = 1000000;
+
+// Jumlah probe untuk rate marginal: bagian kecil dari reserve masuk
+const PROBE_DIVISOR = 1000000;
+
+/**
+ * LiquidityFilter - Laporan kedalaman likuiditas dan price impact setiap hop pada ukuran pinjaman
+ * yang dipilih. Hop dengan reserve (USD, sisi terkecil) di bawah MIN_HOP_RESERVE_USD atau price impact
+ * di atas MAX_HOP_PRICE_IMPACT_PERCENT membuat loop dibuang.
+ *
+ * Reserve diambil dari state pool yang sudah dimuat: reserve V2, reserve virtual rentang tick aktif
+ * untuk V3, dan saldo pool untuk stable-swap. Price impact adalah selisih rate eksekusi terhadap rate
+ * marginal pool (keduanya setelah fee), sehingga berlaku sama untuk semua jenis pool.
+ */
+class LiquidityFilter {
+    constructor(quoteService, tokenService, priceService, logger) {
+        this.quoteService = quoteService;
+        this.tokenService = tokenService;
+        this.priceService = priceService;
+        this.logger = logger;
+    }
+
+    /**
+     * Menganalisis setiap hop secara berurutan, output hop menjadi input hop berikutnya
+     * @param {Array} hops - Hop { pairAddress, venue, tokenIn } sesuai urutan eksekusi
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk hop pertama (ukuran pinjaman)
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object>} { passed, hops: laporan per hop, failures }
+     */
+    async analyze(hops, amountIn, blockNumber) {
+        const reports = [];
+        let amount = amountIn;
+
+        for (let i = 0; i < hops.length; i++) {
+            const report = await this.analyzeHop(hops[i], amount, i, blockNumber);
+            reports.push(report);
+
+            if (!report.amountOutRaw) {
+                break;
+            }
+            amount = report.amountOutRaw;
+        }
+
+        const failures = reports.flatMap(report => report.failures.map(failure => `hop ${report.index + 1} ${report.label}: ${failure}`));
+
+        return {
+            passed: failures.length === 0,
+            hops: reports.map(({ amountOutRaw, ...report }) => report),
+            failures
+        };
+    }
+
+    /**
+     * Laporan likuiditas satu hop
+     * @param {object} hop - Hop { pairAddress, venue, tokenIn }
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @param {number} index - Posisi hop
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object>} Laporan hop
+     */
+    async analyzeHop(hop, amountIn, index, blockNumber) {
+        const state = this.quoteService.getPoolState(hop.pairAddress, hop.venue);
+        const report = {
+            index,
+            venue: hop.venue,
+            pairAddress: hop.pairAddress,
+            poolKind: state ? state.kind : null,
+            label: hop.venue,
+            reserveInUSD: null,
+            reserveOutUSD: null,
+            depthUSD: null,
+            priceImpactPercent: null,
+            marginalRate: null,
+            amountIn: null,
+            amountOut: null,
+            amountOutRaw: null,
+            failures: []
+        };
+
+        if (!state) {
+            report.failures.push('pool state unavailable');
+            return report;
+        }
+
+        const tokenOut = state.token0.toLowerCase() === hop.tokenIn.toLowerCase() ? state.token1 : state.token0;
+        const [inDetails, outDetails] = await Promise.all([
+            this.tokenService.getTokenDetails(hop.tokenIn),
+            this.tokenService.getTokenDetails(tokenOut)
+        ]);
+        report.label = `${hop.venue} ${inDetails.symbol}->${outDetails.symbol}`;
+
+        // Harga USD dibaca pada blok yang sama dengan state pool
+        const { reserveIn, reserveOut } = this.getDepthReserves(state, hop.tokenIn);
+        const [priceIn, priceOut] = await Promise.all([
+            this.priceService.getTokenPriceUSD(hop.tokenIn, inDetails.decimals, state.blockNumber),
+            this.priceService.getTokenPriceUSD(tokenOut, outDetails.decimals, state.blockNumber)
+        ]);
+
+        report.reserveInUSD = priceIn ? parseFloat(ethers.utils.formatUnits(reserveIn, inDetails.decimals)) * priceIn : null;
+        report.reserveOutUSD = priceOut ? parseFloat(ethers.utils.formatUnits(reserveOut, outDetails.decimals)) * priceOut : null;
+
+        // Sisi yang tidak punya harga diabaikan; pool constant product memiliki nilai kedua sisi yang sama
+        const priced = [report.reserveInUSD, report.reserveOutUSD].filter(value => value !== null);
+        report.depthUSD = priced.length > 0 ? Math.min(...priced) : null;
+
+        if (report.depthUSD === null) {
+            if (MIN_HOP_RESERVE_USD > 0) {
+                report.failures.push('reserve value unknown (no USD price for either token)');
+            }
+        } else if (report.depthUSD < MIN_HOP_RESERVE_USD) {
+            report.failures.push(`reserve $${report.depthUSD.toFixed(0)} below $${MIN_HOP_RESERVE_USD}`);
+        }
+
+        const amountOut = await this.quoteService.quote(hop.pairAddress, hop.venue, hop.tokenIn, amountIn, blockNumber);
+        report.amountIn = ethers.utils.formatUnits(amountIn, inDetails.decimals);
+        report.amountOut = ethers.utils.formatUnits(amountOut, outDetails.decimals);
+        report.amountOutRaw = amountOut;
+
+        const marginal = await this.getMarginalQuote(state, hop, amountIn, blockNumber);
+        report.marginalRate = marginal ? parseFloat(marginal.probeOut.toString()) / parseFloat(marginal.probe.toString()) : null;
+        report.priceImpactPercent = marginal ? this.getPriceImpactPercent(marginal, amountIn, amountOut) : null;
+        if (report.priceImpactPercent === null) {
+            report.failures.push('price impact unavailable');
+        } else if (report.priceImpactPercent > MAX_HOP_PRICE_IMPACT_PERCENT) {
+            report.failures.push(`price impact ${report.priceImpactPercent.toFixed(2)}% above ${MAX_HOP_PRICE_IMPACT_PERCENT}%`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Reserve untuk mengukur kedalaman pool: saldo nyata untuk stable-swap, selain itu reserve (virtual) pool
+     * @param {object} state - State pool
+     * @param {string} tokenIn - Alamat token masuk
+     * @returns {object} { reserveIn, reserveOut } sebagai BigNumber
+     */
+    getDepthReserves(state, tokenIn) {
+        if (state.kind === 'stable') {
+            const isToken0 = state.token0.toLowerCase() === tokenIn.toLowerCase();
+            const [balanceIn, balanceOut] = isToken0 ? state.balances : [...state.balances].reverse();
+            return {
+                reserveIn: ethers.BigNumber.from(balanceIn.toString()),
+                reserveOut: ethers.BigNumber.from(balanceOut.toString())
+            };
+        }
+
+        return this.quoteService.getDirectionalReserves(state, tokenIn);
+    }
+
+    /**
+     * Quote probe kecil untuk rate marginal pool (setelah fee)
+     * @param {object} state - State pool
+     * @param {object} hop - Hop { pairAddress, venue, tokenIn }
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk hop (probe tidak lebih besar dari ini)
+     * @param {number} blockNumber - Blok scan
+     * @returns {Promise<object|null>} { probe, probeOut }, null jika tidak bisa dihitung
+     */
+    async getMarginalQuote(state, hop, amountIn, blockNumber) {
+        const { reserveIn } = this.getDepthReserves(state, hop.tokenIn);
+        let probe = reserveIn.div(PROBE_DIVISOR);
+        if (probe.isZero() || probe.gt(amountIn)) {
+            probe = amountIn.div(1000);
+        }
+        if (probe.isZero() || amountIn.isZero()) {
+            return null;
+        }
+
+        const probeOut = await this.quoteService.quote(hop.pairAddress, hop.venue, hop.tokenIn, probe, blockNumber);
+        if (probeOut.isZero()) {
+            return null;
+        }
+
+        return { probe, probeOut };
+    }
+
+    /**
+     * Price impact swap: 1 - rate eksekusi / rate marginal
+     * @param {object} marginal - Quote probe { probe, probeOut }
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @param {ethers.BigNumber} amountOut - Jumlah keluar
+     * @returns {number} Price impact dalam persen
+     */
+    getPriceImpactPercent(marginal, amountIn, amountOut) {
+        const { probe, probeOut } = marginal;
+
+        // rate eksekusi / rate marginal = (amountOut / amountIn) / (probeOut / probe)
+        const ratio = amountOut.mul(probe).mul(IMPACT_SCALE).div(probeOut.mul(amountIn));
+        return Math.max(0, IMPACT_SCALE - ratio.toNumber()) / (IMPACT_SCALE / 100);
+    }
+}
+
+module.exports = LiquidityFilter;
@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+
+// Titik kurva profit di sekitar ukuran optimal (kelipatan dari ukuran optimal)
+const CURVE_MULTIPLIERS = [0.25, 0.5, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 2];
+
+// Jumlah iterasi pencarian numerik di sekitar solusi closed-form
+const REFINEMENT_ITERATIONS = 40;
+
+/**
+ * LoanSizer - Menentukan ukuran flash loan yang memaksimalkan profit
+ * untuk rangkaian hop constant product.
+ *
+ * Setiap hop x -> g*Ro*x / (Ri + g*x) adalah fungsi Mobius, sehingga komposisi
+ * seluruh hop berbentuk out(x) = A*x / (B + C*x). Profit out(x) - (1 + f)*x
+ * maksimal saat out'(x) = A*B / (B + C*x)^2 = 1 + f, yaitu
+ * x* = (sqrt(A*B / (1 + f)) - B) / C.
+ *
+ * Hop V3 dan stable-swap dimasukkan dengan reserve virtual (rentang tick aktif untuk V3, kurva
+ * di sekitar saldo untuk stable-swap), sehingga closed-form menjadi titik awal; pencarian numerik
+ * memakai simulasi tepat (perpindahan tick V3, invariant StableSwap).
+ */
+class LoanSizer {
+    constructor(quoteService, logger) {
+        this.quoteService = quoteService;
+        this.logger = logger;
+    }
+
+    /**
+     * Mencari ukuran pinjaman optimal untuk rangkaian hop
+     * @param {Array} hops - Hop { pairAddress, venue, tokenIn } sesuai urutan eksekusi
+     * @param {object} options - { blockNumber, flashFeeRate, getFlashLoanFee, tokenDetails, gasCostUSD, tokenPriceUSD }
+     * @returns {Promise<object|null>} Hasil sizing, null jika tidak ada ukuran yang menguntungkan
+     */
+    async findOptimalLoan(hops, options) {
+        const { blockNumber, flashFeeRate, getFlashLoanFee, tokenDetails, gasCostUSD = 0, tokenPriceUSD = 0 } = options;
+
+        const states = await this.loadHopStates(hops, blockNumber);
+        if (!states) {
+            return null;
+        }
+
+        const closedForm = this.computeClosedForm(states, hops, flashFeeRate);
+        if (!closedForm) {
+            this.logger.log(`No profitable loan size for ${tokenDetails.symbol}: marginal cycle rate below 1 + flash fee`);
+            return null;
+        }
+
+        // Pinjaman tidak boleh melebihi reserve (virtual untuk V3) token di pool pertama
+        const { reserveIn } = this.quoteService.getDirectionalReserves(states[0], hops[0].tokenIn);
+        const maxLoan = reserveIn.mul(99).div(100);
+
+        let optimal = this.toBigNumber(closedForm.optimalInput);
+        if (optimal.gt(maxLoan)) {
+            optimal = maxLoan;
+        }
+
+        // Perhalus dengan pencarian numerik terbatas menggunakan perhitungan integer yang sama dengan kontrak
+        const profitAt = amount => this.evaluateProfit(states, hops, amount, getFlashLoanFee);
+        const upper = optimal.mul(2).gt(maxLoan) ? maxLoan : optimal.mul(2);
+        optimal = this.refine(optimal.div(2), upper, profitAt);
+
+        const best = profitAt(optimal);
+        if (best.profit.lte(0)) {
+            return null;
+        }
+
+        const toUSD = amount => parseFloat(ethers.utils.formatUnits(amount, tokenDetails.decimals)) * tokenPriceUSD;
+        const netProfitUSD = tokenPriceUSD > 0 ? toUSD(best.profit) - gasCostUSD : null;
+
+        if (netProfitUSD !== null && netProfitUSD <= 0) {
+            this.logger.log(`Optimal loan ${ethers.utils.formatUnits(optimal, tokenDetails.decimals)} ${tokenDetails.symbol} does not cover gas ($${gasCostUSD.toFixed(2)})`);
+            return null;
+        }
+
+        const curve = CURVE_MULTIPLIERS.map(multiplier => {
+            const amount = this.toBigNumber(parseFloat(optimal.toString()) * multiplier);
+            const point = profitAt(amount.gt(maxLoan) ? maxLoan : amount);
+            return {
+                multiplier,
+                loanAmount: ethers.utils.formatUnits(point.amountIn, tokenDetails.decimals),
+                amountOut: ethers.utils.formatUnits(point.amountOut, tokenDetails.decimals),
+                profit: ethers.utils.formatUnits(point.profit, tokenDetails.decimals),
+                netProfitUSD: tokenPriceUSD > 0 ? toUSD(point.profit) - gasCostUSD : null
+            };
+        });
+
+        this.logger.log(`Optimal loan size: ${ethers.utils.formatUnits(optimal, tokenDetails.decimals)} ${tokenDetails.symbol} (expected profit ${ethers.utils.formatUnits(best.profit, tokenDetails.decimals)} ${tokenDetails.symbol})`);
+
+        return {
+            loanAmount: optimal,
+            amountOut: best.amountOut,
+            profit: best.profit,
+            netProfitUSD,
+            summary: {
+                method: states.some(state => state.kind !== 'v2') ? 'closed-form+simulation' : 'closed-form',
+                optimalLoanAmount: ethers.utils.formatUnits(optimal, tokenDetails.decimals),
+                closedFormLoanAmount: ethers.utils.formatUnits(this.toBigNumber(closedForm.optimalInput), tokenDetails.decimals),
+                marginalRate: closedForm.marginalRate,
+                cappedByReserve: optimal.eq(maxLoan),
+                gasCostUSD,
+                curve
+            }
+        };
+    }
+
+    /**
+     * Memuat state pool setiap hop
+     * @param {Array} hops - Daftar hop
+     * @param {number} blockNumber - Blok scan (default blok terakhir yang dimuat)
+     * @returns {Promise<Array|null>} State pool, null jika ada yang tidak tersedia
+     */
+    async loadHopStates(hops, blockNumber) {
+        // Gunakan reserve dari blok scan yang sedang berjalan
+        const states = await this.quoteService.loadPools(
+            hops.map(hop => ({ venue: hop.venue, address: hop.pairAddress })),
+            { blockNumber, refreshBlock: false }
+        );
+
+        if (states.length !== hops.length) {
+            this.logger.log('Reserves unavailable for some hops, cannot size loan');
+            return null;
+        }
+
+        return states;
+    }
+
+    /**
+     * Solusi closed-form ukuran pinjaman optimal
+     * @param {Array} states - State pool setiap hop
+     * @param {Array} hops - Daftar hop
+     * @param {number} flashFeeRate - Rasio biaya flash loan
+     * @returns {object|null} { optimalInput, marginalRate } atau null jika tidak menguntungkan
+     */
+    computeClosedForm(states, hops, flashFeeRate) {
+        let A = 1;
+        let B = 1;
+        let C = 0;
+
+        for (let i = 0; i < hops.length; i++) {
+            const fee = this.quoteService.getStateFee(states[i]);
+            const gamma = fee.numerator / fee.denominator;
+            const { reserveIn, reserveOut } = this.quoteService.getDirectionalReserves(states[i], hops[i].tokenIn);
+            const ri = parseFloat(reserveIn.toString());
+            const ro = parseFloat(reserveOut.toString());
+
+            const nextA = gamma * ro * A;
+            const nextB = ri * B;
+            const nextC = ri * C + gamma * A;
+            A = nextA;
+            B = nextB;
+            C = nextC;
+        }
+
+        const marginalRate = A / B;
+        const k = 1 + flashFeeRate;
+
+        if (!(marginalRate > k) || C <= 0) {
+            return null;
+        }
+
+        return {
+            optimalInput: (Math.sqrt((A * B) / k) - B) / C,
+            marginalRate
+        };
+    }
+
+    /**
+     * Profit tepat (integer) untuk jumlah pinjaman tertentu
+     * @param {Array} states - State pool setiap hop
+     * @param {Array} hops - Daftar hop
+     * @param {ethers.BigNumber} amountIn - Jumlah pinjaman
+     * @param {Function} getFlashLoanFee - Fungsi biaya flash loan
+     * @returns {object} { amountIn, amountOut, profit }
+     */
+    evaluateProfit(states, hops, amountIn, getFlashLoanFee) {
+        let amount = amountIn;
+        for (let i = 0; i < hops.length; i++) {
+            // Swap V3 di luar rentang tick yang dimuat dianggap tidak menghasilkan apa pun
+            amount = this.quoteService.quoteFromState(states[i], hops[i].tokenIn, amount) || ethers.BigNumber.from(0);
+        }
+
+        return {
+            amountIn,
+            amountOut: amount,
+            profit: amount.sub(amountIn).sub(getFlashLoanFee(amountIn))
+        };
+    }
+
+    /**
+     * Ternary search pada fungsi profit (konkaf) di dalam interval [low, high]
+     * @param {ethers.BigNumber} low - Batas bawah
+     * @param {ethers.BigNumber} high - Batas atas
+     * @param {Function} profitAt - Fungsi profit
+     * @returns {ethers.BigNumber} Jumlah pinjaman terbaik
+     */
+    refine(low, high, profitAt) {
+        let lo = low;
+        let hi = high;
+
+        for (let i = 0; i < REFINEMENT_ITERATIONS && hi.sub(lo).gt(2); i++) {
+            const third = hi.sub(lo).div(3);
+            const m1 = lo.add(third);
+            const m2 = hi.sub(third);
+
+            if (profitAt(m1).profit.lt(profitAt(m2).profit)) {
+                lo = m1;
+            } else {
+                hi = m2;
+            }
+        }
+
+        return lo.add(hi).div(2);
+    }
+
+    /**
+     * Konversi angka floating point ke BigNumber (dibulatkan ke bawah)
+     * @param {number} value - Nilai
+     * @returns {ethers.BigNumber} Nilai sebagai BigNumber
+     */
+    toBigNumber(value) {
+        if (!isFinite(value) || value <= 0) {
+            return ethers.BigNumber.from(0);
+        }
+        return ethers.BigNumber.from(BigInt(Math.floor(value)).toString());
+    }
+}
+
+module.exports = LoanSizer;
@@ -0,0 +1,53 @@
+/**
+ * OpportunitySelector - Memilih sekumpulan peluang yang bisa dieksekusi dalam satu siklus scan.
+ * Dua peluang berkonflik jika memakai pool yang sama (pool flash loan atau pool hop mana pun):
+ * eksekusi yang pertama mengubah reserve pool itu sehingga quote yang kedua tidak berlaku lagi.
+ */
+class OpportunitySelector {
+    /**
+     * Memilih peluang tanpa pool bersama secara greedy, dari profit bersih tertinggi
+     * @param {Array} opportunities - Peluang arbitrage
+     * @param {number} maxCount - Jumlah peluang maksimum
+     * @returns {object} { selected: peluang terpilih (urut profit bersih), skipped: [{ opportunity, conflictsWith }] }
+     */
+    static selectNonConflicting(opportunities, maxCount) {
+        const ranked = [...opportunities].sort((a, b) => b.profitResult.netProfitUSD - a.profitResult.netProfitUSD);
+        const usedPools = new Map(); // Alamat pool (lowercase) -> peluang terpilih yang memakainya
+        const selected = [];
+        const skipped = [];
+
+        for (const opportunity of ranked) {
+            if (selected.length >= maxCount) {
+                break;
+            }
+
+            const pools = this.getPools(opportunity);
+            const conflict = pools.find(pool => usedPools.has(pool));
+            if (conflict) {
+                skipped.push({ opportunity, conflictsWith: usedPools.get(conflict) });
+                continue;
+            }
+
+            pools.forEach(pool => usedPools.set(pool, opportunity));
+            selected.push(opportunity);
+        }
+
+        return { selected, skipped };
+    }
+
+    /**
+     * Semua pool yang disentuh eksekusi sebuah peluang
+     * @param {object} opportunity - Objek peluang arbitrage
+     * @returns {string[]} Alamat pool (lowercase, unik)
+     */
+    static getPools(opportunity) {
+        const hops = opportunity.cycle ? opportunity.cycle.hops : opportunity.liquidity || [];
+        const addresses = [opportunity.flashLoanPair, ...hops.map(hop => hop.pairAddress)]
+            .filter(address => address)
+            .map(address => address.toLowerCase());
+
+        return Array.from(new Set(addresses));
+    }
+}
+
+module.exports = OpportunitySelector;
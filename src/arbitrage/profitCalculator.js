@@ -1,46 +1,51 @@
 const { ethers } = require('ethers');
 const { FLASH_ARBITRAGE_ABI } = require('../../config/abi');
-const { MIN_PROFIT_PERCENTAGE, GAS_LIMIT } = require('../../config/constants');
+const { MIN_PROFIT_PERCENTAGE, WRAPPED_NATIVE } = require('../../config/constants');
+const ArbitrageEncoder = require('./arbitrageEncoder');
+const GasEstimator = require('./gasEstimator');
+const GasBidder = require('./gasBidder');
+const { dexRegistry } = require('../dex');
 
 /**
  * ProfitCalculator - Bertanggung jawab untuk menghitung profitabilitas peluang arbitrage
  */
 class ProfitCalculator {
-    constructor(flashArbitrageContract, priceService, networkService, logger) {
+    constructor(flashArbitrageContract, priceService, networkService, multicallService, fileManager, logger) {
         this.flashArbitrageContract = flashArbitrageContract;
         this.priceService = priceService;
         this.networkService = networkService;
+        this.multicallService = multicallService;
         this.logger = logger;
         
-        // Parameter biaya flash swap
-        this.feeParameters = {
-            pancakeSwapFeeNumerator: ethers.BigNumber.from(25),
-            pancakeSwapFeeDenominator: ethers.BigNumber.from(9975),
-            biswapFeeNumerator: ethers.BigNumber.from(20),
-            biswapFeeDenominator: ethers.BigNumber.from(9980)
-        };
+        this.gasEstimator = new GasEstimator(flashArbitrageContract, networkService, fileManager, logger);
+        this.gasBidder = new GasBidder(networkService, fileManager, logger);
+        
+        // Parameter biaya flash swap per venue { numerator, denominator }
+        this.feeParameters = {};
+        for (const dex of dexRegistry.getAll()) {
+            this.feeParameters[dex.id] = dex.getDefaultFlashFee();
+        }
     }
     
     /**
-     * Update parameter biaya dari kontrak
+     * Update parameter biaya dari kontrak untuk DEX yang memiliki getter biaya
      */
     async updateFeeParameters() {
         try {
-            const pancakeSwapFeeNumerator = await this.flashArbitrageContract.pancakeSwapFeeNumerator();
-            const pancakeSwapFeeDenominator = await this.flashArbitrageContract.pancakeSwapFeeDenominator();
-            const biswapFeeNumerator = await this.flashArbitrageContract.biswapFeeNumerator();
-            const biswapFeeDenominator = await this.flashArbitrageContract.biswapFeeDenominator();
-
-            this.feeParameters = {
-                pancakeSwapFeeNumerator,
-                pancakeSwapFeeDenominator,
-                biswapFeeNumerator,
-                biswapFeeDenominator
-            };
+            const dexes = dexRegistry.getAll().filter(dex => dex.flashFeeGetters);
+            
+            const results = await Promise.all(dexes.map(dex => Promise.all([
+                this.multicallService.call(this.flashArbitrageContract, dex.flashFeeGetters.numerator),
+                this.multicallService.call(this.flashArbitrageContract, dex.flashFeeGetters.denominator)
+            ])));
+            
+            dexes.forEach((dex, index) => {
+                const [numerator, denominator] = results[index];
+                this.feeParameters[dex.id] = { numerator, denominator };
+            });
 
             this.logger.log(`Updated fee parameters: 
-        PancakeSwap: ${pancakeSwapFeeNumerator}/${pancakeSwapFeeDenominator}
-        Biswap: ${biswapFeeNumerator}/${biswapFeeDenominator}`);
+        ${dexRegistry.getAll().map(dex => `${dex.name}: ${this.feeParameters[dex.id].numerator}/${this.feeParameters[dex.id].denominator}`).join('\n        ')}`);
         } catch (error) {
             this.logger.error(`Error updating fee parameters: ${error.message}`, error);
         }
@@ -48,27 +53,25 @@ class ProfitCalculator {
     
     /**
      * Hitung profitabilitas arbitrage
-     * @param {object} arbitrageData - Data arbitrage
+     * @param {object} arbitrageData - Data arbitrage dari ArbitrageEncoder.buildArbitrageData
+     * @param {string} flashLoanPair - Alamat pair flash loan (untuk estimasi gas calldata eksekusi)
      * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman flash loan
-     * @param {boolean} fromPancake - Arah arbitrage (true jika dimulai dari PancakeSwap)
+     * @param {string} loanVenue - Venue pair flash loan (ID di DexRegistry)
      * @param {object} tokenADetails - Detail token A
-     * @returns {Promise<object>} Hasil perhitungan profitabilitas
+     * @param {number|null} blockTag - Blok scan; simulasi kontrak dan konversi USD dibaca pada blok yang sama dengan quote
+     * @returns {Promise<object>} Hasil perhitungan profitabilitas, termasuk gasLimit dan gasPrice yang dipakai saat eksekusi
      */
-    async calculateProfit(arbitrageData, loanAmount, fromPancake, tokenADetails) {
+    async calculateProfit(arbitrageData, flashLoanPair, loanAmount, loanVenue, tokenADetails, blockTag = null) {
         try {
-            // Convert arbitrageData to array format for contract call
-            const arbitrageArrayData = [
-                arbitrageData.path1,
-                arbitrageData.path2,
-                arbitrageData.path3,
-                arbitrageData.minAmountsOut,
-                arbitrageData.direction
-            ];
-
-            const profitabilityResult = await this.flashArbitrageContract.checkArbitrageProfitability(
-                arbitrageArrayData,
-                loanAmount,
-                fromPancake
+            // Fungsi simulasi dan format data sesuai encoding (legacy atau router per hop)
+            const { method, args } = ArbitrageEncoder.getProfitabilityCall(arbitrageData, loanAmount, loanVenue);
+
+            // Digabung dengan simulasi peluang lain dalam satu batch multicall
+            const profitabilityResult = await this.multicallService.call(
+                this.flashArbitrageContract,
+                method,
+                args,
+                blockTag ? { blockTag } : {}
             );
 
             // Pastikan hasilnya adalah array dengan tiga nilai
@@ -78,20 +81,6 @@ class ProfitCalculator {
 
             const [expectedProfit, expectedPlatformFee, expectedUserProfit] = profitabilityResult;
 
-            // Hitung biaya gas menggunakan harga gas dinamis
-            const gasPrice = await this.networkService.getGasPrice(1.1); // 10% buffer
-            const gasLimit = ethers.BigNumber.from(GAS_LIMIT);
-            const gasCostWei = gasPrice.mul(gasLimit);
-
-            // Konversi biaya gas ke USD
-            const gasCostBNB = parseFloat(ethers.utils.formatEther(gasCostWei));
-            const gasCostUSD = gasCostBNB * this.priceService.bnbPrice;
-
-            // Hitung biaya flash loan berdasarkan parameter biaya yang diperbarui
-            const flashLoanFee = fromPancake
-                ? loanAmount.mul(this.feeParameters.pancakeSwapFeeNumerator).div(this.feeParameters.pancakeSwapFeeDenominator).add(1)
-                : loanAmount.mul(this.feeParameters.biswapFeeNumerator).div(this.feeParameters.biswapFeeDenominator).add(1);
-
             // Konversi profit ke USD berdasarkan jenis token
             let profitUSD = 0;
             let loanAmountUSD = 0;
@@ -100,15 +89,23 @@ class ProfitCalculator {
             profitUSD = await this.priceService.convertToUSD(
                 expectedUserProfit, 
                 tokenADetails.address, 
-                tokenADetails.decimals
+                tokenADetails.decimals,
+                blockTag
             );
             
             loanAmountUSD = await this.priceService.convertToUSD(
                 loanAmount, 
                 tokenADetails.address, 
-                tokenADetails.decimals
+                tokenADetails.decimals,
+                blockTag
             );
 
+            // Biaya gas dari gas limit rute ini dan bid gas price (dipakai juga oleh executor)
+            const gas = await this.gasEstimator.estimateGasLimit(arbitrageData, flashLoanPair, loanAmount, loanVenue);
+            const nativePriceUSD = await this.getNativePriceUSD(blockTag);
+            const gasBid = await this.gasBidder.getBid(profitUSD, gas.gasLimit, nativePriceUSD);
+            const gasCostUSD = parseFloat(ethers.utils.formatEther(gasBid.gasPrice.mul(gas.gasLimit))) * nativePriceUSD;
+
             // Kurangi biaya gas dari profit
             const netProfitUSD = profitUSD - gasCostUSD;
 
@@ -118,8 +115,9 @@ class ProfitCalculator {
             // Log hasil
             this.logger.log(
                 `Loan: ${ethers.utils.formatUnits(loanAmount, tokenADetails.decimals)} ${tokenADetails.symbol} ($${loanAmountUSD.toFixed(2)}), ` +
-                `Gross Profit: $${profitUSD.toFixed(2)}, Gas: $${gasCostUSD.toFixed(2)}, ` +
-                `Net Profit: $${netProfitUSD.toFixed(2)} (${profitPercentage.toFixed(2)}%)`
+                `Gross Profit: $${profitUSD.toFixed(2)}, Gas: $${gasCostUSD.toFixed(2)} (${gas.gasLimit.toString()} from ${gas.source}), ` +
+                `Net Profit: $${netProfitUSD.toFixed(2)} (${profitPercentage.toFixed(2)}%), ` +
+                `Gas bid: ${ethers.utils.formatUnits(gasBid.gasPrice, 'gwei')} Gwei (${gasBid.limitedBy}${gasBid.viable ? '' : ', not viable'})`
             );
 
             return {
@@ -129,9 +127,15 @@ class ProfitCalculator {
                 profitUSD,
                 netProfitUSD,
                 gasCostUSD,
+                gasLimit: gas.gasLimit,
+                gasEstimate: gas.gasEstimate,
+                gasEstimateSource: gas.source,
+                gasPrice: gasBid.gasPrice,
+                gasBid: this.gasBidder.describe(gasBid),
                 loanAmountUSD,
                 profitPercentage,
-                isProfit: profitPercentage >= MIN_PROFIT_PERCENTAGE
+                isProfit: gasBid.viable && profitPercentage >= MIN_PROFIT_PERCENTAGE,
+                blockNumber: blockTag
             };
         } catch (error) {
             this.logger.error(`Error calculating profit: ${error.message}`, error);
@@ -142,6 +146,86 @@ class ProfitCalculator {
         }
     }
     
+    /**
+     * Gas price dan harga koin native untuk estimasi biaya gas, dibaca sekali per blok scan.
+     * Gas price berasal dari GasBidder (bid sebelum batas profit), kebijakan yang sama dengan bid eksekusi.
+     * @param {number|null} blockTag - Blok scan untuk harga koin native (opsional)
+     * @returns {Promise<object>} { gasPrice, nativePriceUSD }
+     */
+    async getGasPricing(blockTag = null) {
+        const [bid, nativePriceUSD] = await Promise.all([
+            this.gasBidder.getMarketBid(),
+            this.getNativePriceUSD(blockTag)
+        ]);
+        return { gasPrice: bid.gasPrice, nativePriceUSD };
+    }
+    
+    /**
+     * Estimasi biaya gas sebuah rute sebelum calldata ada (sizing pinjaman dan batas slippage)
+     * @param {string[]} venues - Venue setiap hop
+     * @param {object} pricing - Hasil getGasPricing
+     * @returns {number} Biaya gas dalam USD
+     */
+    estimateRouteGasCostUSD(venues, pricing) {
+        const { gasLimit } = this.gasEstimator.getBaselineGasLimit(venues);
+        return parseFloat(ethers.utils.formatEther(pricing.gasPrice.mul(gasLimit))) * pricing.nativePriceUSD;
+    }
+    
+    /**
+     * Harga koin native dalam USD
+     * @param {number|null} blockTag - Blok scan (opsional), default harga terakhir yang disimpan PriceService
+     * @returns {Promise<number>} Harga koin native
+     */
+    async getNativePriceUSD(blockTag = null) {
+        return blockTag
+            ? this.priceService.getTokenPriceUSD(WRAPPED_NATIVE.address, 18, blockTag)
+            : this.priceService.bnbPrice;
+    }
+    
+    /**
+     * Hitung biaya flash loan berdasarkan parameter biaya yang diperbarui
+     * @param {ethers.BigNumber} loanAmount - Jumlah pinjaman
+     * @param {string} loanVenue - Venue pair flash loan
+     * @param {object} loanPoolState - State pool flash loan (opsional, fee tier untuk pool V3)
+     * @returns {ethers.BigNumber} Biaya flash loan
+     */
+    getFlashLoanFee(loanAmount, loanVenue, loanPoolState = null) {
+        const fee = this.getFeeParameters(loanVenue, loanPoolState);
+        return loanAmount.mul(fee.numerator).div(fee.denominator).add(1);
+    }
+    
+    /**
+     * Rasio biaya flash loan (fee / jumlah pinjaman)
+     * @param {string} loanVenue - Venue pair flash loan
+     * @param {object} loanPoolState - State pool flash loan (opsional, fee tier untuk pool V3)
+     * @returns {number} Rasio biaya, misalnya 0.0025
+     */
+    getFlashLoanFeeRate(loanVenue, loanPoolState = null) {
+        const fee = this.getFeeParameters(loanVenue, loanPoolState);
+        return fee.numerator.toNumber() / fee.denominator.toNumber();
+    }
+    
+    /**
+     * Parameter biaya flash swap sebuah venue. flash() pool V3 menagih fee tier pool itu sendiri.
+     * @param {string} loanVenue - Venue pair flash loan
+     * @param {object} loanPoolState - State pool flash loan (opsional)
+     * @returns {object} { numerator, denominator }
+     */
+    getFeeParameters(loanVenue, loanPoolState = null) {
+        if (loanPoolState && loanPoolState.kind === 'v3') {
+            return {
+                numerator: ethers.BigNumber.from(loanPoolState.feeTier),
+                denominator: ethers.BigNumber.from(loanPoolState.fee.denominator)
+            };
+        }
+
+        const fee = this.feeParameters[loanVenue];
+        if (!fee) {
+            throw new Error(`No flash fee parameters for venue ${loanVenue}`);
+        }
+        return fee;
+    }
+    
     /**
      * Menentukan apakah suatu peluang arbitrage cukup menguntungkan
      * @param {object} profitResult - Hasil perhitungan profit
@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+
+// Selector revert standar Solidity: Error(string) dan Panic(uint256)
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Kategori dari pesan revert / error RPC, diperiksa berurutan
+const FAILURE_PATTERNS = [
+    { category: 'nonce', pattern: /nonce too (low|high)|nonce has already been used|invalid nonce|nonce expired/i },
+    { category: 'underpriced', pattern: /underpriced|fee too low|max fee per gas less than block base fee/i },
+    { category: 'out-of-gas', pattern: /out of gas|gas required exceeds allowance|intrinsic gas too low/i },
+    { category: 'slippage', pattern: /INSUFFICIENT_OUTPUT_AMOUNT|too little received|slippage|min(imum)? ?amount/i },
+    { category: 'unauthorized-pair', pattern: /unauthori[sz]ed|not authori[sz]ed/i },
+    { category: 'insufficient-repay', pattern: /repay|INSUFFICIENT_INPUT_AMOUNT|: K$/i },
+    { category: 'insufficient-liquidity', pattern: /INSUFFICIENT_LIQUIDITY/i },
+    { category: 'unprofitable', pattern: /insufficient profit|not profitable|no profit/i },
+    { category: 'paused', pattern: /paused/i },
+    { category: 'panic', pattern: /^panic 0x/ }
+];
+
+// Kode error ethers untuk kegagalan pengiriman
+const ERROR_CODE_CATEGORIES = {
+    NONCE_EXPIRED: 'nonce',
+    REPLACEMENT_UNDERPRICED: 'underpriced'
+};
+
+/**
+ * RevertDecoder - Decode data revert (Error(string), Panic(uint256); custom error dilaporkan dengan selector-nya)
+ * dan klasifikasi kegagalan eksekusi ke kategori tetap untuk riwayat dan statistik.
+ * Kategori: nonce, underpriced, out-of-gas, slippage, unauthorized-pair, insufficient-repay,
+ * insufficient-liquidity, unprofitable, paused, panic, unknown.
+ */
+class RevertDecoder {
+    /**
+     * Alasan dan kategori kegagalan dari error call/transaksi
+     * @param {Error} error - Error dari ethers
+     * @returns {object} { reason, category }
+     */
+    static decode(error) {
+        const reason = this.decodeReason(error);
+        const codeCategory = ERROR_CODE_CATEGORIES[error.code];
+
+        return {
+            reason,
+            category: codeCategory || this.classify(reason, error.message)
+        };
+    }
+
+    /**
+     * Alasan revert: Error(string), Panic(uint256), selector custom error, atau pesan error jika tidak ada
+     * data revert
+     * @param {Error} error - Error dari ethers
+     * @returns {string} Alasan revert
+     */
+    static decodeReason(error) {
+        const data = this.getRevertData(error);
+
+        if (data === '0x') {
+            return 'reverted without reason';
+        }
+
+        if (data && data.length >= 10) {
+            const selector = data.slice(0, 10).toLowerCase();
+            const payload = `0x${data.slice(10)}`;
+            try {
+                if (selector === ERROR_STRING_SELECTOR) {
+                    return ethers.utils.defaultAbiCoder.decode(['string'], payload)[0];
+                }
+                if (selector === PANIC_SELECTOR) {
+                    return `panic 0x${ethers.utils.defaultAbiCoder.decode(['uint256'], payload)[0].toNumber().toString(16)}`;
+                }
+            } catch (decodeError) {
+                // Data revert tidak sesuai format yang dikenal, laporkan selector-nya
+            }
+            return `custom error ${selector}`;
+        }
+
+        return error.reason || error.message;
+    }
+
+    /**
+     * Data revert dari error ethers (lokasinya berbeda per provider dan jenis error)
+     * @param {Error} error - Error dari ethers
+     * @returns {string|undefined} Data revert hex
+     */
+    static getRevertData(error) {
+        return [error.data, error.error && error.error.data, error.error && error.error.error && error.error.error.data]
+            .find(value => typeof value === 'string' && value.startsWith('0x'));
+    }
+
+    /**
+     * Kategori kegagalan dari alasan revert
+     * @param {string} reason - Alasan revert (hasil decodeReason)
+     * @param {string} message - Pesan error asli (opsional, untuk error RPC tanpa data revert)
+     * @returns {string} Kategori
+     */
+    static classify(reason, message = '') {
+        for (const { category, pattern } of FAILURE_PATTERNS) {
+            if (pattern.test(reason || '') || pattern.test(message || '')) {
+                return category;
+            }
+        }
+
+        return 'unknown';
+    }
+}
+
+module.exports = RevertDecoder;
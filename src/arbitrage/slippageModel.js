@@ -0,0 +1,203 @@
+const {
+    SLIPPAGE_BASE_PERCENT,
+    SLIPPAGE_DEPTH_REFERENCE_USD,
+    SLIPPAGE_IMPACT_MULTIPLIER,
+    SLIPPAGE_VOLATILITY_MULTIPLIER,
+    SLIPPAGE_VOLATILITY_SAMPLES,
+    SLIPPAGE_INCLUSION_BLOCKS,
+    MAX_SLIPPAGE_PERCENT
+} = require('../../config/constants');
+
+// Skala perhitungan minAmountsOut: 1e6 = 100%
+const TOLERANCE_SCALE = 1000000;
+
+/**
+ * SlippageModel - Toleransi slippage per hop untuk minAmountsOut.
+ *
+ * Toleransi hop (persen) = SLIPPAGE_BASE_PERCENT
+ *   + 1% × SLIPPAGE_DEPTH_REFERENCE_USD / kedalaman hop (USD)
+ *   + SLIPPAGE_IMPACT_MULTIPLIER × price impact hop
+ *   + SLIPPAGE_VOLATILITY_MULTIPLIER × volatilitas rate marginal pool per blok × √SLIPPAGE_INCLUSION_BLOCKS
+ * dibatasi MAX_SLIPPAGE_PERCENT. Volatilitas dihitung dari rate marginal hop yang teramati pada
+ * SLIPPAGE_VOLATILITY_SAMPLES blok scan terakhir.
+ *
+ * Minimum output setiap segmen memperhitungkan toleransi semua hop sebelumnya, sehingga fill terburuk yang
+ * masih lolos adalah output quote dikali (1 - toleransi) semua hop. Jika fill terburuk itu di bawah jumlah
+ * minimum (pinjaman + fee + gas), semua toleransi diperkecil dengan faktor yang sama sampai loop tepat impas.
+ */
+class SlippageModel {
+    constructor(logger) {
+        this.logger = logger;
+        this.rateHistory = new Map(); // Pool dan arah -> [{ blockNumber, logRate }]
+    }
+
+    /**
+     * Minimum output setiap segmen dari quote dan laporan likuiditas per hop
+     * @param {object} params
+     * @param {ethers.BigNumber[]} params.outputs - Output quote setiap segmen (segmen terakhir = jumlah kembali)
+     * @param {number[]} params.hopCounts - Jumlah hop setiap segmen
+     * @param {Array} params.reports - Laporan LiquidityFilter per hop, urut eksekusi
+     * @param {number} params.blockNumber - Blok scan
+     * @param {ethers.BigNumber} params.minFinalAmount - Jumlah kembali minimum agar loop tidak rugi
+     * @returns {object} { minAmountsOut, hops, worstCaseAmountOut, scale, limitedBy }
+     */
+    getMinAmountsOut({ outputs, hopCounts, reports, blockNumber, minFinalAmount }) {
+        const hops = reports.map(report => this.getHopTolerance(report, blockNumber));
+        const finalAmount = outputs[outputs.length - 1];
+
+        const scale = this.getProfitScale(hops.map(hop => hop.tolerancePercent), finalAmount, minFinalAmount);
+        hops.forEach(hop => {
+            hop.appliedPercent = hop.tolerancePercent * scale;
+        });
+
+        // Faktor fill terburuk kumulatif sampai akhir setiap segmen
+        const minAmountsOut = [];
+        let factor = 1;
+        let hopIndex = 0;
+        outputs.forEach((amount, segment) => {
+            for (let i = 0; i < hopCounts[segment]; i++, hopIndex++) {
+                factor *= 1 - hops[hopIndex].appliedPercent / 100;
+            }
+            minAmountsOut.push(this.applyFactor(amount, factor));
+        });
+
+        return {
+            minAmountsOut,
+            hops,
+            worstCaseAmountOut: minAmountsOut[minAmountsOut.length - 1],
+            scale,
+            limitedBy: scale < 1 ? 'profit' : (hops.some(hop => hop.capped) ? 'cap' : null)
+        };
+    }
+
+    /**
+     * Toleransi satu hop dan komponennya
+     * @param {object} report - Laporan LiquidityFilter (depthUSD, priceImpactPercent, marginalRate)
+     * @param {number} blockNumber - Blok scan
+     * @returns {object} { pairAddress, label, tolerancePercent, components, capped }
+     */
+    getHopTolerance(report, blockNumber) {
+        const volatilityPercent = this.observe(report, blockNumber);
+        const components = {
+            base: SLIPPAGE_BASE_PERCENT,
+            depth: report.depthUSD > 0 ? SLIPPAGE_DEPTH_REFERENCE_USD / report.depthUSD : 0,
+            impact: SLIPPAGE_IMPACT_MULTIPLIER * (report.priceImpactPercent || 0),
+            volatility: SLIPPAGE_VOLATILITY_MULTIPLIER * volatilityPercent * Math.sqrt(SLIPPAGE_INCLUSION_BLOCKS)
+        };
+        const total = Object.values(components).reduce((sum, value) => sum + value, 0);
+
+        return {
+            pairAddress: report.pairAddress,
+            label: report.label,
+            tolerancePercent: Math.min(total, MAX_SLIPPAGE_PERCENT),
+            components,
+            capped: total > MAX_SLIPPAGE_PERCENT
+        };
+    }
+
+    /**
+     * Mencatat rate marginal hop pada blok scan dan menghitung volatilitasnya
+     * @param {object} report - Laporan LiquidityFilter
+     * @param {number} blockNumber - Blok scan
+     * @returns {number} Volatilitas rate per blok dalam persen (0 jika belum cukup data)
+     */
+    observe(report, blockNumber) {
+        const key = `${report.pairAddress.toLowerCase()}:${report.label}`;
+        const samples = this.rateHistory.get(key) || [];
+
+        if (report.marginalRate > 0 && blockNumber) {
+            const last = samples[samples.length - 1];
+            if (!last || blockNumber > last.blockNumber) {
+                samples.push({ blockNumber, logRate: Math.log(report.marginalRate) });
+                samples.splice(0, Math.max(0, samples.length - SLIPPAGE_VOLATILITY_SAMPLES));
+                this.rateHistory.set(key, samples);
+            }
+        }
+
+        return this.getVolatilityPercent(samples);
+    }
+
+    /**
+     * Volatilitas per blok: akar rata-rata (perubahan log rate)² / jarak blok antar sampel
+     * @param {Array} samples - [{ blockNumber, logRate }]
+     * @returns {number} Volatilitas dalam persen
+     */
+    getVolatilityPercent(samples) {
+        if (samples.length < 2) {
+            return 0;
+        }
+
+        let variance = 0;
+        for (let i = 1; i < samples.length; i++) {
+            const change = samples[i].logRate - samples[i - 1].logRate;
+            variance += (change * change) / (samples[i].blockNumber - samples[i - 1].blockNumber);
+        }
+
+        return Math.sqrt(variance / (samples.length - 1)) * 100;
+    }
+
+    /**
+     * Faktor pengali toleransi (0-1) agar fill terburuk tidak di bawah minFinalAmount
+     * @param {number[]} tolerances - Toleransi per hop (persen)
+     * @param {ethers.BigNumber} finalAmount - Jumlah kembali sesuai quote
+     * @param {ethers.BigNumber} minFinalAmount - Jumlah kembali minimum
+     * @returns {number} Faktor skala
+     */
+    getProfitScale(tolerances, finalAmount, minFinalAmount) {
+        const worstAt = scale => this.applyFactor(
+            finalAmount,
+            tolerances.reduce((factor, tolerance) => factor * (1 - tolerance * scale / 100), 1)
+        );
+
+        if (!minFinalAmount || worstAt(1).gte(minFinalAmount)) {
+            return 1;
+        }
+        if (finalAmount.lte(minFinalAmount)) {
+            // Loop tidak untung bahkan pada quote; ditolak oleh perhitungan profit
+            return 0;
+        }
+
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (worstAt(mid).gte(minFinalAmount)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Jumlah dikali faktor (0-1) dengan pembulatan ke bawah
+     * @param {ethers.BigNumber} amount - Jumlah
+     * @param {number} factor - Faktor
+     * @returns {ethers.BigNumber} Hasil
+     */
+    applyFactor(amount, factor) {
+        return amount.mul(Math.floor(factor * TOLERANCE_SCALE)).div(TOLERANCE_SCALE);
+    }
+
+    /**
+     * Ringkasan untuk log dan riwayat eksekusi
+     * @param {object} slippage - Hasil getMinAmountsOut
+     * @returns {object} { hops: [{ label, tolerancePercent, components }], scale, limitedBy }
+     */
+    describe(slippage) {
+        const round = value => Math.round(value * 10000) / 10000;
+
+        return {
+            hops: slippage.hops.map(hop => ({
+                label: hop.label,
+                tolerancePercent: round(hop.appliedPercent),
+                components: Object.fromEntries(Object.entries(hop.components).map(([name, value]) => [name, round(value)]))
+            })),
+            scale: round(slippage.scale),
+            limitedBy: slippage.limitedBy
+        };
+    }
+}
+
+module.exports = SlippageModel;
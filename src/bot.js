@@ -2,7 +2,21 @@ const { ethers } = require('ethers');
 const cron = require('node-cron');
 const { FLASH_ARBITRAGE_ABI } = require('../config/abi');
 const { TOKEN_PAIRS } = require('../config/pairs');
-const { EXECUTION_ENABLED } = require('../config/constants');
+const {
+    EXECUTION_ENABLED,
+    MAX_EXECUTIONS_PER_SCAN,
+    EXECUTION_STRATEGY,
+    DISCOVERY_ENABLED,
+    TOKEN_VETTING_ENABLED,
+    GRAPH_SEARCH_ENABLED,
+    SCAN_MODE,
+    GRAPH_SEARCH_BLOCK_INTERVAL,
+    CHAIN_NAME,
+    NATIVE_SYMBOL
+} = require('../config/constants');
+const { dexRegistry } = require('./dex');
+const ArbitrageEncoder = require('./arbitrage/arbitrageEncoder');
+const OpportunitySelector = require('./arbitrage/opportunitySelector');
 const AddressHelper = require('./utils/addressHelper');
 
 /**
@@ -18,7 +32,11 @@ class ArbitrageBot {
         logger,
         profitCalculator,
         arbitrageChecker,
-        arbitrageExecutor
+        arbitrageExecutor,
+        pairDiscoveryService,
+        quoteService,
+        blockEventService,
+        tokenVettingService
     }) {
         this.providerService = providerService;
         this.tokenService = tokenService;
@@ -29,9 +47,24 @@ class ArbitrageBot {
         this.profitCalculator = profitCalculator;
         this.arbitrageChecker = arbitrageChecker;
         this.arbitrageExecutor = arbitrageExecutor;
+        this.pairDiscoveryService = pairDiscoveryService;
+        this.quoteService = quoteService;
+        this.blockEventService = blockEventService;
+        this.tokenVettingService = tokenVettingService;
+        
+        // Triangle yang dipindai (konfigurasi manual + hasil discovery)
+        this.tokenPairs = TOKEN_PAIRS;
+        
+        // Pool hasil discovery untuk pencarian siklus berbasis graph
+        this.discoveredPools = [];
         
         this.isRunning = false;
         
+        // State pemindaian berbasis blok
+        this.poolIndex = new Map(); // Alamat pair -> triangle yang memakainya
+        this.pendingBlockScan = null; // Pool berubah yang belum dipindai
+        this.lastGraphSearchBlock = 0;
+        
         // Objek untuk menyimpan pemeriksaan terjadwal
         this.scheduledChecks = {
             priceUpdate: null,
@@ -53,8 +86,25 @@ class ArbitrageBot {
             // Validasi kontrak dan koneksi jaringan
             await this.validate();
             
+            // Pulihkan nonce dan transaksi tertunda dari run sebelumnya (hanya jika bot mengirim transaksi)
+            if (EXECUTION_ENABLED) {
+                await this.arbitrageExecutor.nonceManager.initialize();
+            }
+            
+            // Catat hasil transaksi eksekusi yang terputus saat proses sebelumnya berhenti
+            await this.arbitrageExecutor.reconcileJournal();
+            
+            // Tambahkan triangle hasil discovery dari factory
+            await this.loadDiscoveredTriangles();
+            
+            // Buang pair yang bukan pool factory venue-nya (misalnya pair venue lain yang salah dicantumkan)
+            await this.verifyPairVenues();
+            
+            // Karantina triangle yang memuat token berpajak atau tidak bisa dijual/ditransfer
+            await this.vetTriangleTokens();
+            
             // Validasi alamat
-            AddressHelper.validateAddresses(TOKEN_PAIRS, this.logger);
+            AddressHelper.validateAddresses(this.tokenPairs, this.logger);
             
             // Update harga BNB dan parameter fee kontrak
             await this.priceService.updateBnbPrice();
@@ -82,76 +132,26 @@ class ArbitrageBot {
             });
             
             // Penjadwalan pemeriksaan arbitrage untuk pair prioritas tinggi (setiap 5 menit)
+            // Pada mode block, jadwal ini hanya berjalan sebagai fallback saat stream blok terhenti
             this.scheduledChecks.highPriorityCheck = cron.schedule('*/5 * * * *', async () => {
-                if (this.isRunning) {
-                    this.logger.log('Previous check still running, skipping...');
-                    return;
-                }
-                
-                this.isRunning = true;
-                
-                try {
-                    // Periksa kondisi jaringan sebelum melanjutkan
-                    const isNetworkReady = await this.networkService.isNetworkReadyForArbitrage();
-                    if (!isNetworkReady) {
-                        this.logger.log('Network conditions unfavorable. Skipping arbitrage check.');
-                        return;
-                    }
-                    
-                    // Periksa apakah kontrak dipause
-                    const isPaused = await this.arbitrageExecutor.isContractPaused();
-                    if (isPaused) {
-                        this.logger.log('Contract is paused. Skipping arbitrage check.');
-                        return;
-                    }
-                    
-                    // Periksa hanya pair prioritas tinggi pada interval 5 menit
-                    const highPriorityPairs = TOKEN_PAIRS.filter(pair => pair.priority === 1);
-                    await this.checkAndExecuteArbitrage(highPriorityPairs);
-                } catch (error) {
-                    this.logger.error(`Error in scheduled high-priority check: ${error.message}`, error);
-                } finally {
-                    this.isRunning = false;
-                }
+                await this.runScheduledCheck('high-priority', pair => pair.priority === 1);
             });
             
             // Penjadwalan pemeriksaan arbitrage untuk pair prioritas rendah (setiap 15 menit)
             this.scheduledChecks.lowPriorityCheck = cron.schedule('*/15 * * * *', async () => {
-                if (this.isRunning) {
-                    this.logger.log('Previous check still running, skipping...');
-                    return;
-                }
-                
-                this.isRunning = true;
-                
-                try {
-                    // Periksa kondisi jaringan sebelum melanjutkan
-                    const isNetworkReady = await this.networkService.isNetworkReadyForArbitrage();
-                    if (!isNetworkReady) {
-                        this.logger.log('Network conditions unfavorable. Skipping arbitrage check.');
-                        return;
-                    }
-                    
-                    // Periksa apakah kontrak dipause
-                    const isPaused = await this.arbitrageExecutor.isContractPaused();
-                    if (isPaused) {
-                        this.logger.log('Contract is paused. Skipping arbitrage check.');
-                        return;
-                    }
-                    
-                    // Periksa prioritas rendah lebih jarang
-                    const lowerPriorityPairs = TOKEN_PAIRS.filter(pair => pair.priority > 1);
-                    await this.checkAndExecuteArbitrage(lowerPriorityPairs);
-                } catch (error) {
-                    this.logger.error(`Error in scheduled low-priority check: ${error.message}`, error);
-                } finally {
-                    this.isRunning = false;
-                }
+                await this.runScheduledCheck('low-priority', pair => pair.priority > 1, { includeGraphCycles: true });
             });
             
             // Jalankan segera saat startup dengan semua pair
             await this.runInitialCheck();
             
+            // Pemindaian berbasis blok baru dan event Sync
+            if (SCAN_MODE === 'block') {
+                await this.startBlockScanning();
+            } else {
+                this.logger.log('Scan mode: cron');
+            }
+            
             this.logger.log('Bot started successfully and running...');
         } catch (error) {
             this.logger.error(`Error starting bot: ${error.message}`, error);
@@ -166,16 +166,16 @@ class ArbitrageBot {
         // Validasi koneksi provider
         const provider = await this.providerService.getProvider();
         const blockNumber = await provider.getBlockNumber();
-        this.logger.log(`Connected to BSC at block ${blockNumber}`);
+        this.logger.log(`Connected to ${CHAIN_NAME} at block ${blockNumber}`);
         
         // Periksa saldo wallet
         const walletAddress = await this.arbitrageExecutor.wallet.getAddress();
         const balance = await provider.getBalance(walletAddress);
         const balanceEth = ethers.utils.formatEther(balance);
-        this.logger.log(`Wallet balance: ${balanceEth} BNB`);
+        this.logger.log(`Wallet balance: ${balanceEth} ${NATIVE_SYMBOL}`);
         
         if (parseFloat(balanceEth) < 0.05) {
-            this.logger.warn(`WARNING: Low BNB balance (${balanceEth}). Consider adding more BNB for gas fees.`);
+            this.logger.warn(`WARNING: Low ${NATIVE_SYMBOL} balance (${balanceEth}). Consider adding more ${NATIVE_SYMBOL} for gas fees.`);
         }
         
         // Validasi kontrak flash arbitrage
@@ -200,6 +200,248 @@ class ArbitrageBot {
         }
     }
     
+    /**
+     * Memuat triangle hasil discovery dan menggabungkannya dengan TOKEN_PAIRS
+     */
+    async loadDiscoveredTriangles() {
+        if (!DISCOVERY_ENABLED || !this.pairDiscoveryService) {
+            this.logger.log('Triangle discovery disabled, using configured pairs only');
+            return;
+        }
+        
+        try {
+            const { triangles, pools } = await this.pairDiscoveryService.discoverTriangles();
+            this.discoveredPools = pools || [];
+            this.tokenPairs = this.pairDiscoveryService.mergeTriangles(TOKEN_PAIRS, triangles);
+        } catch (error) {
+            this.logger.error(`Error discovering triangles, using configured pairs only: ${error.message}`, error);
+            this.tokenPairs = TOKEN_PAIRS;
+            this.discoveredPools = [];
+        }
+    }
+    
+    /**
+     * Memeriksa setiap pair triangle dan pool hasil discovery terhadap factory venue-nya
+     */
+    async verifyPairVenues() {
+        if (!this.pairDiscoveryService) {
+            return;
+        }
+        
+        try {
+            const { tokenPairs, pools } = await this.pairDiscoveryService.verifyPairs(this.tokenPairs, this.discoveredPools);
+            this.tokenPairs = tokenPairs;
+            this.discoveredPools = pools;
+        } catch (error) {
+            this.logger.error(`Error verifying pairs against their factories: ${error.message}`, error);
+        }
+    }
+    
+    /**
+     * Vetting semua token di triangle dan pool hasil discovery, lalu buang yang memuat token dikarantina
+     */
+    async vetTriangleTokens() {
+        if (!TOKEN_VETTING_ENABLED || !this.tokenVettingService) {
+            this.logger.log('Token vetting disabled');
+            return;
+        }
+        
+        try {
+            const tokens = [
+                ...this.tokenPairs.flatMap(pairConfig => Object.values(pairConfig.tokens)),
+                ...this.discoveredPools.flatMap(pool => pool.tokens || [])
+            ];
+            await this.tokenVettingService.vetTokens(tokens);
+            
+            const before = this.tokenPairs.length;
+            this.tokenPairs = this.tokenVettingService.filterTriangles(this.tokenPairs);
+            this.discoveredPools = this.tokenVettingService.filterPools(this.discoveredPools);
+            
+            if (this.tokenPairs.length < before) {
+                this.logger.log(`Token vetting removed ${before - this.tokenPairs.length} of ${before} triangles`);
+            }
+        } catch (error) {
+            this.logger.error(`Error vetting triangle tokens: ${error.message}`, error);
+        }
+    }
+    
+    /**
+     * Pemeriksaan terjadwal (cron) untuk sekumpulan pair
+     * @param {string} label - Nama jadwal untuk log
+     * @param {Function} filter - Filter pair yang diperiksa
+     * @param {object} options - Opsi untuk checkAndExecuteArbitrage
+     */
+    async runScheduledCheck(label, filter, options = {}) {
+        // Pada mode block, cron hanya dipakai jika stream blok tidak aktif
+        if (SCAN_MODE === 'block' && this.blockEventService && this.blockEventService.isHealthy()) {
+            return;
+        }
+        
+        if (this.isRunning) {
+            this.logger.log('Previous check still running, skipping...');
+            return;
+        }
+        
+        this.isRunning = true;
+        
+        try {
+            // Periksa kondisi jaringan sebelum melanjutkan
+            const isNetworkReady = await this.networkService.isNetworkReadyForArbitrage();
+            if (!isNetworkReady) {
+                this.logger.log('Network conditions unfavorable. Skipping arbitrage check.');
+                return;
+            }
+            
+            // Periksa apakah kontrak dipause
+            const isPaused = await this.arbitrageExecutor.isContractPaused();
+            if (isPaused) {
+                this.logger.log('Contract is paused. Skipping arbitrage check.');
+                return;
+            }
+            
+            await this.checkAndExecuteArbitrage(this.tokenPairs.filter(filter), options);
+        } catch (error) {
+            this.logger.error(`Error in scheduled ${label} check: ${error.message}`, error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+    
+    /**
+     * Mulai pemindaian yang dipicu blok baru dan event Sync pada semua pool yang dipantau
+     */
+    async startBlockScanning() {
+        try {
+            const pools = this.arbitrageChecker.cycleFinder.collectPools(this.tokenPairs, this.discoveredPools);
+            this.poolIndex = this.buildPoolIndex(this.tokenPairs);
+            
+            await this.blockEventService.start(
+                pools.map(pool => pool.address),
+                event => this.handleBlockEvent(event)
+            );
+            
+            this.logger.log('Scan mode: block (cron schedule kept as fallback)');
+        } catch (error) {
+            this.logger.error(`Error starting block scanning, falling back to cron schedule: ${error.message}`, error);
+        }
+    }
+    
+    /**
+     * Index alamat pair ke triangle yang menggunakannya
+     * @param {Array} tokenPairs - Konfigurasi triangle
+     * @returns {Map} Map alamat pair (lowercase) -> array triangle
+     */
+    buildPoolIndex(tokenPairs) {
+        const index = new Map();
+        
+        for (const pairConfig of tokenPairs) {
+            for (const dex of dexRegistry.getAll()) {
+                for (const address of Object.values(pairConfig[dex.pairsKey] || {})) {
+                    if (!address) continue;
+                    
+                    const key = address.toLowerCase();
+                    if (!index.has(key)) {
+                        index.set(key, []);
+                    }
+                    if (!index.get(key).includes(pairConfig)) {
+                        index.get(key).push(pairConfig);
+                    }
+                }
+            }
+        }
+        
+        return index;
+    }
+    
+    /**
+     * Triangle yang memakai setidaknya satu pool yang berubah
+     * @param {Set} changedPools - Alamat pair yang berubah (lowercase)
+     * @returns {Array} Konfigurasi triangle
+     */
+    getTrianglesForPools(changedPools) {
+        const triangles = new Set();
+        
+        for (const address of changedPools) {
+            for (const pairConfig of this.poolIndex.get(address) || []) {
+                triangles.add(pairConfig);
+            }
+        }
+        
+        return Array.from(triangles);
+    }
+    
+    /**
+     * Menangani blok baru dari BlockEventService
+     * @param {object} event - { blockNumber, fromBlock, changedPools, syncs, fullRescan }
+     */
+    handleBlockEvent({ blockNumber, fromBlock, changedPools, syncs, fullRescan }) {
+        // Gabungkan dengan perubahan yang belum sempat dipindai. Reserve dari event Sync baru diterapkan
+        // di awal scan berikutnya, agar scan yang sedang berjalan tetap membaca state satu blok.
+        if (!this.pendingBlockScan) {
+            this.pendingBlockScan = { fromBlock, blockNumber, changedPools: new Set(), syncs: new Map(), fullRescan: false };
+        }
+        this.pendingBlockScan.fromBlock = Math.min(this.pendingBlockScan.fromBlock, fromBlock);
+        this.pendingBlockScan.blockNumber = Math.max(this.pendingBlockScan.blockNumber, blockNumber);
+        this.pendingBlockScan.fullRescan = this.pendingBlockScan.fullRescan || fullRescan;
+        changedPools.forEach(address => this.pendingBlockScan.changedPools.add(address));
+        // Event datang berurutan, reserve dari blok yang lebih baru menimpa yang lama
+        syncs.forEach((sync, address) => this.pendingBlockScan.syncs.set(address, sync));
+        
+        // Scan yang sedang berjalan akan mengambil perubahan ini setelah selesai
+        if (this.isRunning) {
+            return;
+        }
+        
+        this.runBlockScans().catch(error => {
+            this.logger.error(`Error in block scan: ${error.message}`, error);
+        });
+    }
+    
+    /**
+     * Memindai ulang triangle yang pool-nya berubah sampai tidak ada perubahan tertunda
+     */
+    async runBlockScans() {
+        this.isRunning = true;
+        
+        try {
+            while (this.pendingBlockScan) {
+                const scan = this.pendingBlockScan;
+                this.pendingBlockScan = null;
+                
+                // Reserve dari event Sync langsung dipakai tanpa membaca ulang pool
+                if (!scan.fullRescan) {
+                    this.quoteService.applySyncEvents(scan.syncs, scan.fromBlock, scan.blockNumber, scan.changedPools);
+                }
+                
+                const pairsToCheck = scan.fullRescan ? this.tokenPairs : this.getTrianglesForPools(scan.changedPools);
+                const includeGraphCycles = scan.blockNumber - this.lastGraphSearchBlock >= GRAPH_SEARCH_BLOCK_INTERVAL;
+                
+                if (pairsToCheck.length === 0 && !includeGraphCycles) {
+                    continue;
+                }
+                
+                this.logger.log(`Block ${scan.blockNumber}: ${scan.changedPools.size} pools changed, re-evaluating ${pairsToCheck.length} triangles${includeGraphCycles ? ' and graph cycles' : ''}`);
+                
+                const isPaused = await this.arbitrageExecutor.isContractPaused();
+                if (isPaused) {
+                    this.logger.log('Contract is paused. Skipping block scan.');
+                    continue;
+                }
+                
+                if (includeGraphCycles) {
+                    this.lastGraphSearchBlock = scan.blockNumber;
+                }
+                
+                await this.checkAndExecuteArbitrage(pairsToCheck, {
+                    includeGraphCycles,
+                    blockNumber: scan.blockNumber
+                });
+            }
+        } finally {
+            this.isRunning = false;
+        }
+    }
+    
     /**
      * Pemeriksaan awal pada semua pair
      */
@@ -215,7 +457,7 @@ class ArbitrageBot {
             }
             
             this.logger.log('Running initial arbitrage check on all pairs...');
-            await this.checkAndExecuteArbitrage(TOKEN_PAIRS);
+            await this.checkAndExecuteArbitrage(this.tokenPairs, { includeGraphCycles: true });
         } catch (error) {
             this.logger.error(`Error in initial check: ${error.message}`, error);
         } finally {
@@ -226,26 +468,45 @@ class ArbitrageBot {
     /**
      * Periksa dan eksekusi arbitrage pada set pair tertentu
      * @param {Array} pairsToCheck - Array konfigurasi token pair
+     * @param {object} options - { includeGraphCycles: sertakan pencarian siklus di seluruh graph pool, blockNumber: blok scan }
      */
-    async checkAndExecuteArbitrage(pairsToCheck) {
+    async checkAndExecuteArbitrage(pairsToCheck, options = {}) {
         try {
+            // Semua read dalam satu siklus scan (triangle dan siklus graph) dipatok ke blok yang sama
+            const blockNumber = options.blockNumber || await this.quoteService.refreshBlockNumber();
+            
             // Temukan peluang arbitrage
-            const opportunities = await this.arbitrageChecker.checkArbitrageOpportunities(pairsToCheck);
+            const opportunities = pairsToCheck.length > 0
+                ? await this.arbitrageChecker.checkArbitrageOpportunities(pairsToCheck, { blockNumber })
+                : [];
+            
+            // Tambahkan peluang dari siklus 3-4 hop di seluruh graph pool
+            if (options.includeGraphCycles && GRAPH_SEARCH_ENABLED) {
+                const pools = this.arbitrageChecker.cycleFinder.collectPools(this.tokenPairs, this.discoveredPools);
+                const cycleOpportunities = await this.arbitrageChecker.checkGraphCycles(pools, { blockNumber });
+                opportunities.push(...cycleOpportunities);
+            }
             
             if (opportunities.length === 0) {
                 this.logger.log('No profitable arbitrage opportunities found.');
                 return;
             }
             
-            // Urutkan berdasarkan profitabilitas
-            opportunities.sort((a, b) => b.profitResult.profitPercentage - a.profitResult.profitPercentage);
+            // Urutkan berdasarkan profit bersih
+            opportunities.sort((a, b) => b.profitResult.netProfitUSD - a.profitResult.netProfitUSD);
             
             // Log peluang yang ditemukan
-            this.logger.log(`Found ${opportunities.length} profitable arbitrage opportunities.`);
+            this.logger.log(`Found ${opportunities.length} profitable arbitrage opportunities at block ${blockNumber}.`);
             
             for (let i = 0; i < Math.min(3, opportunities.length); i++) {
                 const opp = opportunities[i];
-                this.logger.log(`Opportunity ${i+1}: ${opp.tokenADetails.symbol}-${opp.tokenBDetails.symbol}-${opp.tokenCDetails.symbol} - Profit: $${opp.profitResult.netProfitUSD.toFixed(2)} (${opp.profitResult.profitPercentage.toFixed(2)}%)`);
+                this.logger.log(`Opportunity ${i+1}: ${this.describeOpportunity(opp)} - Profit: $${opp.profitResult.netProfitUSD.toFixed(2)} (${opp.profitResult.profitPercentage.toFixed(2)}%)`);
+                if (opp.ranking) {
+                    this.logger.log(`  Ranking (${opp.ranking.orientation}): ${opp.ranking.reasons.join('; ')}`);
+                }
+                if (opp.liquidity) {
+                    this.logger.log(`  Liquidity: ${this.describeLiquidity(opp.liquidity)}`);
+                }
             }
             
             if (!EXECUTION_ENABLED) {
@@ -253,22 +514,84 @@ class ArbitrageBot {
                 return;
             }
             
-            // Eksekusi arbitrage paling menguntungkan
-            const bestOpportunity = opportunities[0];
-            this.logger.log(`Executing best opportunity: ${bestOpportunity.tokenADetails.symbol}-${bestOpportunity.tokenBDetails.symbol}-${bestOpportunity.tokenCDetails.symbol}`);
+            await this.executeOpportunities(opportunities);
+        } catch (error) {
+            this.logger.error(`Error in checkAndExecuteArbitrage: ${error.message}`, error);
+        }
+    }
+    
+    /**
+     * Mengeksekusi sampai MAX_EXECUTIONS_PER_SCAN peluang tanpa pool bersama, dari profit bersih tertinggi
+     * @param {Array} opportunities - Peluang yang ditemukan pada siklus scan ini
+     */
+    async executeOpportunities(opportunities) {
+        const { selected, skipped } = OpportunitySelector.selectNonConflicting(opportunities, MAX_EXECUTIONS_PER_SCAN);
+        
+        this.logger.log(`Selected ${selected.length} non-conflicting opportunities for ${EXECUTION_STRATEGY} execution`);
+        skipped.forEach(({ opportunity, conflictsWith }) => {
+            this.logger.log(`  Skipping ${this.describeOpportunity(opportunity)}: shares a pool with ${this.describeOpportunity(conflictsWith)}`);
+        });
+        
+        if (EXECUTION_STRATEGY === 'parallel') {
+            // Nonce berurutan diberikan NonceManager, semua transaksi ditunggu bersamaan
+            const results = await Promise.all(selected.map(opportunity => {
+                this.logger.log(`Executing opportunity: ${this.describeOpportunity(opportunity)}`);
+                return this.arbitrageExecutor.executeArbitrage(opportunity);
+            }));
             
-            const success = await this.arbitrageExecutor.executeArbitrage(bestOpportunity);
+            const succeeded = results.filter(success => success).length;
+            this.logger.log(`Parallel execution finished: ${succeeded}/${selected.length} succeeded.`);
+            return;
+        }
+        
+        for (let i = 0; i < selected.length; i++) {
+            let opportunity = selected[i];
+            
+            // Eksekusi sebelumnya sudah masuk blok, quote peluang berikutnya dihitung ulang pada state terbaru
+            if (i > 0) {
+                const route = this.describeOpportunity(opportunity);
+                opportunity = await this.arbitrageChecker.requoteOpportunity(opportunity);
+                if (!opportunity) {
+                    this.logger.log(`${route} is no longer profitable after re-quote, skipping`);
+                    continue;
+                }
+            }
+            
+            this.logger.log(`Executing opportunity ${i + 1}/${selected.length}: ${this.describeOpportunity(opportunity)}`);
+            const success = await this.arbitrageExecutor.executeArbitrage(opportunity);
             
             if (success) {
                 this.logger.log('Arbitrage execution completed successfully.');
             } else {
                 this.logger.warn('Arbitrage execution failed.');
             }
-        } catch (error) {
-            this.logger.error(`Error in checkAndExecuteArbitrage: ${error.message}`, error);
         }
     }
     
+    /**
+     * Ringkasan laporan likuiditas per hop untuk log
+     * @param {Array} liquidity - Laporan hop dari LiquidityFilter
+     * @returns {string} Misalnya PANCAKESWAP WBNB->USDT $1200000 0.12% | ...
+     */
+    describeLiquidity(liquidity) {
+        return liquidity.map(hop => {
+            const depth = hop.depthUSD === null ? 'n/a' : `$${hop.depthUSD.toFixed(0)}`;
+            return `${hop.label} ${depth} ${hop.priceImpactPercent.toFixed(2)}%`;
+        }).join(' | ');
+    }
+    
+    /**
+     * Deskripsi rute peluang untuk log
+     * @param {object} opportunity - Objek peluang arbitrage
+     * @returns {string} Rute token, misalnya WBNB-USDT-BUSD (ditandai jika mencampur jenis pool, misalnya [V2/V3])
+     */
+    describeOpportunity(opportunity) {
+        const route = opportunity.cycle
+            ? opportunity.cycle.symbols.join('-')
+            : `${opportunity.tokenADetails.symbol}-${opportunity.tokenBDetails.symbol}-${opportunity.tokenCDetails.symbol}`;
+        return opportunity.mixedPoolKinds ? `${route} [${ArbitrageEncoder.describePoolKinds(opportunity.poolKinds)}]` : route;
+    }
+    
     /**
      * Menghentikan bot dan membersihkan resource
      */
@@ -280,6 +603,11 @@ class ArbitrageBot {
             if (schedule) schedule.stop();
         });
         
+        // Hentikan langganan blok
+        if (this.blockEventService) {
+            this.blockEventService.stop();
+        }
+        
         // Tampilkan ringkasan performa
         const summary = this.fileManager.getPerformanceSummary();
         console.log(summary);
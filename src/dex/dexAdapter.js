@@ -0,0 +1,156 @@
+const { ethers } = require('ethers');
+const { ROUTER_ABI } = require('../../config/abi');
+const TokenTags = require('../utils/tokenTags');
+
+/**
+ * DexAdapter - Representasi satu DEX (fork Uniswap V2, V3 atau StableSwap): router, factory, fee,
+ * field pair di konfigurasi triangle, dan cara kontrak mengotorisasi pair-nya.
+ */
+class DexAdapter {
+    /**
+     * @param {string} id - ID venue, misalnya PANCAKESWAP
+     * @param {object} config - Entri dari config/dexes.js
+     */
+    constructor(id, config) {
+        if (!config.router || !config.pairsKey || !config.swapFee) {
+            throw new Error(`DEX ${id} requires router, pairsKey and swapFee`);
+        }
+
+        this.id = id;
+        this.name = config.name || id;
+        this.type = config.type || 'v2';
+        this.router = ethers.utils.getAddress(config.router);
+        this.factory = config.factory ? ethers.utils.getAddress(config.factory) : null;
+        this.pairsKey = config.pairsKey;
+        this.swapFee = config.swapFee;
+        this.pairSwapFee = config.pairSwapFee || null;
+        this.authorization = config.authorization || 'router';
+        this.flashFee = config.flashFee || null;
+        this.flashFeeGetters = config.flashFeeGetters || null;
+        this.quoter = config.quoter ? ethers.utils.getAddress(config.quoter) : null;
+        this.feeTiers = config.feeTiers || [];
+        this.tokenTag = config.tokenTag || null;
+        this.aPrecision = config.aPrecision || 1;
+        this.supportsFlashLoan = config.flashLoan !== false;
+    }
+
+    /**
+     * Apakah DEX memakai pool StableSwap
+     * @returns {boolean} True untuk DEX stable-swap
+     */
+    get isStable() {
+        return this.type === 'stable';
+    }
+
+    /**
+     * Apakah pasangan token boleh di-swap di DEX ini (DEX dengan tokenTag hanya untuk token bertag)
+     * @param {string} tokenA - Alamat token pertama
+     * @param {string} tokenB - Alamat token kedua
+     * @returns {boolean} True jika pasangan token didukung
+     */
+    supportsTokens(tokenA, tokenB) {
+        return !this.tokenTag || (TokenTags.hasTag(tokenA, this.tokenTag) && TokenTags.hasTag(tokenB, this.tokenTag));
+    }
+
+    /**
+     * Apakah DEX memakai pool concentrated liquidity (V3)
+     * @returns {boolean} True untuk DEX V3
+     */
+    get isV3() {
+        return this.type === 'v3';
+    }
+
+    /**
+     * Apakah DEX didukung oleh format legacy kontrak (executeFlashLoan dengan bool fromPancake)
+     * @returns {boolean} True untuk PancakeSwap dan BiSwap
+     */
+    get isLegacy() {
+        return this.authorization === 'pancakeswap' || this.authorization === 'biswap';
+    }
+
+    /**
+     * Nilai bool fromPancake/isPancakeswap untuk format legacy
+     * @returns {boolean} True jika DEX diperlakukan sebagai PancakeSwap oleh kontrak
+     */
+    get legacyFlag() {
+        return this.authorization === 'pancakeswap';
+    }
+
+    /**
+     * Swap fee DEX
+     * @returns {object} { numerator, denominator }
+     */
+    getSwapFee() {
+        return this.swapFee;
+    }
+
+    /**
+     * Biaya flash swap default. Jika tidak dikonfigurasi, diturunkan dari swap fee:
+     * V2: repay = amount * denominator / numerator, sehingga fee = amount * (denominator - numerator) / numerator
+     * V3: flash() menagih fee tier pool, fee = amount * (denominator - numerator) / denominator
+     * @returns {object} { numerator, denominator } sebagai BigNumber
+     */
+    getDefaultFlashFee() {
+        const fee = this.flashFee || {
+            numerator: this.swapFee.denominator - this.swapFee.numerator,
+            denominator: this.isV3 ? this.swapFee.denominator : this.swapFee.numerator
+        };
+
+        return {
+            numerator: ethers.BigNumber.from(fee.numerator),
+            denominator: ethers.BigNumber.from(fee.denominator)
+        };
+    }
+
+    /**
+     * Alamat factory, dibaca dari router jika tidak dikonfigurasi
+     * @param {ethers.providers.Provider} provider - Provider
+     * @returns {Promise<string>} Alamat factory
+     */
+    async getFactory(provider) {
+        if (!this.factory) {
+            const router = new ethers.Contract(this.router, ROUTER_ABI, provider);
+            this.factory = await router.factory();
+        }
+        return this.factory;
+    }
+
+    /**
+     * Memeriksa otorisasi pair flash loan di kontrak arbitrage
+     * @param {ethers.Contract} flashArbitrageContract - Kontrak arbitrage
+     * @param {string} pairAddress - Alamat pair
+     * @returns {Promise<boolean>} Status otorisasi
+     */
+    async isPairAuthorized(flashArbitrageContract, pairAddress) {
+        switch (this.authorization) {
+            case 'pancakeswap':
+                return flashArbitrageContract.authorizedPancakeswapPairs(pairAddress);
+            case 'biswap':
+                return flashArbitrageContract.authorizedBiswapPairs(pairAddress);
+            case 'router':
+                return flashArbitrageContract.authorizedPairs(this.router, pairAddress);
+            default:
+                throw new Error(`Unknown authorization method ${this.authorization} for ${this.id}`);
+        }
+    }
+
+    /**
+     * Menyusun transaksi otorisasi pair flash loan (dikirim lewat NonceManager)
+     * @param {ethers.Contract} flashArbitrageContract - Kontrak arbitrage
+     * @param {string} pairAddress - Alamat pair
+     * @returns {Promise<ethers.PopulatedTransaction>} Transaksi otorisasi yang belum ditandatangani
+     */
+    async populateAuthorizePair(flashArbitrageContract, pairAddress) {
+        switch (this.authorization) {
+            case 'pancakeswap':
+            case 'biswap':
+                return flashArbitrageContract.populateTransaction.updateAuthorizedPair(pairAddress, true, this.legacyFlag);
+            case 'router':
+                return flashArbitrageContract.populateTransaction.setAuthorizedPair(this.router, pairAddress, true);
+            default:
+                throw new Error(`Unknown authorization method ${this.authorization} for ${this.id}`);
+        }
+    }
+}
+
+module.exports = DexAdapter;
@@ -0,0 +1,79 @@
+const DexAdapter = require('./dexAdapter');
+
+/**
+ * DexRegistry - Kumpulan adapter DEX yang aktif
+ */
+class DexRegistry {
+    /**
+     * @param {DexAdapter[]} adapters - Adapter DEX yang aktif
+     */
+    constructor(adapters) {
+        this.adapters = new Map(adapters.map(adapter => [adapter.id, adapter]));
+    }
+
+    /**
+     * Membuat registry dari konfigurasi DEX
+     * @param {object} configs - DEX_CONFIGS dari config/dexes.js
+     * @param {string[]} enabledIds - ID DEX yang aktif
+     * @returns {DexRegistry} Registry
+     */
+    static fromConfig(configs, enabledIds) {
+        const adapters = enabledIds.map(id => {
+            if (!configs[id]) {
+                throw new Error(`DEX ${id} is enabled but not configured in config/dexes.js`);
+            }
+            return new DexAdapter(id, configs[id]);
+        });
+
+        return new DexRegistry(adapters);
+    }
+
+    /**
+     * Adapter untuk sebuah venue
+     * @param {string} id - ID venue
+     * @returns {DexAdapter} Adapter DEX
+     */
+    get(id) {
+        const adapter = this.adapters.get(id);
+        if (!adapter) {
+            throw new Error(`Unknown or disabled DEX ${id}`);
+        }
+        return adapter;
+    }
+
+    /**
+     * Apakah venue aktif
+     * @param {string} id - ID venue
+     * @returns {boolean} True jika aktif
+     */
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    /**
+     * Semua adapter yang aktif
+     * @returns {DexAdapter[]} Daftar adapter
+     */
+    getAll() {
+        return Array.from(this.adapters.values());
+    }
+
+    /**
+     * ID semua venue yang aktif
+     * @returns {string[]} Daftar ID venue
+     */
+    getIds() {
+        return Array.from(this.adapters.keys());
+    }
+
+    /**
+     * Mencari adapter berdasarkan alamat router
+     * @param {string} routerAddress - Alamat router
+     * @returns {DexAdapter|undefined} Adapter jika ada
+     */
+    getByRouter(routerAddress) {
+        return this.getAll().find(adapter => adapter.router.toLowerCase() === routerAddress.toLowerCase());
+    }
+}
+
+module.exports = DexRegistry;
@@ -0,0 +1,12 @@
+const { DEX_CONFIGS, ENABLED_DEXES } = require('../../config/dexes');
+const DexAdapter = require('./dexAdapter');
+const DexRegistry = require('./dexRegistry');
+
+// Registry bersama untuk DEX yang diaktifkan lewat ENABLED_DEXES
+const dexRegistry = DexRegistry.fromConfig(DEX_CONFIGS, ENABLED_DEXES);
+
+module.exports = {
+    DexAdapter,
+    DexRegistry,
+    dexRegistry
+};
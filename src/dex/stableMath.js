@@ -0,0 +1,156 @@
+const { ethers } = require('ethers');
+
+const N_COINS = 2n;
+const PRECISION = 10n ** 18n;
+const FEE_DENOMINATOR = 10n ** 10n;
+const MAX_ITERATIONS = 255;
+
+/**
+ * StableMath - Perhitungan invariant StableSwap (Curve, dua token) secara lokal.
+ * Urutan operasi integer mengikuti get_D, get_y dan get_dy kontrak PancakeStableSwapTwoPool, sehingga hasilnya
+ * sama dengan get_dy on-chain untuk saldo balances(i) yang sama. Nilai amp adalah A() pool dikali aPrecision
+ * (1 untuk pool tanpa A_PRECISION).
+ */
+class StableMath {
+    /**
+     * Invariant D untuk saldo ternormalisasi
+     * @param {bigint[]} xp - Saldo dalam presisi 18 desimal
+     * @param {bigint} amp - Koefisien amplifikasi
+     * @param {bigint} aPrecision - Presisi A
+     * @returns {bigint} Invariant D
+     */
+    static getD(xp, amp, aPrecision) {
+        const sum = xp.reduce((total, x) => total + x, 0n);
+        if (sum === 0n) {
+            return 0n;
+        }
+
+        const ann = amp * N_COINS;
+        let d = sum;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            let dP = d;
+            for (const x of xp) {
+                dP = dP * d / (x * N_COINS);
+            }
+
+            const previous = d;
+            d = (ann * sum / aPrecision + dP * N_COINS) * d /
+                ((ann - aPrecision) * d / aPrecision + (N_COINS + 1n) * dP);
+
+            if (d > previous ? d - previous <= 1n : previous - d <= 1n) {
+                break;
+            }
+        }
+
+        return d;
+    }
+
+    /**
+     * Saldo token j setelah saldo token i menjadi x, dengan D tetap
+     * @param {number} i - Indeks token masuk
+     * @param {number} j - Indeks token keluar
+     * @param {bigint} x - Saldo baru token i (ternormalisasi)
+     * @param {bigint[]} xp - Saldo ternormalisasi saat ini
+     * @param {bigint} amp - Koefisien amplifikasi
+     * @param {bigint} aPrecision - Presisi A
+     * @returns {bigint} Saldo baru token j (ternormalisasi)
+     */
+    static getY(i, j, x, xp, amp, aPrecision) {
+        const d = this.getD(xp, amp, aPrecision);
+        const ann = amp * N_COINS;
+        let c = d;
+        let sum = 0n;
+
+        for (let k = 0; k < xp.length; k++) {
+            let value;
+            if (k === i) {
+                value = x;
+            } else if (k !== j) {
+                value = xp[k];
+            } else {
+                continue;
+            }
+            sum += value;
+            c = c * d / (value * N_COINS);
+        }
+
+        c = c * d * aPrecision / (ann * N_COINS);
+        const b = sum + d * aPrecision / ann;
+        let y = d;
+
+        for (let k = 0; k < MAX_ITERATIONS; k++) {
+            const previous = y;
+            y = (y * y + c) / (2n * y + b - d);
+
+            if (y > previous ? y - previous <= 1n : previous - y <= 1n) {
+                break;
+            }
+        }
+
+        return y;
+    }
+
+    /**
+     * Jumlah keluar untuk swap exact input (get_dy)
+     * @param {object} state - State pool stable { balances, rates, amp, aPrecision, feeRate }
+     * @param {number} i - Indeks token masuk
+     * @param {number} j - Indeks token keluar
+     * @param {bigint} dx - Jumlah masuk
+     * @returns {bigint} Jumlah keluar setelah fee
+     */
+    static getDy(state, i, j, dx) {
+        const xp = state.balances.map((balance, index) => balance * state.rates[index] / PRECISION);
+        if (dx === 0n || xp.some(x => x === 0n)) {
+            return 0n;
+        }
+
+        const x = xp[i] + dx * state.rates[i] / PRECISION;
+        const y = this.getY(i, j, x, xp, state.amp, state.aPrecision);
+        if (xp[j] <= y + 1n) {
+            return 0n;
+        }
+
+        // Fee dipotong dari dy ternormalisasi, baru dibagi rate token keluar (urutan yang sama dengan kontrak)
+        const dy = xp[j] - y - 1n;
+        const fee = state.feeRate * dy / FEE_DENOMINATOR;
+        return (dy - fee) * PRECISION / state.rates[j];
+    }
+
+    /**
+     * Reserve constant product virtual yang meniru kurva stable-swap di sekitar saldo saat ini
+     * (rate marginal dan price impact pada 1% saldo). Dipakai untuk graph dan titik awal sizing;
+     * quote tepat tetap memakai getDy.
+     * @param {object} state - State pool stable
+     * @returns {object} { reserve0, reserve1 } sebagai BigNumber
+     */
+    static getVirtualReserves(state) {
+        const zero = { reserve0: ethers.BigNumber.from(0), reserve1: ethers.BigNumber.from(0) };
+        if (state.balances.some(balance => balance === 0n)) {
+            return zero;
+        }
+
+        const gamma = 1 - Number(state.feeRate) / Number(FEE_DENOMINATOR);
+        const epsilon = state.balances[0] / 1000000n || 1n;
+        const probe = state.balances[0] / 100n || 1n;
+
+        const marginalRate = Number(this.getDy(state, 0, 1, epsilon)) / Number(epsilon);
+        const probeOut = Number(this.getDy(state, 0, 1, probe));
+        const linearOut = marginalRate * Number(probe);
+
+        if (!(marginalRate > 0) || !(linearOut > probeOut)) {
+            return zero;
+        }
+
+        // out(x) = g*Ro*x / (Ri + g*x) dengan out'(0) = marginalRate dan out(probe) = probeOut
+        const reserveIn = gamma * Number(probe) * probeOut / (linearOut - probeOut);
+        const reserveOut = marginalRate * reserveIn / gamma;
+
+        const toBigNumber = value => ethers.BigNumber.from(BigInt(Math.floor(value)).toString());
+        return { reserve0: toBigNumber(reserveIn), reserve1: toBigNumber(reserveOut) };
+    }
+}
+
+StableMath.FEE_DENOMINATOR = FEE_DENOMINATOR;
+
+module.exports = StableMath;
@@ -0,0 +1,289 @@
+const { ethers } = require('ethers');
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const FEE_DENOMINATOR = 1000000n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+// Konstanta TickMath.getSqrtRatioAtTick: sqrt(1.0001)^-(2^i) dalam Q128
+const TICK_RATIOS = [
+    0xfff97272373d413259a46990580e213an,
+    0xfff2e50f5f656932ef12357cf3c7fdccn,
+    0xffe5caca7e10e4e61c3624eaa0941cd0n,
+    0xffcb9843d60f6159c9db58835c926644n,
+    0xff973b41fa98c081472e6896dfb254c0n,
+    0xff2ea16466c96a3843ec78b326b52861n,
+    0xfe5dee046a99a2a811c461f1969c3053n,
+    0xfcbe86c7900a88aedcffc83b479aa3a4n,
+    0xf987a7253ac413176f2b074cf7815e54n,
+    0xf3392b0822b70005940c7a398e4b70f3n,
+    0xe7159475a2c29b7443b29c7fa6e889d9n,
+    0xd097f3bdfd2022b8845ad8f792aa5825n,
+    0xa9f746462d870fdf8a65dc1f90e061e5n,
+    0x70d869a156d2a1b890bb3df62baf32f7n,
+    0x31be135f97d08fd981231505542fcfa6n,
+    0x9aa508b5b7a84e1c677de54f3e99bc9n,
+    0x5d6af8dedb81196699c329225ee604n,
+    0x2216e584f5fa1ea926041bedfe98n,
+    0x48a170391f7dc42444e8fa2n
+];
+
+/**
+ * V3Math - Simulasi swap pool concentrated liquidity (Uniswap/PancakeSwap V3) secara lokal.
+ * Perhitungan mengikuti TickMath, SqrtPriceMath dan SwapMath kontrak pool (integer, pembulatan sama),
+ * dibatasi pada rentang tick yang sudah dimuat ke state pool.
+ */
+class V3Math {
+    /**
+     * sqrtPriceX96 untuk sebuah tick (TickMath.getSqrtRatioAtTick)
+     * @param {number} tick - Tick
+     * @returns {bigint} sqrt(1.0001^tick) * 2^96
+     */
+    static getSqrtRatioAtTick(tick) {
+        const absTick = BigInt(Math.abs(tick));
+        if (absTick > BigInt(MAX_TICK)) {
+            throw new Error(`Tick ${tick} out of range`);
+        }
+
+        let ratio = (absTick & 1n) !== 0n
+            ? 0xfffcb933bd6fad37aa2d162d1a594001n
+            : 0x100000000000000000000000000000000n;
+
+        TICK_RATIOS.forEach((factor, index) => {
+            if ((absTick & (1n << BigInt(index + 1))) !== 0n) {
+                ratio = (ratio * factor) >> 128n;
+            }
+        });
+
+        if (tick > 0) {
+            ratio = MAX_UINT256 / ratio;
+        }
+
+        return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+    }
+
+    /**
+     * Pembagian dengan pembulatan ke atas
+     * @param {bigint} a - Pembilang
+     * @param {bigint} b - Penyebut
+     * @returns {bigint} ceil(a / b)
+     */
+    static divRoundingUp(a, b) {
+        return a / b + (a % b === 0n ? 0n : 1n);
+    }
+
+    /**
+     * Selisih token0 antara dua harga (SqrtPriceMath.getAmount0Delta)
+     * @param {bigint} sqrtA - Harga pertama
+     * @param {bigint} sqrtB - Harga kedua
+     * @param {bigint} liquidity - Likuiditas aktif
+     * @param {boolean} roundUp - Bulatkan ke atas
+     * @returns {bigint} Jumlah token0
+     */
+    static getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+        const [lower, upper] = sqrtA < sqrtB ? [sqrtA, sqrtB] : [sqrtB, sqrtA];
+        const numerator1 = liquidity << 96n;
+        const numerator2 = upper - lower;
+
+        return roundUp
+            ? this.divRoundingUp(this.divRoundingUp(numerator1 * numerator2, upper), lower)
+            : (numerator1 * numerator2 / upper) / lower;
+    }
+
+    /**
+     * Selisih token1 antara dua harga (SqrtPriceMath.getAmount1Delta)
+     * @param {bigint} sqrtA - Harga pertama
+     * @param {bigint} sqrtB - Harga kedua
+     * @param {bigint} liquidity - Likuiditas aktif
+     * @param {boolean} roundUp - Bulatkan ke atas
+     * @returns {bigint} Jumlah token1
+     */
+    static getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+        const diff = sqrtA < sqrtB ? sqrtB - sqrtA : sqrtA - sqrtB;
+        return roundUp ? this.divRoundingUp(liquidity * diff, Q96) : liquidity * diff / Q96;
+    }
+
+    /**
+     * Harga berikutnya setelah menambahkan token input (SqrtPriceMath.getNextSqrtPriceFromInput)
+     * @param {bigint} sqrtPrice - Harga saat ini
+     * @param {bigint} liquidity - Likuiditas aktif
+     * @param {bigint} amountIn - Jumlah masuk (setelah fee)
+     * @param {boolean} zeroForOne - Arah swap
+     * @returns {bigint} Harga baru
+     */
+    static getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountIn, zeroForOne) {
+        if (zeroForOne) {
+            const numerator1 = liquidity << 96n;
+            return this.divRoundingUp(numerator1 * sqrtPrice, numerator1 + amountIn * sqrtPrice);
+        }
+        return sqrtPrice + (amountIn << 96n) / liquidity;
+    }
+
+    /**
+     * Simulasi swap exact input di pool V3 melintasi tick yang sudah dimuat
+     * @param {object} state - State pool V3 { sqrtPriceX96, tick, liquidity, feeTier, ticks, tickLower, tickUpper }
+     * @param {boolean} zeroForOne - True jika token0 -> token1
+     * @param {bigint} amountIn - Jumlah masuk
+     * @returns {bigint|null} Jumlah keluar, null jika swap keluar dari rentang tick yang dimuat
+     */
+    static simulateSwap(state, zeroForOne, amountIn) {
+        const feePips = BigInt(state.feeTier);
+        let sqrtPrice = state.sqrtPriceX96;
+        let liquidity = state.liquidity;
+        let tick = state.tick;
+        let remaining = amountIn;
+        let amountOut = 0n;
+
+        while (remaining > 0n) {
+            // Tick terinisialisasi berikutnya searah swap, atau batas rentang yang dimuat
+            const next = zeroForOne
+                ? this.findLastTick(state.ticks, tick)
+                : this.findFirstTickAbove(state.ticks, tick);
+            const targetTick = next ? next.tick : (zeroForOne ? state.tickLower : state.tickUpper);
+            const sqrtTarget = this.getSqrtRatioAtTick(targetTick);
+
+            const remainingLessFee = remaining * (FEE_DENOMINATOR - feePips) / FEE_DENOMINATOR;
+            const amountInMax = zeroForOne
+                ? this.getAmount0Delta(sqrtTarget, sqrtPrice, liquidity, true)
+                : this.getAmount1Delta(sqrtPrice, sqrtTarget, liquidity, true);
+
+            let sqrtNext;
+            let stepIn;
+            let feeAmount;
+
+            if (remainingLessFee >= amountInMax) {
+                sqrtNext = sqrtTarget;
+                stepIn = amountInMax;
+                feeAmount = this.divRoundingUp(stepIn * feePips, FEE_DENOMINATOR - feePips);
+            } else {
+                sqrtNext = this.getNextSqrtPriceFromInput(sqrtPrice, liquidity, remainingLessFee, zeroForOne);
+                stepIn = zeroForOne
+                    ? this.getAmount0Delta(sqrtNext, sqrtPrice, liquidity, true)
+                    : this.getAmount1Delta(sqrtPrice, sqrtNext, liquidity, true);
+                feeAmount = remaining - stepIn;
+            }
+
+            amountOut += zeroForOne
+                ? this.getAmount1Delta(sqrtNext, sqrtPrice, liquidity, false)
+                : this.getAmount0Delta(sqrtPrice, sqrtNext, liquidity, false);
+            remaining -= stepIn + feeAmount;
+            sqrtPrice = sqrtNext;
+
+            if (sqrtNext !== sqrtTarget) {
+                break;
+            }
+
+            if (!next) {
+                // Harga mencapai batas rentang yang dimuat, likuiditas di luar rentang tidak diketahui
+                if (remaining > 0n) {
+                    return null;
+                }
+                break;
+            }
+
+            // Melintasi tick: likuiditas berubah sebesar liquidityNet
+            liquidity = zeroForOne ? liquidity - next.liquidityNet : liquidity + next.liquidityNet;
+            tick = zeroForOne ? next.tick - 1 : next.tick;
+
+            if (liquidity < 0n) {
+                return null;
+            }
+        }
+
+        return amountOut;
+    }
+
+    /**
+     * Tick terinisialisasi terbesar yang <= tick (ticks terurut naik)
+     * @param {Array} ticks - Daftar { tick, liquidityNet }
+     * @param {number} tick - Tick saat ini
+     * @returns {object|null} Tick, null jika tidak ada
+     */
+    static findLastTick(ticks, tick) {
+        for (let i = ticks.length - 1; i >= 0; i--) {
+            if (ticks[i].tick <= tick) {
+                return ticks[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tick terinisialisasi terkecil yang > tick (ticks terurut naik)
+     * @param {Array} ticks - Daftar { tick, liquidityNet }
+     * @param {number} tick - Tick saat ini
+     * @returns {object|null} Tick, null jika tidak ada
+     */
+    static findFirstTickAbove(ticks, tick) {
+        return ticks.find(entry => entry.tick > tick) || null;
+    }
+
+    /**
+     * Reserve virtual di rentang aktif: x = L / sqrtP, y = L * sqrtP.
+     * Di dalam rentang tick aktif pool V3 berperilaku seperti constant product dengan reserve ini.
+     * @param {bigint} sqrtPriceX96 - Harga saat ini
+     * @param {bigint} liquidity - Likuiditas aktif
+     * @returns {object} { reserve0, reserve1 } sebagai BigNumber
+     */
+    static getVirtualReserves(sqrtPriceX96, liquidity) {
+        if (sqrtPriceX96 === 0n) {
+            return { reserve0: ethers.BigNumber.from(0), reserve1: ethers.BigNumber.from(0) };
+        }
+
+        return {
+            reserve0: ethers.BigNumber.from(((liquidity << 96n) / sqrtPriceX96).toString()),
+            reserve1: ethers.BigNumber.from((liquidity * sqrtPriceX96 / Q96).toString())
+        };
+    }
+
+    /**
+     * Posisi word tickBitmap untuk sebuah tick
+     * @param {number} tick - Tick
+     * @param {number} tickSpacing - Tick spacing pool
+     * @returns {number} Indeks word (int16)
+     */
+    static getWordPosition(tick, tickSpacing) {
+        const compressed = Math.floor(tick / tickSpacing);
+        return compressed >> 8;
+    }
+
+    /**
+     * Tick terinisialisasi dalam satu word tickBitmap
+     * @param {number} wordPosition - Indeks word
+     * @param {bigint} bitmap - Isi word
+     * @param {number} tickSpacing - Tick spacing pool
+     * @returns {number[]} Daftar tick
+     */
+    static getTicksInWord(wordPosition, bitmap, tickSpacing) {
+        const ticks = [];
+        for (let bit = 0; bit < 256; bit++) {
+            if (((bitmap >> BigInt(bit)) & 1n) === 1n) {
+                ticks.push((wordPosition * 256 + bit) * tickSpacing);
+            }
+        }
+        return ticks;
+    }
+
+    /**
+     * Rentang tick yang dicakup oleh sejumlah word tickBitmap
+     * @param {number} firstWord - Word pertama
+     * @param {number} lastWord - Word terakhir
+     * @param {number} tickSpacing - Tick spacing pool
+     * @returns {object} { tickLower, tickUpper }
+     */
+    static getWordRange(firstWord, lastWord, tickSpacing) {
+        return {
+            tickLower: Math.max(MIN_TICK, firstWord * 256 * tickSpacing),
+            tickUpper: Math.min(MAX_TICK, (lastWord * 256 + 255) * tickSpacing)
+        };
+    }
+}
+
+V3Math.Q96 = Q96;
+V3Math.FEE_DENOMINATOR = FEE_DENOMINATOR;
+V3Math.MIN_TICK = MIN_TICK;
+V3Math.MAX_TICK = MAX_TICK;
+
+module.exports = V3Math;
@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const { PAIR_ABI, V3_POOL_ABI, STABLE_POOL_ABI } = require('../../config/abi');
+const { BLOCK_POLLING_INTERVAL_MS, BLOCK_STALL_TIMEOUT_MS, SYNC_MAX_BLOCK_RANGE } = require('../../config/constants');
+
+// Jumlah maksimum alamat pair per request eth_getLogs
+const LOG_ADDRESS_CHUNK_SIZE = 200;
+
+/**
+ * Service untuk berlangganan blok baru dan event Sync pada pair yang dipantau.
+ * Setiap blok baru, event Sync (pair V2), Swap/Mint/Burn (pool V3) dan event pool stable-swap sejak blok terakhir
+ * yang diproses dibaca dalam satu eth_getLogs, lalu pool yang berubah diteruskan ke callback.
+ */
+class BlockEventService {
+    constructor(provider, logger) {
+        this.provider = provider;
+        this.logger = logger;
+        this.pairInterface = new ethers.utils.Interface(PAIR_ABI);
+        this.syncTopic = this.pairInterface.getEventTopic('Sync');
+
+        // Pool V3 dan stable-swap tidak memancarkan Sync; perubahan state terlihat dari event ini
+        const v3Interface = new ethers.utils.Interface(V3_POOL_ABI);
+        const stableInterface = new ethers.utils.Interface(STABLE_POOL_ABI);
+        this.poolTopics = [
+            ...['Swap', 'Mint', 'Burn'].map(name => v3Interface.getEventTopic(name)),
+            ...['TokenExchange', 'AddLiquidity', 'RemoveLiquidity', 'RemoveLiquidityOne', 'RemoveLiquidityImbalance', 'RampA']
+                .map(name => stableInterface.getEventTopic(name))
+        ];
+
+        this.watchedPairs = new Set();
+        this.onChange = null;
+        this.blockHandler = null;
+        this.lastProcessedBlock = 0;
+        this.lastBlockAt = 0;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Mulai memantau blok baru dan event Sync
+     * @param {string[]} pairAddresses - Alamat pair yang dipantau
+     * @param {Function} onChange - Callback ({ blockNumber, fromBlock, changedPools, syncs, fullRescan })
+     */
+    async start(pairAddresses, onChange) {
+        this.setWatchedPairs(pairAddresses);
+        this.onChange = onChange;
+
+        this.lastProcessedBlock = await this.provider.getBlockNumber();
+        this.lastBlockAt = Date.now();
+
+        this.provider.pollingInterval = BLOCK_POLLING_INTERVAL_MS;
+        this.blockHandler = (blockNumber) => {
+            this.handleBlock(blockNumber).catch(error => {
+                this.logger.error(`Error handling block ${blockNumber}: ${error.message}`, error);
+            });
+        };
+        this.provider.on('block', this.blockHandler);
+
+        this.logger.log(`Listening for new blocks and Sync events on ${this.watchedPairs.size} pairs from block ${this.lastProcessedBlock}`);
+    }
+
+    /**
+     * Berhenti memantau blok
+     */
+    stop() {
+        if (this.blockHandler) {
+            this.provider.off('block', this.blockHandler);
+            this.blockHandler = null;
+        }
+    }
+
+    /**
+     * Mengganti daftar pair yang dipantau
+     * @param {string[]} pairAddresses - Alamat pair
+     */
+    setWatchedPairs(pairAddresses) {
+        this.watchedPairs = new Set(pairAddresses.map(address => address.toLowerCase()));
+    }
+
+    /**
+     * Apakah stream blok masih aktif (blok baru diterima dalam BLOCK_STALL_TIMEOUT_MS)
+     * @returns {boolean} True jika stream blok sehat
+     */
+    isHealthy() {
+        return this.blockHandler !== null && (Date.now() - this.lastBlockAt) < BLOCK_STALL_TIMEOUT_MS;
+    }
+
+    /**
+     * Memproses blok baru: baca event Sync sejak blok terakhir dan laporkan pool yang berubah
+     * @param {number} blockNumber - Nomor blok baru
+     */
+    async handleBlock(blockNumber) {
+        this.lastBlockAt = Date.now();
+
+        // Blok yang datang saat proses sebelumnya berjalan akan tercakup di range berikutnya
+        if (this.isProcessing || blockNumber <= this.lastProcessedBlock) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const fromBlock = this.lastProcessedBlock + 1;
+            const fullRescan = blockNumber - fromBlock + 1 > SYNC_MAX_BLOCK_RANGE;
+
+            // Jika tertinggal terlalu jauh, anggap semua pool berubah
+            const { syncs, changedPools } = fullRescan
+                ? { syncs: new Map(), changedPools: new Set(this.watchedPairs) }
+                : await this.fetchPoolEvents(fromBlock, blockNumber);
+
+            this.lastProcessedBlock = blockNumber;
+
+            if (this.onChange && changedPools.size > 0) {
+                this.onChange({ blockNumber, fromBlock, changedPools, syncs, fullRescan });
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Membaca event Sync terakhir setiap pair dan event pool V3/stable-swap yang dipantau dalam range blok
+     * @param {number} fromBlock - Blok awal (inklusif)
+     * @param {number} toBlock - Blok akhir (inklusif)
+     * @returns {Promise<object>} { syncs: Map alamat pair -> { reserve0, reserve1, blockNumber }, changedPools: Set alamat pool }
+     */
+    async fetchPoolEvents(fromBlock, toBlock) {
+        const addresses = Array.from(this.watchedPairs);
+        const chunks = [];
+
+        for (let i = 0; i < addresses.length; i += LOG_ADDRESS_CHUNK_SIZE) {
+            chunks.push(addresses.slice(i, i + LOG_ADDRESS_CHUNK_SIZE));
+        }
+
+        // Filter dengan banyak alamat sekaligus dikirim langsung sebagai eth_getLogs
+        const results = await Promise.all(chunks.map(chunk => this.provider.send('eth_getLogs', [{
+            fromBlock: ethers.utils.hexValue(fromBlock),
+            toBlock: ethers.utils.hexValue(toBlock),
+            address: chunk,
+            topics: [[this.syncTopic, ...this.poolTopics]]
+        }])));
+
+        const logs = results.flat().sort((a, b) =>
+            parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+            parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16)
+        );
+
+        // Event Sync terakhir untuk setiap pair adalah reserve terbaru
+        const syncs = new Map();
+        const changedPools = new Set();
+        for (const log of logs) {
+            const address = log.address.toLowerCase();
+            changedPools.add(address);
+
+            if (log.topics[0] !== this.syncTopic) {
+                continue;
+            }
+
+            const parsed = this.pairInterface.parseLog(log);
+            syncs.set(address, {
+                reserve0: parsed.args.reserve0,
+                reserve1: parsed.args.reserve1,
+                blockNumber: parseInt(log.blockNumber, 16)
+            });
+        }
+
+        return { syncs, changedPools };
+    }
+}
+
+module.exports = BlockEventService;
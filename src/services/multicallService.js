@@ -0,0 +1,132 @@
+const { ethers } = require('ethers');
+const { MULTICALL_ABI } = require('../../config/abi');
+const { MULTICALL_ENABLED, MULTICALL_ADDRESS, MULTICALL_BATCH_SIZE } = require('../../config/constants');
+
+/**
+ * Service untuk menggabungkan read call kontrak ke dalam satu panggilan Multicall3.
+ * Call yang dibuat pada tick yang sama dikumpulkan per blockTag, lalu dikirim sebagai
+ * satu eth_call aggregate3 sehingga semua hasil berasal dari blok yang sama.
+ * Sub-call yang revert diulang sebagai call tunggal.
+ */
+class MulticallService {
+    constructor(provider, logger) {
+        this.provider = provider;
+        this.logger = logger;
+        this.enabled = MULTICALL_ENABLED;
+        this.multicall = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI, provider);
+        this.queue = new Map(); // blockTag -> daftar call yang menunggu
+        this.flushScheduled = false;
+    }
+
+    /**
+     * Menjadwalkan read call untuk dikirim dalam batch berikutnya
+     * @param {ethers.Contract} contract - Kontrak tujuan
+     * @param {string} method - Nama fungsi view (fungsi non-view dijalankan sebagai eth_call)
+     * @param {Array} args - Argumen fungsi
+     * @param {object} overrides - Override call, misalnya { blockTag }
+     * @returns {Promise<any>} Hasil decode, sama seperti contract[method](...args)
+     */
+    call(contract, method, args = [], overrides = {}) {
+        const blockTag = overrides.blockTag !== undefined ? overrides.blockTag : 'latest';
+
+        if (!this.enabled) {
+            return contract.callStatic[method](...args, { blockTag });
+        }
+
+        return new Promise((resolve, reject) => {
+            const key = String(blockTag);
+            if (!this.queue.has(key)) {
+                this.queue.set(key, { blockTag, calls: [] });
+            }
+            this.queue.get(key).calls.push({ contract, method, args, resolve, reject });
+
+            if (!this.flushScheduled) {
+                this.flushScheduled = true;
+                setImmediate(() => this.flush());
+            }
+        });
+    }
+
+    /**
+     * Menjalankan beberapa read call sekaligus pada blok yang sama
+     * @param {Array} requests - Daftar { contract, method, args }
+     * @param {object} overrides - Override call, misalnya { blockTag }
+     * @returns {Promise<Array>} Hasil setiap call (null jika call gagal)
+     */
+    async all(requests, overrides = {}) {
+        return Promise.all(requests.map(request =>
+            this.call(request.contract, request.method, request.args || [], overrides).catch(() => null)
+        ));
+    }
+
+    /**
+     * Mengirim semua call yang menunggu
+     */
+    async flush() {
+        this.flushScheduled = false;
+        const groups = Array.from(this.queue.values());
+        this.queue.clear();
+
+        for (const group of groups) {
+            for (let i = 0; i < group.calls.length; i += MULTICALL_BATCH_SIZE) {
+                const chunk = group.calls.slice(i, i + MULTICALL_BATCH_SIZE);
+                await this.executeBatch(chunk, group.blockTag);
+            }
+        }
+    }
+
+    /**
+     * Mengeksekusi satu batch call melalui aggregate3
+     * @param {Array} calls - Call yang menunggu
+     * @param {string|number} blockTag - Blok tujuan
+     */
+    async executeBatch(calls, blockTag) {
+        let results;
+
+        try {
+            const encoded = calls.map(call => ({
+                target: call.contract.address,
+                allowFailure: true,
+                callData: call.contract.interface.encodeFunctionData(call.method, call.args)
+            }));
+
+            results = await this.multicall.callStatic.aggregate3(encoded, { blockTag });
+        } catch (error) {
+            // Aggregate gagal total (misalnya RPC error), ulangi sebagai call tunggal
+            this.logger.log(`Multicall batch of ${calls.length} calls failed, falling back to single calls: ${error.message}`);
+            await Promise.all(calls.map(call => this.executeSingle(call, blockTag)));
+            return;
+        }
+
+        await Promise.all(calls.map(async (call, index) => {
+            const result = results[index];
+
+            if (result && result.success) {
+                try {
+                    const decoded = call.contract.interface.decodeFunctionResult(call.method, result.returnData);
+                    call.resolve(decoded.length === 1 ? decoded[0] : decoded);
+                    return;
+                } catch (error) {
+                    // Data tidak bisa di-decode, coba call tunggal
+                }
+            }
+
+            await this.executeSingle(call, blockTag);
+        }));
+    }
+
+    /**
+     * Fallback ke call tunggal untuk sub-call yang revert
+     * @param {object} call - Call yang menunggu
+     * @param {string|number} blockTag - Blok tujuan
+     */
+    async executeSingle(call, blockTag) {
+        try {
+            call.resolve(await call.contract.callStatic[call.method](...call.args, { blockTag }));
+        } catch (error) {
+            call.reject(error);
+        }
+    }
+}
+
+module.exports = MulticallService;
@@ -14,6 +14,7 @@ class NetworkService {
             failedAttempts: 0,
             gasPrice: ethers.utils.parseUnits(GAS_PRICE_GWEI, 'gwei')
         };
+        this.blockGasPrices = null; // Gas price transaksi blok terbaru (terurut) untuk sinyal kompetisi
     }
 
     /**
@@ -105,6 +106,38 @@ class NetworkService {
         }
     }
 
+    /**
+     * Gas price persentil tertentu dari transaksi di blok terbaru, sebagai sinyal kompetisi.
+     * Dihitung sekali per blok.
+     * @param {number} percentile - Persentil (0-100)
+     * @returns {Promise<ethers.BigNumber|null>} Gas price, null jika blok kosong atau gagal dibaca
+     */
+    async getBlockGasPricePercentile(percentile) {
+        try {
+            const blockNumber = await this.provider.getBlockNumber();
+            
+            if (!this.blockGasPrices || this.blockGasPrices.blockNumber !== blockNumber) {
+                const block = await this.provider.getBlockWithTransactions(blockNumber);
+                const gasPrices = block.transactions
+                    .map(tx => tx.gasPrice || tx.maxFeePerGas)
+                    .filter(gasPrice => gasPrice && !gasPrice.isZero())
+                    .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+                this.blockGasPrices = { blockNumber, gasPrices };
+            }
+            
+            const { gasPrices } = this.blockGasPrices;
+            if (gasPrices.length === 0) {
+                return null;
+            }
+            
+            const index = Math.min(gasPrices.length - 1, Math.floor((percentile / 100) * gasPrices.length));
+            return gasPrices[index];
+        } catch (error) {
+            this.logger.error(`Error reading block gas prices: ${error.message}`, error);
+            return null;
+        }
+    }
+
     /**
      * Mengecek apakah jaringan sehat dan siap untuk arbitrage
      * @returns {Promise<boolean>} Status jaringan
@@ -0,0 +1,549 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { FACTORY_ABI, V3_FACTORY_ABI, V3_POOL_ABI, STABLE_FACTORY_ABI } = require('../../config/abi');
+const {
+    TOKEN_ADDRESSES,
+    DISCOVERY_DIR,
+    DISCOVERY_CACHE_FILE,
+    DISCOVERY_TOKENS,
+    DISCOVERY_CACHE_TTL_HOURS,
+    DISCOVERY_PRIORITY
+} = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+
+// Jumlah minimum venue yang menyediakan setiap leg triangle (agar ada pilihan venue per hop)
+const MIN_VENUES_PER_LEG = 2;
+
+/**
+ * Service untuk menemukan triangle arbitrage secara otomatis dari factory DEX
+ */
+class PairDiscoveryService {
+    constructor(provider, logger) {
+        this.provider = provider;
+        this.logger = logger;
+    }
+
+    /**
+     * Mendapatkan daftar token (symbol -> alamat) yang menjadi universe discovery
+     * @returns {object} Map symbol ke alamat token
+     */
+    getTokenUniverse() {
+        const tokens = {};
+
+        for (const symbol of DISCOVERY_TOKENS) {
+            if (!TOKEN_ADDRESSES[symbol]) {
+                this.logger.warn(`Discovery token ${symbol} not found in TOKEN_ADDRESSES, skipping`);
+                continue;
+            }
+            tokens[symbol] = ethers.utils.getAddress(TOKEN_ADDRESSES[symbol]);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Menemukan semua triangle untuk universe token yang dikonfigurasi
+     * @param {boolean} forceRefresh - Abaikan cache dan enumerasi ulang factory
+     * @returns {Promise<object>} { triangles, pools }
+     */
+    async discoverTriangles(forceRefresh = false) {
+        const tokens = this.getTokenUniverse();
+
+        if (!forceRefresh) {
+            const cache = this.loadCache();
+            if (this.isCacheValid(cache, tokens)) {
+                this.logger.log(`Loaded ${cache.triangles.length} discovered triangles from cache (${cache.createdAt})`);
+                return { triangles: cache.triangles, pools: cache.pools };
+            }
+        }
+
+        this.logger.log(`Discovering pairs for ${Object.keys(tokens).length} tokens...`);
+
+        const factories = await this.getFactoryAddresses();
+        const pools = await this.enumeratePairs(factories, tokens);
+        const triangles = this.buildTriangles(tokens, pools);
+
+        this.logger.log(`Discovery found ${pools.length} pools and ${triangles.length} triangles`);
+
+        this.saveCache({
+            createdAt: new Date().toISOString(),
+            tokens,
+            factories,
+            pools,
+            triangles
+        });
+
+        return { triangles, pools };
+    }
+
+    /**
+     * Mendapatkan alamat factory setiap DEX yang aktif
+     * @returns {Promise<object>} Map venue ke alamat factory
+     */
+    async getFactoryAddresses() {
+        const factories = {};
+
+        for (const dex of dexRegistry.getAll()) {
+            factories[dex.id] = await dex.getFactory(this.provider);
+            this.logger.log(`${dex.id} factory: ${factories[dex.id]}`);
+        }
+
+        return factories;
+    }
+
+    /**
+     * Enumerasi pair yang ada di setiap factory untuk semua kombinasi token
+     * @param {object} factories - Map venue ke alamat factory
+     * @param {object} tokens - Map symbol ke alamat token
+     * @returns {Promise<Array>} Daftar pool yang ditemukan
+     */
+    async enumeratePairs(factories, tokens) {
+        const symbols = Object.keys(tokens);
+        const pools = [];
+
+        for (const [venue, factoryAddress] of Object.entries(factories)) {
+            if (dexRegistry.get(venue).isV3) {
+                pools.push(...await this.enumerateV3Pools(venue, factoryAddress, tokens));
+                continue;
+            }
+
+            if (dexRegistry.get(venue).isStable) {
+                pools.push(...await this.enumerateStablePools(venue, factoryAddress, tokens));
+                continue;
+            }
+
+            const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, this.provider);
+            const lookups = [];
+
+            for (let i = 0; i < symbols.length; i++) {
+                for (let j = i + 1; j < symbols.length; j++) {
+                    const symbolA = symbols[i];
+                    const symbolB = symbols[j];
+
+                    lookups.push(
+                        factory.getPair(tokens[symbolA], tokens[symbolB])
+                            .then(address => ({
+                                venue,
+                                address,
+                                symbols: [symbolA, symbolB],
+                                tokens: [tokens[symbolA], tokens[symbolB]]
+                            }))
+                            .catch(error => {
+                                this.logger.error(`Error looking up ${venue} pair ${symbolA}-${symbolB}: ${error.message}`);
+                                return null;
+                            })
+                    );
+                }
+            }
+
+            const results = await Promise.all(lookups);
+            const found = results.filter(pool => pool && pool.address !== ethers.constants.AddressZero);
+
+            this.logger.log(`${venue}: found ${found.length} pairs out of ${lookups.length} token combinations`);
+            pools.push(...found);
+        }
+
+        return pools;
+    }
+
+    /**
+     * Enumerasi pool V3 untuk semua kombinasi token. Setiap fee tier adalah pool terpisah;
+     * untuk setiap pasangan token dipilih pool dengan likuiditas aktif terbesar.
+     * @param {string} venue - ID venue V3
+     * @param {string} factoryAddress - Alamat factory V3
+     * @param {object} tokens - Map symbol ke alamat token
+     * @returns {Promise<Array>} Daftar pool yang ditemukan { venue, address, symbols, tokens, fee }
+     */
+    async enumerateV3Pools(venue, factoryAddress, tokens) {
+        const symbols = Object.keys(tokens);
+        const factory = new ethers.Contract(factoryAddress, V3_FACTORY_ABI, this.provider);
+        const feeTiers = dexRegistry.get(venue).feeTiers;
+        const lookups = [];
+
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                const symbolA = symbols[i];
+                const symbolB = symbols[j];
+
+                lookups.push(Promise.all(feeTiers.map(fee =>
+                    factory.getPool(tokens[symbolA], tokens[symbolB], fee)
+                        .then(async address => {
+                            if (address === ethers.constants.AddressZero) {
+                                return null;
+                            }
+                            const pool = new ethers.Contract(address, V3_POOL_ABI, this.provider);
+                            return { address, fee, liquidity: await pool.liquidity() };
+                        })
+                        .catch(error => {
+                            this.logger.error(`Error looking up ${venue} pool ${symbolA}-${symbolB} (fee ${fee}): ${error.message}`);
+                            return null;
+                        })
+                )).then(candidates => {
+                    // Fee tier dengan likuiditas aktif terbesar mewakili pasangan token ini
+                    const best = candidates
+                        .filter(candidate => candidate && !candidate.liquidity.isZero())
+                        .sort((a, b) => (b.liquidity.gt(a.liquidity) ? 1 : b.liquidity.lt(a.liquidity) ? -1 : 0))[0];
+
+                    return best ? {
+                        venue,
+                        address: best.address,
+                        symbols: [symbolA, symbolB],
+                        tokens: [tokens[symbolA], tokens[symbolB]],
+                        fee: best.fee
+                    } : null;
+                }));
+            }
+        }
+
+        const found = (await Promise.all(lookups)).filter(pool => pool);
+        this.logger.log(`${venue}: found ${found.length} pools out of ${lookups.length} token combinations`);
+
+        return found;
+    }
+
+    /**
+     * Enumerasi pool stable-swap untuk kombinasi token yang didukung venue (misalnya sesama stablecoin)
+     * @param {string} venue - ID venue stable-swap
+     * @param {string} factoryAddress - Alamat factory stable-swap
+     * @param {object} tokens - Map symbol ke alamat token
+     * @returns {Promise<Array>} Daftar pool yang ditemukan
+     */
+    async enumerateStablePools(venue, factoryAddress, tokens) {
+        const dex = dexRegistry.get(venue);
+        const symbols = Object.keys(tokens);
+        const factory = new ethers.Contract(factoryAddress, STABLE_FACTORY_ABI, this.provider);
+        const lookups = [];
+
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                const symbolA = symbols[i];
+                const symbolB = symbols[j];
+
+                if (!dex.supportsTokens(tokens[symbolA], tokens[symbolB])) continue;
+
+                lookups.push(
+                    factory.getPairInfo(tokens[symbolA], tokens[symbolB])
+                        .then(info => ({
+                            venue,
+                            address: info.swapContract,
+                            symbols: [symbolA, symbolB],
+                            tokens: [tokens[symbolA], tokens[symbolB]]
+                        }))
+                        .catch(error => {
+                            this.logger.error(`Error looking up ${venue} pool ${symbolA}-${symbolB}: ${error.message}`);
+                            return null;
+                        })
+                );
+            }
+        }
+
+        const found = (await Promise.all(lookups)).filter(pool => pool && pool.address !== ethers.constants.AddressZero);
+        this.logger.log(`${venue}: found ${found.length} pools out of ${lookups.length} token combinations`);
+
+        return found;
+    }
+
+    /**
+     * Membangun konfigurasi triangle dalam format TOKEN_PAIRS
+     * Hanya triangle yang setiap leg-nya tersedia di minimal MIN_VENUES_PER_LEG venue yang diambil
+     * @param {object} tokens - Map symbol ke alamat token
+     * @param {Array} pools - Daftar pool yang ditemukan
+     * @returns {Array} Daftar konfigurasi triangle
+     */
+    buildTriangles(tokens, pools) {
+        const symbols = Object.keys(tokens);
+        const venues = dexRegistry.getIds();
+
+        // Index pool per venue berdasarkan kombinasi symbol
+        const pairIndex = {};
+        for (const venue of venues) {
+            pairIndex[venue] = new Map();
+        }
+        for (const pool of pools) {
+            if (!pairIndex[pool.venue]) continue;
+            pairIndex[pool.venue].set(this.getPairIndexKey(pool.symbols[0], pool.symbols[1]), pool.address);
+        }
+
+        const findPair = (venue, symbolA, symbolB) => pairIndex[venue].get(this.getPairIndexKey(symbolA, symbolB));
+
+        const triangles = [];
+
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                for (let k = j + 1; k < symbols.length; k++) {
+                    const [a, b, c] = [symbols[i], symbols[j], symbols[k]];
+                    const legs = [[a, b], [b, c], [c, a]];
+
+                    const available = legs.every(([x, y]) =>
+                        venues.filter(venue => findPair(venue, x, y)).length >= Math.min(MIN_VENUES_PER_LEG, venues.length)
+                    );
+
+                    if (!available) continue;
+
+                    const triangle = {
+                        name: `${a}-${b}-${c}`,
+                        tokens: {
+                            [a]: tokens[a],
+                            [b]: tokens[b],
+                            [c]: tokens[c]
+                        },
+                        priority: DISCOVERY_PRIORITY,
+                        discovered: true
+                    };
+
+                    for (const venue of venues) {
+                        const venuePairs = {};
+                        for (const [x, y] of legs) {
+                            const address = findPair(venue, x, y);
+                            if (address) {
+                                venuePairs[`${x}-${y}`] = address;
+                            }
+                        }
+                        if (Object.keys(venuePairs).length > 0) {
+                            triangle[dexRegistry.get(venue).pairsKey] = venuePairs;
+                        }
+                    }
+
+                    triangles.push(triangle);
+                }
+            }
+        }
+
+        return triangles;
+    }
+
+    /**
+     * Gabungkan triangle hasil discovery dengan triangle yang dikonfigurasi manual.
+     * Triangle manual selalu diutamakan jika set token-nya sama; venue yang tidak dikonfigurasi
+     * di triangle manual (misalnya pool V3) dilengkapi dari hasil discovery.
+     * @param {Array} configuredPairs - Triangle dari config/pairs.js
+     * @param {Array} discoveredPairs - Triangle hasil discovery
+     * @returns {Array} Gabungan triangle
+     */
+    mergeTriangles(configuredPairs, discoveredPairs) {
+        const tokenSetKey = pair => Object.values(pair.tokens)
+            .map(address => address.toLowerCase())
+            .sort()
+            .join(',');
+
+        const discoveredByKey = new Map(discoveredPairs.map(pair => [tokenSetKey(pair), pair]));
+        const configuredKeys = new Set();
+
+        const configured = configuredPairs.map(pair => {
+            const key = tokenSetKey(pair);
+            configuredKeys.add(key);
+
+            const discovered = discoveredByKey.get(key);
+            if (!discovered) {
+                return pair;
+            }
+
+            const merged = { ...pair };
+            for (const dex of dexRegistry.getAll()) {
+                const venuePairs = discovered[dex.pairsKey];
+                const usesConfiguredSymbols = venuePairs && Object.keys(venuePairs)
+                    .every(pairKey => pairKey.split('-').every(symbol => pair.tokens[symbol]));
+
+                if (!merged[dex.pairsKey] && usesConfiguredSymbols) {
+                    merged[dex.pairsKey] = venuePairs;
+                }
+            }
+            return merged;
+        });
+
+        const additional = discoveredPairs.filter(pair => !configuredKeys.has(tokenSetKey(pair)));
+
+        this.logger.log(`Adding ${additional.length} discovered triangles to ${configuredPairs.length} configured triangles`);
+
+        return [...configured, ...additional];
+    }
+
+    /**
+     * Memeriksa setiap pair triangle dan pool hasil discovery terhadap factory venue-nya.
+     * Pair yang bukan pool factory venue tersebut untuk pasangan tokennya (misalnya pair venue lain
+     * yang salah dicantumkan) dibuang; pair yang tidak bisa diperiksa karena error RPC tetap dipakai.
+     * @param {Array} tokenPairs - Daftar triangle
+     * @param {Array} pools - Daftar pool hasil discovery { venue, address, tokens, fee? }
+     * @returns {Promise<object>} { tokenPairs, pools } tanpa pair yang tidak cocok
+     */
+    async verifyPairs(tokenPairs, pools = []) {
+        const checks = new Map();
+        const addCheck = (venue, address, tokenA, tokenB, fee) => {
+            const key = this.getPairCheckKey(venue, address, tokenA, tokenB);
+            if (!checks.has(key)) {
+                checks.set(key, { venue, address, tokenA, tokenB, fee });
+            }
+        };
+
+        for (const pairConfig of tokenPairs) {
+            for (const dex of dexRegistry.getAll()) {
+                for (const [pairKey, address] of Object.entries(pairConfig[dex.pairsKey] || {})) {
+                    const [symbolA, symbolB] = pairKey.split('-');
+                    if (address && pairConfig.tokens[symbolA] && pairConfig.tokens[symbolB]) {
+                        addCheck(dex.id, address, pairConfig.tokens[symbolA], pairConfig.tokens[symbolB]);
+                    }
+                }
+            }
+        }
+        for (const pool of pools) {
+            if (dexRegistry.has(pool.venue)) {
+                addCheck(pool.venue, pool.address, pool.tokens[0], pool.tokens[1], pool.fee);
+            }
+        }
+
+        const invalid = new Set();
+        await Promise.all([...checks].map(async ([key, check]) => {
+            try {
+                const expected = await this.getFactoryPool(check);
+                if (expected.toLowerCase() !== check.address.toLowerCase()) {
+                    invalid.add(key);
+                }
+            } catch (error) {
+                this.logger.error(`Error verifying ${check.venue} pair ${check.address}: ${error.message}`);
+            }
+        }));
+
+        if (invalid.size === 0) {
+            return { tokenPairs, pools };
+        }
+
+        const verifiedPairs = tokenPairs.map(pairConfig => {
+            const verified = { ...pairConfig };
+            for (const dex of dexRegistry.getAll()) {
+                if (!pairConfig[dex.pairsKey]) continue;
+
+                const venuePairs = {};
+                for (const [pairKey, address] of Object.entries(pairConfig[dex.pairsKey])) {
+                    const [symbolA, symbolB] = pairKey.split('-');
+                    const key = this.getPairCheckKey(dex.id, address || '', pairConfig.tokens[symbolA] || '', pairConfig.tokens[symbolB] || '');
+                    if (invalid.has(key)) {
+                        this.logger.warn(`${pairConfig.name}: ${address} is not the ${dex.id} pair for ${pairKey}, dropping it`);
+                        continue;
+                    }
+                    venuePairs[pairKey] = address;
+                }
+
+                if (Object.keys(venuePairs).length > 0) {
+                    verified[dex.pairsKey] = venuePairs;
+                } else {
+                    delete verified[dex.pairsKey];
+                }
+            }
+            return verified;
+        });
+
+        const verifiedPools = pools.filter(pool => {
+            const key = this.getPairCheckKey(pool.venue, pool.address, pool.tokens[0], pool.tokens[1]);
+            if (invalid.has(key)) {
+                this.logger.warn(`Discovered pool ${pool.address} is not the ${pool.venue} pool for ${pool.symbols.join('-')}, dropping it`);
+                return false;
+            }
+            return true;
+        });
+
+        return { tokenPairs: verifiedPairs, pools: verifiedPools };
+    }
+
+    /**
+     * Alamat pool resmi factory venue untuk pasangan token sebuah pair
+     * @param {object} check - { venue, address, tokenA, tokenB, fee? } (fee tier V3 dibaca dari pool jika kosong)
+     * @returns {Promise<string>} Alamat pool dari factory (AddressZero jika tidak ada)
+     */
+    async getFactoryPool(check) {
+        const dex = dexRegistry.get(check.venue);
+        const factoryAddress = await dex.getFactory(this.provider);
+
+        if (dex.isV3) {
+            const fee = check.fee || await new ethers.Contract(check.address, V3_POOL_ABI, this.provider).fee();
+            const factory = new ethers.Contract(factoryAddress, V3_FACTORY_ABI, this.provider);
+            return factory.getPool(check.tokenA, check.tokenB, fee);
+        }
+
+        if (dex.isStable) {
+            const factory = new ethers.Contract(factoryAddress, STABLE_FACTORY_ABI, this.provider);
+            return (await factory.getPairInfo(check.tokenA, check.tokenB)).swapContract;
+        }
+
+        const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, this.provider);
+        return factory.getPair(check.tokenA, check.tokenB);
+    }
+
+    /**
+     * Key pemeriksaan pair (venue, alamat pair dan pasangan token, tidak bergantung urutan token)
+     * @param {string} venue - ID venue
+     * @param {string} address - Alamat pair
+     * @param {string} tokenA - Alamat token A
+     * @param {string} tokenB - Alamat token B
+     * @returns {string} Key pemeriksaan
+     */
+    getPairCheckKey(venue, address, tokenA, tokenB) {
+        return [venue, address.toLowerCase(), ...[tokenA.toLowerCase(), tokenB.toLowerCase()].sort()].join(':');
+    }
+
+    /**
+     * Key index untuk kombinasi dua symbol (tidak bergantung urutan)
+     * @param {string} symbolA - Symbol token A
+     * @param {string} symbolB - Symbol token B
+     * @returns {string} Key index
+     */
+    getPairIndexKey(symbolA, symbolB) {
+        return [symbolA, symbolB].sort().join('/');
+    }
+
+    /**
+     * Memuat cache discovery dari disk
+     * @returns {object|null} Isi cache atau null jika tidak ada
+     */
+    loadCache() {
+        try {
+            if (!fs.existsSync(DISCOVERY_CACHE_FILE)) {
+                return null;
+            }
+            return JSON.parse(fs.readFileSync(DISCOVERY_CACHE_FILE, 'utf8'));
+        } catch (error) {
+            this.logger.error(`Error loading discovery cache: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Menyimpan hasil discovery ke disk
+     * @param {object} cache - Data yang akan disimpan
+     */
+    saveCache(cache) {
+        try {
+            if (!fs.existsSync(DISCOVERY_DIR)) {
+                fs.mkdirSync(DISCOVERY_DIR, { recursive: true });
+            }
+            fs.writeFileSync(DISCOVERY_CACHE_FILE, JSON.stringify(cache, null, 2));
+        } catch (error) {
+            this.logger.error(`Error saving discovery cache: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Memeriksa apakah cache masih berlaku untuk universe token saat ini
+     * @param {object|null} cache - Isi cache
+     * @param {object} tokens - Universe token saat ini
+     * @returns {boolean} True jika cache dapat digunakan
+     */
+    isCacheValid(cache, tokens) {
+        if (!cache || !Array.isArray(cache.triangles) || !cache.tokens) {
+            return false;
+        }
+
+        const ageHours = (Date.now() - new Date(cache.createdAt).getTime()) / (60 * 60 * 1000);
+        if (!(ageHours < DISCOVERY_CACHE_TTL_HOURS)) {
+            return false;
+        }
+
+        // Cache tidak berlaku jika universe token atau daftar DEX aktif berubah
+        const cachedSymbols = Object.keys(cache.tokens).sort().join(',');
+        const currentSymbols = Object.keys(tokens).sort().join(',');
+        const cachedVenues = Object.keys(cache.factories || {}).sort().join(',');
+        const currentVenues = dexRegistry.getIds().sort().join(',');
+        return cachedSymbols === currentSymbols && cachedVenues === currentVenues;
+    }
+}
+
+module.exports = PairDiscoveryService;
@@ -1,135 +1,170 @@
 const { ethers } = require('ethers');
 const { ROUTER_ABI } = require('../../config/abi');
-const { ROUTER_ADDRESSES, TOKEN_ADDRESSES } = require('../../config/constants');
+const { ROUTER_ADDRESSES, WRAPPED_NATIVE, USD_REFERENCE, REFERENCE_DEX, NATIVE_SYMBOL } = require('../../config/constants');
+const TokenTags = require('../utils/tokenTags');
 
 /**
- * Service untuk mengelola harga token dan perkiraan swap
+ * Service untuk mengelola harga token dan perkiraan swap.
+ * Harga dibaca lewat getAmountsOut router REFERENCE_DEX terhadap token USD acuan profil chain
+ * (USD_REFERENCE), atau lewat wrapper koin native (WRAPPED_NATIVE). bnbPrice menyimpan harga
+ * koin native chain yang aktif (BNB di BSC).
  */
 class PriceService {
-    constructor(provider, logger) {
+    constructor(provider, multicallService, logger) {
         this.provider = provider;
+        this.multicallService = multicallService;
         this.logger = logger;
-        this.bnbPrice = 300; // Default BNB price yang akan diupdate
+        this.bnbPrice = 300; // Default harga koin native yang akan diupdate
         this.lastUpdated = 0;
         this.priceCache = new Map(); // Cache harga token
         
-        // Setup router contracts
-        this.pancakeRouter = new ethers.Contract(
-            ROUTER_ADDRESSES.PANCAKESWAP,
-            ROUTER_ABI,
-            provider
-        );
-        
-        this.biswapRouter = new ethers.Contract(
-            ROUTER_ADDRESSES.BISWAP,
+        // Setup router contract untuk harga (DEX V2 acuan profil chain)
+        this.referenceRouter = new ethers.Contract(
+            ROUTER_ADDRESSES[REFERENCE_DEX],
             ROUTER_ABI,
             provider
         );
     }
     
     /**
-     * Update harga BNB berdasarkan WBNB/BUSD pair di PancakeSwap
-     * @returns {Promise<number>} Harga BNB saat ini
+     * Update harga koin native berdasarkan pair wrapper native / token USD acuan (WBNB/BUSD di BSC)
+     * @returns {Promise<number>} Harga koin native saat ini
      */
     async updateBnbPrice() {
         try {
-            // Get WBNB/BUSD price from PancakeSwap
+            // Get wrapped native / USD reference price from the reference DEX
             const path = [
-                TOKEN_ADDRESSES.WBNB,
-                TOKEN_ADDRESSES.BUSD // BUSD address
+                WRAPPED_NATIVE.address,
+                USD_REFERENCE.address
             ];
 
-            const amountIn = ethers.utils.parseEther('1'); // 1 BNB
-            const amounts = await this.pancakeRouter.getAmountsOut(amountIn, path);
+            const amountIn = ethers.utils.parseEther('1'); // 1 native coin
+            const amounts = await this.multicallService.call(this.referenceRouter, 'getAmountsOut', [amountIn, path]);
 
-            // BUSD has 18 decimals
-            const bnbPrice = parseFloat(ethers.utils.formatEther(amounts[1]));
+            const bnbPrice = parseFloat(ethers.utils.formatUnits(amounts[1], USD_REFERENCE.decimals));
             this.bnbPrice = bnbPrice;
             this.lastUpdated = Date.now();
 
-            this.logger.log(`Updated BNB price: $${bnbPrice.toFixed(2)}`);
+            this.logger.log(`Updated ${NATIVE_SYMBOL} price: $${bnbPrice.toFixed(2)}`);
             return bnbPrice;
         } catch (error) {
-            this.logger.error(`Error updating BNB price: ${error.message}`, error);
+            this.logger.error(`Error updating ${NATIVE_SYMBOL} price: ${error.message}`, error);
             // Keep the last known price or the default
             return this.bnbPrice;
         }
     }
     
+    /**
+     * Harga koin native pada blok tertentu (dipakai saat scan dipatok ke satu blok)
+     * @param {number} blockTag - Nomor blok
+     * @returns {Promise<number>} Harga koin native pada blok tersebut
+     */
+    async getBnbPriceAt(blockTag) {
+        const cacheKey = `${WRAPPED_NATIVE.address}:USD`;
+        const cachedPrice = this.priceCache.get(cacheKey);
+        if (cachedPrice && cachedPrice.blockTag === blockTag) {
+            return cachedPrice.price;
+        }
+        
+        try {
+            const path = [WRAPPED_NATIVE.address, USD_REFERENCE.address];
+            const amounts = await this.multicallService.call(this.referenceRouter, 'getAmountsOut', [ethers.utils.parseEther('1'), path], { blockTag });
+            const price = parseFloat(ethers.utils.formatUnits(amounts[1], USD_REFERENCE.decimals));
+            
+            this.priceCache.set(cacheKey, { price, timestamp: Date.now(), blockTag });
+            this.bnbPrice = price;
+            this.lastUpdated = Date.now();
+            return price;
+        } catch (error) {
+            this.logger.error(`Error getting ${NATIVE_SYMBOL} price at block ${blockTag}: ${error.message}`, error);
+            return this.bnbPrice;
+        }
+    }
+    
     /**
      * Mendapatkan harga token dalam USD
      * @param {string} tokenAddress - Alamat token
      * @param {number} decimals - Decimal token
+     * @param {number|null} blockTag - Blok scan; jika diisi, harga dibaca pada blok tersebut dan cache hanya berlaku untuk blok itu
      * @returns {Promise<number>} Harga token dalam USD
      */
-    async getTokenPriceUSD(tokenAddress, decimals = 18) {
-        // Cek cache harga jika ada dan belum kadaluwarsa (5 menit)
+    async getTokenPriceUSD(tokenAddress, decimals = 18, blockTag = null) {
+        // Cek cache harga: untuk blok yang sama, atau belum kadaluwarsa (5 menit) jika tidak dipatok ke blok
         const cacheKey = `${tokenAddress}:USD`;
         const cachedPrice = this.priceCache.get(cacheKey);
-        if (cachedPrice && (Date.now() - cachedPrice.timestamp) < 5 * 60 * 1000) {
+        if (cachedPrice && (blockTag
+            ? cachedPrice.blockTag === blockTag
+            : (Date.now() - cachedPrice.timestamp) < 5 * 60 * 1000)) {
             return cachedPrice.price;
         }
         
         try {
             // Jika token adalah stablecoin, kembalikan 1
-            if (tokenAddress === TOKEN_ADDRESSES.BUSD || 
-                tokenAddress === TOKEN_ADDRESSES.USDT || 
-                tokenAddress === TOKEN_ADDRESSES.USDC || 
-                tokenAddress === TOKEN_ADDRESSES.DAI) {
+            if (TokenTags.isStablecoin(tokenAddress)) {
                 return 1;
             }
             
-            // Jika token adalah WBNB, kembalikan harga BNB
-            if (tokenAddress === TOKEN_ADDRESSES.WBNB) {
-                // Update harga BNB jika lebih dari 10 menit
+            // Jika token adalah wrapper native (misalnya WBNB), kembalikan harga koin native
+            if (tokenAddress.toLowerCase() === WRAPPED_NATIVE.address.toLowerCase()) {
+                if (blockTag) {
+                    return this.getBnbPriceAt(blockTag);
+                }
+                
+                // Update harga koin native jika lebih dari 10 menit
                 if (Date.now() - this.lastUpdated > 10 * 60 * 1000) {
                     await this.updateBnbPrice();
                 }
                 return this.bnbPrice;
             }
             
-            // Untuk token lain, coba ambil harga via BUSD
-            const busdPath = [
+            // Untuk token lain, coba ambil harga via token USD acuan
+            const usdPath = [
                 tokenAddress,
-                TOKEN_ADDRESSES.BUSD
+                USD_REFERENCE.address
             ];
 
             const amountIn = ethers.utils.parseUnits('1', decimals);
-            const amounts = await this.pancakeRouter.getAmountsOut(amountIn, busdPath).catch(() => null);
+            const readOptions = blockTag ? { blockTag } : {};
+            const amounts = await this.multicallService.call(this.referenceRouter, 'getAmountsOut', [amountIn, usdPath], readOptions).catch(() => null);
             
             if (amounts && amounts.length >= 2) {
-                const price = parseFloat(ethers.utils.formatUnits(amounts[1], 18)); // BUSD has 18 decimals
+                const price = parseFloat(ethers.utils.formatUnits(amounts[1], USD_REFERENCE.decimals));
                 
                 // Cache hasil
                 this.priceCache.set(cacheKey, {
                     price,
-                    timestamp: Date.now()
+                    timestamp: Date.now(),
+                    blockTag
                 });
                 
                 return price;
             }
             
-            // Jika jalur ke BUSD gagal, coba via WBNB
+            // Jika jalur ke token USD acuan gagal, coba via wrapper native
             const bnbPath = [
                 tokenAddress,
-                TOKEN_ADDRESSES.WBNB
+                WRAPPED_NATIVE.address
             ];
             
-            const bnbAmounts = await this.pancakeRouter.getAmountsOut(amountIn, bnbPath).catch(() => null);
+            const bnbAmounts = await this.multicallService.call(this.referenceRouter, 'getAmountsOut', [amountIn, bnbPath], readOptions).catch(() => null);
             
             if (bnbAmounts && bnbAmounts.length >= 2) {
-                // Pastikan harga BNB sudah update
-                if (Date.now() - this.lastUpdated > 10 * 60 * 1000) {
-                    await this.updateBnbPrice();
+                // Pastikan harga koin native sudah update (atau dibaca pada blok scan)
+                let bnbPrice = this.bnbPrice;
+                if (blockTag) {
+                    bnbPrice = await this.getBnbPriceAt(blockTag);
+                } else if (Date.now() - this.lastUpdated > 10 * 60 * 1000) {
+                    bnbPrice = await this.updateBnbPrice();
                 }
                 
-                const bnbValue = parseFloat(ethers.utils.formatEther(bnbAmounts[1])); // WBNB has 18 decimals
-                const price = bnbValue * this.bnbPrice;
+                const bnbValue = parseFloat(ethers.utils.formatEther(bnbAmounts[1])); // Wrapper native 18 desimal
+                const price = bnbValue * bnbPrice;
                 
                 // Cache hasil
                 this.priceCache.set(cacheKey, {
                     price,
-                    timestamp: Date.now()
+                    timestamp: Date.now(),
+                    blockTag
                 });
                 
                 return price;
@@ -146,14 +181,14 @@ class PriceService {
     
     /**
      * Perkiraan jumlah token yang diterima dari swap
-     * @param {ethers.Contract} router - Router contract (PancakeSwap/BiSwap)
+     * @param {ethers.Contract} router - Router contract V2
      * @param {ethers.BigNumber} amountIn - Jumlah token masukan
      * @param {string[]} path - Path swap [tokenIn, tokenOut]
      * @returns {Promise<ethers.BigNumber>} Jumlah token yang diterima
      */
     async getAmountOut(router, amountIn, path) {
         try {
-            const amounts = await router.getAmountsOut(amountIn, path);
+            const amounts = await this.multicallService.call(router, 'getAmountsOut', [amountIn, path]);
             if (!amounts || amounts.length < 2) {
                 throw new Error('Invalid amounts result from router');
             }
@@ -169,11 +204,12 @@ class PriceService {
      * @param {ethers.BigNumber} amount - Jumlah token
      * @param {string} tokenAddress - Alamat token
      * @param {number} decimals - Decimal token
+     * @param {number|null} blockTag - Blok scan (opsional)
      * @returns {Promise<number>} Nilai dalam USD
      */
-    async convertToUSD(amount, tokenAddress, decimals = 18) {
+    async convertToUSD(amount, tokenAddress, decimals = 18, blockTag = null) {
         const amountFloat = parseFloat(ethers.utils.formatUnits(amount, decimals));
-        const price = await this.getTokenPriceUSD(tokenAddress, decimals);
+        const price = await this.getTokenPriceUSD(tokenAddress, decimals, blockTag);
         return amountFloat * price;
     }
 }
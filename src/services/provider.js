@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const RPCManager = require('../utils/rpcManager');
+const { CHAIN, CHAIN_ID, CHAIN_NAME } = require('../../config/constants');
 
 /**
  * Service untuk mengelola provider Ethereum
@@ -35,6 +36,11 @@ class ProviderService {
             this.logger.log(`Connected to network: ${network.name} (chainId: ${network.chainId})`);
             this.logger.log(`Current block number: ${blockNumber}`);
             
+            // RPC harus melayani chain profil yang dipilih, jika tidak semua alamat kontrak salah
+            if (network.chainId !== CHAIN_ID) {
+                throw new Error(`RPC chainId ${network.chainId} does not match chain profile ${CHAIN} (${CHAIN_NAME}, chainId ${CHAIN_ID})`);
+            }
+            
             return this.provider;
         } catch (error) {
             this.logger.error(`Provider service initialization failed: ${error.message}`);
@@ -61,19 +67,6 @@ class ProviderService {
         }
     }
     
-    /**
-     * Get optimal gas price for transactions
-     * @param {number} expectedProfitUSD - Expected profit in USD
-     * @returns {Promise<ethers.BigNumber>} Optimal gas price
-     */
-    async getOptimalGasPrice(expectedProfitUSD = 0) {
-        if (!this.rpcManager) {
-            throw new Error('Provider service not initialized');
-        }
-        
-        return await this.rpcManager.getOptimalGasPrice(expectedProfitUSD);
-    }
-    
     /**
      * Report a successful transaction/call
      */
@@ -0,0 +1,517 @@
+const { ethers } = require('ethers');
+const { PAIR_ABI, V3_POOL_ABI, V3_QUOTER_ABI, STABLE_POOL_ABI } = require('../../config/abi');
+const { V3_TICK_WORDS } = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+const V3Math = require('../dex/v3Math');
+const StableMath = require('../dex/stableMath');
+
+/**
+ * Service untuk quoting swap secara lokal dari state pool.
+ * Pool V2 di-quote dari reserve (constant product). Pool V3 di-quote dengan simulasi tick
+ * dari slot0, likuiditas dan tick terinisialisasi di sekitar harga saat ini; swap yang keluar
+ * dari rentang tick yang dimuat di-quote lewat QuoterV2. Pool stable-swap di-quote dengan
+ * invariant StableSwap dari saldo, A dan fee pool.
+ * State dibaca sekali per blok per pool, lalu setiap hop dihitung tanpa RPC.
+ */
+class QuoteService {
+    constructor(provider, multicallService, logger) {
+        this.provider = provider;
+        this.multicallService = multicallService;
+        this.logger = logger;
+        this.tokenOrderCache = new Map(); // token0 setiap pair (tidak pernah berubah)
+        this.reserveCache = new Map(); // Reserve terakhir per pair beserta nomor bloknya
+        this.poolStateCache = new Map(); // State pool V3/stable terakhir beserta nomor bloknya
+        this.blockNumber = 0;
+    }
+
+    /**
+     * Update nomor blok terbaru
+     * @returns {Promise<number>} Nomor blok saat ini
+     */
+    async refreshBlockNumber() {
+        this.blockNumber = await this.provider.getBlockNumber();
+        return this.blockNumber;
+    }
+
+    /**
+     * Memuat reserve untuk sekumpulan pool dalam satu batch pada blok yang sama
+     * @param {Array} pools - Daftar pool { venue, address, tokens }
+     * @param {object} options - { refreshBlock: baca nomor blok terbaru dulu (default true), blockNumber: pakai blok tertentu }
+     * @returns {Promise<Array>} State pool { kind, venue, address, token0, token1, reserve0, reserve1, blockNumber }
+     */
+    async loadPools(pools, options = {}) {
+        let blockNumber;
+        if (options.blockNumber) {
+            blockNumber = options.blockNumber;
+            this.blockNumber = blockNumber;
+        } else if (options.refreshBlock === false && this.blockNumber) {
+            blockNumber = this.blockNumber;
+        } else {
+            blockNumber = await this.refreshBlockNumber();
+        }
+
+        // Hanya pool yang state-nya belum dibaca di blok ini
+        const stale = pools.filter(pool => this.getCachedBlockNumber(pool.address) !== blockNumber);
+
+        if (stale.length > 0) {
+            this.logger.log(`Loading reserves for ${stale.length} pools at block ${blockNumber}`);
+            await Promise.all(stale.map(pool => this.fetchPoolState(pool.address, blockNumber, pool.venue)));
+        }
+
+        return pools
+            .map(pool => this.getPoolState(pool.address, pool.venue))
+            .filter(state => state);
+    }
+
+    /**
+     * Nomor blok state pool yang ada di cache
+     * @param {string} pairAddress - Alamat pool
+     * @returns {number|null} Nomor blok, null jika belum dimuat
+     */
+    getCachedBlockNumber(pairAddress) {
+        const key = pairAddress.toLowerCase();
+        const cached = this.reserveCache.get(key) || this.poolStateCache.get(key);
+        return cached ? cached.blockNumber : null;
+    }
+
+    /**
+     * Jenis pool sebuah venue
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {string} 'v2', 'v3' atau 'stable' (default 'v2' jika venue tidak diketahui)
+     */
+    getVenuePoolKind(venue) {
+        return venue && dexRegistry.has(venue) ? dexRegistry.get(venue).type : 'v2';
+    }
+
+    /**
+     * Membaca state sebuah pool pada blok tertentu sesuai jenis venue-nya
+     * @param {string} pairAddress - Alamat pool
+     * @param {number} blockNumber - Nomor blok
+     * @param {string} venue - ID venue di DexRegistry (opsional, default pool V2)
+     * @returns {Promise<boolean>} True jika berhasil
+     */
+    async fetchPoolState(pairAddress, blockNumber, venue) {
+        switch (this.getVenuePoolKind(venue)) {
+            case 'v3':
+                return this.fetchV3PoolState(pairAddress, blockNumber);
+            case 'stable':
+                return this.fetchStablePoolState(pairAddress, blockNumber, venue);
+            default:
+                return this.fetchV2PoolState(pairAddress, blockNumber, venue);
+        }
+    }
+
+    /**
+     * Membaca token0/token1, fee per pair (venue dengan pairSwapFee) dan reserve sebuah pair pada blok tertentu
+     * @param {string} pairAddress - Alamat pair
+     * @param {number} blockNumber - Nomor blok
+     * @param {string} venue - ID venue di DexRegistry (opsional)
+     * @returns {Promise<boolean>} True jika berhasil
+     */
+    async fetchV2PoolState(pairAddress, blockNumber, venue) {
+        const key = pairAddress.toLowerCase();
+
+        try {
+            const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, this.provider);
+
+            const overrides = { blockTag: blockNumber };
+
+            // Semua call dari loadPools masuk ke satu batch multicall pada blok yang sama
+            const [order, reserves] = await Promise.all([
+                this.tokenOrderCache.has(key)
+                    ? this.tokenOrderCache.get(key)
+                    : Promise.all([
+                        this.multicallService.call(pairContract, 'token0', [], overrides),
+                        this.multicallService.call(pairContract, 'token1', [], overrides),
+                        this.fetchPairSwapFee(pairContract, venue, overrides)
+                    ]).then(([token0, token1, fee]) => (fee ? { token0, token1, fee } : { token0, token1 })),
+                this.multicallService.call(pairContract, 'getReserves', [], overrides)
+            ]);
+
+            this.tokenOrderCache.set(key, order);
+
+            this.reserveCache.set(key, {
+                blockNumber,
+                reserve0: reserves[0],
+                reserve1: reserves[1]
+            });
+
+            return true;
+        } catch (error) {
+            this.logger.log(`Could not load reserves for pool ${pairAddress}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Fee swap per pair untuk venue yang menyimpannya di kontrak pair (BiSwap: swapFee() per seribu)
+     * @param {ethers.Contract} pairContract - Kontrak pair
+     * @param {string} venue - ID venue di DexRegistry
+     * @param {object} overrides - Overrides call (blockTag)
+     * @returns {Promise<object|null>} { numerator, denominator }, null jika venue tidak punya getter atau call gagal
+     */
+    async fetchPairSwapFee(pairContract, venue, overrides) {
+        const pairSwapFee = venue && dexRegistry.has(venue) ? dexRegistry.get(venue).pairSwapFee : null;
+        if (!pairSwapFee) {
+            return null;
+        }
+
+        try {
+            const swapFee = await this.multicallService.call(pairContract, pairSwapFee.method, [], overrides);
+            return {
+                numerator: pairSwapFee.denominator - Number(swapFee),
+                denominator: pairSwapFee.denominator
+            };
+        } catch (error) {
+            this.logger.warn(`Could not read ${pairSwapFee.method}() of pair ${pairContract.address}, using the ${venue} default fee: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Membaca state pool V3 pada blok tertentu: slot0, likuiditas aktif, dan tick terinisialisasi
+     * di V3_TICK_WORDS word tickBitmap pada setiap sisi word tick aktif
+     * @param {string} poolAddress - Alamat pool
+     * @param {number} blockNumber - Nomor blok
+     * @returns {Promise<boolean>} True jika berhasil
+     */
+    async fetchV3PoolState(poolAddress, blockNumber) {
+        const key = poolAddress.toLowerCase();
+
+        try {
+            const poolContract = new ethers.Contract(poolAddress, V3_POOL_ABI, this.provider);
+            const overrides = { blockTag: blockNumber };
+            const read = (method, args = []) => this.multicallService.call(poolContract, method, args, overrides);
+
+            const [config, slot0, liquidity] = await Promise.all([
+                this.tokenOrderCache.has(key)
+                    ? this.tokenOrderCache.get(key)
+                    : Promise.all([read('token0'), read('token1'), read('fee'), read('tickSpacing')])
+                        .then(([token0, token1, feeTier, tickSpacing]) => ({ token0, token1, feeTier, tickSpacing })),
+                read('slot0'),
+                read('liquidity')
+            ]);
+
+            this.tokenOrderCache.set(key, config);
+
+            // Word tickBitmap di sekitar tick aktif, lalu liquidityNet setiap tick terinisialisasi
+            const tick = slot0.tick;
+            const centerWord = V3Math.getWordPosition(tick, config.tickSpacing);
+            const words = [];
+            for (let word = centerWord - V3_TICK_WORDS; word <= centerWord + V3_TICK_WORDS; word++) {
+                words.push(word);
+            }
+
+            const bitmaps = await Promise.all(words.map(word => read('tickBitmap', [word])));
+            const initializedTicks = words.flatMap((word, index) =>
+                V3Math.getTicksInWord(word, BigInt(bitmaps[index].toString()), config.tickSpacing)
+            );
+            const tickInfos = await Promise.all(initializedTicks.map(initializedTick => read('ticks', [initializedTick])));
+
+            const sqrtPriceX96 = BigInt(slot0.sqrtPriceX96.toString());
+            const activeLiquidity = BigInt(liquidity.toString());
+
+            this.poolStateCache.set(key, {
+                kind: 'v3',
+                blockNumber,
+                sqrtPriceX96,
+                tick,
+                liquidity: activeLiquidity,
+                ticks: initializedTicks.map((initializedTick, index) => ({
+                    tick: initializedTick,
+                    liquidityNet: BigInt(tickInfos[index].liquidityNet.toString())
+                })),
+                ...V3Math.getWordRange(words[0], words[words.length - 1], config.tickSpacing),
+                ...V3Math.getVirtualReserves(sqrtPriceX96, activeLiquidity)
+            });
+
+            return true;
+        } catch (error) {
+            this.logger.log(`Could not load V3 state for pool ${poolAddress}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Membaca state pool stable-swap dua token pada blok tertentu: saldo, A dan fee
+     * @param {string} poolAddress - Alamat pool
+     * @param {number} blockNumber - Nomor blok
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {Promise<boolean>} True jika berhasil
+     */
+    async fetchStablePoolState(poolAddress, blockNumber, venue) {
+        const key = poolAddress.toLowerCase();
+
+        try {
+            const poolContract = new ethers.Contract(poolAddress, STABLE_POOL_ABI, this.provider);
+            const overrides = { blockTag: blockNumber };
+            const read = (method, args = []) => this.multicallService.call(poolContract, method, args, overrides);
+
+            const [config, balance0, balance1, amp, feeRate] = await Promise.all([
+                this.tokenOrderCache.has(key)
+                    ? this.tokenOrderCache.get(key)
+                    : Promise.all([read('coins', [0]), read('coins', [1]), read('RATES', [0]), read('RATES', [1])])
+                        .then(([token0, token1, rate0, rate1]) => ({
+                            token0,
+                            token1,
+                            rates: [BigInt(rate0.toString()), BigInt(rate1.toString())]
+                        })),
+                read('balances', [0]),
+                read('balances', [1]),
+                read('A'),
+                read('fee')
+            ]);
+
+            this.tokenOrderCache.set(key, config);
+
+            const state = {
+                kind: 'stable',
+                blockNumber,
+                balances: [BigInt(balance0.toString()), BigInt(balance1.toString())],
+                rates: config.rates,
+                amp: BigInt(amp.toString()) * BigInt(dexRegistry.get(venue).aPrecision),
+                aPrecision: BigInt(dexRegistry.get(venue).aPrecision),
+                feeRate: BigInt(feeRate.toString())
+            };
+
+            this.poolStateCache.set(key, { ...state, ...StableMath.getVirtualReserves(state) });
+
+            return true;
+        } catch (error) {
+            this.logger.log(`Could not load stable-swap state for pool ${poolAddress}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Menerapkan reserve dari event Sync ke cache tanpa membaca ulang dari chain.
+     * Pool lain yang tercatat di blok sebelum range dan tidak berubah tetap berlaku.
+     * Pool V3 dan stable-swap yang berubah tidak punya event Sync dan dibaca ulang saat dipakai.
+     * Reserve yang sudah dibaca pada blok lebih baru (misalnya saat re-quote) tidak ditimpa.
+     * @param {Map} syncs - Map alamat pair -> { reserve0, reserve1 }
+     * @param {number} fromBlock - Blok awal range event (inklusif)
+     * @param {number} blockNumber - Blok akhir range event
+     * @param {Set} changedPools - Alamat pool yang berubah (default: pair dari syncs)
+     */
+    applySyncEvents(syncs, fromBlock, blockNumber, changedPools = new Set(syncs.keys())) {
+        for (const cache of [this.reserveCache, this.poolStateCache]) {
+            for (const [key, cached] of cache) {
+                if (cached.blockNumber === fromBlock - 1 && !changedPools.has(key)) {
+                    cached.blockNumber = blockNumber;
+                }
+            }
+        }
+
+        for (const [key, sync] of syncs) {
+            const cached = this.reserveCache.get(key);
+            if (this.tokenOrderCache.has(key) && !(cached && cached.blockNumber > blockNumber)) {
+                this.reserveCache.set(key, {
+                    blockNumber,
+                    reserve0: sync.reserve0,
+                    reserve1: sync.reserve1
+                });
+            }
+        }
+
+        this.blockNumber = Math.max(this.blockNumber, blockNumber);
+    }
+
+    /**
+     * State pool dari cache
+     * @param {string} pairAddress - Alamat pair
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {object|null} State pool, null jika belum dimuat
+     */
+    getPoolState(pairAddress, venue) {
+        const key = pairAddress.toLowerCase();
+        const order = this.tokenOrderCache.get(key);
+
+        const poolState = this.poolStateCache.get(key);
+
+        if (poolState && order && poolState.kind === 'v3') {
+            return {
+                venue,
+                address: pairAddress,
+                token0: order.token0,
+                token1: order.token1,
+                feeTier: order.feeTier,
+                tickSpacing: order.tickSpacing,
+                fee: {
+                    numerator: Number(V3Math.FEE_DENOMINATOR) - order.feeTier,
+                    denominator: Number(V3Math.FEE_DENOMINATOR)
+                },
+                ...poolState
+            };
+        }
+
+        if (poolState && order && poolState.kind === 'stable') {
+            return {
+                venue,
+                address: pairAddress,
+                token0: order.token0,
+                token1: order.token1,
+                fee: {
+                    numerator: Number(StableMath.FEE_DENOMINATOR - poolState.feeRate),
+                    denominator: Number(StableMath.FEE_DENOMINATOR)
+                },
+                ...poolState
+            };
+        }
+
+        const reserves = this.reserveCache.get(key);
+
+        if (!order || !reserves) {
+            return null;
+        }
+
+        return {
+            kind: 'v2',
+            venue,
+            address: pairAddress,
+            token0: order.token0,
+            token1: order.token1,
+            reserve0: reserves.reserve0,
+            reserve1: reserves.reserve1,
+            blockNumber: reserves.blockNumber,
+            ...(order.fee ? { fee: order.fee } : {})
+        };
+    }
+
+    /**
+     * Rumus getAmountOut Uniswap V2 dengan fee venue
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @param {ethers.BigNumber} reserveIn - Reserve token masuk
+     * @param {ethers.BigNumber} reserveOut - Reserve token keluar
+     * @param {object} fee - { numerator, denominator }
+     * @returns {ethers.BigNumber} Jumlah keluar
+     */
+    getAmountOut(amountIn, reserveIn, reserveOut, fee) {
+        if (amountIn.isZero() || reserveIn.isZero() || reserveOut.isZero()) {
+            return ethers.BigNumber.from(0);
+        }
+
+        const amountInWithFee = amountIn.mul(fee.numerator);
+        const numerator = amountInWithFee.mul(reserveOut);
+        const denominator = reserveIn.mul(fee.denominator).add(amountInWithFee);
+
+        return numerator.div(denominator);
+    }
+
+    /**
+     * Reserve pool berdasarkan arah swap (reserve virtual untuk pool V3 dan stable-swap)
+     * @param {object} state - State pool
+     * @param {string} tokenIn - Alamat token masuk
+     * @returns {object} { reserveIn, reserveOut }
+     */
+    getDirectionalReserves(state, tokenIn) {
+        const isToken0 = state.token0.toLowerCase() === tokenIn.toLowerCase();
+
+        return {
+            reserveIn: isToken0 ? state.reserve0 : state.reserve1,
+            reserveOut: isToken0 ? state.reserve1 : state.reserve0
+        };
+    }
+
+    /**
+     * Quote satu hop secara lokal, memuat reserve jika belum ada di cache blok scan
+     * @param {string} pairAddress - Alamat pair
+     * @param {string} venue - ID venue di DexRegistry
+     * @param {string} tokenIn - Alamat token masuk
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @param {number} blockNumber - Blok scan (default blok terakhir yang dimuat)
+     * @returns {Promise<ethers.BigNumber>} Jumlah keluar
+     */
+    async quote(pairAddress, venue, tokenIn, amountIn, blockNumber = this.blockNumber) {
+        let state = this.getPoolState(pairAddress, venue);
+
+        if (!state || state.blockNumber !== blockNumber) {
+            await this.fetchPoolState(pairAddress, blockNumber || await this.refreshBlockNumber(), venue);
+            state = this.getPoolState(pairAddress, venue);
+        }
+
+        if (!state) {
+            throw new Error(`Reserves unavailable for pool ${pairAddress}`);
+        }
+
+        const amountOut = this.quoteFromState(state, tokenIn, amountIn);
+        if (amountOut) {
+            return amountOut;
+        }
+
+        // Swap melewati rentang tick yang dimuat, gunakan QuoterV2
+        return this.quoteWithQuoter(state, tokenIn, amountIn);
+    }
+
+    /**
+     * Quote satu hop dari state pool yang sudah dimuat (tanpa RPC)
+     * @param {object} state - State pool dari getPoolState
+     * @param {string} tokenIn - Alamat token masuk
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @returns {ethers.BigNumber|null} Jumlah keluar, null jika swap V3 keluar dari rentang tick yang dimuat
+     */
+    quoteFromState(state, tokenIn, amountIn) {
+        if (state.kind === 'stable') {
+            const [i, j] = state.token0.toLowerCase() === tokenIn.toLowerCase() ? [0, 1] : [1, 0];
+            return ethers.BigNumber.from(StableMath.getDy(state, i, j, BigInt(amountIn.toString())).toString());
+        }
+
+        if (state.kind === 'v3') {
+            const zeroForOne = state.token0.toLowerCase() === tokenIn.toLowerCase();
+            const amountOut = V3Math.simulateSwap(state, zeroForOne, BigInt(amountIn.toString()));
+            return amountOut === null ? null : ethers.BigNumber.from(amountOut.toString());
+        }
+
+        const fee = this.getStateFee(state);
+        const { reserveIn, reserveOut } = this.getDirectionalReserves(state, tokenIn);
+        return this.getAmountOut(amountIn, reserveIn, reserveOut, fee);
+    }
+
+    /**
+     * Quote swap pool V3 lewat kontrak QuoterV2 pada blok state
+     * @param {object} state - State pool V3
+     * @param {string} tokenIn - Alamat token masuk
+     * @param {ethers.BigNumber} amountIn - Jumlah masuk
+     * @returns {Promise<ethers.BigNumber>} Jumlah keluar
+     */
+    async quoteWithQuoter(state, tokenIn, amountIn) {
+        const dex = dexRegistry.get(state.venue);
+        if (!dex.quoter) {
+            throw new Error(`No quoter configured for ${dex.id}, swap exceeds loaded tick range of pool ${state.address}`);
+        }
+
+        const tokenOut = state.token0.toLowerCase() === tokenIn.toLowerCase() ? state.token1 : state.token0;
+        const quoter = new ethers.Contract(dex.quoter, V3_QUOTER_ABI, this.provider);
+
+        this.logger.log(`Swap exceeds loaded tick range of ${dex.name} pool ${state.address}, using quoter`);
+
+        const result = await this.multicallService.call(quoter, 'quoteExactInputSingle', [{
+            tokenIn,
+            tokenOut,
+            amountIn,
+            fee: state.feeTier,
+            sqrtPriceLimitX96: 0
+        }], { blockTag: state.blockNumber });
+
+        return result.amountOut;
+    }
+
+    /**
+     * Swap fee sebuah pool: fee pool untuk V3 dan stable-swap, fee venue untuk pool V2
+     * @param {object} state - State pool
+     * @returns {object} { numerator, denominator }
+     */
+    getStateFee(state) {
+        return state.fee || this.getSwapFee(state.venue);
+    }
+
+    /**
+     * Swap fee sebuah venue
+     * @param {string} venue - ID venue di DexRegistry
+     * @returns {object} { numerator, denominator }
+     */
+    getSwapFee(venue) {
+        return dexRegistry.get(venue).getSwapFee();
+    }
+}
+
+module.exports = QuoteService;
@@ -5,10 +5,12 @@ const { ERC20_ABI } = require('../../config/abi');
  * Service untuk mengelola informasi token
  */
 class TokenService {
-    constructor(provider, logger) {
+    constructor(provider, multicallService, logger) {
         this.provider = provider;
+        this.multicallService = multicallService;
         this.logger = logger;
         this.tokenCache = new Map(); // Cache informasi token
+        this.pendingDetails = new Map(); // Request detail token yang sedang berjalan
     }
     
     /**
@@ -22,17 +24,36 @@ class TokenService {
             return this.tokenCache.get(tokenAddress);
         }
 
+        // Request paralel untuk token yang sama memakai satu promise
+        if (!this.pendingDetails.has(tokenAddress)) {
+            this.pendingDetails.set(
+                tokenAddress,
+                this.fetchTokenDetails(tokenAddress).finally(() => this.pendingDetails.delete(tokenAddress))
+            );
+        }
+
+        return this.pendingDetails.get(tokenAddress);
+    }
+
+    /**
+     * Membaca detail token dari chain (decimals, symbol dan name dalam satu batch multicall)
+     * @param {string} tokenAddress - Alamat kontrak token
+     * @returns {Promise<object>} Informasi token
+     */
+    async fetchTokenDetails(tokenAddress) {
         try {
             const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-            const decimals = await tokenContract.decimals();
-            const symbol = await tokenContract.symbol();
-            const name = await tokenContract.name().catch(() => symbol);
+            const [decimals, symbol, name] = await Promise.all([
+                this.multicallService.call(tokenContract, 'decimals'),
+                this.multicallService.call(tokenContract, 'symbol'),
+                this.multicallService.call(tokenContract, 'name').catch(() => null)
+            ]);
 
             const details = { 
                 address: tokenAddress,
                 decimals, 
                 symbol, 
-                name 
+                name: name || symbol
             };
             
             // Simpan ke cache
@@ -42,12 +63,14 @@ class TokenService {
             return details;
         } catch (error) {
             this.logger.error(`Error getting token details for ${tokenAddress}: ${error.message}`, error);
-            // Default ke 18 decimals jika terjadi error
+            // Default ke 18 decimals jika terjadi error. metadataUnavailable menandai bahwa decimals
+            // hanya tebakan, sehingga token ini tidak boleh dipakai dalam perhitungan profit.
             return { 
                 address: tokenAddress,
                 decimals: 18, 
                 symbol: 'UNKNOWN', 
-                name: 'Unknown Token' 
+                name: 'Unknown Token',
+                metadataUnavailable: true
             };
         }
     }
@@ -0,0 +1,431 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { ERC20_ABI, ROUTER_ABI, FACTORY_ABI, WBNB_ABI, MULTICALL_ABI } = require('../../config/abi');
+const {
+    TOKEN_ADDRESSES,
+    WRAPPED_NATIVE,
+    TOKEN_TAGS,
+    MULTICALL_ADDRESS,
+    VETTING_DIR,
+    VETTING_CACHE_FILE,
+    TOKEN_VETTING_VENUE,
+    TOKEN_VETTING_AMOUNT_BNB,
+    TOKEN_VETTING_MAX_TAX_PERCENT,
+    TOKEN_VETTING_TTL_HOURS,
+    TOKEN_VETTING_BNB_SOURCE
+} = require('../../config/constants');
+const { dexRegistry } = require('../dex');
+
+// Skala perhitungan pajak: 1e6 = 100%
+const TAX_SCALE = 1000000;
+
+/**
+ * Service untuk memeriksa token sebelum masuk triangle (fee-on-transfer dan honeypot).
+ *
+ * Setiap token disimulasikan dalam satu eth_call aggregate3Value dari alamat pemilik koin native:
+ * koin native di-wrap (WBNB di BSC), token dibeli lewat router V2, sebagian dijual kembali, lalu
+ * sebagian ditransfer ke alamat acak. Jumlah yang benar-benar diterima dibandingkan dengan
+ * getAmountsOut router pada state yang sama untuk menghitung pajak beli, jual dan transfer.
+ * Token yang swap/transfer-nya revert atau pajaknya di atas TOKEN_VETTING_MAX_TAX_PERCENT
+ * dikarantina beserta alasannya.
+ */
+class TokenVettingService {
+    constructor(provider, tokenService, multicallService, logger) {
+        this.provider = provider;
+        this.tokenService = tokenService;
+        this.multicallService = multicallService;
+        this.logger = logger;
+        this.verdicts = new Map(); // Alamat token (lowercase) -> hasil vetting
+        this.wrappedNative = ethers.utils.getAddress(WRAPPED_NATIVE.address);
+        this.multicallInterface = new ethers.utils.Interface(MULTICALL_ABI);
+        this.tokenInterface = new ethers.utils.Interface(ERC20_ABI);
+        this.routerInterface = new ethers.utils.Interface(ROUTER_ABI);
+        this.wrappedNativeInterface = new ethers.utils.Interface(WBNB_ABI);
+    }
+
+    /**
+     * Memeriksa sekumpulan token, memakai hasil tersimpan yang masih berlaku
+     * @param {string[]} tokenAddresses - Alamat token
+     * @returns {Promise<Map>} Hasil vetting per alamat token (lowercase)
+     */
+    async vetTokens(tokenAddresses) {
+        const cache = this.loadCache();
+        const unique = Array.from(new Set(tokenAddresses.map(address => ethers.utils.getAddress(address))));
+        let checked = 0;
+
+        for (const address of unique) {
+            const key = address.toLowerCase();
+            const cached = cache[key];
+
+            if (this.isVerdictFresh(cached)) {
+                this.verdicts.set(key, cached);
+                continue;
+            }
+
+            const verdict = await this.vetToken(address);
+            this.verdicts.set(key, verdict);
+            cache[key] = verdict;
+            checked++;
+        }
+
+        if (checked > 0) {
+            this.saveCache(cache);
+        }
+
+        const quarantined = unique.filter(address => this.isQuarantined(address)).length;
+        this.logger.log(`Token vetting: ${unique.length} tokens (${checked} checked, ${quarantined} quarantined)`);
+
+        return this.verdicts;
+    }
+
+    /**
+     * Memeriksa satu token
+     * @param {string} tokenAddress - Alamat token
+     * @returns {Promise<object>} Hasil vetting { address, symbol, status, reasons, buyTaxPercent, sellTaxPercent, transferTaxPercent, route, checkedAt }
+     */
+    async vetToken(tokenAddress) {
+        const verdict = {
+            address: tokenAddress,
+            symbol: null,
+            status: 'ok',
+            reasons: [],
+            buyTaxPercent: null,
+            sellTaxPercent: null,
+            transferTaxPercent: null,
+            route: null,
+            checkedAt: new Date().toISOString()
+        };
+
+        const details = await this.tokenService.getTokenDetails(tokenAddress);
+        verdict.symbol = details.symbol;
+
+        if (details.metadataUnavailable) {
+            return this.quarantine(verdict, 'token metadata unreadable (decimals/symbol call failed)');
+        }
+
+        // Wrapper native adalah token dasar simulasi, tidak perlu diperiksa
+        if (tokenAddress.toLowerCase() === this.wrappedNative.toLowerCase()) {
+            return verdict;
+        }
+
+        try {
+            const dex = dexRegistry.has(TOKEN_VETTING_VENUE) ? dexRegistry.get(TOKEN_VETTING_VENUE) : null;
+            if (!dex || dex.type !== 'v2') {
+                return this.markUnverified(verdict, `vetting venue ${TOKEN_VETTING_VENUE} is not an enabled V2 DEX`);
+            }
+
+            const buyPath = await this.findRoute(dex, tokenAddress);
+            if (!buyPath) {
+                return this.markUnverified(verdict, `no ${WRAPPED_NATIVE.symbol} route on ${dex.id}`);
+            }
+            verdict.route = buyPath;
+
+            const result = await this.simulateRoundTrip(dex, tokenAddress, buyPath);
+            return this.evaluate(verdict, result);
+        } catch (error) {
+            this.logger.error(`Error vetting token ${details.symbol} (${tokenAddress}): ${error.message}`, error);
+            return this.markUnverified(verdict, `simulation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mencari path beli wrapper native -> token: langsung, atau lewat stablecoin jika pair langsung tidak ada
+     * @param {DexAdapter} dex - DEX V2 untuk simulasi
+     * @param {string} tokenAddress - Alamat token
+     * @returns {Promise<string[]|null>} Path beli atau null jika tidak ada
+     */
+    async findRoute(dex, tokenAddress) {
+        const factory = new ethers.Contract(await dex.getFactory(this.provider), FACTORY_ABI, this.provider);
+        const bridges = TOKEN_TAGS.STABLECOIN
+            .map(symbol => TOKEN_ADDRESSES[symbol])
+            .filter(address => address && address.toLowerCase() !== tokenAddress.toLowerCase());
+
+        const candidates = [[this.wrappedNative, tokenAddress], ...bridges.map(bridge => [this.wrappedNative, bridge, tokenAddress])];
+        const requests = [];
+        for (const path of candidates) {
+            for (let i = 0; i < path.length - 1; i++) {
+                requests.push({ contract: factory, method: 'getPair', args: [path[i], path[i + 1]] });
+            }
+        }
+
+        const pairs = await this.multicallService.all(requests);
+        let offset = 0;
+
+        for (const path of candidates) {
+            const legs = pairs.slice(offset, offset + path.length - 1);
+            offset += path.length - 1;
+
+            if (legs.every(pair => pair && pair !== ethers.constants.AddressZero)) {
+                return path;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Simulasi beli, jual dan transfer dalam satu eth_call aggregate3Value
+     * @param {DexAdapter} dex - DEX V2 untuk simulasi
+     * @param {string} tokenAddress - Alamat token
+     * @param {string[]} buyPath - Path wrapper native -> token
+     * @returns {Promise<object>} Jumlah yang diharapkan dan diterima di setiap langkah
+     */
+    async simulateRoundTrip(dex, tokenAddress, buyPath) {
+        const amountIn = ethers.utils.parseEther(TOKEN_VETTING_AMOUNT_BNB);
+        const sellPath = [...buyPath].reverse();
+        const blockNumber = await this.provider.getBlockNumber();
+
+        const router = new ethers.Contract(dex.router, ROUTER_ABI, this.provider);
+        const amounts = await this.multicallService.call(router, 'getAmountsOut', [amountIn, buyPath], { blockTag: blockNumber });
+        const expectedBuy = amounts[amounts.length - 1];
+        if (expectedBuy.isZero()) {
+            throw new Error('vetting route has no liquidity');
+        }
+
+        // Jual setengah dan transfer sepersepuluh dari jumlah beli yang diharapkan
+        const sellAmount = expectedBuy.div(2);
+        const transferAmount = expectedBuy.div(10);
+        const holder = ethers.utils.getAddress(MULTICALL_ADDRESS);
+        const probe = ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)));
+        const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+        const steps = [
+            ['deposit', this.wrappedNative, this.wrappedNativeInterface, 'deposit', [], amountIn],
+            ['approveBase', this.wrappedNative, this.tokenInterface, 'approve', [dex.router, amountIn]],
+            ['balanceBeforeBuy', tokenAddress, this.tokenInterface, 'balanceOf', [holder]],
+            ['buy', dex.router, this.routerInterface, 'swapExactTokensForTokensSupportingFeeOnTransferTokens', [amountIn, 0, buyPath, holder, deadline]],
+            ['balanceAfterBuy', tokenAddress, this.tokenInterface, 'balanceOf', [holder]],
+            ['approveToken', tokenAddress, this.tokenInterface, 'approve', [dex.router, sellAmount]],
+            ['expectedSell', dex.router, this.routerInterface, 'getAmountsOut', [sellAmount, sellPath]],
+            ['baseBeforeSell', this.wrappedNative, this.tokenInterface, 'balanceOf', [holder]],
+            ['sell', dex.router, this.routerInterface, 'swapExactTokensForTokensSupportingFeeOnTransferTokens', [sellAmount, 0, sellPath, holder, deadline]],
+            ['baseAfterSell', this.wrappedNative, this.tokenInterface, 'balanceOf', [holder]],
+            ['probeBefore', tokenAddress, this.tokenInterface, 'balanceOf', [probe]],
+            ['transfer', tokenAddress, this.tokenInterface, 'transfer', [probe, transferAmount]],
+            ['probeAfter', tokenAddress, this.tokenInterface, 'balanceOf', [probe]]
+        ];
+
+        const calls = steps.map(([, target, contractInterface, method, args, value]) => ({
+            target,
+            allowFailure: method !== 'deposit',
+            value: value || 0,
+            callData: contractInterface.encodeFunctionData(method, args)
+        }));
+
+        const raw = await this.provider.call({
+            from: TOKEN_VETTING_BNB_SOURCE,
+            to: holder,
+            value: amountIn,
+            data: this.multicallInterface.encodeFunctionData('aggregate3Value', [calls])
+        }, blockNumber);
+        const [results] = this.multicallInterface.decodeFunctionResult('aggregate3Value', raw);
+
+        // Hasil decode per langkah, null jika langkah revert
+        const outputs = {};
+        steps.forEach(([name, , contractInterface, method], index) => {
+            const { success, returnData } = results[index];
+            if (!success) {
+                outputs[name] = null;
+                return;
+            }
+            // Fungsi tanpa nilai balik (atau token non-standar tanpa bool) dianggap berhasil
+            const fragment = contractInterface.getFunction(method);
+            outputs[name] = fragment.outputs.length > 0 && returnData !== '0x'
+                ? contractInterface.decodeFunctionResult(method, returnData)[0]
+                : true;
+        });
+
+        return { expectedBuy, sellAmount, transferAmount, outputs, blockNumber };
+    }
+
+    /**
+     * Menilai hasil simulasi dan mengisi pajak serta alasan karantina
+     * @param {object} verdict - Hasil vetting yang sedang diisi
+     * @param {object} result - Hasil simulateRoundTrip
+     * @returns {object} Hasil vetting
+     */
+    evaluate(verdict, result) {
+        const { expectedBuy, sellAmount, transferAmount, outputs } = result;
+        verdict.blockNumber = result.blockNumber;
+
+        if (!outputs.buy || !outputs.balanceBeforeBuy || !outputs.balanceAfterBuy) {
+            return this.quarantine(verdict, 'buy swap reverted');
+        }
+
+        const received = outputs.balanceAfterBuy.sub(outputs.balanceBeforeBuy);
+        verdict.buyTaxPercent = this.getTaxPercent(expectedBuy, received);
+        if (verdict.buyTaxPercent > TOKEN_VETTING_MAX_TAX_PERCENT) {
+            this.quarantine(verdict, `buy tax ${verdict.buyTaxPercent}%`);
+        }
+
+        if (received.lt(sellAmount)) {
+            // Saldo hasil beli tidak cukup untuk menjual, pajak beli sudah dicatat di atas
+            this.quarantine(verdict, 'sell not simulated (insufficient balance after buy)');
+        } else if (!outputs.approveToken) {
+            this.quarantine(verdict, 'approve reverted');
+        } else if (!outputs.sell || !outputs.baseBeforeSell || !outputs.baseAfterSell || !outputs.expectedSell) {
+            this.quarantine(verdict, 'sell swap reverted (honeypot)');
+        } else {
+            const expectedSell = outputs.expectedSell[outputs.expectedSell.length - 1];
+            verdict.sellTaxPercent = this.getTaxPercent(expectedSell, outputs.baseAfterSell.sub(outputs.baseBeforeSell));
+            if (verdict.sellTaxPercent > TOKEN_VETTING_MAX_TAX_PERCENT) {
+                this.quarantine(verdict, `sell tax ${verdict.sellTaxPercent}%`);
+            }
+        }
+
+        if (received.lt(transferAmount)) {
+            this.quarantine(verdict, 'transfer not simulated (insufficient balance after buy)');
+        } else if (!outputs.transfer || !outputs.probeBefore || !outputs.probeAfter) {
+            this.quarantine(verdict, 'transfer reverted (transfer restricted)');
+        } else {
+            verdict.transferTaxPercent = this.getTaxPercent(transferAmount, outputs.probeAfter.sub(outputs.probeBefore));
+            if (verdict.transferTaxPercent > TOKEN_VETTING_MAX_TAX_PERCENT) {
+                this.quarantine(verdict, `transfer tax ${verdict.transferTaxPercent}%`);
+            }
+        }
+
+        if (verdict.status === 'ok') {
+            this.logger.log(`Token ${verdict.symbol} passed vetting (buy ${verdict.buyTaxPercent}%, sell ${verdict.sellTaxPercent}%, transfer ${verdict.transferTaxPercent}%)`);
+        }
+
+        return verdict;
+    }
+
+    /**
+     * Persentase selisih antara jumlah yang diharapkan dan yang diterima
+     * @param {ethers.BigNumber} expected - Jumlah yang diharapkan
+     * @param {ethers.BigNumber} actual - Jumlah yang diterima
+     * @returns {number} Pajak dalam persen (negatif jika menerima lebih)
+     */
+    getTaxPercent(expected, actual) {
+        if (expected.isZero()) {
+            return 0;
+        }
+        return expected.sub(actual).mul(TAX_SCALE).div(expected).toNumber() / (TAX_SCALE / 100);
+    }
+
+    /**
+     * Menandai token sebagai dikarantina dengan alasan
+     * @param {object} verdict - Hasil vetting
+     * @param {string} reason - Alasan karantina
+     * @returns {object} Hasil vetting
+     */
+    quarantine(verdict, reason) {
+        verdict.status = 'quarantined';
+        verdict.reasons.push(reason);
+        this.logger.warn(`Token ${verdict.symbol} (${verdict.address}) quarantined: ${reason}`);
+        return verdict;
+    }
+
+    /**
+     * Menandai token yang tidak bisa disimulasikan. Token tetap dipakai dan diperiksa ulang saat startup berikutnya.
+     * @param {object} verdict - Hasil vetting
+     * @param {string} reason - Alasan simulasi tidak berjalan
+     * @returns {object} Hasil vetting
+     */
+    markUnverified(verdict, reason) {
+        verdict.status = 'unverified';
+        verdict.reasons.push(reason);
+        this.logger.warn(`Token ${verdict.symbol} (${verdict.address}) could not be vetted: ${reason}`);
+        return verdict;
+    }
+
+    /**
+     * Hasil vetting untuk sebuah token
+     * @param {string} tokenAddress - Alamat token
+     * @returns {object|null} Hasil vetting atau null jika belum diperiksa
+     */
+    getVerdict(tokenAddress) {
+        return this.verdicts.get(tokenAddress.toLowerCase()) || null;
+    }
+
+    /**
+     * Apakah token dikarantina
+     * @param {string} tokenAddress - Alamat token
+     * @returns {boolean} True jika token dikarantina
+     */
+    isQuarantined(tokenAddress) {
+        const verdict = this.getVerdict(tokenAddress);
+        return Boolean(verdict && verdict.status === 'quarantined');
+    }
+
+    /**
+     * Membuang triangle yang memuat token dikarantina
+     * @param {Array} tokenPairs - Konfigurasi triangle
+     * @returns {Array} Triangle tanpa token dikarantina
+     */
+    filterTriangles(tokenPairs) {
+        return tokenPairs.filter(pairConfig => {
+            const quarantined = Object.values(pairConfig.tokens)
+                .map(address => this.getVerdict(address))
+                .filter(verdict => verdict && verdict.status === 'quarantined');
+
+            if (quarantined.length === 0) {
+                return true;
+            }
+
+            const reasons = quarantined.map(verdict => `${verdict.symbol}: ${verdict.reasons.join(', ')}`).join('; ');
+            this.logger.warn(`Triangle ${pairConfig.name} removed, quarantined token (${reasons})`);
+            return false;
+        });
+    }
+
+    /**
+     * Membuang pool hasil discovery yang memuat token dikarantina
+     * @param {Array} pools - Pool { venue, address, symbols, tokens }
+     * @returns {Array} Pool tanpa token dikarantina
+     */
+    filterPools(pools) {
+        return pools.filter(pool => !(pool.tokens || []).some(token => this.isQuarantined(token)));
+    }
+
+    /**
+     * Apakah hasil vetting tersimpan masih berlaku (token unverified selalu diperiksa ulang)
+     * @param {object|undefined} verdict - Hasil vetting tersimpan
+     * @returns {boolean} True jika masih berlaku
+     */
+    isVerdictFresh(verdict) {
+        if (!verdict || verdict.status === 'unverified') {
+            return false;
+        }
+
+        const ageHours = (Date.now() - new Date(verdict.checkedAt).getTime()) / (60 * 60 * 1000);
+        return ageHours < TOKEN_VETTING_TTL_HOURS;
+    }
+
+    /**
+     * Memuat hasil vetting dari disk
+     * @returns {object} Map alamat token (lowercase) ke hasil vetting
+     */
+    loadCache() {
+        try {
+            if (!fs.existsSync(VETTING_CACHE_FILE)) {
+                return {};
+            }
+            return JSON.parse(fs.readFileSync(VETTING_CACHE_FILE, 'utf8')).verdicts || {};
+        } catch (error) {
+            this.logger.error(`Error loading token vetting cache: ${error.message}`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Menyimpan hasil vetting ke disk
+     * @param {object} verdicts - Map alamat token (lowercase) ke hasil vetting
+     */
+    saveCache(verdicts) {
+        try {
+            if (!fs.existsSync(VETTING_DIR)) {
+                fs.mkdirSync(VETTING_DIR, { recursive: true });
+            }
+            fs.writeFileSync(VETTING_CACHE_FILE, JSON.stringify({
+                updatedAt: new Date().toISOString(),
+                verdicts
+            }, null, 2));
+        } catch (error) {
+            this.logger.error(`Error saving token vetting cache: ${error.message}`, error);
+        }
+    }
+}
+
+module.exports = TokenVettingService;
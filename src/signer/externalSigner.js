@@ -0,0 +1,170 @@
+const { ethers } = require('ethers');
+const {
+    EXTERNAL_SIGNER_URL,
+    EXTERNAL_SIGNER_ADDRESS,
+    EXTERNAL_SIGNER_AUTH_TOKEN,
+    RPC_TIMEOUT_MS
+} = require('../../config/constants');
+
+/**
+ * ExternalSigner - Signer ethers yang mendelegasikan penandatanganan ke proses lain (hardware wallet,
+ * signer terpisah, atau stand-in lokal), sehingga private key tidak pernah ada di proses bot.
+ *
+ * Protokol: JSON-RPC 2.0 lewat HTTP POST ke EXTERNAL_SIGNER_URL (header Authorization diisi
+ * EXTERNAL_SIGNER_AUTH_TOKEN jika ada) dengan tiga metode:
+ *   eth_accounts() -> [address]
+ *   eth_signTransaction([{ from, to, data, value, gas, gasPrice | maxFeePerGas + maxPriorityFeePerGas, nonce, chainId, type }])
+ *     -> raw transaction hex (atau { raw })
+ *   personal_sign([messageHex, address]) -> signature hex
+ * Semua nilai numerik dikirim sebagai quantity hex. Transaksi yang dikembalikan di-parse ulang dan ditolak
+ * jika pengirim atau isinya berbeda dari yang diminta.
+ *
+ * Sama seperti ethers.Wallet, signer ini punya field address dan provider, sehingga executor, nonce manager,
+ * submitter dan TokenService bisa memakainya tanpa perubahan.
+ */
+class ExternalSigner extends ethers.Signer {
+    /**
+     * @param {string} address - Alamat akun di signer eksternal
+     * @param {ethers.providers.Provider} provider - Provider untuk populate dan broadcast
+     * @param {Object} logger - Logger object
+     */
+    constructor(address, provider, logger) {
+        super();
+        ethers.utils.defineReadOnly(this, 'address', ethers.utils.getAddress(address));
+        ethers.utils.defineReadOnly(this, 'provider', provider || null);
+        this.logger = logger;
+        this.requestId = 0;
+    }
+
+    /**
+     * Membuat signer dari EXTERNAL_SIGNER_ADDRESS, atau akun pertama eth_accounts jika alamat tidak diisi
+     * @param {ethers.providers.Provider} provider - Provider
+     * @param {Object} logger - Logger object
+     * @returns {Promise<ExternalSigner>} Signer
+     */
+    static async create(provider, logger) {
+        if (!EXTERNAL_SIGNER_URL) {
+            throw new Error('EXTERNAL_SIGNER_URL is required when SIGNER_TYPE=external');
+        }
+
+        const probe = new ExternalSigner(ethers.constants.AddressZero, provider, logger);
+        const accounts = (await probe.request('eth_accounts', [])) || [];
+        const available = accounts.map(account => account.toLowerCase());
+
+        const address = EXTERNAL_SIGNER_ADDRESS || accounts[0];
+        if (!address) {
+            throw new Error(`External signer at ${EXTERNAL_SIGNER_URL} has no accounts`);
+        }
+        if (!available.includes(address.toLowerCase())) {
+            throw new Error(`External signer at ${EXTERNAL_SIGNER_URL} does not manage ${address}`);
+        }
+
+        logger.log(`Using external signer at ${EXTERNAL_SIGNER_URL} for ${ethers.utils.getAddress(address)}`);
+        return new ExternalSigner(address, provider, logger);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new ExternalSigner(this.address, provider, this.logger);
+    }
+
+    /**
+     * Menandatangani transaksi lewat eth_signTransaction dan memverifikasi hasilnya
+     * @param {object} transaction - Transaksi (sudah di-populate: nonce, gas, gas price, chainId)
+     * @returns {Promise<string>} Raw transaction hex
+     */
+    async signTransaction(transaction) {
+        const tx = await ethers.utils.resolveProperties(transaction);
+        if (tx.from && ethers.utils.getAddress(tx.from) !== this.address) {
+            throw new Error(`Transaction from ${tx.from} does not match external signer ${this.address}`);
+        }
+
+        const request = ethers.providers.JsonRpcProvider.hexlifyTransaction({ ...tx, from: this.address }, { from: true });
+        if (tx.chainId != null) {
+            request.chainId = ethers.utils.hexValue(tx.chainId);
+        }
+
+        const result = await this.request('eth_signTransaction', [request]);
+        const raw = typeof result === 'string' ? result : result && result.raw;
+        if (!raw) {
+            throw new Error('External signer returned no signed transaction');
+        }
+
+        this.verifySignedTransaction(tx, raw);
+        return raw;
+    }
+
+    /**
+     * Menolak transaksi bertanda tangan yang pengirim atau isinya berbeda dari permintaan
+     * @param {object} tx - Transaksi yang diminta
+     * @param {string} raw - Raw transaction dari signer
+     */
+    verifySignedTransaction(tx, raw) {
+        const signed = ethers.utils.parseTransaction(raw);
+        const same = (a, b) => (a == null && b == null) || (a != null && b != null && ethers.BigNumber.from(a).eq(b));
+        const sameAddress = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+        const mismatches = [
+            !sameAddress(signed.from, this.address) && 'from',
+            !sameAddress(signed.to, tx.to) && 'to',
+            ethers.utils.hexlify(signed.data || '0x') !== ethers.utils.hexlify(tx.data || '0x') && 'data',
+            !same(signed.value, tx.value || 0) && 'value',
+            tx.nonce != null && signed.nonce !== ethers.BigNumber.from(tx.nonce).toNumber() && 'nonce',
+            tx.gasLimit != null && !same(signed.gasLimit, tx.gasLimit) && 'gasLimit',
+            tx.gasPrice != null && !same(signed.gasPrice, tx.gasPrice) && 'gasPrice',
+            tx.chainId != null && signed.chainId !== tx.chainId && 'chainId'
+        ].filter(Boolean);
+
+        if (mismatches.length > 0) {
+            throw new Error(`External signer returned a transaction that differs from the request (${mismatches.join(', ')})`);
+        }
+    }
+
+    /**
+     * Menandatangani pesan lewat personal_sign
+     * @param {string|Uint8Array} message - Pesan
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+        const signature = await this.request('personal_sign', [ethers.utils.hexlify(data), this.address.toLowerCase()]);
+
+        if (ethers.utils.verifyMessage(data, signature) !== this.address) {
+            throw new Error('External signer returned a signature from a different account');
+        }
+        return signature;
+    }
+
+    /**
+     * Mengirim request JSON-RPC ke signer eksternal
+     * @param {string} method - Nama metode
+     * @param {Array} params - Parameter
+     * @returns {Promise<any>} Field result respons
+     */
+    async request(method, params) {
+        const connection = {
+            url: EXTERNAL_SIGNER_URL,
+            timeout: RPC_TIMEOUT_MS,
+            headers: EXTERNAL_SIGNER_AUTH_TOKEN ? { Authorization: EXTERNAL_SIGNER_AUTH_TOKEN } : {}
+        };
+
+        const response = await ethers.utils.fetchJson(connection, JSON.stringify({
+            jsonrpc: '2.0',
+            id: ++this.requestId,
+            method,
+            params
+        }));
+
+        if (!response || response.error) {
+            const message = response && response.error ? response.error.message || JSON.stringify(response.error) : 'empty response';
+            throw new Error(`External signer ${method} failed: ${message}`);
+        }
+
+        return response.result;
+    }
+}
+
+module.exports = ExternalSigner;
@@ -0,0 +1,33 @@
+const { ethers } = require('ethers');
+const { SIGNER_TYPE } = require('../../config/constants');
+const KeystoreLoader = require('./keystoreLoader');
+const ExternalSigner = require('./externalSigner');
+
+/**
+ * Membuat signer wallet bot sesuai SIGNER_TYPE ('privatekey', 'keystore' atau 'external').
+ * Semua signer punya address dan provider seperti ethers.Wallet.
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {Object} logger - Logger object
+ * @returns {Promise<ethers.Signer>} Signer yang terhubung ke provider
+ */
+async function createSigner(provider, logger) {
+    switch (SIGNER_TYPE) {
+        case 'privatekey':
+            if (!process.env.PRIVATE_KEY) {
+                throw new Error('PRIVATE_KEY is required when SIGNER_TYPE=privatekey');
+            }
+            return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+        case 'keystore':
+            return KeystoreLoader.load(provider, logger);
+        case 'external':
+            return ExternalSigner.create(provider, logger);
+        default:
+            throw new Error(`Unknown SIGNER_TYPE ${SIGNER_TYPE} (expected privatekey, keystore or external)`);
+    }
+}
+
+module.exports = {
+    KeystoreLoader,
+    ExternalSigner,
+    createSigner
+};
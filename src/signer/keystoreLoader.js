@@ -0,0 +1,81 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { KEYSTORE_PATH, KEYSTORE_PASSWORD_FILE } = require('../../config/constants');
+
+/**
+ * KeystoreLoader - Memuat wallet dari keystore JSON terenkripsi (format Web3 Secret Storage, misalnya
+ * hasil `geth account new` atau `ethers.Wallet.encrypt`). Passphrase dibaca dari KEYSTORE_PASSWORD_FILE
+ * jika diisi, selain itu diminta lewat prompt terminal tanpa echo.
+ */
+class KeystoreLoader {
+    /**
+     * Mendekripsi keystore dan menghubungkan wallet ke provider
+     * @param {ethers.providers.Provider} provider - Provider
+     * @param {Object} logger - Logger object
+     * @returns {Promise<ethers.Wallet>} Wallet
+     */
+    static async load(provider, logger) {
+        if (!KEYSTORE_PATH) {
+            throw new Error('KEYSTORE_PATH is required when SIGNER_TYPE=keystore');
+        }
+        if (!fs.existsSync(KEYSTORE_PATH)) {
+            throw new Error(`Keystore file ${KEYSTORE_PATH} not found`);
+        }
+
+        const json = fs.readFileSync(KEYSTORE_PATH, 'utf8');
+        const passphrase = KEYSTORE_PASSWORD_FILE
+            ? this.readPassphraseFile(KEYSTORE_PASSWORD_FILE)
+            : await this.promptPassphrase(`Passphrase for keystore ${KEYSTORE_PATH}: `);
+
+        logger.log(`Decrypting keystore ${KEYSTORE_PATH}...`);
+        try {
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+            return wallet.connect(provider);
+        } catch (error) {
+            throw new Error(`Could not decrypt keystore ${KEYSTORE_PATH}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Passphrase dari file (newline di akhir file diabaikan)
+     * @param {string} file - Path file passphrase
+     * @returns {string} Passphrase
+     */
+    static readPassphraseFile(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Keystore password file ${file} not found`);
+        }
+        return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    /**
+     * Meminta passphrase di terminal tanpa menampilkan input
+     * @param {string} question - Teks prompt
+     * @returns {Promise<string>} Passphrase
+     */
+    static promptPassphrase(question) {
+        if (!process.stdin.isTTY) {
+            return Promise.reject(new Error('No terminal available for the keystore passphrase prompt; set KEYSTORE_PASSWORD_FILE'));
+        }
+
+        return new Promise(resolve => {
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+            let muted = false;
+            rl._writeToOutput = text => {
+                if (!muted) {
+                    rl.output.write(text);
+                }
+            };
+
+            rl.question(question, answer => {
+                rl.output.write('\n');
+                rl.close();
+                resolve(answer);
+            });
+            muted = true;
+        });
+    }
+}
+
+module.exports = KeystoreLoader;
@@ -0,0 +1,28 @@
+const { TX_SUBMISSION_MODE } = require('../../config/constants');
+const PublicSubmitter = require('./publicSubmitter');
+const RelaySubmitter = require('./relaySubmitter');
+const NonceManager = require('./nonceManager');
+
+/**
+ * Membuat backend pengiriman transaksi sesuai TX_SUBMISSION_MODE ('public' atau 'relay')
+ * @param {ethers.Wallet} wallet - Wallet bot
+ * @param {Object} logger - Logger object
+ * @returns {PublicSubmitter|RelaySubmitter} Submitter dengan sign(), send(), track() dan submit()
+ */
+function createSubmitter(wallet, logger) {
+    switch (TX_SUBMISSION_MODE) {
+        case 'public':
+            return new PublicSubmitter(wallet, logger);
+        case 'relay':
+            return new RelaySubmitter(wallet, logger);
+        default:
+            throw new Error(`Unknown TX_SUBMISSION_MODE ${TX_SUBMISSION_MODE} (expected public or relay)`);
+    }
+}
+
+module.exports = {
+    PublicSubmitter,
+    RelaySubmitter,
+    NonceManager,
+    createSubmitter
+};
@@ -0,0 +1,532 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    NONCE_DIR,
+    MAX_GAS_PRICE_GWEI,
+    TX_STUCK_BLOCKS,
+    TX_SPEEDUP_ATTEMPTS,
+    TX_CANCEL_ATTEMPTS,
+    TX_GAS_BUMP_PERCENT,
+    TX_STATUS_POLL_MS
+} = require('../../config/constants');
+
+// Gas limit transfer native biasa, dipakai transaksi pembatalan
+const CANCEL_GAS_LIMIT = 21000;
+
+/**
+ * NonceManager - Memberi nonce eksplisit ke setiap transaksi wallet bot dan melacak transaksi yang belum
+ * masuk blok, sehingga satu transaksi macet tidak membekukan bot.
+ *
+ * Transaksi publik yang belum masuk blok setelah TX_STUCK_BLOCKS blok dipercepat (nonce dan data sama,
+ * gas price naik TX_GAS_BUMP_PERCENT, maksimal TX_SPEEDUP_ATTEMPTS kali dan tidak melebihi MAX_GAS_PRICE_GWEI),
+ * lalu dibatalkan dengan transfer 0 ke wallet sendiri (maksimal TX_CANCEL_ATTEMPTS kali). Transaksi yang dikirim
+ * dengan speedUp: false (eksekusi arbitrage, yang quote-nya sudah basi saat dianggap macet) langsung dibatalkan
+ * tanpa dipercepat. Setelah itu
+ * penunggu menyerah dengan status 'stuck'; nonce tetap dilacak, dibatalkan ulang sebelum setiap pengiriman
+ * berikutnya, dan tidak ada transaksi baru yang dikirim sampai nonce tersebut terpakai.
+ * Bundle relay tidak pernah masuk mempool publik, jadi tidak dipercepat: nonce-nya dilepas saat bundle kedaluwarsa.
+ *
+ * State (nonce berikutnya dan transaksi tertunda) disimpan per wallet di NONCE_DIR agar bisa dipulihkan
+ * setelah restart.
+ */
+class NonceManager {
+    /**
+     * @param {ethers.Wallet} wallet - Wallet bot (terhubung ke provider)
+     * @param {PublicSubmitter|RelaySubmitter} submitter - Backend pengiriman transaksi
+     * @param {Object} logger - Logger object
+     */
+    constructor(wallet, submitter, logger) {
+        this.wallet = wallet;
+        this.submitter = submitter;
+        this.logger = logger;
+        this.stateFile = path.join(NONCE_DIR, `${wallet.address.toLowerCase()}.json`);
+
+        this.nextNonce = null;
+        this.pending = new Map(); // Nonce -> transaksi tertunda
+        this.queue = Promise.resolve(); // Pemberian nonce, pengiriman dan replacement dijalankan berurutan
+    }
+
+    /**
+     * Backend pengiriman yang dipakai ('public' atau 'relay')
+     * @returns {string} Mode pengiriman
+     */
+    get mode() {
+        return this.submitter.mode;
+    }
+
+    /**
+     * Memulihkan state nonce dari chain dan dari state tersimpan. Nonce di antara jumlah transaksi 'latest'
+     * dan 'pending' masih ada di mempool dan dilacak ulang (tanpa dipercepat, hanya dibatalkan jika macet);
+     * transaksi tersimpan yang sudah tidak dikenal node dilupakan.
+     */
+    async initialize() {
+        const provider = this.wallet.provider;
+        const [latestCount, pendingCount, currentBlock] = await Promise.all([
+            provider.getTransactionCount(this.wallet.address, 'latest'),
+            provider.getTransactionCount(this.wallet.address, 'pending'),
+            provider.getBlockNumber()
+        ]);
+
+        const saved = new Map(this.loadState().map(entry => [entry.nonce, entry]));
+        this.pending.clear();
+
+        for (let nonce = latestCount; nonce < pendingCount; nonce++) {
+            const entry = saved.get(nonce) || this.createEntry(nonce, 'unknown', null, null, currentBlock);
+            entry.mode = 'public';
+            entry.status = 'pending';
+            entry.speedUp = false;
+            entry.cancellations = 0;
+            this.pending.set(nonce, entry);
+        }
+
+        this.nextNonce = pendingCount;
+        this.saveState();
+
+        if (this.pending.size > 0) {
+            this.logger.warn(`Recovered ${this.pending.size} unconfirmed transactions (nonces ${latestCount}-${pendingCount - 1}); they will be cancelled if still pending after ${TX_STUCK_BLOCKS} blocks`);
+        }
+        this.logger.log(`Nonce manager ready for ${this.wallet.address}: next nonce ${this.nextNonce}`);
+    }
+
+    /**
+     * Mengirim transaksi dengan nonce berikutnya
+     * @param {object} txRequest - Transaksi (to, data, value, gasLimit, gasPrice)
+     * @param {string} label - Keterangan transaksi untuk log dan state
+     * @param {Function|null} onSent - Dipanggil dengan { nonce, hash, kind } untuk transaksi asli dan setiap
+     *   percepatan/pembatalan; untuk transaksi asli dipanggil setelah ditandatangani dan sebelum dikirim
+     *   (misalnya untuk jurnal transaksi)
+     * @param {object} options - { speedUp }: false jika transaksi macet tidak boleh dikirim ulang dengan data yang sama
+     *   dan langsung dibatalkan (default true)
+     * @returns {Promise<object>} Submission { mode, hash, bundleHash, nonce, wait }, wait() menghasilkan
+     *   { status: 'mined'|'cancelled'|'replaced'|'expired'|'stuck', receipt, hash }
+     */
+    async submit(txRequest, label, onSent = null, { speedUp = true } = {}) {
+        if (this.nextNonce === null) {
+            await this.initialize();
+        }
+
+        return this.enqueue(async () => {
+            if (this.pending.size > 0) {
+                await this.advancePending();
+            }
+
+            const stuck = [...this.pending.values()].find(entry => entry.status === 'stuck');
+            if (stuck) {
+                throw new Error(`Nonce ${stuck.nonce} (${stuck.label}) is still stuck, not sending new transactions until it clears`);
+            }
+
+            const nonce = this.nextNonce;
+            const gasPrice = txRequest.gasPrice ? ethers.BigNumber.from(txRequest.gasPrice) : await this.wallet.getGasPrice();
+            const request = { ...txRequest, nonce, gasPrice };
+
+            // Ditandatangani dan dicatat (state nonce dan onSent, misalnya jurnal) sebelum dikirim, sehingga
+            // proses yang berhenti di tengah pengiriman tetap bisa dicocokkan dengan chain lewat nonce dan hash
+            const signed = await this.submitter.sign(request);
+            const currentBlock = await this.wallet.provider.getBlockNumber();
+            const entry = this.createEntry(nonce, label, request, { mode: this.mode, hash: signed.hash, bundleHash: null }, currentBlock);
+            entry.onSent = onSent;
+            entry.speedUp = speedUp;
+            this.pending.set(nonce, entry);
+            this.nextNonce = nonce + 1;
+            this.saveState();
+            this.notifySent(entry, signed.hash, 'original');
+
+            let submission;
+            try {
+                submission = await this.submitter.send(signed, currentBlock);
+            } catch (error) {
+                // Transaksi bisa sudah sampai ke jaringan (misalnya RPC timeout): nonce tetap dilacak dan hasilnya
+                // ditentukan dari chain seperti transaksi tertunda lainnya
+                this.logger.warn(`Broadcast of nonce ${nonce} (${label}) failed, tracking it by nonce: ${error.message}`);
+                submission = this.submitter.track(signed, currentBlock);
+            }
+
+            entry.bundleHash = submission.bundleHash;
+            this.saveState();
+
+            return {
+                mode: submission.mode,
+                hash: submission.hash,
+                bundleHash: submission.bundleHash,
+                nonce,
+                wait: () => this.waitForTransaction(entry, submission)
+            };
+        });
+    }
+
+    /**
+     * Menunggu nonce yang dipulihkan saat initialize() selesai
+     * @param {number} nonce - Nonce
+     * @param {Function|null} onSent - Lihat submit()
+     * @returns {Promise<object|null>} Outcome seperti submit().wait(), null jika nonce tidak sedang dilacak
+     */
+    async waitForNonce(nonce, onSent = null) {
+        const entry = this.pending.get(nonce);
+        if (!entry) {
+            return null;
+        }
+
+        entry.onSent = onSent;
+        return this.waitForTransaction(entry, null);
+    }
+
+    /**
+     * Menunggu transaksi selesai: masuk blok (asli atau versi dipercepat), dibatalkan, kedaluwarsa, atau macet
+     * @param {object} entry - Transaksi tertunda
+     * @param {object} submission - Submission dari backend pengiriman
+     * @returns {Promise<object>} { status, receipt, hash }
+     */
+    async waitForTransaction(entry, submission) {
+        if (entry.mode === 'relay') {
+            const receipt = await submission.wait();
+            return this.enqueue(async () => {
+                if (receipt) {
+                    return this.resolve(entry, { status: 'mined', receipt, hash: receipt.transactionHash });
+                }
+
+                const outcome = this.resolve(entry, { status: 'expired', receipt: null, hash: submission.hash });
+                await this.syncNextNonce();
+                return outcome;
+            });
+        }
+
+        while (!entry.outcome) {
+            await this.enqueue(() => this.advancePending());
+
+            if (entry.outcome) {
+                break;
+            }
+            if (entry.status === 'stuck') {
+                this.logger.warn(`Giving up waiting for nonce ${entry.nonce} (${entry.label}) after ${entry.cancellations} cancellation attempts`);
+                return { status: 'stuck', receipt: null, hash: this.getLastHash(entry) };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, TX_STATUS_POLL_MS));
+        }
+
+        return entry.outcome;
+    }
+
+    /**
+     * Memeriksa semua transaksi publik tertunda (urut nonce) dan mempercepat / membatalkan yang macet.
+     * Harus dipanggil lewat enqueue().
+     */
+    async advancePending() {
+        const currentBlock = await this.wallet.provider.getBlockNumber();
+        const entries = [...this.pending.values()]
+            .filter(entry => entry.mode !== 'relay')
+            .sort((a, b) => a.nonce - b.nonce);
+
+        for (const entry of entries) {
+            const outcome = await this.checkEntry(entry);
+            if (outcome) {
+                this.resolve(entry, outcome);
+                continue;
+            }
+
+            if (currentBlock - entry.lastSentBlock < TX_STUCK_BLOCKS) {
+                continue;
+            }
+
+            if (entry.speedUp && entry.speedUps < TX_SPEEDUP_ATTEMPTS && entry.request && await this.speedUp(entry, currentBlock)) {
+                continue;
+            }
+
+            if (entry.cancellations < TX_CANCEL_ATTEMPTS || entry.status === 'stuck') {
+                await this.cancel(entry, currentBlock);
+            } else {
+                entry.status = 'stuck';
+                this.logger.warn(`Nonce ${entry.nonce} (${entry.label}) still pending after ${entry.cancellations} cancellation attempts`);
+            }
+        }
+
+        this.saveState();
+    }
+
+    /**
+     * Status transaksi tertunda di chain
+     * @param {object} entry - Transaksi tertunda
+     * @returns {Promise<object|null>} { status, receipt, hash } jika nonce sudah terpakai, null jika masih tertunda
+     */
+    async checkEntry(entry) {
+        const found = await this.findReceipt(entry);
+        if (found) {
+            return found;
+        }
+
+        const latestCount = await this.wallet.provider.getTransactionCount(this.wallet.address, 'latest');
+        if (latestCount <= entry.nonce) {
+            return null;
+        }
+
+        // Periksa sekali lagi: receipt bisa muncul di antara dua pembacaan di atas
+        return await this.findReceipt(entry) || { status: 'replaced', receipt: null, hash: null };
+    }
+
+    /**
+     * Mencari receipt dari semua transaksi yang pernah dikirim dengan nonce ini
+     * @param {object} entry - Transaksi tertunda
+     * @returns {Promise<object|null>} { status, receipt, hash }
+     */
+    async findReceipt(entry) {
+        for (const sent of [...entry.transactions].reverse()) {
+            const receipt = await this.wallet.provider.getTransactionReceipt(sent.hash);
+            if (receipt && receipt.blockNumber) {
+                return {
+                    status: sent.kind === 'cancel' ? 'cancelled' : 'mined',
+                    receipt,
+                    hash: sent.hash
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Mengirim ulang transaksi yang sama dengan gas price lebih tinggi
+     * @param {object} entry - Transaksi tertunda
+     * @param {number} currentBlock - Blok saat ini
+     * @returns {Promise<boolean>} True jika percepatan dilakukan, false jika melebihi MAX_GAS_PRICE_GWEI
+     */
+    async speedUp(entry, currentBlock) {
+        const gasPrice = await this.getReplacementGasPrice(entry);
+        const maxGasPrice = ethers.utils.parseUnits(MAX_GAS_PRICE_GWEI.toString(), 'gwei');
+        if (gasPrice.gt(maxGasPrice)) {
+            this.logger.warn(`Speed-up of nonce ${entry.nonce} would need ${ethers.utils.formatUnits(gasPrice, 'gwei')} Gwei (max ${MAX_GAS_PRICE_GWEI}), cancelling instead`);
+            entry.speedUps = TX_SPEEDUP_ATTEMPTS;
+            return false;
+        }
+
+        entry.speedUps += 1;
+        const request = {
+            ...this.deserializeRequest(entry.request),
+            nonce: entry.nonce,
+            gasPrice
+        };
+
+        await this.sendReplacement(entry, request, 'speedup', currentBlock);
+        return true;
+    }
+
+    /**
+     * Membatalkan nonce dengan transfer 0 ke wallet sendiri (gas price lebih tinggi, tanpa batas MAX_GAS_PRICE_GWEI
+     * karena biayanya hanya 21000 gas)
+     * @param {object} entry - Transaksi tertunda
+     * @param {number} currentBlock - Blok saat ini
+     */
+    async cancel(entry, currentBlock) {
+        entry.cancellations += 1;
+        const request = {
+            to: this.wallet.address,
+            value: 0,
+            nonce: entry.nonce,
+            gasLimit: CANCEL_GAS_LIMIT,
+            gasPrice: await this.getReplacementGasPrice(entry)
+        };
+
+        await this.sendReplacement(entry, request, 'cancel', currentBlock);
+    }
+
+    /**
+     * Mengirim transaksi pengganti untuk nonce yang sama
+     * @param {object} entry - Transaksi tertunda
+     * @param {object} request - Transaksi pengganti
+     * @param {string} kind - 'speedup' atau 'cancel'
+     * @param {number} currentBlock - Blok saat ini
+     */
+    async sendReplacement(entry, request, kind, currentBlock) {
+        // Gas price dicatat walaupun pengiriman gagal, sehingga percobaan berikutnya menaikkannya lagi
+        entry.gasPrice = request.gasPrice.toString();
+        entry.lastSentBlock = currentBlock;
+
+        try {
+            const submission = await this.submitter.submit(request);
+            entry.transactions.push({ hash: submission.hash, kind, gasPrice: entry.gasPrice });
+            this.logger.log(`Sent ${kind} for nonce ${entry.nonce} (${entry.label}) at ${ethers.utils.formatUnits(request.gasPrice, 'gwei')} Gwei: ${submission.hash}`);
+            this.notifySent(entry, submission.hash, kind);
+        } catch (error) {
+            // Misalnya replacement underpriced atau nonce sudah terpakai; diperiksa lagi pada polling berikutnya
+            this.logger.error(`Failed to send ${kind} for nonce ${entry.nonce}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Memanggil callback onSent entri; error callback tidak boleh menggagalkan pengiriman
+     * @param {object} entry - Transaksi tertunda
+     * @param {string} hash - Hash transaksi yang dikirim
+     * @param {string} kind - 'original', 'speedup' atau 'cancel'
+     */
+    notifySent(entry, hash, kind) {
+        if (!entry.onSent) {
+            return;
+        }
+
+        try {
+            entry.onSent({ nonce: entry.nonce, hash, kind });
+        } catch (error) {
+            this.logger.error(`onSent callback failed for nonce ${entry.nonce}: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Gas price transaksi pengganti: gas price terakhir ditambah TX_GAS_BUMP_PERCENT, minimal gas price jaringan
+     * @param {object} entry - Transaksi tertunda
+     * @returns {Promise<ethers.BigNumber>} Gas price
+     */
+    async getReplacementGasPrice(entry) {
+        const last = ethers.BigNumber.from(entry.gasPrice || 0);
+        const bumped = last.mul(Math.round((100 + TX_GAS_BUMP_PERCENT) * 100)).div(10000);
+        const networkGasPrice = await this.wallet.getGasPrice();
+
+        return bumped.gt(networkGasPrice) ? bumped : networkGasPrice;
+    }
+
+    /**
+     * Menandai nonce selesai dan menghapusnya dari daftar tertunda
+     * @param {object} entry - Transaksi tertunda
+     * @param {object} outcome - { status, receipt, hash }
+     * @returns {object} Outcome
+     */
+    resolve(entry, outcome) {
+        entry.outcome = outcome;
+        entry.status = outcome.status;
+        this.pending.delete(entry.nonce);
+        this.saveState();
+
+        if (outcome.status !== 'mined' || entry.speedUps > 0) {
+            this.logger.log(`Nonce ${entry.nonce} (${entry.label}) resolved: ${outcome.status}${outcome.hash ? ` (${outcome.hash})` : ''}`);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Menyelaraskan nonce berikutnya dengan chain dan transaksi yang masih dilacak
+     */
+    async syncNextNonce() {
+        const pendingCount = await this.wallet.provider.getTransactionCount(this.wallet.address, 'pending');
+        const tracked = [...this.pending.keys()].map(nonce => nonce + 1);
+
+        this.nextNonce = Math.max(pendingCount, ...tracked);
+        this.saveState();
+    }
+
+    /**
+     * Menjalankan fungsi setelah semua operasi nonce sebelumnya selesai
+     * @param {Function} fn - Fungsi async
+     * @returns {Promise<any>} Hasil fungsi
+     */
+    enqueue(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Transaksi tertunda baru
+     * @param {number} nonce - Nonce
+     * @param {string} label - Keterangan transaksi
+     * @param {object|null} request - Transaksi yang dikirim
+     * @param {object|null} submission - Submission dari backend pengiriman
+     * @param {number} currentBlock - Blok saat transaksi dikirim
+     * @returns {object} Transaksi tertunda
+     */
+    createEntry(nonce, label, request, submission, currentBlock) {
+        const gasPrice = request ? ethers.BigNumber.from(request.gasPrice).toString() : null;
+
+        return {
+            nonce,
+            label,
+            mode: submission ? submission.mode : this.mode,
+            request: request ? this.serializeRequest(request) : null,
+            gasPrice,
+            transactions: submission ? [{ hash: submission.hash, kind: 'original', gasPrice }] : [],
+            bundleHash: submission ? submission.bundleHash : null,
+            status: 'pending',
+            speedUp: true,
+            speedUps: 0,
+            cancellations: 0,
+            sentBlock: currentBlock,
+            lastSentBlock: currentBlock,
+            submittedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Field transaksi yang dibutuhkan untuk mengirim ulang, sebagai string
+     * @param {object} request - Transaksi
+     * @returns {object} { to, data, value, gasLimit }
+     */
+    serializeRequest(request) {
+        return {
+            to: request.to,
+            data: request.data || '0x',
+            value: ethers.BigNumber.from(request.value || 0).toString(),
+            gasLimit: request.gasLimit ? ethers.BigNumber.from(request.gasLimit).toString() : null
+        };
+    }
+
+    /**
+     * Kebalikan serializeRequest
+     * @param {object} request - Transaksi tersimpan
+     * @returns {object} Transaksi untuk dikirim ulang
+     */
+    deserializeRequest(request) {
+        const txRequest = {
+            to: request.to,
+            data: request.data,
+            value: ethers.BigNumber.from(request.value)
+        };
+        if (request.gasLimit) {
+            txRequest.gasLimit = ethers.BigNumber.from(request.gasLimit);
+        }
+        return txRequest;
+    }
+
+    /**
+     * Hash transaksi terakhir yang dikirim untuk nonce ini
+     * @param {object} entry - Transaksi tertunda
+     * @returns {string|null} Hash transaksi
+     */
+    getLastHash(entry) {
+        return entry.transactions.length > 0 ? entry.transactions[entry.transactions.length - 1].hash : null;
+    }
+
+    /**
+     * Memuat transaksi tertunda dari disk
+     * @returns {Array} Transaksi tertunda tersimpan
+     */
+    loadState() {
+        try {
+            if (!fs.existsSync(this.stateFile)) {
+                return [];
+            }
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8')).pending || [];
+        } catch (error) {
+            this.logger.error(`Error loading nonce state: ${error.message}`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Menyimpan nonce berikutnya dan transaksi tertunda ke disk
+     */
+    saveState() {
+        try {
+            if (!fs.existsSync(NONCE_DIR)) {
+                fs.mkdirSync(NONCE_DIR, { recursive: true });
+            }
+            fs.writeFileSync(this.stateFile, JSON.stringify({
+                address: this.wallet.address,
+                nextNonce: this.nextNonce,
+                updatedAt: new Date().toISOString(),
+                pending: [...this.pending.values()].map(({ outcome, onSent, ...entry }) => entry)
+            }, null, 2));
+        } catch (error) {
+            this.logger.error(`Error saving nonce state: ${error.message}`, error);
+        }
+    }
+}
+
+module.exports = NonceManager;
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+/**
+ * PublicSubmitter - Mengirim transaksi lewat RPC publik (eth_sendRawTransaction dari wallet).
+ * Transaksi terlihat di mempool sampai masuk blok.
+ */
+class PublicSubmitter {
+    /**
+     * @param {ethers.Wallet} wallet - Wallet bot (terhubung ke provider)
+     * @param {Object} logger - Logger object
+     */
+    constructor(wallet, logger) {
+        this.mode = 'public';
+        this.wallet = wallet;
+        this.logger = logger;
+    }
+
+    /**
+     * Menandatangani dan mengirim transaksi
+     * @param {object} txRequest - Transaksi (to, data, gasLimit, gasPrice)
+     * @returns {Promise<object>} Submission { mode, hash, bundleHash, wait }, wait() menghasilkan receipt
+     */
+    async submit(txRequest) {
+        return this.send(await this.sign(txRequest));
+    }
+
+    /**
+     * Menandatangani transaksi tanpa mengirimnya
+     * @param {object} txRequest - Transaksi (to, data, gasLimit, gasPrice, nonce)
+     * @returns {Promise<object>} { signedTx, hash }
+     */
+    async sign(txRequest) {
+        const populated = await this.wallet.populateTransaction(txRequest);
+        const signedTx = await this.wallet.signTransaction(populated);
+
+        return { signedTx, hash: ethers.utils.keccak256(signedTx) };
+    }
+
+    /**
+     * Mengirim transaksi yang sudah ditandatangani
+     * @param {object} signed - Hasil sign()
+     * @returns {Promise<object>} Submission { mode, hash, bundleHash, wait }
+     */
+    async send(signed) {
+        const tx = await this.wallet.provider.sendTransaction(signed.signedTx);
+
+        return {
+            mode: this.mode,
+            hash: tx.hash,
+            bundleHash: null,
+            wait: () => tx.wait()
+        };
+    }
+
+    /**
+     * Submission untuk transaksi yang pengirimannya gagal tanpa kepastian apakah sudah sampai ke node
+     * @param {object} signed - Hasil sign()
+     * @returns {object} Submission { mode, hash, bundleHash, wait }
+     */
+    track(signed) {
+        return {
+            mode: this.mode,
+            hash: signed.hash,
+            bundleHash: null,
+            wait: () => this.wallet.provider.waitForTransaction(signed.hash)
+        };
+    }
+}
+
+module.exports = PublicSubmitter;
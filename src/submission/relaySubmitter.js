@@ -0,0 +1,229 @@
+const { ethers } = require('ethers');
+const {
+    RELAY_URL,
+    RELAY_AUTH_TOKEN,
+    RELAY_BUNDLE_BLOCKS,
+    RELAY_STATUS_POLL_MS,
+    RPC_TIMEOUT_MS
+} = require('../../config/constants');
+
+/**
+ * RelaySubmitter - Mengirim transaksi yang sudah ditandatangani ke relay privat / endpoint bundle,
+ * sehingga transaksi tidak muncul di mempool publik sebelum masuk blok.
+ *
+ * Protokol: JSON-RPC 2.0 lewat HTTP POST ke RELAY_URL dengan satu metode
+ *   eth_sendBundle([{ txs: [rawTx], blockNumber: hex, maxBlockNumber: hex }])
+ *   -> result: { bundleHash } (atau string bundle hash)
+ * Header Authorization diisi RELAY_AUTH_TOKEN jika ada. Bundle berlaku untuk blok berikutnya sampai
+ * RELAY_BUNDLE_BLOCKS blok setelah blok saat ini. Status bundle dilacak dari chain: 'included' saat
+ * receipt transaksi muncul, 'expired' jika maxBlockNumber terlewati tanpa receipt.
+ */
+class RelaySubmitter {
+    /**
+     * @param {ethers.Wallet} wallet - Wallet bot (terhubung ke provider)
+     * @param {Object} logger - Logger object
+     */
+    constructor(wallet, logger) {
+        if (!RELAY_URL) {
+            throw new Error('RELAY_URL is required when TX_SUBMISSION_MODE=relay');
+        }
+
+        this.mode = 'relay';
+        this.wallet = wallet;
+        this.logger = logger;
+        this.requestId = 0;
+        this.bundles = new Map(); // Bundle hash (atau hash transaksi jika belum ada) -> bundle yang belum final
+    }
+
+    /**
+     * Menandatangani transaksi dan mengirimnya sebagai bundle ke relay
+     * @param {object} txRequest - Transaksi (to, data, gasLimit, gasPrice)
+     * @returns {Promise<object>} Submission { mode, hash, bundleHash, wait }, wait() menghasilkan receipt atau null jika bundle kedaluwarsa
+     */
+    async submit(txRequest) {
+        const signed = await this.sign(txRequest);
+        const currentBlock = await this.wallet.provider.getBlockNumber();
+        return this.send(signed, currentBlock);
+    }
+
+    /**
+     * Menandatangani transaksi tanpa mengirimnya
+     * @param {object} txRequest - Transaksi (to, data, gasLimit, gasPrice, nonce)
+     * @returns {Promise<object>} { signedTx, hash }
+     */
+    async sign(txRequest) {
+        const populated = await this.wallet.populateTransaction(txRequest);
+        const signedTx = await this.wallet.signTransaction(populated);
+
+        return { signedTx, hash: ethers.utils.keccak256(signedTx) };
+    }
+
+    /**
+     * Mengirim transaksi yang sudah ditandatangani sebagai bundle ke relay
+     * @param {object} signed - Hasil sign()
+     * @param {number} currentBlock - Blok saat ini; bundle berlaku mulai blok berikutnya
+     * @returns {Promise<object>} Submission { mode, hash, bundleHash, wait }, wait() menghasilkan receipt atau null jika bundle kedaluwarsa
+     */
+    async send(signed, currentBlock) {
+        const targetBlock = currentBlock + 1;
+        const maxBlockNumber = currentBlock + RELAY_BUNDLE_BLOCKS;
+
+        const result = await this.request('eth_sendBundle', [{
+            txs: [signed.signedTx],
+            blockNumber: ethers.utils.hexValue(targetBlock),
+            maxBlockNumber: ethers.utils.hexValue(maxBlockNumber)
+        }]);
+        const bundleHash = (result && result.bundleHash) || (typeof result === 'string' ? result : signed.hash);
+
+        const bundle = this.createBundle(bundleHash, signed.hash, currentBlock);
+        this.logger.log(`Bundle ${bundleHash} (tx ${signed.hash}) submitted to relay for blocks ${targetBlock}-${maxBlockNumber}`);
+
+        return this.createSubmission(bundle);
+    }
+
+    /**
+     * Submission untuk transaksi yang pengirimannya gagal tanpa kepastian apakah relay sudah menerima bundle-nya
+     * (misalnya timeout). Dilacak seperti bundle yang dikirim dengan send(signed, currentBlock), sehingga nonce-nya
+     * baru dilepas setelah batas blok bundle tersebut terlewati.
+     * @param {object} signed - Hasil sign()
+     * @param {number} currentBlock - Blok yang dipakai saat send()
+     * @returns {object} Submission { mode, hash, bundleHash: null, wait }
+     */
+    track(signed, currentBlock) {
+        const bundle = this.createBundle(null, signed.hash, currentBlock);
+
+        return this.createSubmission(bundle);
+    }
+
+    /**
+     * Mencatat status bundle baru
+     * @param {string|null} bundleHash - Bundle hash dari relay
+     * @param {string} txHash - Hash transaksi di dalam bundle
+     * @param {number} currentBlock - Blok saat bundle dikirim
+     * @returns {object} Status bundle
+     */
+    createBundle(bundleHash, txHash, currentBlock) {
+        const bundle = {
+            bundleHash,
+            txHash,
+            targetBlock: currentBlock + 1,
+            maxBlockNumber: currentBlock + RELAY_BUNDLE_BLOCKS,
+            status: 'pending',
+            blockNumber: null,
+            submittedAt: new Date().toISOString()
+        };
+        this.bundles.set(this.getBundleKey(bundle), bundle);
+        return bundle;
+    }
+
+    /**
+     * Submission untuk sebuah bundle
+     * @param {object} bundle - Status bundle
+     * @returns {object} Submission { mode, hash, bundleHash, wait }
+     */
+    createSubmission(bundle) {
+        return {
+            mode: this.mode,
+            hash: bundle.txHash,
+            bundleHash: bundle.bundleHash,
+            wait: () => this.waitForInclusion(bundle)
+        };
+    }
+
+    /**
+     * Menunggu transaksi bundle masuk blok atau bundle kedaluwarsa
+     * @param {object} bundle - Status bundle
+     * @returns {Promise<object|null>} Receipt transaksi, atau null jika bundle kedaluwarsa
+     */
+    async waitForInclusion(bundle) {
+        const provider = this.wallet.provider;
+
+        while (bundle.status === 'pending') {
+            const receipt = await provider.getTransactionReceipt(bundle.txHash);
+            if (receipt && receipt.blockNumber) {
+                return this.markIncluded(bundle, receipt);
+            }
+
+            const currentBlock = await provider.getBlockNumber();
+            if (currentBlock > bundle.maxBlockNumber) {
+                // Periksa sekali lagi: blok terakhir yang valid bisa muncul di antara dua pembacaan di atas
+                const lateReceipt = await provider.getTransactionReceipt(bundle.txHash);
+                if (lateReceipt && lateReceipt.blockNumber) {
+                    return this.markIncluded(bundle, lateReceipt);
+                }
+
+                bundle.status = 'expired';
+                this.bundles.delete(this.getBundleKey(bundle));
+                this.logger.warn(`Bundle ${bundle.bundleHash || bundle.txHash} expired at block ${currentBlock} without inclusion (max block ${bundle.maxBlockNumber})`);
+                return null;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, RELAY_STATUS_POLL_MS));
+        }
+
+        return null;
+    }
+
+    /**
+     * Menandai bundle sudah masuk blok
+     * @param {object} bundle - Status bundle
+     * @param {object} receipt - Receipt transaksi
+     * @returns {object} Receipt transaksi
+     */
+    markIncluded(bundle, receipt) {
+        bundle.status = 'included';
+        bundle.blockNumber = receipt.blockNumber;
+        this.bundles.delete(this.getBundleKey(bundle));
+        this.logger.log(`Bundle ${bundle.bundleHash || bundle.txHash} included in block ${receipt.blockNumber}`);
+        return receipt;
+    }
+
+    /**
+     * Key bundle di this.bundles
+     * @param {object} bundle - Status bundle
+     * @returns {string} Bundle hash, atau hash transaksi jika relay tidak mengembalikan bundle hash
+     */
+    getBundleKey(bundle) {
+        return bundle.bundleHash || bundle.txHash;
+    }
+
+    /**
+     * Status bundle yang masih ditunggu; bundle dilupakan setelah masuk blok atau kedaluwarsa
+     * @param {string} bundleHash - Bundle hash
+     * @returns {object|null} Status bundle { bundleHash, txHash, targetBlock, maxBlockNumber, status, blockNumber, submittedAt }
+     */
+    getBundle(bundleHash) {
+        const bundle = this.bundles.get(bundleHash);
+        return bundle ? { ...bundle } : null;
+    }
+
+    /**
+     * Mengirim request JSON-RPC ke relay
+     * @param {string} method - Nama metode
+     * @param {Array} params - Parameter
+     * @returns {Promise<any>} Field result respons
+     */
+    async request(method, params) {
+        const connection = {
+            url: RELAY_URL,
+            timeout: RPC_TIMEOUT_MS,
+            headers: RELAY_AUTH_TOKEN ? { Authorization: RELAY_AUTH_TOKEN } : {}
+        };
+
+        const response = await ethers.utils.fetchJson(connection, JSON.stringify({
+            jsonrpc: '2.0',
+            id: ++this.requestId,
+            method,
+            params
+        }));
+
+        if (!response || response.error) {
+            const message = response && response.error ? response.error.message || JSON.stringify(response.error) : 'empty response';
+            throw new Error(`Relay ${method} failed: ${message}`);
+        }
+
+        return response.result;
+    }
+}
+
+module.exports = RelaySubmitter;
@@ -1,4 +1,5 @@
 const { ethers } = require('ethers');
+const { dexRegistry } = require('../dex');
 
 /**
  * Utilitas untuk membantu penanganan alamat Ethereum
@@ -36,14 +37,12 @@ class AddressHelper {
                 pair.tokens[symbol] = this.fixAddressChecksum(address, logger);
             }
             
-            // Perbaiki checksum alamat pair PancakeSwap
-            for (const [key, address] of Object.entries(pair.pancakeswapPairs)) {
-                pair.pancakeswapPairs[key] = this.fixAddressChecksum(address, logger);
-            }
-            
-            // Perbaiki checksum alamat pair BiSwap
-            for (const [key, address] of Object.entries(pair.biswapPairs)) {
-                pair.biswapPairs[key] = this.fixAddressChecksum(address, logger);
+            // Perbaiki checksum alamat pair setiap DEX yang aktif
+            for (const dex of dexRegistry.getAll()) {
+                const venuePairs = pair[dex.pairsKey] || {};
+                for (const [key, address] of Object.entries(venuePairs)) {
+                    venuePairs[key] = this.fixAddressChecksum(address, logger);
+                }
             }
         });
         
@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const { HISTORY_FILE, STATS_FILE, HISTORY_DIR } = require('../../config/constants');
+const { HISTORY_FILE, STATS_FILE, HISTORY_DIR, LEGACY_HISTORY_DIR, CHAIN } = require('../../config/constants');
 
 /**
  * Kelas untuk mengelola file data dan statistik arbitrage
@@ -14,6 +14,8 @@ class FileManager {
             fs.mkdirSync(HISTORY_DIR, { recursive: true });
         }
         
+        this.migrateLegacyHistory();
+        
         // Inisialisasi data
         this.executionHistory = [];
         this.performanceStats = {
@@ -23,7 +25,8 @@ class FileManager {
             failedTrades: 0,
             startDate: new Date().toISOString(),
             lastUpdated: new Date().toISOString(),
-            profitByPair: {}
+            profitByPair: {},
+            failuresByCategory: {}
         };
         
         // Load data dari file
@@ -31,6 +34,35 @@ class FileManager {
         this.loadPerformanceStats();
     }
     
+    /**
+     * Memindahkan riwayat dan statistik versi sebelumnya (data/history/*.json, semuanya dari BSC)
+     * ke direktori profil BSC. File yang sudah ada di direktori profil tidak ditimpa.
+     */
+    migrateLegacyHistory() {
+        if (CHAIN !== 'BSC') {
+            return;
+        }
+
+        for (const target of [HISTORY_FILE, STATS_FILE]) {
+            const legacyFile = path.join(LEGACY_HISTORY_DIR, path.basename(target));
+            if (!fs.existsSync(legacyFile)) {
+                continue;
+            }
+
+            try {
+                if (fs.existsSync(target)) {
+                    this.logger.warn(`Legacy ${legacyFile} not migrated: ${target} already exists`);
+                    continue;
+                }
+
+                fs.renameSync(legacyFile, target);
+                this.logger.log(`Migrated legacy ${legacyFile} to ${target}`);
+            } catch (error) {
+                this.logger.error(`Error migrating legacy ${legacyFile}: ${error.message}`, error);
+            }
+        }
+    }
+    
     loadExecutionHistory() {
         try {
             if (fs.existsSync(HISTORY_FILE)) {
@@ -90,7 +122,7 @@ class FileManager {
         }
     }
     
-    updatePerformanceStats(pairName, profitUSD, gasCostUSD, success) {
+    updatePerformanceStats(pairName, profitUSD, gasCostUSD, success, failureCategory = null) {
         if (success) {
             this.performanceStats.totalProfit += profitUSD;
             this.performanceStats.totalFees += gasCostUSD;
@@ -109,11 +141,29 @@ class FileManager {
         } else {
             this.performanceStats.failedTrades += 1;
             this.performanceStats.totalFees += gasCostUSD;
+            this.incrementFailureCategory(failureCategory || 'unknown');
         }
         
         this.savePerformanceStats();
     }
     
+    /**
+     * Menghitung kegagalan yang tidak masuk blok (simulasi revert, pengiriman gagal) per kategori
+     * @param {string} category - Kategori kegagalan dari RevertDecoder
+     */
+    countFailure(category) {
+        this.incrementFailureCategory(category);
+        this.savePerformanceStats();
+    }
+    
+    incrementFailureCategory(category) {
+        // Statistik dari versi sebelumnya belum punya field ini
+        if (!this.performanceStats.failuresByCategory) {
+            this.performanceStats.failuresByCategory = {};
+        }
+        this.performanceStats.failuresByCategory[category] = (this.performanceStats.failuresByCategory[category] || 0) + 1;
+    }
+    
     getPerformanceSummary() {
         const summary = `
 ========== PERFORMANCE SUMMARY ==========
@@ -134,6 +184,11 @@ PROFIT BY PAIR:
 ${Object.entries(this.performanceStats.profitByPair).map(([pair, stats]) => 
     `${pair}: $${stats.totalProfit.toFixed(2)} (${stats.trades} trades)`
 ).join('\n')}
+
+FAILURES BY CATEGORY:
+${Object.entries(this.performanceStats.failuresByCategory || {}).map(([category, count]) => 
+    `${category}: ${count}`
+).join('\n')}
 ========================================
 `;
         return summary;
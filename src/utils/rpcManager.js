@@ -1,6 +1,6 @@
 const { ethers } = require('ethers');
 const { 
-    BSC_RPC_URL, 
+    RPC_URL,
     BACKUP_RPC_URLS,
     RPC_TIMEOUT_MS,
     RPC_RETRY_COUNT,
@@ -18,7 +18,7 @@ class RPCManager {
      */
     constructor(logger) {
         this.logger = logger;
-        this.rpcUrls = [BSC_RPC_URL, ...BACKUP_RPC_URLS];
+        this.rpcUrls = [RPC_URL, ...BACKUP_RPC_URLS];
         this.providers = this.rpcUrls.map(url => new ethers.providers.JsonRpcProvider(url));
         this.currentIndex = 0;
         this.failCounts = this.rpcUrls.map(() => 0);
@@ -211,46 +211,6 @@ class RPCManager {
         }
     }
     
-    /**
-     * Get optimal gas price for transactions
-     * @param {number} expectedProfitUSD - Expected profit in USD
-     * @returns {Promise<ethers.BigNumber>} Optimal gas price in wei
-     */
-    async getOptimalGasPrice(expectedProfitUSD = 0) {
-        try {
-            // Get base gas price
-            const baseGasPrice = await this.getGasPrice();
-            const baseGasPriceGwei = parseFloat(ethers.utils.formatUnits(baseGasPrice, 'gwei'));
-            
-            // Default multiplier
-            let multiplier = 1.05; // 5% higher than market price
-            
-            // Adjust based on profit
-            if (expectedProfitUSD > 50) {
-                multiplier = 1.3;
-            } else if (expectedProfitUSD > 20) {
-                multiplier = 1.2;
-            } else if (expectedProfitUSD > 10) {
-                multiplier = 1.1;
-            }
-            
-            // Calculate optimal gas price (not exceeding max)
-            const MAX_GAS_PRICE_GWEI = 10; // Get from constants if available
-            let optimalGasPriceGwei = Math.min(
-                baseGasPriceGwei * multiplier, 
-                MAX_GAS_PRICE_GWEI
-            );
-            
-            this.logger.log(`Base gas price: ${baseGasPriceGwei.toFixed(2)} gwei`);
-            this.logger.log(`Optimal gas price: ${optimalGasPriceGwei.toFixed(2)} gwei (multiplier: ${multiplier.toFixed(2)})`);
-            
-            return ethers.utils.parseUnits(optimalGasPriceGwei.toString(), 'gwei');
-        } catch (error) {
-            this.logger.error(`Error calculating optimal gas price: ${error.message}`);
-            return ethers.utils.parseUnits('5', 'gwei'); // Default fallback
-        }
-    }
-    
     /**
      * Cleanup resources
      */
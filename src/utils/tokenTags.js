@@ -0,0 +1,38 @@
+const { TOKEN_ADDRESSES, TOKEN_TAGS } = require('../../config/constants');
+
+// Index tag -> Set alamat token (lowercase), dibangun sekali dari TOKEN_TAGS
+const TAGGED_ADDRESSES = Object.fromEntries(
+    Object.entries(TOKEN_TAGS).map(([tag, symbols]) => [
+        tag,
+        new Set(symbols
+            .filter(symbol => TOKEN_ADDRESSES[symbol])
+            .map(symbol => TOKEN_ADDRESSES[symbol].toLowerCase()))
+    ])
+);
+
+/**
+ * Utilitas untuk memeriksa tag token (misalnya STABLECOIN) dari konfigurasi TOKEN_TAGS
+ */
+class TokenTags {
+    /**
+     * Memeriksa apakah token memiliki tag tertentu
+     * @param {string} tokenAddress - Alamat token
+     * @param {string} tag - Nama tag, misalnya STABLECOIN
+     * @returns {boolean} True jika token memiliki tag
+     */
+    static hasTag(tokenAddress, tag) {
+        const addresses = TAGGED_ADDRESSES[tag];
+        return Boolean(addresses && tokenAddress && addresses.has(tokenAddress.toLowerCase()));
+    }
+
+    /**
+     * Memeriksa apakah token adalah stablecoin
+     * @param {string} tokenAddress - Alamat token
+     * @returns {boolean} True jika token bertag STABLECOIN
+     */
+    static isStablecoin(tokenAddress) {
+        return this.hasTag(tokenAddress, 'STABLECOIN');
+    }
+}
+
+module.exports = TokenTags;
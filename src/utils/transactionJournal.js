@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { JOURNAL_FILE, HISTORY_DIR } = require('../../config/constants');
+
+/**
+ * TransactionJournal - Jurnal transaksi eksekusi yang belum punya hasil akhir.
+ *
+ * Entri ditulis sebelum transaksi dikirim dan diperbarui setiap kali hash baru dikirim untuk nonce-nya
+ * (transaksi asli, percepatan, pembatalan). Entri dihapus setelah hasilnya tercatat di riwayat eksekusi
+ * dan statistik, sehingga entri yang tersisa saat startup adalah transaksi yang hasilnya belum tercatat
+ * karena proses berhenti di tengah jalan. File ditulis lewat file sementara + rename agar tidak pernah
+ * setengah tertulis.
+ */
+class TransactionJournal {
+    constructor(logger) {
+        this.logger = logger;
+
+        if (!fs.existsSync(HISTORY_DIR)) {
+            fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        }
+
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(JOURNAL_FILE)) {
+                this.entries = JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf8'));
+                if (this.entries.length > 0) {
+                    this.logger.warn(`Transaction journal has ${this.entries.length} unfinished entries`);
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Error loading transaction journal: ${error.message}`, error);
+            this.entries = [];
+        }
+    }
+
+    save() {
+        try {
+            const tempFile = `${JOURNAL_FILE}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(this.entries, null, 2));
+            fs.renameSync(tempFile, JOURNAL_FILE);
+        } catch (error) {
+            this.logger.error(`Error saving transaction journal: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Menambahkan entri baru
+     * @param {object} fields - Isi entri (record riwayat sementara, label, profit dan biaya gas estimasi)
+     * @returns {object} Entri dengan id, nonce null dan daftar transaksi kosong
+     */
+    add(fields) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(16).slice(2, 10)}`,
+            createdAt: new Date().toISOString(),
+            nonce: null,
+            transactions: [],
+            ...fields
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Mencatat transaksi yang dikirim untuk sebuah entri
+     * @param {object} entry - Entri jurnal
+     * @param {object} sent - { nonce, hash, kind: 'original' | 'speedup' | 'cancel' }
+     */
+    recordTransaction(entry, sent) {
+        entry.nonce = sent.nonce;
+        entry.transactions.push({ hash: sent.hash, kind: sent.kind });
+        this.save();
+    }
+
+    /**
+     * Memperbarui field sebuah entri
+     * @param {object} entry - Entri jurnal
+     * @param {object} fields - Field baru
+     */
+    update(entry, fields) {
+        Object.assign(entry, fields);
+        this.save();
+    }
+
+    /**
+     * Menghapus entri yang hasilnya sudah tercatat (atau yang tidak pernah dikirim)
+     * @param {object} entry - Entri jurnal
+     */
+    remove(entry) {
+        this.entries = this.entries.filter(existing => existing.id !== entry.id);
+        this.save();
+    }
+}
+
+module.exports = TransactionJournal;
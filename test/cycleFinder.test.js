@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const CycleFinder = require('../src/arbitrage/cycleFinder');
+
+const logger = { log() {}, warn() {}, error() {} };
+const E = ethers.constants.WeiPerEther;
+
+const A = '0x000000000000000000000000000000000000000A';
+const B = '0x000000000000000000000000000000000000000B';
+const C = '0x000000000000000000000000000000000000000C';
+const D = '0x000000000000000000000000000000000000000D';
+
+function pool(address, venue, token0, token1, reserve0, reserve1) {
+    return { venue, address, token0, token1, reserve0: E.mul(reserve0), reserve1: E.mul(reserve1) };
+}
+
+// A/B dan B/C di PancakeSwap sejalan dengan harga 1 A = 2 B = 4 C; C/A di BiSwap membayar 0,3 A per C (harga wajar 0,25)
+const pools = [
+    pool('0x00000000000000000000000000000000000000a1', 'PANCAKESWAP', A, B, 1000, 2000),
+    pool('0x00000000000000000000000000000000000000a2', 'PANCAKESWAP', B, C, 2000, 4000),
+    pool('0x00000000000000000000000000000000000000a3', 'BISWAP', C, A, 4000, 1200),
+    // D hanya terhubung ke A dengan harga konsisten: tidak membentuk siklus
+    pool('0x00000000000000000000000000000000000000a4', 'PANCAKESWAP', A, D, 1000, 1000)
+];
+
+test('finds the single profitable triangle once regardless of start token', () => {
+    const finder = new CycleFinder(logger, { maxLength: 4 });
+
+    const cycles = finder.findCycles(pools);
+
+    assert.strictEqual(cycles.length, 1);
+    const [cycle] = cycles;
+    assert.strictEqual(cycle.length, 3);
+    assert.deepStrictEqual(
+        new Set(cycle.hops.map(hop => hop.pairAddress)),
+        new Set(pools.slice(0, 3).map(p => p.address))
+    );
+
+    // A -> B -> C -> A: 2 × 0,9975 × 2 × 0,9975 × 0,3 × 0,999
+    const expectedRate = 2 * 0.9975 * 2 * 0.9975 * 0.3 * 0.999;
+    assert.ok(Math.abs(cycle.rateProduct - expectedRate) < 1e-12, `${cycle.rateProduct} vs ${expectedRate}`);
+
+    // Setiap hop menyambung ke hop berikutnya dan siklus kembali ke token awal
+    cycle.hops.forEach((hop, i) => {
+        assert.strictEqual(hop.tokenOut, cycle.hops[(i + 1) % cycle.hops.length].tokenIn);
+    });
+});
+
+test('reports nothing when prices are consistent', () => {
+    const balanced = pools.map(p => (p.address.endsWith('a3') ? pool(p.address, p.venue, C, A, 4000, 1000) : p));
+
+    assert.deepStrictEqual(new CycleFinder(logger, { maxLength: 4 }).findCycles(balanced), []);
+});
+
+test('ignores two-pool loops below the minimum cycle length', () => {
+    // A/B di BiSwap jauh lebih murah dari PancakeSwap: loop dua hop menguntungkan tetapi bukan triangle
+    const twoPool = [
+        pool('0x00000000000000000000000000000000000000b1', 'PANCAKESWAP', A, B, 1000, 2000),
+        pool('0x00000000000000000000000000000000000000b2', 'BISWAP', A, B, 1000, 3000)
+    ];
+
+    assert.deepStrictEqual(new CycleFinder(logger, { maxLength: 4 }).findCycles(twoPool), []);
+});
+
+test('finds four-hop cycles and merges same-venue V2 hops into three segments', () => {
+    const fourHop = [
+        pool('0x00000000000000000000000000000000000000c1', 'PANCAKESWAP', A, B, 1000, 2000),
+        pool('0x00000000000000000000000000000000000000c2', 'PANCAKESWAP', B, C, 2000, 2000),
+        pool('0x00000000000000000000000000000000000000c3', 'BISWAP', C, D, 2000, 2000),
+        pool('0x00000000000000000000000000000000000000c4', 'PANCAKESWAP', D, A, 2000, 1200)
+    ];
+    const finder = new CycleFinder(logger, { maxLength: 4 });
+
+    const cycles = finder.findCycles(fourHop);
+    assert.strictEqual(cycles.length, 1);
+    assert.strictEqual(cycles[0].length, 4);
+
+    const execution = finder.toExecutionSegments(cycles[0]);
+    assert.ok(execution);
+    assert.strictEqual(execution.segments.length, 3);
+    assert.strictEqual(execution.segments.reduce((sum, segment) => sum + segment.hops.length, 0), 4);
+    execution.segments.forEach(segment => {
+        assert.strictEqual(segment.path.length, segment.hops.length + 1);
+        assert.ok(segment.hops.every(hop => hop.venue === segment.venue));
+    });
+});
+
+test('respects maxLength', () => {
+    const fourHop = [
+        pool('0x00000000000000000000000000000000000000c1', 'PANCAKESWAP', A, B, 1000, 2000),
+        pool('0x00000000000000000000000000000000000000c2', 'PANCAKESWAP', B, C, 2000, 2000),
+        pool('0x00000000000000000000000000000000000000c3', 'BISWAP', C, D, 2000, 2000),
+        pool('0x00000000000000000000000000000000000000c4', 'PANCAKESWAP', D, A, 2000, 1200)
+    ];
+
+    assert.deepStrictEqual(new CycleFinder(logger, { maxLength: 3 }).findCycles(fourHop), []);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const LoanSizer = require('../src/arbitrage/loanSizer');
+const QuoteService = require('../src/services/quoteService');
+
+const logger = { log() {}, warn() {}, error() {} };
+const E = ethers.constants.WeiPerEther;
+
+const TOKEN_A = '0x000000000000000000000000000000000000000A';
+const TOKEN_B = '0x000000000000000000000000000000000000000b';
+const TOKEN_C = '0x000000000000000000000000000000000000000C';
+
+const FEE = { numerator: 9975, denominator: 10000 };
+const FLASH_FEE_RATE = 0.003;
+const getFlashLoanFee = amount => amount.mul(3).div(1000);
+
+function pool(address, token0, token1, reserve0, reserve1) {
+    return { kind: 'v2', venue: 'test', address, token0, token1, reserve0: E.mul(reserve0), reserve1: E.mul(reserve1), fee: FEE };
+}
+
+/**
+ * LoanSizer dengan QuoteService asli yang state pool-nya disediakan langsung
+ */
+function createSizer(states) {
+    const quoteService = new QuoteService(null, null, logger);
+    quoteService.loadPools = async pools => pools.map(({ address }) => states.find(state => state.address === address));
+    return new LoanSizer(quoteService, logger);
+}
+
+const hops = [
+    { pairAddress: 'ab', venue: 'test', tokenIn: TOKEN_A },
+    { pairAddress: 'bc', venue: 'test', tokenIn: TOKEN_B },
+    { pairAddress: 'ca', venue: 'test', tokenIn: TOKEN_C }
+];
+
+const options = {
+    blockNumber: 100,
+    flashFeeRate: FLASH_FEE_RATE,
+    getFlashLoanFee,
+    tokenDetails: { symbol: 'A', decimals: 18 }
+};
+
+/**
+ * Profit terbaik dari grid pinjaman, dihitung dengan rumus getAmountOut yang sama
+ */
+function bruteForce(sizer, states, maxLoan, steps) {
+    let best = { amountIn: ethers.BigNumber.from(0), profit: ethers.BigNumber.from(0) };
+    for (let i = 1; i <= steps; i++) {
+        const result = sizer.evaluateProfit(states, hops, maxLoan.mul(i).div(steps), getFlashLoanFee);
+        if (result.profit.gt(best.profit)) {
+            best = result;
+        }
+    }
+    return best;
+}
+
+test('optimal loan is at least as profitable as a brute-force grid', async () => {
+    // A -> B -> C -> A dengan rate siklus 2 × 0,52 × 1,25 = 1,3 sebelum fee
+    const states = [
+        pool('ab', TOKEN_A, TOKEN_B, 1000000, 2000000),
+        pool('bc', TOKEN_B, TOKEN_C, 3000000, 1560000),
+        pool('ca', TOKEN_C, TOKEN_A, 800000, 1000000)
+    ];
+    const sizer = createSizer(states);
+
+    const result = await sizer.findOptimalLoan(hops, options);
+    const best = bruteForce(sizer, states, E.mul(100000), 2000);
+
+    assert.ok(result, 'expected a profitable loan');
+    assert.ok(best.profit.gt(0));
+    assert.ok(result.profit.gte(best.profit), `sizer ${result.profit} < brute force ${best.profit}`);
+
+    // Optimum tepat di antara dua titik grid di sekitar argmax brute force
+    const step = E.mul(100000).div(2000);
+    assert.ok(result.loanAmount.sub(best.amountIn).abs().lte(step), `loan ${result.loanAmount} far from ${best.amountIn}`);
+    assert.strictEqual(result.summary.method, 'closed-form');
+});
+
+test('closed-form optimum sets the marginal cycle rate to 1 + flash fee', async () => {
+    const states = [
+        pool('ab', TOKEN_A, TOKEN_B, 1000000, 2000000),
+        pool('bc', TOKEN_B, TOKEN_C, 3000000, 1560000),
+        pool('ca', TOKEN_C, TOKEN_A, 800000, 1000000)
+    ];
+    const sizer = createSizer(states);
+    const { optimalInput } = sizer.computeClosedForm(states, hops, FLASH_FEE_RATE);
+
+    const x = sizer.toBigNumber(optimalInput);
+    const dx = E.mul(10);
+    const outAt = amount => sizer.evaluateProfit(states, hops, amount, () => ethers.BigNumber.from(0)).amountOut;
+    const marginal = parseFloat(outAt(x.add(dx)).sub(outAt(x.sub(dx))).toString()) / parseFloat(dx.mul(2).toString());
+
+    assert.ok(Math.abs(marginal - (1 + FLASH_FEE_RATE)) < 1e-4, `marginal rate ${marginal}`);
+});
+
+test('no loan is sized when the cycle rate does not cover the flash fee', async () => {
+    // Harga konsisten: rate siklus hanya hasil dikali fee swap (< 1)
+    const states = [
+        pool('ab', TOKEN_A, TOKEN_B, 1000000, 2000000),
+        pool('bc', TOKEN_B, TOKEN_C, 2000000, 1000000),
+        pool('ca', TOKEN_C, TOKEN_A, 1000000, 1000000)
+    ];
+
+    assert.strictEqual(await createSizer(states).findOptimalLoan(hops, options), null);
+});
+
+test('loan is capped below the first pool reserve', async () => {
+    // Pool pertama dangkal, sisanya dalam dan sangat salah harga
+    const states = [
+        pool('ab', TOKEN_A, TOKEN_B, 100, 200),
+        pool('bc', TOKEN_B, TOKEN_C, 3000000000, 3000000000),
+        pool('ca', TOKEN_C, TOKEN_A, 1000000000, 2000000000)
+    ];
+    const result = await createSizer(states).findOptimalLoan(hops, options);
+
+    assert.ok(result);
+    assert.ok(result.loanAmount.lte(E.mul(99)));
+});
@@ -0,0 +1,182 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+process.env.TX_STUCK_BLOCKS = '3';
+process.env.TX_SPEEDUP_ATTEMPTS = '1';
+process.env.TX_CANCEL_ATTEMPTS = '2';
+process.env.TX_GAS_BUMP_PERCENT = '15';
+process.env.TX_STATUS_POLL_MS = '1';
+process.env.MAX_GAS_PRICE_GWEI = '10';
+
+const NonceManager = require('../src/submission/nonceManager');
+const PublicSubmitter = require('../src/submission/publicSubmitter');
+const { NONCE_DIR } = require('../config/constants');
+
+const logger = { log() {}, warn() {}, error() {} };
+const GAS_PRICE = ethers.utils.parseUnits('3', 'gwei');
+
+const stateFiles = [];
+
+after(() => {
+    for (const file of stateFiles) {
+        fs.rmSync(file, { force: true });
+    }
+    // Direktori state dihapus hanya jika kosong (tidak menyentuh state wallet sungguhan)
+    for (const dir of [NONCE_DIR, path.dirname(NONCE_DIR)]) {
+        try {
+            fs.rmdirSync(dir);
+        } catch (error) {
+            // Tidak kosong atau tidak ada
+        }
+    }
+});
+
+/**
+ * Provider tiruan: blok dan jumlah transaksi diatur test, transaksi yang dikirim dicatat dalam bentuk terurai
+ */
+function createProvider({ block, latest, pending }) {
+    return {
+        _isProvider: true,
+        block,
+        counts: { latest, pending },
+        sent: [],
+        receipts: new Map(),
+        getNetwork: async () => ({ chainId: 56, name: 'bsc' }),
+        resolveName: async name => name,
+        getBlockNumber: async function () { return this.block; },
+        getGasPrice: async () => GAS_PRICE,
+        getFeeData: async () => ({ gasPrice: GAS_PRICE, maxFeePerGas: null, maxPriorityFeePerGas: null }),
+        getTransactionCount: async function (address, blockTag) { return this.counts[blockTag]; },
+        getTransactionReceipt: async function (hash) { return this.receipts.get(hash) || null; },
+        sendTransaction: async function (signedTx) {
+            const tx = ethers.utils.parseTransaction(signedTx);
+            this.sent.push(tx);
+            return { hash: tx.hash, wait: async () => null };
+        }
+    };
+}
+
+function createManager(provider, wallet = ethers.Wallet.createRandom()) {
+    const connected = wallet.connect(provider);
+    const manager = new NonceManager(connected, new PublicSubmitter(connected, logger), logger);
+    stateFiles.push(manager.stateFile);
+    return manager;
+}
+
+/**
+ * Menjalankan satu putaran pemeriksaan transaksi tertunda pada blok tertentu
+ */
+async function advanceTo(manager, provider, block) {
+    provider.block = block;
+    await manager.enqueue(() => manager.advancePending());
+}
+
+const isCancel = (tx, wallet) => tx.to === wallet.address && tx.data === '0x' && tx.value.isZero();
+
+const txRequest = {
+    to: '0x000000000000000000000000000000000000dEaD',
+    data: '0x1234',
+    gasLimit: 300000,
+    gasPrice: GAS_PRICE
+};
+
+test('a stuck transaction is sped up, then cancelled, then reported stuck', async () => {
+    const provider = createProvider({ block: 100, latest: 5, pending: 5 });
+    const manager = createManager(provider);
+
+    const submission = await manager.submit(txRequest, 'unwrap WBNB');
+    assert.strictEqual(submission.nonce, 5);
+
+    await advanceTo(manager, provider, 102);
+    assert.strictEqual(provider.sent.length, 1);
+
+    await advanceTo(manager, provider, 103);
+    const speedUp = provider.sent[1];
+    assert.strictEqual(speedUp.nonce, 5);
+    assert.strictEqual(speedUp.data, txRequest.data);
+    assert.strictEqual(speedUp.gasPrice.toString(), GAS_PRICE.mul(115).div(100).toString());
+
+    await advanceTo(manager, provider, 106);
+    await advanceTo(manager, provider, 109);
+    const cancels = provider.sent.slice(2);
+    assert.strictEqual(cancels.length, 2);
+    assert.ok(cancels.every(tx => tx.nonce === 5 && isCancel(tx, manager.wallet)));
+    assert.ok(cancels[1].gasPrice.gt(cancels[0].gasPrice) && cancels[0].gasPrice.gt(speedUp.gasPrice));
+
+    await advanceTo(manager, provider, 112);
+    assert.strictEqual(manager.pending.get(5).status, 'stuck');
+
+    const outcome = await submission.wait();
+    assert.strictEqual(outcome.status, 'stuck');
+    await assert.rejects(manager.submit(txRequest, 'unwrap WBNB'), /Nonce 5 \(unwrap WBNB\) is still stuck/);
+});
+
+test('arbitrage transactions are cancelled without re-broadcasting their calldata', async () => {
+    const provider = createProvider({ block: 100, latest: 0, pending: 0 });
+    const manager = createManager(provider);
+
+    const submission = await manager.submit(txRequest, 'executeArbitrage WBNB', null, { speedUp: false });
+
+    await advanceTo(manager, provider, 103);
+    assert.strictEqual(provider.sent.length, 2);
+    assert.ok(isCancel(provider.sent[1], manager.wallet));
+    assert.strictEqual(provider.sent.filter(tx => tx.data === txRequest.data).length, 1);
+
+    // Pembatalan masuk blok
+    provider.receipts.set(provider.sent[1].hash, { blockNumber: 104, transactionHash: provider.sent[1].hash });
+    provider.counts.latest = 1;
+
+    const outcome = await submission.wait();
+    assert.strictEqual(outcome.status, 'cancelled');
+    assert.strictEqual(outcome.hash, provider.sent[1].hash);
+    assert.strictEqual(manager.pending.size, 0);
+});
+
+test('the original transaction mining first resolves as mined', async () => {
+    const provider = createProvider({ block: 100, latest: 0, pending: 0 });
+    const manager = createManager(provider);
+
+    const submission = await manager.submit(txRequest, 'authorize pair');
+    provider.receipts.set(submission.hash, { blockNumber: 101, transactionHash: submission.hash });
+    provider.counts.latest = 1;
+
+    const outcome = await submission.wait();
+    assert.strictEqual(outcome.status, 'mined');
+    assert.strictEqual(provider.sent.length, 1);
+});
+
+test('restart recovers pending nonces from the saved state and cancels them without speeding up', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const provider = createProvider({ block: 200, latest: 3, pending: 3 });
+    const first = createManager(provider, wallet);
+
+    const submission = await first.submit(txRequest, 'authorize pair');
+    assert.strictEqual(submission.nonce, 3);
+
+    // Proses berhenti; node masih mengenal nonce 3 dan satu nonce 4 yang tidak tercatat
+    provider.counts.pending = 5;
+    const restarted = createManager(provider, wallet);
+    await restarted.initialize();
+
+    assert.strictEqual(restarted.nextNonce, 5);
+    assert.deepStrictEqual([...restarted.pending.keys()], [3, 4]);
+    assert.strictEqual(restarted.pending.get(3).label, 'authorize pair');
+    assert.strictEqual(restarted.pending.get(3).transactions[0].hash, submission.hash);
+
+    await advanceTo(restarted, provider, 203);
+    const replacements = provider.sent.slice(1);
+    assert.deepStrictEqual(replacements.map(tx => tx.nonce), [3, 4]);
+    assert.ok(replacements.every(tx => isCancel(tx, restarted.wallet)));
+
+    // Transaksi asli nonce 3 ternyata masuk blok, pembatalan nonce 4 juga
+    provider.receipts.set(submission.hash, { blockNumber: 204, transactionHash: submission.hash });
+    provider.receipts.set(replacements[1].hash, { blockNumber: 204, transactionHash: replacements[1].hash });
+    provider.counts.latest = 5;
+
+    assert.strictEqual((await restarted.waitForNonce(3)).status, 'mined');
+    assert.strictEqual((await restarted.waitForNonce(4)), null);
+    assert.strictEqual(restarted.pending.size, 0);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OpportunitySelector = require('../src/arbitrage/opportunitySelector');
+
+const POOL_A = '0x00000000000000000000000000000000000000A1';
+const POOL_B = '0x00000000000000000000000000000000000000b2';
+const POOL_C = '0x00000000000000000000000000000000000000C3';
+const POOL_D = '0x00000000000000000000000000000000000000d4';
+const POOL_E = '0x00000000000000000000000000000000000000E5';
+const POOL_F = '0x00000000000000000000000000000000000000f6';
+
+/**
+ * Peluang triangle: pool hop dari laporan likuiditas
+ */
+function triangle(name, netProfitUSD, flashLoanPair, hopPools) {
+    return {
+        name,
+        flashLoanPair,
+        liquidity: hopPools.map(pairAddress => ({ pairAddress })),
+        profitResult: { netProfitUSD }
+    };
+}
+
+/**
+ * Peluang siklus: pool hop dari cycle.hops
+ */
+function cycle(name, netProfitUSD, flashLoanPair, hopPools) {
+    return {
+        name,
+        flashLoanPair,
+        cycle: { hops: hopPools.map(pairAddress => ({ pairAddress })) },
+        profitResult: { netProfitUSD }
+    };
+}
+
+const names = opportunities => opportunities.map(opportunity => opportunity.name);
+
+test('getPools returns the flash-loan pair and hop pools, lowercased and unique', () => {
+    const opportunity = triangle('t', 1, POOL_A, [POOL_A, POOL_B, POOL_C]);
+
+    assert.deepStrictEqual(OpportunitySelector.getPools(opportunity), [POOL_A, POOL_B, POOL_C].map(pool => pool.toLowerCase()));
+});
+
+test('getPools reads hops from cycle.hops before the liquidity report', () => {
+    const opportunity = {
+        ...cycle('c', 1, POOL_D, [POOL_D, POOL_E]),
+        liquidity: [{ pairAddress: POOL_A }]
+    };
+
+    assert.deepStrictEqual(OpportunitySelector.getPools(opportunity), [POOL_D, POOL_E].map(pool => pool.toLowerCase()));
+    assert.deepStrictEqual(OpportunitySelector.getPools({ flashLoanPair: POOL_F }), [POOL_F.toLowerCase()]);
+});
+
+test('disjoint opportunities are all selected in order of net profit', () => {
+    const opportunities = [
+        triangle('low', 5, POOL_A, [POOL_A, POOL_B]),
+        cycle('high', 20, POOL_C, [POOL_C, POOL_D]),
+        triangle('mid', 10, POOL_E, [POOL_E, POOL_F])
+    ];
+
+    const { selected, skipped } = OpportunitySelector.selectNonConflicting(opportunities, 5);
+
+    assert.deepStrictEqual(names(selected), ['high', 'mid', 'low']);
+    assert.deepStrictEqual(skipped, []);
+});
+
+test('a shared hop pool excludes the less profitable opportunity', () => {
+    const best = triangle('best', 20, POOL_A, [POOL_A, POOL_B, POOL_C]);
+    const overlapping = cycle('overlapping', 15, POOL_D, [POOL_D, POOL_C.toLowerCase()]);
+
+    const { selected, skipped } = OpportunitySelector.selectNonConflicting([overlapping, best], 5);
+
+    assert.deepStrictEqual(names(selected), ['best']);
+    assert.strictEqual(skipped.length, 1);
+    assert.strictEqual(skipped[0].opportunity, overlapping);
+    assert.strictEqual(skipped[0].conflictsWith, best);
+});
+
+test('a flash-loan pair that is another opportunity\'s hop pool is a conflict', () => {
+    // Pool flash loan 'borrower' hanya dipakai sebagai pinjaman, tetapi menjadi hop di 'best'
+    const best = triangle('best', 20, POOL_A, [POOL_A, POOL_B, POOL_C]);
+    const borrower = triangle('borrower', 10, POOL_B, [POOL_D, POOL_E]);
+    const disjoint = triangle('disjoint', 5, POOL_F, [POOL_F]);
+
+    const { selected, skipped } = OpportunitySelector.selectNonConflicting([borrower, disjoint, best], 5);
+
+    assert.deepStrictEqual(names(selected), ['best', 'disjoint']);
+    assert.deepStrictEqual(skipped.map(({ opportunity, conflictsWith }) => [opportunity.name, conflictsWith.name]), [['borrower', 'best']]);
+});
+
+test('selection stops at maxCount without reporting the remainder as conflicts', () => {
+    const opportunities = [
+        triangle('a', 30, POOL_A, [POOL_A]),
+        triangle('b', 20, POOL_B, [POOL_B]),
+        triangle('c', 10, POOL_C, [POOL_C])
+    ];
+
+    const { selected, skipped } = OpportunitySelector.selectNonConflicting(opportunities, 2);
+
+    assert.deepStrictEqual(names(selected), ['a', 'b']);
+    assert.deepStrictEqual(skipped, []);
+    assert.deepStrictEqual(names(OpportunitySelector.selectNonConflicting(opportunities, 1).selected), ['a']);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PairDiscoveryService = require('../src/services/pairDiscoveryService');
+
+const logger = { log() {}, warn() {}, error() {} };
+
+const WBNB = '0x000000000000000000000000000000000000000A';
+const CAKE = '0x000000000000000000000000000000000000000b';
+const USDT = '0x000000000000000000000000000000000000000C';
+
+const PANCAKE_CAKE_USDT = '0x00000000000000000000000000000000000000c1';
+const BISWAP_CAKE_USDT = '0x00000000000000000000000000000000000000c2';
+
+/**
+ * Service dengan factory tiruan: venue -> pasangan token -> alamat pool resmi
+ */
+function createService(factoryPools, failingVenue) {
+    const service = new PairDiscoveryService(null, logger);
+    service.getFactoryPool = async ({ venue, tokenA, tokenB }) => {
+        if (venue === failingVenue) {
+            throw new Error('rpc down');
+        }
+        const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('/');
+        return (factoryPools[venue] || {})[key] || '0x0000000000000000000000000000000000000000';
+    };
+    return service;
+}
+
+const pairKey = (a, b) => [a.toLowerCase(), b.toLowerCase()].sort().join('/');
+
+const triangle = () => ({
+    name: 'WBNB-CAKE-USDT',
+    tokens: { WBNB, CAKE, USDT },
+    pancakeswapPairs: { 'CAKE-USDT': PANCAKE_CAKE_USDT },
+    biswapPairs: { 'CAKE-USDT': PANCAKE_CAKE_USDT }
+});
+
+test('a pair listed under another venue is dropped from that venue only', async () => {
+    const service = createService({
+        PANCAKESWAP: { [pairKey(CAKE, USDT)]: PANCAKE_CAKE_USDT },
+        BISWAP: { [pairKey(CAKE, USDT)]: BISWAP_CAKE_USDT }
+    });
+
+    const { tokenPairs } = await service.verifyPairs([triangle()]);
+
+    assert.deepStrictEqual(tokenPairs[0].pancakeswapPairs, { 'CAKE-USDT': PANCAKE_CAKE_USDT });
+    assert.strictEqual(tokenPairs[0].biswapPairs, undefined);
+});
+
+test('matching pairs and discovered pools are kept unchanged', async () => {
+    const service = createService({
+        PANCAKESWAP: { [pairKey(CAKE, USDT)]: PANCAKE_CAKE_USDT },
+        BISWAP: { [pairKey(CAKE, USDT)]: PANCAKE_CAKE_USDT }
+    });
+    const pools = [{ venue: 'BISWAP', address: PANCAKE_CAKE_USDT, symbols: ['CAKE', 'USDT'], tokens: [CAKE, USDT] }];
+
+    const result = await service.verifyPairs([triangle()], pools);
+
+    assert.deepStrictEqual(result.tokenPairs, [triangle()]);
+    assert.deepStrictEqual(result.pools, pools);
+});
+
+test('discovered pools that do not belong to their venue factory are dropped', async () => {
+    const service = createService({ BISWAP: { [pairKey(CAKE, USDT)]: BISWAP_CAKE_USDT } });
+    const pools = [
+        { venue: 'BISWAP', address: PANCAKE_CAKE_USDT, symbols: ['CAKE', 'USDT'], tokens: [CAKE, USDT] },
+        { venue: 'BISWAP', address: BISWAP_CAKE_USDT, symbols: ['CAKE', 'USDT'], tokens: [CAKE, USDT] }
+    ];
+
+    const result = await service.verifyPairs([], pools);
+
+    assert.deepStrictEqual(result.pools, [pools[1]]);
+});
+
+test('pairs that cannot be checked because of RPC errors are kept', async () => {
+    const service = createService({ PANCAKESWAP: { [pairKey(CAKE, USDT)]: PANCAKE_CAKE_USDT } }, 'BISWAP');
+
+    const { tokenPairs } = await service.verifyPairs([triangle()]);
+
+    assert.deepStrictEqual(tokenPairs[0].biswapPairs, { 'CAKE-USDT': PANCAKE_CAKE_USDT });
+});
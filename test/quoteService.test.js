@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const QuoteService = require('../src/services/quoteService');
+
+const logger = { log() {}, warn() {}, error() {} };
+
+const PAIR = '0x00000000000000000000000000000000000000c2';
+const TOKEN0 = '0x000000000000000000000000000000000000000A';
+const TOKEN1 = '0x000000000000000000000000000000000000000b';
+
+/**
+ * QuoteService dengan multicall tiruan yang menghitung call per method
+ */
+function createService(responses) {
+    const calls = [];
+    const multicallService = {
+        call: async (contract, method) => {
+            calls.push(method);
+            const response = responses[method];
+            if (response instanceof Error) throw response;
+            return response;
+        }
+    };
+    return { service: new QuoteService({ _isProvider: true }, multicallService, logger), calls };
+}
+
+const reserves = [ethers.utils.parseEther('100'), ethers.utils.parseEther('200'), 0];
+
+test('BiSwap pairs use their own swapFee(), read once with the token order', async () => {
+    const { service, calls } = createService({ token0: TOKEN0, token1: TOKEN1, swapFee: 2, getReserves: reserves });
+
+    assert.strictEqual(await service.fetchPoolState(PAIR, 100, 'BISWAP'), true);
+    assert.strictEqual(await service.fetchPoolState(PAIR, 101, 'BISWAP'), true);
+
+    const state = service.getPoolState(PAIR, 'BISWAP');
+    assert.deepStrictEqual(state.fee, { numerator: 998, denominator: 1000 });
+    assert.deepStrictEqual(service.getStateFee(state), { numerator: 998, denominator: 1000 });
+    assert.strictEqual(calls.filter(method => method === 'swapFee').length, 1);
+    assert.strictEqual(calls.filter(method => method === 'getReserves').length, 2);
+});
+
+test('a failing swapFee() falls back to the venue fee', async () => {
+    const { service } = createService({ token0: TOKEN0, token1: TOKEN1, swapFee: new Error('reverted'), getReserves: reserves });
+
+    assert.strictEqual(await service.fetchPoolState(PAIR, 100, 'BISWAP'), true);
+
+    const state = service.getPoolState(PAIR, 'BISWAP');
+    assert.strictEqual(state.fee, undefined);
+    assert.deepStrictEqual(service.getStateFee(state), service.getSwapFee('BISWAP'));
+});
+
+test('venues without a per-pair fee getter do not call swapFee()', async () => {
+    const { service, calls } = createService({ token0: TOKEN0, token1: TOKEN1, getReserves: reserves });
+
+    assert.strictEqual(await service.fetchPoolState(PAIR, 100, 'PANCAKESWAP'), true);
+
+    assert.strictEqual(calls.includes('swapFee'), false);
+    assert.deepStrictEqual(service.getStateFee(service.getPoolState(PAIR, 'PANCAKESWAP')), service.getSwapFee('PANCAKESWAP'));
+});
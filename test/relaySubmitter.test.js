@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ethers } = require('ethers');
+
+const logger = { log() {}, warn() {}, error() {} };
+
+// Relay tiruan: mencatat request eth_sendBundle dan menjawab sesuai this.respond
+const relay = {
+    requests: [],
+    respond: body => ({ jsonrpc: '2.0', id: body.id, result: { bundleHash: `0xbundle${body.id}` } })
+};
+
+let server;
+let RelaySubmitter;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            relay.requests.push({ headers: req.headers, body });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(relay.respond(body)));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.RELAY_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.RELAY_AUTH_TOKEN = 'secret-token';
+    process.env.RELAY_BUNDLE_BLOCKS = '3';
+    process.env.RELAY_STATUS_POLL_MS = '5';
+    RelaySubmitter = require('../src/submission/relaySubmitter');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Provider tiruan: blok maju setiap kali dibaca, receipt muncul untuk hash di receipts
+ */
+function createProvider(startBlock) {
+    return {
+        _isProvider: true,
+        block: startBlock,
+        receipts: new Map(),
+        getNetwork: async () => ({ chainId: 56, name: 'bsc' }),
+        resolveName: async name => name,
+        getBlockNumber: async function () { return this.block++; },
+        getTransactionReceipt: async function (hash) { return this.receipts.get(hash) || null; }
+    };
+}
+
+function createSubmitter(provider) {
+    const wallet = ethers.Wallet.createRandom().connect(provider);
+    return new RelaySubmitter(wallet, logger);
+}
+
+const txRequest = {
+    to: '0x000000000000000000000000000000000000dEaD',
+    data: '0x1234',
+    value: 0,
+    nonce: 7,
+    gasLimit: 300000,
+    gasPrice: ethers.utils.parseUnits('3', 'gwei'),
+    type: 0
+};
+
+test('submit sends a signed bundle and resolves with the receipt once included', async () => {
+    relay.requests = [];
+    const provider = createProvider(100);
+    const submitter = createSubmitter(provider);
+
+    const submission = await submitter.submit(txRequest);
+
+    assert.strictEqual(relay.requests.length, 1);
+    const { headers, body } = relay.requests[0];
+    assert.strictEqual(headers.authorization, 'secret-token');
+    assert.strictEqual(body.method, 'eth_sendBundle');
+    const [bundleParams] = body.params;
+    assert.strictEqual(bundleParams.blockNumber, '0x65');
+    assert.strictEqual(bundleParams.maxBlockNumber, '0x67');
+    assert.strictEqual(ethers.utils.keccak256(bundleParams.txs[0]), submission.hash);
+
+    const parsed = ethers.utils.parseTransaction(bundleParams.txs[0]);
+    assert.strictEqual(parsed.nonce, 7);
+    assert.strictEqual(parsed.data, '0x1234');
+
+    assert.strictEqual(submission.mode, 'relay');
+    assert.strictEqual(submission.bundleHash, `0xbundle${body.id}`);
+    assert.strictEqual(submitter.getBundle(submission.bundleHash).status, 'pending');
+
+    provider.receipts.set(submission.hash, { blockNumber: 102, transactionHash: submission.hash, status: 1 });
+    const receipt = await submission.wait();
+
+    assert.strictEqual(receipt.blockNumber, 102);
+    assert.strictEqual(submitter.getBundle(submission.bundleHash), null);
+    assert.strictEqual(submitter.bundles.size, 0);
+});
+
+test('wait resolves null and forgets the bundle after maxBlockNumber passes', async () => {
+    const provider = createProvider(200);
+    const submitter = createSubmitter(provider);
+
+    const submission = await submitter.submit(txRequest);
+    const receipt = await submission.wait();
+
+    assert.strictEqual(receipt, null);
+    assert.ok(provider.block > 203);
+    assert.strictEqual(submitter.bundles.size, 0);
+});
+
+test('relay error responses reject without tracking a bundle', async () => {
+    relay.respond = body => ({ jsonrpc: '2.0', id: body.id, error: { code: -32000, message: 'bundle rejected' } });
+    try {
+        const submitter = createSubmitter(createProvider(300));
+
+        await assert.rejects(submitter.submit(txRequest), /Relay eth_sendBundle failed: bundle rejected/);
+        assert.strictEqual(submitter.bundles.size, 0);
+    } finally {
+        relay.respond = body => ({ jsonrpc: '2.0', id: body.id, result: { bundleHash: `0xbundle${body.id}` } });
+    }
+});
+
+test('track follows a bundle whose send failed until the same block window closes', async () => {
+    const provider = createProvider(400);
+    const submitter = createSubmitter(provider);
+
+    const signed = await submitter.sign(txRequest);
+    const submission = submitter.track(signed, 400);
+
+    assert.strictEqual(submission.hash, signed.hash);
+    assert.strictEqual(submission.bundleHash, null);
+    assert.strictEqual(submitter.getBundle(signed.hash).maxBlockNumber, 403);
+
+    provider.receipts.set(signed.hash, { blockNumber: 402, transactionHash: signed.hash, status: 1 });
+    const receipt = await submission.wait();
+
+    assert.strictEqual(receipt.transactionHash, signed.hash);
+    assert.strictEqual(submitter.bundles.size, 0);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const RevertDecoder = require('../src/arbitrage/revertDecoder');
+
+const coder = ethers.utils.defaultAbiCoder;
+const errorString = reason => `0x08c379a0${coder.encode(['string'], [reason]).slice(2)}`;
+const panic = code => `0x4e487b71${coder.encode(['uint256'], [code]).slice(2)}`;
+
+/**
+ * Error seperti yang dilempar ethers untuk call yang revert (data di error.error.data)
+ */
+function callException(data) {
+    const error = new Error('call revert exception');
+    error.code = 'CALL_EXCEPTION';
+    error.error = { message: 'execution reverted', data };
+    return error;
+}
+
+test('Error(string) payloads are decoded and classified by their message', () => {
+    assert.deepStrictEqual(RevertDecoder.decode(callException(errorString('Pancake: K'))), {
+        reason: 'Pancake: K',
+        category: 'insufficient-repay'
+    });
+    assert.deepStrictEqual(RevertDecoder.decode({ message: 'x', data: errorString('PancakeRouter: INSUFFICIENT_OUTPUT_AMOUNT') }), {
+        reason: 'PancakeRouter: INSUFFICIENT_OUTPUT_AMOUNT',
+        category: 'slippage'
+    });
+});
+
+test('Panic(uint256) payloads are reported with their code', () => {
+    assert.deepStrictEqual(RevertDecoder.decode(callException(panic(0x11))), {
+        reason: 'panic 0x11',
+        category: 'panic'
+    });
+});
+
+test('unknown custom errors are reported by selector', () => {
+    const data = `0xdeadbeef${coder.encode(['uint256'], [1]).slice(2)}`;
+
+    assert.deepStrictEqual(RevertDecoder.decode(callException(data)), {
+        reason: 'custom error 0xdeadbeef',
+        category: 'unknown'
+    });
+});
+
+test('a malformed Error(string) payload falls back to the selector', () => {
+    assert.strictEqual(RevertDecoder.decodeReason({ data: '0x08c379a0ff' }), 'custom error 0x08c379a0');
+});
+
+test('empty revert data is reported as a revert without reason', () => {
+    assert.deepStrictEqual(RevertDecoder.decode(callException('0x')), {
+        reason: 'reverted without reason',
+        category: 'unknown'
+    });
+});
+
+test('errors without revert data are classified from the RPC message', () => {
+    assert.deepStrictEqual(RevertDecoder.decode(new Error('nonce too low')), {
+        reason: 'nonce too low',
+        category: 'nonce'
+    });
+    assert.strictEqual(RevertDecoder.decode(new Error('transaction underpriced')).category, 'underpriced');
+    assert.strictEqual(RevertDecoder.decode(new Error('FlashArbitrage: pair not authorized')).category, 'unauthorized-pair');
+});
+
+test('ethers error codes take precedence over the message', () => {
+    const error = new Error('replacement fee too low');
+    error.code = 'REPLACEMENT_UNDERPRICED';
+    assert.strictEqual(RevertDecoder.decode(error).category, 'underpriced');
+
+    const expired = new Error('transaction failed');
+    expired.code = 'NONCE_EXPIRED';
+    assert.strictEqual(RevertDecoder.decode(expired).category, 'nonce');
+});
+
+test('categories are matched in order, so earlier categories win on overlapping messages', () => {
+    assert.strictEqual(RevertDecoder.classify('out of gas while checking minimum amount'), 'out-of-gas');
+    assert.strictEqual(RevertDecoder.classify('Pancake: INSUFFICIENT_OUTPUT_AMOUNT', 'unauthorized'), 'slippage');
+    assert.strictEqual(RevertDecoder.classify('nonce too low: transaction underpriced'), 'nonce');
+    assert.strictEqual(RevertDecoder.classify('Pancake: K (repay)'), 'insufficient-repay');
+    assert.strictEqual(RevertDecoder.classify('something else'), 'unknown');
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+
+const logger = { log() {}, warn() {}, error() {} };
+
+// Signer eksternal tiruan: memegang key sendiri dan menjawab eth_accounts, eth_signTransaction, personal_sign
+const remote = {
+    wallet: ethers.Wallet.createRandom(),
+    requests: [],
+    tamper: null // Opsional: mengubah transaksi sebelum ditandatangani
+};
+
+let server;
+let tempDir;
+let ExternalSigner;
+let KeystoreLoader;
+let createSigner;
+
+async function handle(method, params) {
+    switch (method) {
+        case 'eth_accounts':
+            return [remote.wallet.address.toLowerCase()];
+        case 'eth_signTransaction': {
+            const request = params[0];
+            const tx = {
+                to: request.to,
+                data: request.data,
+                value: request.value,
+                gasLimit: request.gas,
+                gasPrice: request.gasPrice,
+                nonce: parseInt(request.nonce, 16),
+                chainId: parseInt(request.chainId, 16),
+                type: parseInt(request.type, 16)
+            };
+            return { raw: await remote.wallet.signTransaction(remote.tamper ? remote.tamper(tx) : tx) };
+        }
+        case 'personal_sign':
+            return remote.wallet.signMessage(ethers.utils.arrayify(params[0]));
+        default:
+            throw new Error(`method ${method} not supported`);
+    }
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = JSON.parse(raw);
+            remote.requests.push({ headers: req.headers, body });
+
+            let response;
+            try {
+                response = { jsonrpc: '2.0', id: body.id, result: await handle(body.method, body.params) };
+            } catch (error) {
+                response = { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: error.message } };
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-test-'));
+    process.env.SIGNER_TYPE = 'keystore';
+    process.env.KEYSTORE_PATH = path.join(tempDir, 'keystore.json');
+    process.env.KEYSTORE_PASSWORD_FILE = path.join(tempDir, 'password.txt');
+    process.env.EXTERNAL_SIGNER_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.EXTERNAL_SIGNER_AUTH_TOKEN = 'signer-token';
+
+    ({ ExternalSigner, KeystoreLoader, createSigner } = require('../src/signer'));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const txRequest = {
+    to: '0x000000000000000000000000000000000000dEaD',
+    data: '0xabcdef',
+    value: ethers.utils.parseEther('0.01'),
+    nonce: 12,
+    gasLimit: 250000,
+    gasPrice: ethers.utils.parseUnits('3', 'gwei'),
+    chainId: 56,
+    type: 0
+};
+
+test('external signer uses the first eth_accounts account and sends the auth header', async () => {
+    remote.requests = [];
+    const signer = await ExternalSigner.create(null, logger);
+
+    assert.strictEqual(signer.address, remote.wallet.address);
+    assert.strictEqual(await signer.getAddress(), remote.wallet.address);
+    assert.strictEqual(remote.requests[0].body.method, 'eth_accounts');
+    assert.strictEqual(remote.requests[0].headers.authorization, 'signer-token');
+});
+
+test('external signer returns the remote signature for the requested transaction', async () => {
+    const signer = await ExternalSigner.create(null, logger);
+
+    const raw = await signer.signTransaction({ ...txRequest, from: remote.wallet.address });
+    const parsed = ethers.utils.parseTransaction(raw);
+
+    assert.strictEqual(parsed.from, remote.wallet.address);
+    assert.strictEqual(parsed.to, txRequest.to);
+    assert.strictEqual(parsed.nonce, 12);
+    assert.ok(parsed.value.eq(txRequest.value));
+    assert.strictEqual(parsed.chainId, 56);
+    assert.strictEqual(raw, await remote.wallet.signTransaction(txRequest));
+});
+
+test('external signer rejects a signed transaction that differs from the request', async () => {
+    const signer = await ExternalSigner.create(null, logger);
+
+    remote.tamper = tx => ({ ...tx, to: remote.wallet.address, nonce: tx.nonce + 1 });
+    try {
+        await assert.rejects(signer.signTransaction(txRequest), /differs from the request \(to, nonce\)/);
+    } finally {
+        remote.tamper = null;
+    }
+
+    await assert.rejects(signer.signTransaction({ ...txRequest, from: ethers.constants.AddressZero }), /does not match external signer/);
+});
+
+test('external signer verifies personal_sign signatures', async () => {
+    const signer = await ExternalSigner.create(null, logger);
+
+    const signature = await signer.signMessage('hello');
+
+    assert.strictEqual(ethers.utils.verifyMessage('hello', signature), remote.wallet.address);
+});
+
+test('keystore loader decrypts with the password file and connects the provider', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    // Parameter scrypt kecil agar test cepat; formatnya tetap Web3 Secret Storage
+    fs.writeFileSync(process.env.KEYSTORE_PATH, await wallet.encrypt('correct horse', { scrypt: { N: 1024 } }));
+    fs.writeFileSync(process.env.KEYSTORE_PASSWORD_FILE, 'correct horse\n');
+
+    const provider = { _isProvider: true };
+    const loaded = await createSigner(provider, logger);
+
+    assert.strictEqual(loaded.address, wallet.address);
+    assert.strictEqual(loaded.privateKey, wallet.privateKey);
+    assert.strictEqual(loaded.provider, provider);
+
+    fs.writeFileSync(process.env.KEYSTORE_PASSWORD_FILE, 'wrong passphrase\n');
+    await assert.rejects(KeystoreLoader.load(provider, logger), /Could not decrypt keystore/);
+});
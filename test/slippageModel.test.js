@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const SlippageModel = require('../src/arbitrage/slippageModel');
+const { MAX_SLIPPAGE_PERCENT } = require('../config/constants');
+
+const logger = { log() {}, warn() {}, error() {} };
+const E = ethers.constants.WeiPerEther;
+
+function report(pairAddress, depthUSD, priceImpactPercent, marginalRate = 1) {
+    return { pairAddress, label: `${pairAddress} A->B`, depthUSD, priceImpactPercent, marginalRate };
+}
+
+// Tiga segmen satu hop: pinjaman 100, kembali 101 menurut quote
+const outputs = [E.mul(200), E.mul(50), E.mul(101)];
+const hopCounts = [1, 1, 1];
+
+test('tolerances shrink so the worst-case fill still covers loan + fee + gas', () => {
+    const model = new SlippageModel(logger);
+    // Pool dangkal: toleransi mentah beberapa persen per hop, jauh di atas margin 1%
+    const reports = [report('0x01', 2000, 1), report('0x02', 1500, 1.5), report('0x03', 3000, 0.5)];
+    const minFinalAmount = E.mul(1005).div(10); // 100 + fee flash + gas
+
+    const result = model.getMinAmountsOut({ outputs, hopCounts, reports, blockNumber: 10, minFinalAmount });
+
+    assert.ok(result.worstCaseAmountOut.gte(minFinalAmount), `${result.worstCaseAmountOut} < ${minFinalAmount}`);
+    assert.ok(result.scale > 0 && result.scale < 1);
+    assert.strictEqual(result.limitedBy, 'profit');
+
+    // Diperkecil dengan faktor yang sama dan hanya sampai impas (bukan jauh di bawahnya)
+    result.hops.forEach(hop => assert.ok(Math.abs(hop.appliedPercent - hop.tolerancePercent * result.scale) < 1e-12));
+    assert.ok(result.worstCaseAmountOut.sub(minFinalAmount).lt(E.div(100)));
+});
+
+test('minimum outputs compound the tolerance of every earlier hop', () => {
+    const model = new SlippageModel(logger);
+    const reports = [report('0x01', 1000000, 0.1), report('0x02', 1000000, 0.1), report('0x03', 1000000, 0.1)];
+
+    const result = model.getMinAmountsOut({ outputs, hopCounts, reports, blockNumber: 10, minFinalAmount: E.mul(100) });
+
+    assert.strictEqual(result.scale, 1);
+    assert.strictEqual(result.limitedBy, null);
+
+    let factor = 1;
+    result.minAmountsOut.forEach((minAmount, segment) => {
+        factor *= 1 - result.hops[segment].appliedPercent / 100;
+        assert.ok(minAmount.eq(model.applyFactor(outputs[segment], factor)));
+    });
+    assert.ok(result.minAmountsOut[2].lt(outputs[2]));
+});
+
+test('hop tolerance is capped at MAX_SLIPPAGE_PERCENT', () => {
+    const model = new SlippageModel(logger);
+
+    const hop = model.getHopTolerance(report('0x01', 10, 20), 10);
+
+    assert.strictEqual(hop.tolerancePercent, MAX_SLIPPAGE_PERCENT);
+    assert.strictEqual(hop.capped, true);
+});
+
+test('rate volatility across scan blocks widens the tolerance', () => {
+    const model = new SlippageModel(logger);
+    const calm = model.getHopTolerance(report('0x01', 1000000, 0.1, 1), 1);
+
+    [1.01, 0.99, 1.02].forEach((rate, i) => model.getHopTolerance(report('0x01', 1000000, 0.1, rate), 2 + i));
+    const volatile = model.getHopTolerance(report('0x01', 1000000, 0.1, 1), 5);
+
+    assert.strictEqual(calm.components.volatility, 0);
+    assert.ok(volatile.components.volatility > 0);
+    assert.ok(volatile.tolerancePercent > calm.tolerancePercent);
+});
+
+test('loops that are unprofitable at the quote keep the quoted minimums', () => {
+    const model = new SlippageModel(logger);
+    const reports = [report('0x01', 2000, 1), report('0x02', 1500, 1.5), report('0x03', 3000, 0.5)];
+
+    const result = model.getMinAmountsOut({ outputs, hopCounts, reports, blockNumber: 10, minFinalAmount: E.mul(102) });
+
+    assert.strictEqual(result.scale, 0);
+    assert.ok(result.worstCaseAmountOut.eq(outputs[2]));
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const StableMath = require('../src/dex/stableMath');
+
+const E = 10n ** 18n;
+
+// Nilai acuan dihitung dengan get_D / get_y / get_dy PancakeStableSwapTwoPool (A_PRECISION = 100)
+// yang ditranskripsi apa adanya dari kontrak
+const balancedPool = {
+    balances: [1000000n * E, 1200000n * E],
+    rates: [E, E],
+    amp: 1000n * 100n,
+    aPrecision: 100n,
+    feeRate: 1000000n // 0,01%
+};
+
+// Token keluar 6 desimal (rate 1e30): urutan fee dan pembagian rate memengaruhi pembulatan
+const mixedDecimalsPool = {
+    balances: [500000n * E, 450000n * 10n ** 6n],
+    rates: [E, 10n ** 30n],
+    amp: 200n * 100n,
+    aPrecision: 100n,
+    feeRate: 4000000n // 0,04%
+};
+
+test('getD matches the contract invariant', () => {
+    assert.strictEqual(StableMath.getD(balancedPool.balances, balancedPool.amp, 100n), 2199990842605137978916718n);
+    assert.strictEqual(StableMath.getD([0n, 0n], balancedPool.amp, 100n), 0n);
+});
+
+test('getY keeps D constant for the new input balance', () => {
+    const y = StableMath.getY(0, 1, 1010000n * E, balancedPool.balances, balancedPool.amp, 100n);
+
+    assert.strictEqual(y, 1189998248247724888708886n);
+
+    const d = StableMath.getD(balancedPool.balances, balancedPool.amp, 100n);
+    const dAfter = StableMath.getD([1010000n * E, y], balancedPool.amp, 100n);
+    assert.ok(dAfter - d <= 2n && d - dAfter <= 2n);
+});
+
+test('getDy matches contract get_dy for 18-decimal tokens in both directions', () => {
+    assert.strictEqual(StableMath.getDy(balancedPool, 0, 1, 10000n * E), 10000751577099883779984n);
+    assert.strictEqual(StableMath.getDy(balancedPool, 1, 0, 10000n * E), 9997057953872232059458n);
+});
+
+test('getDy takes the fee from normalised dy before dividing by the output rate', () => {
+    assert.strictEqual(StableMath.getDy(mixedDecimalsPool, 0, 1, 12345678901234567890n), 12334242n);
+    assert.strictEqual(StableMath.getDy(mixedDecimalsPool, 1, 0, 12345678901n), 12345625184578367693983n);
+    // Fee setelah pembagian rate menghasilkan 77637310102
+    assert.strictEqual(StableMath.getDy(mixedDecimalsPool, 0, 1, 77777700000000000000000n), 77637310101n);
+});
+
+test('getDy returns zero for empty pools and zero input', () => {
+    assert.strictEqual(StableMath.getDy(balancedPool, 0, 1, 0n), 0n);
+    assert.strictEqual(StableMath.getDy({ ...balancedPool, balances: [0n, 1000n * E] }, 0, 1, E), 0n);
+});
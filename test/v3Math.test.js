@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const V3Math = require('../src/dex/v3Math');
+
+const FEE_PIPS = 2500n;
+const FEE_DENOMINATOR = 1000000n;
+
+// Likuiditas 1e21 di sekitar tick 0, posisi tambahan 4e20 di [-600, 600]
+const state = {
+    sqrtPriceX96: V3Math.getSqrtRatioAtTick(0),
+    tick: 0,
+    liquidity: 10n ** 21n,
+    feeTier: Number(FEE_PIPS),
+    ticks: [
+        { tick: -600, liquidityNet: 4n * 10n ** 20n },
+        { tick: 600, liquidityNet: -4n * 10n ** 20n }
+    ],
+    tickLower: -6000,
+    tickUpper: 6000
+};
+
+/**
+ * Satu langkah swap yang berhenti sebelum tick berikutnya (SwapMath.computeSwapStep, exact input)
+ */
+function partialStep(sqrtPrice, liquidity, amountIn, zeroForOne) {
+    const lessFee = amountIn * (FEE_DENOMINATOR - FEE_PIPS) / FEE_DENOMINATOR;
+    const sqrtNext = V3Math.getNextSqrtPriceFromInput(sqrtPrice, liquidity, lessFee, zeroForOne);
+    return zeroForOne
+        ? V3Math.getAmount1Delta(sqrtNext, sqrtPrice, liquidity, false)
+        : V3Math.getAmount0Delta(sqrtPrice, sqrtNext, liquidity, false);
+}
+
+test('getSqrtRatioAtTick matches TickMath constants', () => {
+    assert.strictEqual(V3Math.getSqrtRatioAtTick(0), 79228162514264337593543950336n);
+    assert.strictEqual(V3Math.getSqrtRatioAtTick(V3Math.MIN_TICK), 4295128739n);
+    assert.strictEqual(V3Math.getSqrtRatioAtTick(V3Math.MAX_TICK), 1461446703485210103287273052203988822378723970342n);
+    assert.throws(() => V3Math.getSqrtRatioAtTick(V3Math.MAX_TICK + 1), /out of range/);
+});
+
+test('swap inside the active range is a single step', () => {
+    const amountIn = 10n ** 18n;
+
+    assert.strictEqual(V3Math.simulateSwap(state, true, amountIn), partialStep(state.sqrtPriceX96, state.liquidity, amountIn, true));
+    assert.strictEqual(V3Math.simulateSwap(state, false, amountIn), partialStep(state.sqrtPriceX96, state.liquidity, amountIn, false));
+});
+
+test('zeroForOne swap crosses a tick and continues with liquidity minus liquidityNet', () => {
+    const amountIn = 5n * 10n ** 19n;
+    const sqrtTick = V3Math.getSqrtRatioAtTick(-600);
+
+    // Langkah 1: sampai tick -600 dengan likuiditas penuh
+    const stepIn = V3Math.getAmount0Delta(sqrtTick, state.sqrtPriceX96, state.liquidity, true);
+    const stepFee = V3Math.divRoundingUp(stepIn * FEE_PIPS, FEE_DENOMINATOR - FEE_PIPS);
+    const stepOut = V3Math.getAmount1Delta(sqrtTick, state.sqrtPriceX96, state.liquidity, false);
+    assert.ok(stepIn + stepFee < amountIn, 'swap must reach the tick');
+
+    // Langkah 2: sisa input setelah posisi [-600, 600] keluar
+    const expected = stepOut + partialStep(sqrtTick, 6n * 10n ** 20n, amountIn - stepIn - stepFee, true);
+
+    assert.strictEqual(V3Math.simulateSwap(state, true, amountIn), expected);
+
+    // Tanpa penurunan likuiditas output akan lebih besar
+    assert.ok(expected < stepOut + partialStep(sqrtTick, state.liquidity, amountIn - stepIn - stepFee, true));
+});
+
+test('oneForZero swap crosses a tick upward and adds liquidityNet', () => {
+    const amountIn = 5n * 10n ** 19n;
+    const sqrtTick = V3Math.getSqrtRatioAtTick(600);
+
+    const stepIn = V3Math.getAmount1Delta(state.sqrtPriceX96, sqrtTick, state.liquidity, true);
+    const stepFee = V3Math.divRoundingUp(stepIn * FEE_PIPS, FEE_DENOMINATOR - FEE_PIPS);
+    const stepOut = V3Math.getAmount0Delta(state.sqrtPriceX96, sqrtTick, state.liquidity, false);
+    const expected = stepOut + partialStep(sqrtTick, 6n * 10n ** 20n, amountIn - stepIn - stepFee, false);
+
+    assert.strictEqual(V3Math.simulateSwap(state, false, amountIn), expected);
+});
+
+test('swap output follows the continuous price curve', () => {
+    // Tanpa tick crossing: out = L × (√P - √P'), dengan 1/√P' = 1/√P + x(1 - fee)/L
+    const amountIn = 10n ** 19n;
+    const liquidity = Number(state.liquidity);
+    const inLessFee = Number(amountIn) * 0.9975;
+    const sqrtNext = 1 / (1 + inLessFee / liquidity);
+    const expected = liquidity * (1 - sqrtNext);
+
+    const actual = Number(V3Math.simulateSwap(state, true, amountIn));
+    assert.ok(Math.abs(actual - expected) / expected < 1e-9, `${actual} vs ${expected}`);
+});
+
+test('swap that runs past the loaded tick range returns null', () => {
+    assert.strictEqual(V3Math.simulateSwap(state, true, 10n ** 24n), null);
+    assert.strictEqual(V3Math.simulateSwap(state, false, 10n ** 24n), null);
+});